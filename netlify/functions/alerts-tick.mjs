@@ -0,0 +1,13 @@
+import { statusStore } from '../lib/stores.mjs';
+import { runAlerts } from '../lib/alerts.mjs';
+
+// Scheduled every minute: rules on how long a feeder has been OFF can fire
+// between publishes.
+export default async () => {
+  const result = await runAlerts(statusStore());
+  if (result?.fired.length || result?.resolved.length) {
+    console.log(`alerts: ${result.fired.length} fired, ${result.resolved.length} resolved`);
+  }
+};
+
+export const config = { schedule: '* * * * *' };
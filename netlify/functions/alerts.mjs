@@ -0,0 +1,72 @@
+import { statusStore, loadAlerts, loadAlertRules, appendAudit } from '../lib/stores.mjs';
+import { runAlerts, updateAlerts, updateAlertRules } from '../lib/alerts.mjs';
+import { authorize } from '../lib/auth.mjs';
+import { cors, json, readJson } from '../lib/http.mjs';
+import { actOnAlert, cleanRules, mergeRules, describeRule } from '../../src/lib/alerts.mjs';
+
+// GET   /api/alerts                          -> { alerts, rules }; active alerts first, then resolved (newest first)
+// PUT   /api/alerts { rules, base }          supervisors: save the rules, evaluated again at once; `base` is
+//                                            the rules the editor started from, so only its own changes are
+//                                            applied over what others saved meanwhile (without it: replace all)
+// PATCH /api/alerts?id= { action: "acknowledge" | "resolve" }
+export default async (req) => {
+  if (req.method === 'OPTIONS') return new Response('', { headers: cors });
+
+  const store = statusStore();
+
+  if (req.method === 'GET') {
+    const { error } = authorize(req, 'view');
+    if (error) return error;
+    const [alerts, rules] = await Promise.all([loadAlerts(store), loadAlertRules(store)]);
+    return json({ alerts, rules });
+  }
+
+  if (req.method === 'PUT') {
+    const { user, error } = authorize(req, 'alertRules');
+    if (error) return error;
+    const body = await readJson(req);
+    const snap = (await store.get('current', { type: 'json' })) ?? { feeders: [] };
+    const { rules: edited, error: invalid } = cleanRules(body?.rules, new Set(snap.feeders.map(f => f.name)));
+    if (invalid) return json({ error: invalid }, { status: 400 });
+    if (body.base !== undefined && !Array.isArray(body.base)) return json({ error: 'base must be the rules being edited' }, { status: 400 });
+
+    const { rules, prev } = await updateAlertRules((latest) => ({
+      rules: mergeRules(latest, body.base ?? latest, edited),
+      prev: latest,
+    }), store);
+    const entry = (action, r, old, nu) => ({ action, kind: 'alert-rule', id: r.id, feeder: r.feeder, name: r.name, old, new: nu });
+    const shown = (r) => `${describeRule(r)} (${r.severity}${r.enabled ? '' : ', off'})`;
+    const was = new Map(prev.map(r => [r.id, r]));
+    const changes = [
+      ...rules.filter(r => !was.has(r.id)).map(r => entry('create', r, null, shown(r))),
+      ...rules.filter(r => was.has(r.id) && JSON.stringify(was.get(r.id)) !== JSON.stringify(r)).map(r => entry('update', r, shown(was.get(r.id)), shown(r))),
+      ...prev.filter(r => !rules.some(x => x.id === r.id)).map(r => entry('delete', r, shown(r), null)),
+    ];
+    if (changes.length) await appendAudit(user.sub, changes, store);
+    await runAlerts(store);
+    return json({ rules, alerts: await loadAlerts(store) });
+  }
+
+  if (req.method === 'PATCH') {
+    const { user, error } = authorize(req, 'ackAlert');
+    if (error) return error;
+    const id = new URL(req.url).searchParams.get('id');
+    const { action } = (await readJson(req)) ?? {};
+    let failure;
+    const result = await updateAlerts((alerts) => {
+      const was = alerts.find(a => a.id === id);
+      const alert = was ? actOnAlert(was, action, user.sub, Date.now()) : { error: 'Unknown alert id' };
+      if (alert.error) {
+        failure = json({ error: alert.error }, { status: was ? 409 : 404 });
+        return null;
+      }
+      return { alerts: alerts.map(a => (a.id === id ? alert : a)), alert, was };
+    }, store);
+    if (!result) return failure;
+    const { alert, was } = result;
+    await appendAudit(user.sub, [{ action, kind: 'alert', id, feeder: null, name: alert.name, old: was.status, new: alert.status }], store);
+    return json(alert);
+  }
+
+  return json({ error: 'Method not allowed' }, { status: 405 });
+}
@@ -0,0 +1,33 @@
+import { loadAudit } from '../lib/stores.mjs';
+import { authorize } from '../lib/auth.mjs';
+import { cors, json, parseTime } from '../lib/http.mjs';
+import { auditMatcher } from '../../src/lib/audit.mjs';
+
+// Entries per page: `limit` (default PAGE_SIZE, at most MAX_ENTRIES)
+const PAGE_SIZE = 200;
+const MAX_ENTRIES = 1000;
+
+// GET /api/audit?from=&to=&feeder=&user=&limit=&cursor=
+//   -> { from, to, count, entries, cursor }: entries newest first; pass `cursor` back for older ones (null: no more)
+export default async (req) => {
+  if (req.method === 'OPTIONS') return new Response('', { headers: cors });
+  if (req.method !== 'GET') return json({ error: 'Method not allowed' }, { status: 405 });
+
+  const { error } = authorize(req, 'view');
+  if (error) return error;
+
+  const params = new URL(req.url).searchParams;
+  const from = parseTime(params.get('from'));
+  const to = parseTime(params.get('to'));
+  if (from === undefined || to === undefined) {
+    return json({ error: 'from/to must be ISO dates or epoch milliseconds' }, { status: 400 });
+  }
+
+  const limit = Math.min(Math.max(Number.parseInt(params.get('limit'), 10) || PAGE_SIZE, 1), MAX_ENTRIES);
+  const { entries, cursor } = await loadAudit(from, to, {
+    cursor: params.get('cursor') || null,
+    limit,
+    match: auditMatcher({ feeder: params.get('feeder') || null, user: params.get('user') || null })
+  });
+  return json({ from: from || null, to: to || null, count: entries.length, entries, cursor });
+}
@@ -0,0 +1,58 @@
+import Papa from 'papaparse';
+import { registryStore, statusStore, loadRegistry, loadLookup, saveLookup, appendAudit } from '../lib/stores.mjs';
+import { authorize } from '../lib/auth.mjs';
+import { cors, json } from '../lib/http.mjs';
+import { buildLookupIndex, lookupKey } from '../../src/lib/lookup.mjs';
+
+const MAX_UNMATCHED = 50;
+
+// Consumer lookup data behind /api/lookup. Only counts ever leave the server.
+// GET    /api/consumers           -> { count, accounts, meters, updatedAt, updatedBy }
+// PUT    /api/consumers  (text/csv: account and/or meter column + station / substation / asset code column)
+//                                 -> replaces the index; { count, unmatchedCount, unmatched: [{ line, station }] }
+// DELETE /api/consumers           -> clears it
+export default async (req) => {
+  if (req.method === 'OPTIONS') return new Response('', { headers: cors });
+
+  const { user, error } = authorize(req, req.method === 'GET' ? 'view' : 'editRegistry');
+  if (error) return error;
+
+  const store = registryStore();
+  const current = await loadLookup(store);
+  const summary = (x) => ({ count: x.count, accounts: Object.keys(x.accounts).length, meters: Object.keys(x.meters).length, updatedAt: x.updatedAt, updatedBy: x.updatedBy ?? null });
+
+  if (req.method === 'GET') return json(summary(current));
+
+  if (req.method === 'DELETE') {
+    const cleared = { accounts: {}, meters: {}, count: 0, updatedAt: new Date().toISOString(), updatedBy: user.sub };
+    await saveLookup(cleared, store);
+    await appendAudit(user.sub, [auditEntry(current, cleared)]);
+    return json(summary(cleared));
+  }
+
+  if (req.method !== 'PUT') return json({ error: 'Method not allowed' }, { status: 405 });
+
+  const { data } = Papa.parse(await req.text(), { skipEmptyLines: 'greedy' });
+  if (data.length < 2) return json({ error: 'The file has no data rows' }, { status: 400 });
+
+  // Station column: id, asset code or name of a registry station (or of the published status when the registry is empty)
+  const registry = await loadRegistry(store);
+  const published = await statusStore().get('current', { type: 'json' });
+  const stations = registry.stations.length ? registry.stations : published?.stations || [];
+  const byKey = new Map();
+  for (const s of stations) {
+    for (const v of [s.name, s.assetCode, s.id]) if (v) byKey.set(lookupKey(v), s.id);
+  }
+  const { index, unmatched, error: invalid } = buildLookupIndex(data, (v) => byKey.get(lookupKey(v)) ?? null);
+  if (invalid) return json({ error: invalid }, { status: 400 });
+
+  const next = { ...index, updatedAt: new Date().toISOString(), updatedBy: user.sub };
+  await saveLookup(next, store);
+  await appendAudit(user.sub, [auditEntry(current, next)]);
+  return json({ ...summary(next), unmatchedCount: unmatched.length, unmatched: unmatched.slice(0, MAX_UNMATCHED) });
+}
+
+const auditEntry = (prev, next) => ({
+  action: 'update', kind: 'consumers', id: 'lookup', feeder: null, name: 'Consumer lookup data',
+  old: { consumers: prev.count }, new: { consumers: next.count }
+});
@@ -0,0 +1,61 @@
+import { statusStore, loadEvents, updateEvents, appendAudit } from '../lib/stores.mjs';
+import { authorize } from '../lib/auth.mjs';
+import { cors, json, text, etag, ifMatch, conflict, parseTime } from '../lib/http.mjs';
+import { eventOverlaps, pickNotes } from '../../src/lib/events.mjs';
+
+// GET  /api/events?from=&to=&open=1   events overlapping the range (newest first)
+// POST /api/events { id, cause?, notes? } annotate an event; If-Match: the event's version
+export default async (req) => {
+  if (req.method === 'OPTIONS') return new Response('', { headers: cors });
+  const store = statusStore();
+
+  if (req.method === 'GET') {
+    const { error } = authorize(req, 'view');
+    if (error) return error;
+    const params = new URL(req.url).searchParams;
+    const from = parseTime(params.get('from'));
+    const to = parseTime(params.get('to'));
+    if (from === undefined || to === undefined) {
+      return json({ error: 'from/to must be ISO dates or epoch milliseconds' }, { status: 400 });
+    }
+    const onlyOpen = params.get('open') === '1';
+    const events = (await loadEvents(store))
+      .filter(e => (!onlyOpen || !e.restore) && eventOverlaps(e, from, to))
+      .sort((a, b) => b.start.localeCompare(a.start));
+    return json({ count: events.length, events });
+  }
+
+  if (req.method === 'POST') {
+    const { user, error } = authorize(req, 'annotate');
+    if (error) return error;
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return json({ error: 'Invalid JSON' }, { status: 400 });
+    }
+    const expected = ifMatch(req);
+    if (expected === null) return text('Precondition Required: send If-Match with the event version', 428);
+
+    let found = null, before = null;
+    const result = await updateEvents(events => {
+      found = events.find(x => x.id === body?.id);
+      if (!found || (found.version ?? 0) !== expected) return null;
+      before = { cause: found.cause, notes: found.notes };
+      const next = { ...found, ...pickNotes(body) };
+      if (next.cause === before.cause && next.notes === before.notes) return null;
+      next.version = expected + 1;
+      return { events: events.map(x => (x.id === next.id ? next : x)), event: next };
+    }, store);
+    if (!found) return json({ error: 'Unknown event id' }, { status: 404 });
+    if (!result) {
+      if ((found.version ?? 0) !== expected) return conflict(found, 'event');
+      return json(found, { headers: { etag: etag(found.version) } });
+    }
+    const e = result.event;
+    await appendAudit(user.sub, [{ action: 'annotate', kind: 'event', id: e.id, feeder: e.feeder, name: e.name, old: before, new: { cause: e.cause, notes: e.notes } }], store);
+    return json(e, { headers: { etag: etag(e.version) } });
+  }
+
+  return json({ error: 'Method not allowed' }, { status: 405 });
+}
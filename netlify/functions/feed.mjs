@@ -0,0 +1,42 @@
+import { statusStore, loadEvents } from '../lib/stores.mjs';
+import { cors, json, text } from '../lib/http.mjs';
+import { eventOverlaps } from '../../src/lib/events.mjs';
+import { STATUS_SCHEMA_VERSIONS, FEED_FORMATS, FEED_DAYS, publicStatus, eventItems, rssXml, atomXml } from '../../src/lib/feeds.mjs';
+
+const TITLE = process.env.FEED_TITLE || 'Power outage status';
+const CACHE = 'public, max-age=60';
+
+// Public feeds for third parties (no sign-in):
+// GET /api/feed[?format=json][&v=1]   status document, schema v1 (public/schema/status-v1.json)
+// GET /api/feed?format=rss            RSS 2.0 of outages started/restored in the last 7 days
+// GET /api/feed?format=atom           the same as Atom 1.0
+export default async (req) => {
+  if (req.method === 'OPTIONS') return new Response('', { headers: cors });
+  if (req.method !== 'GET') return json({ error: 'Method not allowed' }, { status: 405 });
+
+  const url = new URL(req.url);
+  const format = url.searchParams.get('format') || 'json';
+  if (!FEED_FORMATS.includes(format)) return json({ error: `format must be one of ${FEED_FORMATS.join(', ')}` }, { status: 400 });
+
+  const store = statusStore();
+  const snap = await store.get('current', { type: 'json' });
+
+  if (format === 'json') {
+    const v = Number(url.searchParams.get('v') || STATUS_SCHEMA_VERSIONS.at(-1));
+    if (!STATUS_SCHEMA_VERSIONS.includes(v)) return json({ error: `Unsupported schema version; supported: ${STATUS_SCHEMA_VERSIONS.join(', ')}` }, { status: 400 });
+    return json({ $schema: `${url.origin}/schema/status-v${v}.json`, ...publicStatus(snap) }, { headers: { 'cache-control': CACHE } });
+  }
+
+  const now = Date.now();
+  const from = new Date(now - FEED_DAYS * 86400e3).toISOString();
+  const items = eventItems((await loadEvents(store)).filter(e => eventOverlaps(e, from, null)), now, from);
+  const site = {
+    title: TITLE,
+    link: `${url.origin}/`,
+    self: `${url.origin}/api/feed?format=${format}`,
+    updated: items[0]?.at ?? snap?.updatedAt ?? new Date(now).toISOString(),
+  };
+  return format === 'rss'
+    ? text(rssXml(items, site), 200, { 'content-type': 'application/rss+xml; charset=utf-8', 'cache-control': CACHE })
+    : text(atomXml(items, site), 200, { 'content-type': 'application/atom+xml; charset=utf-8', 'cache-control': CACHE });
+}
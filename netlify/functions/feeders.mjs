@@ -0,0 +1,82 @@
+import { registryStore, loadRegistry, saveRegistry, appendAudit } from '../lib/stores.mjs';
+import { feederList, staleRegistry, registryConflict } from '../lib/registry.mjs';
+import { authorize } from '../lib/auth.mjs';
+import { registryChanges } from '../../src/lib/audit.mjs';
+import { cors, json, readJson, etag } from '../lib/http.mjs';
+
+// GET    /api/feeders                    -> { feeders: [{ name, assetCode, stations, consumers }], version } + ETag
+// Writes honour If-Match like /api/stations.
+// POST   /api/feeders  { name, assetCode } -> create
+// PATCH  /api/feeders?name=  { name?, assetCode? } -> update; a rename moves its stations
+// DELETE /api/feeders?name=              -> only when no station uses it (409 otherwise);
+//                                           it is dropped from substations' alternate feeders
+export default async (req) => {
+  if (req.method === 'OPTIONS') return new Response('', { headers: cors });
+
+  const { user, error } = authorize(req, req.method === 'GET' ? 'view' : 'editRegistry');
+  if (error) return error;
+
+  const store = registryStore();
+  const registry = await loadRegistry(store);
+  const name = new URL(req.url).searchParams.get('name');
+  const exists = (n) => feederList(registry).some(f => f.name === n);
+
+  if (req.method === 'GET') {
+    return json({ feeders: feederList(registry), version: registry.version, updatedAt: registry.updatedAt }, { headers: { etag: etag(registry.version) } });
+  }
+
+  const stale = staleRegistry(req, registry);
+  if (stale) return stale;
+
+  if (req.method === 'DELETE') {
+    if (!exists(name)) return json({ error: 'Unknown feeder' }, { status: 404 });
+    const used = registry.stations.filter(s => s.feeder === name).length;
+    if (used) return json({ error: `Feeder "${name}" still has ${used} substation(s)` }, { status: 409 });
+    const saved = await saveRegistry({
+      ...registry,
+      feeders: registry.feeders.filter(f => f.name !== name),
+      stations: registry.stations.map(s => (s.alternates?.includes(name) ? { ...s, alternates: s.alternates.filter(a => a !== name) } : s))
+    }, store);
+    if (!saved) return registryConflict(await loadRegistry(store));
+    await appendAudit(user.sub, registryChanges(registry, saved));
+    return json({ ok: true, version: saved.version, updatedAt: saved.updatedAt }, { headers: { etag: etag(saved.version) } });
+  }
+
+  const body = await readJson(req);
+  if (!body || typeof body !== 'object') return json({ error: 'Invalid JSON' }, { status: 400 });
+  const newName = body.name == null ? undefined : String(body.name).trim();
+  const assetCode = body.assetCode == null ? undefined : String(body.assetCode).trim();
+
+  if (req.method === 'POST') {
+    if (!newName) return json({ error: 'name is required' }, { status: 400 });
+    if (exists(newName)) return json({ error: `Feeder "${newName}" already exists` }, { status: 409 });
+    const feeder = { name: newName, assetCode: assetCode ?? '' };
+    const saved = await saveRegistry({ ...registry, feeders: [...registry.feeders, feeder] }, store);
+    if (!saved) return registryConflict(await loadRegistry(store));
+    await appendAudit(user.sub, registryChanges(registry, saved));
+    return json({ feeder, version: saved.version, updatedAt: saved.updatedAt }, { status: 201, headers: { etag: etag(saved.version) } });
+  }
+
+  if (req.method === 'PATCH') {
+    if (!exists(name)) return json({ error: 'Unknown feeder' }, { status: 404 });
+    if (newName === '') return json({ error: 'name cannot be empty' }, { status: 400 });
+    const target = newName ?? name;
+    if (target !== name && exists(target)) return json({ error: `Feeder "${target}" already exists` }, { status: 409 });
+    const prev = registry.feeders.find(f => f.name === name);
+    const feeder = { name: target, assetCode: assetCode ?? prev?.assetCode ?? '' };
+    const saved = await saveRegistry({
+      ...registry,
+      feeders: [...registry.feeders.filter(f => f.name !== name), feeder],
+      stations: registry.stations.map(s => ({
+        ...s,
+        feeder: s.feeder === name ? target : s.feeder,
+        alternates: (s.alternates || []).map(a => (a === name ? target : a))
+      }))
+    }, store);
+    if (!saved) return registryConflict(await loadRegistry(store));
+    await appendAudit(user.sub, registryChanges(registry, saved));
+    return json({ feeder, version: saved.version, updatedAt: saved.updatedAt }, { headers: { etag: etag(saved.version) } });
+  }
+
+  return json({ error: 'Method not allowed' }, { status: 405 });
+}
@@ -0,0 +1,60 @@
+import { statusStore, loadHistoryDay, loadHistorySnapshots, publicSnapshot } from '../lib/stores.mjs';
+import { cors, json, parseTime } from '../lib/http.mjs';
+
+// Upper bound on snapshots returned by one request (most recent win).
+const MAX_POINTS = 2000;
+// Longest range served; an open or longer range keeps its most recent days.
+const MAX_DAYS = 92;
+// detail=1 returns whole snapshots, so only the most recent of these are sent.
+const MAX_DETAIL = 50;
+const DAY_MS = 24 * 3600e3;
+
+// UTC dates (YYYY-MM-DD) from `from` to `to`, at most MAX_DAYS of the latest
+function daysBetween(from, to) {
+  const last = Date.parse(to.slice(0, 10));
+  const first = Math.max(Date.parse(from.slice(0, 10)), last - (MAX_DAYS - 1) * DAY_MS);
+  const days = [];
+  for (let t = first; t <= last; t += DAY_MS) days.push(new Date(t).toISOString().slice(0, 10));
+  return days;
+}
+
+// GET /api/history?from=&to=  (ISO dates or epoch ms; both optional, `from` defaults to
+// MAX_DAYS before `to`, `to` to now). Add &detail=1 to get whole snapshots (with the
+// per-station list) instead of the summary numbers.
+export default async (req) => {
+  if (req.method === 'OPTIONS') return new Response('', { headers: cors });
+
+  const params = new URL(req.url).searchParams;
+  const from = parseTime(params.get('from'));
+  const to = parseTime(params.get('to'));
+  if (from === undefined || to === undefined) {
+    return json({ error: 'from/to must be ISO dates or epoch milliseconds' }, { status: 400 });
+  }
+  const detail = params.get('detail') === '1';
+
+  const store = statusStore();
+  const until = to || new Date().toISOString();
+  const days = daysBetween(from || new Date(Date.parse(until) - MAX_DAYS * DAY_MS).toISOString(), until);
+  const inRange = (t) => (!from || t >= from) && (!to || t <= to);
+
+  let items;
+  if (detail) {
+    items = [];
+    for (const day of days.reverse()) {
+      items.unshift(...await loadHistorySnapshots(day, from, to, store));
+      if (items.length >= MAX_DETAIL) break;
+    }
+    items = items.slice(-MAX_DETAIL).map(publicSnapshot);
+  } else {
+    items = (await Promise.all(days.map(day => loadHistoryDay(day, store))))
+      .flat()
+      .filter(s => inRange(s.updatedAt))
+      .slice(-MAX_POINTS);
+  }
+
+  // Past ranges never change; open ones only with the next publish
+  const settled = to && to < new Date(Date.now() - 60000).toISOString();
+  return json({ from: from || null, to: to || null, count: items.length, items }, {
+    headers: { 'cache-control': detail ? 'no-store' : settled ? 'public, max-age=3600' : 'public, max-age=15' }
+  });
+}
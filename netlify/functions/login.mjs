@@ -0,0 +1,41 @@
+import { loadUsers, verifyPassword, signToken, loginLockedFor, recordLoginFailure, clearLoginFailures } from '../lib/auth.mjs';
+import { cors, json } from '../lib/http.mjs';
+
+// POST /api/login { username, password } -> { token, user: { sub, role } }
+// 429 (with Retry-After) while the username or the client address is locked out
+export default async (req, context) => {
+  if (req.method === 'OPTIONS') return new Response('', { headers: cors });
+  if (req.method !== 'POST') return json({ error: 'Method not allowed' }, { status: 405 });
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return json({ error: 'Invalid JSON' }, { status: 400 });
+  }
+  const username = String(body?.username ?? '').trim();
+  const targets = { user: username, ip: context?.ip ?? req.headers.get('x-nf-client-connection-ip') };
+  const wait = await loginLockedFor(targets);
+  if (wait > 0) {
+    const minutes = Math.ceil(wait / 60e3);
+    return json({ error: `Too many failed sign-ins. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.` }, {
+      status: 429,
+      headers: { 'retry-after': String(Math.ceil(wait / 1000)) }
+    });
+  }
+
+  const user = (await loadUsers())[username];
+  // Same answer for unknown user and wrong password
+  if (!user || !verifyPassword(body?.password ?? '', user.hash)) {
+    await recordLoginFailure(targets);
+    return json({ error: 'Invalid username or password' }, { status: 401 });
+  }
+  await clearLoginFailures(username);
+
+  try {
+    return json({ token: signToken({ sub: username, role: user.role }), user: { sub: username, role: user.role } });
+  } catch (e) {
+    console.error(e.message);
+    return json({ error: 'Authentication is not configured' }, { status: 500 });
+  }
+}
@@ -0,0 +1,40 @@
+import { statusStore, registryStore, loadEvents, loadLookup, loadRegistry } from '../lib/stores.mjs';
+import { lookupLockedFor, recordLookup } from '../lib/auth.mjs';
+import { cors, json } from '../lib/http.mjs';
+import { MIN_QUERY, lookupKey, supplyStatus } from '../../src/lib/lookup.mjs';
+
+// GET /api/lookup?q=<account | meter | asset code>   public
+//   -> { found: true, matchedBy: "account"|"meter"|"assetCode", status: { station, feeder, affected, planned,
+//        backfed, since, restoreBy, reason, updatedAt } | null (not in the published status yet) }
+//   -> 404 { found: false } when nothing matches exactly
+//   -> 429 { error, retryAfter } (and Retry-After) once the client address has made too many lookups
+export default async (req, context) => {
+  if (req.method === 'OPTIONS') return new Response('', { headers: cors });
+  if (req.method !== 'GET') return json({ error: 'Method not allowed' }, { status: 405 });
+
+  const key = lookupKey(new URL(req.url).searchParams.get('q'));
+  if (key.length < MIN_QUERY) return json({ error: `Enter at least ${MIN_QUERY} characters` }, { status: 400 });
+
+  const ip = context?.ip ?? req.headers.get('x-nf-client-connection-ip');
+  const wait = await lookupLockedFor(ip);
+  if (wait > 0) {
+    const retryAfter = Math.ceil(wait / 1000);
+    return json({ error: 'Too many lookups. Try again later.', retryAfter }, { status: 429, headers: { 'retry-after': String(retryAfter) } });
+  }
+  await recordLookup(ip);
+
+  const index = await loadLookup();
+  let stationId = index.accounts[key], matchedBy = 'account';
+  if (!stationId) { stationId = index.meters[key]; matchedBy = 'meter'; }
+  if (!stationId) {
+    const { stations } = await loadRegistry(registryStore());
+    stationId = stations.find(s => s.assetCode && lookupKey(s.assetCode) === key)?.id;
+    matchedBy = 'assetCode';
+  }
+  if (!stationId) return json({ found: false }, { status: 404 });
+
+  const store = statusStore();
+  const snapshot = await store.get('current', { type: 'json' });
+  const events = snapshot ? await loadEvents(store) : [];
+  return json({ found: true, matchedBy, status: supplyStatus(snapshot, events, stationId) });
+}
@@ -0,0 +1,68 @@
+import { statusStore, loadNotifyConfig, saveNotifyConfig, loadDeliveries, appendAudit } from '../lib/stores.mjs';
+import { loadQueue, processQueue, sendTest } from '../lib/notify.mjs';
+import { authorize } from '../lib/auth.mjs';
+import { cors, json, readJson } from '../lib/http.mjs';
+import { cleanNotifyConfig, publicNotifyConfig } from '../../src/lib/notify.mjs';
+
+// Delivery log: the last LOG_DAYS, most recent first, LOG_PAGE entries at a time
+const LOG_DAYS = 7;
+const LOG_PAGE = 100;
+
+// Outage notifications (supervisors).
+// GET  /api/notifications                          -> { config, channels, queue, log, cursor }; webhook secrets are never returned
+// GET  /api/notifications?cursor=                  -> { log, cursor }: the next page of the delivery log (cursor null: no more)
+// PUT  /api/notifications  { webhooks, email, sms, thresholds }
+//                                                  -> saved settings; a webhook sent without `secret` keeps its secret
+// POST /api/notifications?action=test&channel=webhook|email|sms[&target=<webhook id>]
+//                                                  -> { log } of one test message, sent now and not retried
+// POST /api/notifications?action=retry             -> { log } of every queued delivery, retried now
+export default async (req) => {
+  if (req.method === 'OPTIONS') return new Response('', { headers: cors });
+
+  const { user, error } = authorize(req, 'notify');
+  if (error) return error;
+
+  const store = statusStore();
+  const config = await loadNotifyConfig(store);
+
+  if (req.method === 'GET') {
+    const from = new Date(Date.now() - LOG_DAYS * 86400e3).toISOString();
+    const after = new URL(req.url).searchParams.get('cursor');
+    const { entries: log, cursor } = await loadDeliveries(from, { cursor: after, limit: LOG_PAGE }, store);
+    if (after) return json({ log, cursor });
+    const queue = (await loadQueue(store)).map(({ id, channel, label, events, attempts, nextAt, lastError, createdAt }) =>
+      ({ id, channel, target: label, events, attempts, nextAt, lastError: lastError ?? null, createdAt }));
+    return json({
+      config: publicNotifyConfig(config),
+      channels: { email: !!process.env.SMTP_URL, sms: !!process.env.SMS_URL },
+      queue: queue.sort((a, b) => a.nextAt.localeCompare(b.nextAt)),
+      log,
+      cursor,
+    });
+  }
+
+  if (req.method === 'PUT') {
+    const { config: next, error: invalid } = cleanNotifyConfig(await readJson(req), config);
+    if (invalid) return json({ error: invalid }, { status: 400 });
+    await saveNotifyConfig(next, store);
+    const summary = (c) => ({ webhooks: c.webhooks.filter(w => w.enabled).length, email: c.email.enabled ? c.email.to.length : 0, sms: c.sms.enabled ? c.sms.to.length : 0, thresholds: c.thresholds.join(', ') || null });
+    await appendAudit(user.sub, [{ action: 'update', kind: 'notifications', id: 'settings', feeder: null, name: 'Notification settings', old: summary(config), new: summary(next) }], store);
+    return json({ config: publicNotifyConfig(next) });
+  }
+
+  if (req.method === 'POST') {
+    const params = new URL(req.url).searchParams;
+    const action = params.get('action');
+    if (action === 'retry') return json({ log: await processQueue(store, { force: true }) });
+    if (action === 'test') {
+      const channel = params.get('channel');
+      if (!['webhook', 'email', 'sms'].includes(channel)) return json({ error: 'channel must be webhook, email or sms' }, { status: 400 });
+      const log = await sendTest(config, channel, params.get('target'), store);
+      if (!log.length) return json({ error: channel === 'webhook' ? 'Unknown webhook' : `No ${channel} recipients configured` }, { status: 400 });
+      return json({ log });
+    }
+    return json({ error: 'action must be test or retry' }, { status: 400 });
+  }
+
+  return json({ error: 'Method not allowed' }, { status: 405 });
+}
@@ -0,0 +1,10 @@
+import { statusStore } from '../lib/stores.mjs';
+import { processQueue } from '../lib/notify.mjs';
+
+// Scheduled every minute: sends queued notification deliveries, new ones and those whose retry time has come.
+export default async () => {
+  const log = await processQueue(statusStore());
+  if (log.length) console.log(`notifications sent: ${log.filter(e => e.ok).length} of ${log.length} delivered`);
+};
+
+export const config = { schedule: '* * * * *' };
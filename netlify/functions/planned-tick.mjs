@@ -0,0 +1,11 @@
+import { statusStore } from '../lib/stores.mjs';
+import { applyPlanned } from '../lib/publish.mjs';
+
+// Scheduled every minute: switches planned outages ON/OFF when their window
+// starts or ends, so viewers see it without an operator online.
+export default async () => {
+  const payload = await applyPlanned(statusStore());
+  if (payload) console.log(`planned outages applied: version ${payload.version}, ${payload.planned.length} active`);
+};
+
+export const config = { schedule: '* * * * *' };
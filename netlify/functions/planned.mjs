@@ -0,0 +1,86 @@
+import { statusStore, loadPlanned, updatePlanned, appendAudit } from '../lib/stores.mjs';
+import { applyPlanned } from '../lib/publish.mjs';
+import { authorize } from '../lib/auth.mjs';
+import { cors, json, readJson } from '../lib/http.mjs';
+import { upcomingPlanned, publicPlanned, validatePlanned } from '../../src/lib/planned.mjs';
+
+// GET    /api/planned                 public: planned outages not yet ended (soonest first)
+// GET    /api/planned?all=1           signed in: every planned outage, newest first
+// POST   /api/planned { kind, target, start, end, reason, notice }
+// PATCH  /api/planned?id=  { fields }
+// DELETE /api/planned?id=
+// Writes take effect at once when they touch an active window (see lib/publish.mjs).
+export default async (req) => {
+  if (req.method === 'OPTIONS') return new Response('', { headers: cors });
+
+  const store = statusStore();
+  const params = new URL(req.url).searchParams;
+
+  if (req.method === 'GET') {
+    const list = await loadPlanned(store);
+    if (params.get('all') !== '1') {
+      return json({ planned: upcomingPlanned(list, new Date().toISOString()).map(publicPlanned) });
+    }
+    const { error } = authorize(req, 'view');
+    if (error) return error;
+    return json({ planned: [...list].sort((a, b) => b.start.localeCompare(a.start)) });
+  }
+
+  const { user, error } = authorize(req, 'plan');
+  if (error) return error;
+  const id = params.get('id');
+  const unknown = () => json({ error: 'Unknown planned outage id' }, { status: 404 });
+
+  const audit = (action, p, old, nu) => appendAudit(user.sub, [{ action, kind: 'planned', id: p.id, feeder: p.feeder, name: p.name, old, new: nu }], store);
+  const window = (p) => ({ target: p.target, start: p.start, end: p.end, reason: p.reason });
+
+  if (req.method === 'DELETE') {
+    const result = await updatePlanned((list) => {
+      const prev = list.find(p => p.id === id);
+      return prev ? { planned: list.filter(p => p !== prev), prev } : null;
+    }, store);
+    if (!result) return unknown();
+    await audit('delete', result.prev, window(result.prev), null);
+    await applyPlanned(store);
+    return json({ ok: true });
+  }
+
+  if (req.method !== 'POST' && req.method !== 'PATCH') return json({ error: 'Method not allowed' }, { status: 405 });
+  const body = await readJson(req);
+  if (!body || typeof body !== 'object') return json({ error: 'Invalid JSON' }, { status: 400 });
+
+  // Targets must exist in the published network
+  const snap = (await store.get('current', { type: 'json' })) ?? { feeders: [], stations: [] };
+  const resolve = (kind, target) => {
+    if (kind === 'feeder') return snap.feeders.some(f => f.name === target) ? { feeder: target, name: target } : null;
+    const s = snap.stations.find(x => x.id === target);
+    return s ? { feeder: s.feeder, name: s.name } : null;
+  };
+
+  if (req.method === 'POST') {
+    const { planned, error: invalid } = validatePlanned(body, resolve, {});
+    if (invalid) return json({ error: invalid }, { status: 400 });
+    planned.id = crypto.randomUUID();
+    planned.createdBy = user.sub;
+    planned.createdAt = new Date().toISOString();
+    await updatePlanned((list) => ({ planned: [...list, planned] }), store);
+    await audit('create', planned, null, window(planned));
+    await applyPlanned(store);
+    return json(planned, { status: 201 });
+  }
+
+  // PATCH: validated against the entry as it is when written, so a concurrent edit isn't undone
+  let invalid = null;
+  const result = await updatePlanned((list) => {
+    const prev = list.find(p => p.id === id);
+    if (!prev) return null;
+    const { planned, error } = validatePlanned(body, resolve, prev);
+    invalid = error;
+    return error ? null : { planned: list.map(p => (p === prev ? planned : p)), prev, saved: planned };
+  }, store);
+  if (invalid) return json({ error: invalid }, { status: 400 });
+  if (!result) return unknown();
+  await audit('update', result.saved, window(result.prev), window(result.saved));
+  await applyPlanned(store);
+  return json(result.saved);
+}
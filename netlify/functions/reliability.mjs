@@ -0,0 +1,27 @@
+import { statusStore, loadEvents } from '../lib/stores.mjs';
+import { authorize } from '../lib/auth.mjs';
+import { cors, json, parseTime } from '../lib/http.mjs';
+import { computeReliability, monthStart } from '../../src/lib/reliability.mjs';
+
+// GET /api/reliability?from=&to=&minMinutes=
+// SAIDI/SAIFI/CAIDI/CMI per feeder and system-wide over [from, to]
+// (defaults: start of the current month until now). Customers served come
+// from the last published station list.
+export default async (req) => {
+  if (req.method === 'OPTIONS') return new Response('', { headers: cors });
+  const { error } = authorize(req, 'view');
+  if (error) return error;
+
+  const params = new URL(req.url).searchParams;
+  const fromParam = parseTime(params.get('from'));
+  const from = fromParam === null ? monthStart() : fromParam;
+  const to = parseTime(params.get('to'));
+  if (from === undefined || to === undefined) {
+    return json({ error: 'from/to must be ISO dates or epoch milliseconds' }, { status: 400 });
+  }
+  const minMinutes = params.has('minMinutes') ? Math.max(0, Number(params.get('minMinutes')) || 0) : 5;
+
+  const store = statusStore();
+  const [events, current] = await Promise.all([loadEvents(store), store.get('current', { type: 'json' })]);
+  return json(computeReliability(events, current?.stations ?? [], { from, to, minMinutes }));
+}
@@ -0,0 +1,9 @@
+import { authorize } from '../lib/auth.mjs';
+import { cors, json } from '../lib/http.mjs';
+
+// GET /api/session -> { user: { sub, role, exp } } for a valid bearer token
+export default async (req) => {
+  if (req.method === 'OPTIONS') return new Response('', { headers: cors });
+  const { user, error } = authorize(req, 'view');
+  return error ?? json({ user });
+}
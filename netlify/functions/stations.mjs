@@ -0,0 +1,86 @@
+import { registryStore, loadRegistry, saveRegistry, appendAudit } from '../lib/stores.mjs';
+import { registryStation, staleRegistry, registryConflict } from '../lib/registry.mjs';
+import { authorize } from '../lib/auth.mjs';
+import { registryChanges } from '../../src/lib/audit.mjs';
+import { cleanTies } from '../../src/lib/topology.mjs';
+import { cors, json, readJson, etag } from '../lib/http.mjs';
+
+// GET    /api/stations              -> { stations, ties, version, updatedAt } + ETag
+// Writes answer 409 { registry } when If-Match names an older version (required for PUT).
+// POST   /api/stations  { station } -> create (id defaults to name)
+// PUT    /api/stations  { stations: [...] } -> replace the whole list (CSV import)
+// PATCH  /api/stations?id=  { fields } -> update one station
+// DELETE /api/stations?id=
+export default async (req) => {
+  if (req.method === 'OPTIONS') return new Response('', { headers: cors });
+
+  const { user, error } = authorize(req, req.method === 'GET' ? 'view' : 'editRegistry');
+  if (error) return error;
+
+  const store = registryStore();
+  const registry = await loadRegistry(store);
+  const id = new URL(req.url).searchParams.get('id');
+
+  if (req.method === 'GET') {
+    return json({ stations: registry.stations, ties: registry.ties, version: registry.version, updatedAt: registry.updatedAt }, { headers: { etag: etag(registry.version) } });
+  }
+
+  // Replacing the whole list must name the version it replaces; single edits may.
+  const stale = staleRegistry(req, registry, req.method === 'PUT');
+  if (stale) return stale;
+
+  if (req.method === 'DELETE') {
+    if (!registry.stations.some(s => s.id === id)) return json({ error: 'Unknown station id' }, { status: 404 });
+    const stations = registry.stations.filter(s => s.id !== id);
+    const saved = await saveRegistry({ ...registry, stations, ties: keptTies(registry.ties, stations) }, store);
+    if (!saved) return registryConflict(await loadRegistry(store));
+    await appendAudit(user.sub, registryChanges(registry, saved));
+    return json({ ok: true, version: saved.version, updatedAt: saved.updatedAt }, { headers: { etag: etag(saved.version) } });
+  }
+
+  const body = await readJson(req);
+  if (!body || typeof body !== 'object') return json({ error: 'Invalid JSON' }, { status: 400 });
+
+  if (req.method === 'PUT') {
+    if (!Array.isArray(body.stations)) return json({ error: 'stations[] is required' }, { status: 400 });
+    const stations = body.stations.map(registryStation).filter(Boolean);
+    const dupes = duplicateIds(stations);
+    if (dupes.length) return json({ error: `Duplicate station ids: ${dupes.slice(0, 10).join(', ')}` }, { status: 400 });
+    const saved = await saveRegistry({ ...registry, stations, ties: keptTies(registry.ties, stations) }, store);
+    if (!saved) return registryConflict(await loadRegistry(store));
+    await appendAudit(user.sub, registryChanges(registry, saved));
+    return json({ stations: saved.stations, ties: saved.ties, version: saved.version, updatedAt: saved.updatedAt }, { headers: { etag: etag(saved.version) } });
+  }
+
+  if (req.method === 'POST') {
+    const station = registryStation(body);
+    if (!station) return json({ error: 'name is required' }, { status: 400 });
+    if (registry.stations.some(s => s.id === station.id)) return json({ error: `Station "${station.id}" already exists` }, { status: 409 });
+    const saved = await saveRegistry({ ...registry, stations: [...registry.stations, station] }, store);
+    if (!saved) return registryConflict(await loadRegistry(store));
+    await appendAudit(user.sub, registryChanges(registry, saved));
+    return json({ station, version: saved.version, updatedAt: saved.updatedAt }, { status: 201, headers: { etag: etag(saved.version) } });
+  }
+
+  if (req.method === 'PATCH') {
+    const current = registry.stations.find(s => s.id === id);
+    if (!current) return json({ error: 'Unknown station id' }, { status: 404 });
+    const station = registryStation({ ...current, ...body, id: current.id });
+    if (!station) return json({ error: 'name is required' }, { status: 400 });
+    const saved = await saveRegistry({ ...registry, stations: registry.stations.map(s => (s.id === id ? station : s)) }, store);
+    if (!saved) return registryConflict(await loadRegistry(store));
+    await appendAudit(user.sub, registryChanges(registry, saved));
+    return json({ station, version: saved.version, updatedAt: saved.updatedAt }, { headers: { etag: etag(saved.version) } });
+  }
+
+  return json({ error: 'Method not allowed' }, { status: 405 });
+}
+
+// Ties whose substations both still exist
+const keptTies = (ties, stations) => cleanTies(ties, new Set(stations.map(s => s.id)));
+
+function duplicateIds(stations) {
+  const seen = new Set(), dupes = new Set();
+  for (const s of stations) (seen.has(s.id) ? dupes : seen).add(s.id);
+  return [...dupes];
+}
@@ -0,0 +1,76 @@
+import { statusStore, statusVersion, publicSnapshot } from '../lib/stores.mjs';
+import { cors } from '../lib/http.mjs';
+
+// Server-Sent Events: GET /api/status-stream
+//   event: status   id: <version>   data: <snapshot JSON>
+// Functions can't hold a connection forever, so each stream lasts STREAM_MS and
+// then ends; EventSource reconnects after `retry` ms and sends Last-Event-ID, so
+// a viewer only receives snapshots it hasn't seen. While open, the function checks
+// the blob's metadata (not the snapshot itself) every CHECK_MS, and reads the
+// snapshot only when the version moved.
+//
+// Trade-off against the polling fallback (If-None-Match -> 304 every POLL_MS in
+// src/liveStatus.js): a publish reaches streaming viewers within CHECK_MS instead of
+// up to POLL_MS later, but each viewer (and each embedded StatusWidget) keeps a
+// function running for STREAM_MS of every STREAM_MS + RETRY_MS. The checks are
+// metadata-only reads, so the cost is function time, not blob reads; if that
+// becomes the larger bill, polling alone is the cheaper mode.
+const STREAM_MS = 25000;
+const CHECK_MS = 2000;
+const PING_MS = 10000;
+const RETRY_MS = 1000;
+
+export default async (req) => {
+  if (req.method === 'OPTIONS') return new Response('', { headers: cors });
+
+  const store = statusStore();
+  const lastId = req.headers.get('last-event-id') ?? new URL(req.url).searchParams.get('since');
+  let sent = lastId != null && /^\d+$/.test(lastId) ? Number(lastId) : null;
+
+  const encoder = new TextEncoder();
+  const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+  let cancelled = false;
+
+  const body = new ReadableStream({
+    async start(controller) {
+      const write = (chunk) => controller.enqueue(encoder.encode(chunk));
+      const started = Date.now();
+      let pinged = started;
+      write(`retry: ${RETRY_MS}\n\n`);
+      try {
+        while (!cancelled && !req.signal?.aborted && Date.now() - started < STREAM_MS) {
+          const version = await statusVersion(store);
+          // null = written before versions were stored as metadata: send once, then wait for a versioned publish
+          if (version !== sent && !(version === null && sent !== null)) {
+            const snap = publicSnapshot(await store.get('current', { type: 'json' }));
+            if (snap) {
+              sent = snap.version ?? 0;
+              write(`id: ${sent}\nevent: status\ndata: ${JSON.stringify(snap)}\n\n`);
+            } else {
+              sent = 0;
+            }
+          } else if (Date.now() - pinged >= PING_MS) {
+            write(': ping\n\n'); // keeps proxies from closing an idle connection
+            pinged = Date.now();
+          }
+          await sleep(Math.min(CHECK_MS, STREAM_MS - (Date.now() - started)));
+        }
+      } catch (e) {
+        console.warn('status stream failed', e);
+      }
+      try { controller.close(); } catch { /* client already gone */ }
+    },
+    cancel() {
+      cancelled = true;
+    }
+  });
+
+  return new Response(body, {
+    headers: {
+      ...cors,
+      'content-type': 'text/event-stream; charset=utf-8',
+      'cache-control': 'no-cache',
+      'x-accel-buffering': 'no'
+    }
+  });
+}
@@ -1,15 +1,22 @@
-import { getStore } from '@netlify/blobs';
+import { statusStore, statusVersion, publicSnapshot } from '../lib/stores.mjs';
+import { cors, json, etag, notModified } from '../lib/http.mjs';
+
+// GET /api/status -> latest published snapshot + ETag.
+// Pollers send If-None-Match and get an empty 304 until the next publish.
+export default async (req) => {
+  if (req.method === 'OPTIONS') return new Response('', { headers: cors });
+
+  const store = statusStore();
+  const seen = req.headers.get('if-none-match');
+  if (seen) {
+    const version = await statusVersion(store);
+    if (version !== null && seen === etag(version)) return notModified(seen);
+  }
 
-export default async () => {
-  const store = getStore('status-store');
   const data = await store.get('current', { type: 'json' });
-  const fallback = { affected: 0, total: 0, healthy: 0, pct: 0, subsOff: 0, subsOn: 0, subsTotal: 0, offPct: 0, updatedAt: null };
-
-  return new Response(JSON.stringify(data ?? fallback), {
-    headers: {
-      'content-type': 'application/json; charset=utf-8',
-      'cache-control': 'no-store',
-      'access-control-allow-origin': '*'
-    }
-  });
+  const fallback = { affected: 0, total: 0, healthy: 0, pct: 0, subsOff: 0, subsOn: 0, subsTotal: 0, offPct: 0, feeders: [], stations: [], version: 0, updatedAt: null };
+
+  const snap = publicSnapshot(data) ?? fallback;
+  if (seen === etag(snap.version)) return notModified(seen);
+  return json(snap, { headers: { 'cache-control': 'no-cache', etag: etag(snap.version) } });
 }
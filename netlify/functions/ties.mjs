@@ -0,0 +1,37 @@
+import { registryStore, loadRegistry, saveRegistry, appendAudit } from '../lib/stores.mjs';
+import { staleRegistry, registryConflict } from '../lib/registry.mjs';
+import { authorize } from '../lib/auth.mjs';
+import { registryChanges } from '../../src/lib/audit.mjs';
+import { cleanTies } from '../../src/lib/topology.mjs';
+import { cors, json, readJson, etag } from '../lib/http.mjs';
+
+// Ring-main ties between substations, part of the station registry.
+// GET /api/ties                      -> { ties: [{ id, a, b, normallyOpen }], version } + ETag
+// PUT /api/ties  { ties: [...] }     -> replace the list; honours If-Match like /api/stations.
+//                                       400 when a tie names an unknown substation or repeats a pair.
+export default async (req) => {
+  if (req.method === 'OPTIONS') return new Response('', { headers: cors });
+
+  const { user, error } = authorize(req, req.method === 'GET' ? 'view' : 'editRegistry');
+  if (error) return error;
+
+  const store = registryStore();
+  const registry = await loadRegistry(store);
+
+  if (req.method === 'GET') {
+    return json({ ties: registry.ties, version: registry.version, updatedAt: registry.updatedAt }, { headers: { etag: etag(registry.version) } });
+  }
+  if (req.method !== 'PUT') return json({ error: 'Method not allowed' }, { status: 405 });
+
+  const stale = staleRegistry(req, registry);
+  if (stale) return stale;
+
+  const body = await readJson(req);
+  if (!Array.isArray(body?.ties)) return json({ error: 'ties[] is required' }, { status: 400 });
+  const ties = cleanTies(body.ties, new Set(registry.stations.map(s => s.id)));
+  if (ties.length !== body.ties.length) return json({ error: 'Each tie needs two different known substation ids, and each pair may appear once' }, { status: 400 });
+  const saved = await saveRegistry({ ...registry, ties }, store);
+  if (!saved) return registryConflict(await loadRegistry(store));
+  await appendAudit(user.sub, registryChanges(registry, saved));
+  return json({ ties: saved.ties, version: saved.version, updatedAt: saved.updatedAt }, { headers: { etag: etag(saved.version) } });
+}
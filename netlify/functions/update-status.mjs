@@ -1,37 +1,50 @@
- import { getStore } from '@netlify/blobs';
+import { statusStore, withPublisher } from '../lib/stores.mjs';
+import { publishStatus } from '../lib/publish.mjs';
+import { authorize } from '../lib/auth.mjs';
+import { cors, json, text, etag, ifMatch, conflict } from '../lib/http.mjs';
 
- const cors = {
-   'access-control-allow-origin': '*',
-   'access-control-allow-methods': 'POST,OPTIONS',
-   'access-control-allow-headers': 'content-type,authorization'
- };
+export default async (req) => {
+  if (req.method === 'OPTIONS') return new Response('', { headers: cors });
+  if (req.method !== 'POST') return text('Method Not Allowed', 405);
 
- export default async (req) => {
-    if (req.method === 'GET') {
-    // Just to trigger Basic Auth in the browser (no write)
-    return new Response('Auth OK', { status: 200, headers: cors });
-    }
-   if (req.method === 'OPTIONS') return new Response('', { headers: cors });
+  const { user, error } = authorize(req, 'publish');
+  if (error) return error;
 
-   try {
-     const body = await req.json();
-     const payload = {
-       affected: Number(body.affected ?? 0),
-       total: Number(body.total ?? 0),
-       healthy: Number(body.healthy ?? Math.max(0, (body.total ?? 0) - (body.affected ?? 0))),
-       pct: Number(body.pct ?? (body.total ? Math.round(((body.affected / body.total) * 100) * 10) / 10 : 0)),
-       subsOff: Number(body.subsOff ?? 0),
-       subsOn: Number(body.subsOn ?? 0),
-       subsTotal: Number(body.subsTotal ?? ((body.subsOff ?? 0) + (body.subsOn ?? 0))),
-       offPct: Number(body.offPct ?? (body.subsTotal ? Math.round(((body.subsOff / body.subsTotal) * 100) * 10) / 10 : 0)),
-       updatedAt: new Date().toISOString()
-     };
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return text('Bad Request', 400);
+  }
 
-     const store = getStore('status-store');
-     await store.set('current', JSON.stringify(payload));
+  // Totals are always recomputed from the station list so they can't drift from it.
+  if (!Array.isArray(body?.stations)) {
+    return text('Bad Request: stations[] is required', 400);
+  }
 
-     return new Response('OK', { status: 200, headers: { ...cors, 'content-type': 'text/plain' } });
-   } catch {
-     return new Response('Bad Request', { status: 400, headers: cors });
-   }
- }
+  // Optimistic locking: the client must say which version it edited (If-Match);
+  // a stale version, or losing the race to another writer, answers 409 with the current state.
+  const store = statusStore();
+  const current = await store.getWithMetadata('current', { type: 'json' });
+  const currentVersion = current?.data?.version ?? 0;
+  if (current) {
+    const expected = ifMatch(req);
+    if (expected === null) return text('Precondition Required: send If-Match with the status version', 428);
+    if (expected !== currentVersion) return conflict(withPublisher(current));
+  }
+
+  const object = (v) => (v && typeof v === 'object' ? v : {});
+  const { payload, conflict: latest } = await publishStatus(store, current, {
+    stations: body.stations,
+    feederOut: object(body.feederOut),
+    ties: Array.isArray(body.ties) ? body.ties : [],
+    switches: object(body.switches),
+    etr: object(body.etr),
+    changedAt: object(body.changedAt),
+    notes: object(body.notes),
+    user: user.sub
+  });
+  if (!payload) return conflict(latest);
+
+  return json(payload, { headers: { etag: etag(payload.version) } });
+}
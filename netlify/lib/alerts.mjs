@@ -0,0 +1,46 @@
+// Evaluating alert rules against the published status, shared by /api/update-status (through
+// publish.mjs), the alerts-tick scheduler and /api/alerts.
+
+import { statusStore, loadAlertRules, loadEvents, writeCondition, ALERTS_KEY, ALERT_RULES_KEY } from './stores.mjs';
+import { evaluateRules, applyEvaluation } from '../../src/lib/alerts.mjs';
+
+// Read-modify-write of the alert list; retried when another writer got there first.
+// change(alerts) -> { alerts, ... } (written and returned) | null (nothing to write)
+export async function updateAlerts(change, store = statusStore()) {
+  for (let i = 0; i < 3; i++) {
+    const found = await store.getWithMetadata(ALERTS_KEY, { type: 'json' });
+    const result = change(found?.data ?? []);
+    if (!result) return null;
+    const { modified } = await store.set(ALERTS_KEY, JSON.stringify(result.alerts), writeCondition(found ? found.etag : null));
+    if (modified) return result;
+  }
+  throw new Error('alerts kept changing while being updated');
+}
+
+// The same for the rules: change(rules) -> { rules, ... } | null
+export async function updateAlertRules(change, store = statusStore()) {
+  for (let i = 0; i < 3; i++) {
+    const found = await store.getWithMetadata(ALERT_RULES_KEY, { type: 'json' });
+    const result = change(found?.data ?? []);
+    if (!result) return null;
+    const { modified } = await store.set(ALERT_RULES_KEY, JSON.stringify(result.rules), writeCondition(found ? found.etag : null));
+    if (modified) return result;
+  }
+  throw new Error('alert rules kept changing while being updated');
+}
+
+// snapshot: the status just published (default: the current one);
+// events: outage events after that publish (default: the stored ones)
+// -> { alerts, fired, resolved } | null when nothing was published yet
+export async function runAlerts(store = statusStore(), { snapshot, events } = {}) {
+  const current = snapshot ?? (await store.get('current', { type: 'json' }));
+  if (!current) return null;
+  const rules = await loadAlertRules(store);
+  const open = (events ?? (await loadEvents(store))).filter(e => !e.restore);
+  const now = Date.now();
+  const results = evaluateRules(rules, current, open, now);
+  return updateAlerts((alerts) => {
+    const next = applyEvaluation(alerts, results, now, () => crypto.randomUUID());
+    return JSON.stringify(next.alerts) === JSON.stringify(alerts) ? null : next;
+  }, store);
+}
@@ -0,0 +1,140 @@
+// Session tokens and credential checks for the functions.
+//
+// Users come from the AUTH_USERS env var and/or the "users" key of the
+// "auth-store" blob store, both shaped { [username]: { role, hash } } where
+// hash is "scrypt$<salt>$<key>" (see scripts/hash-password.mjs).
+// Failed sign-ins are counted in the same store, per username and per client address
+// (login/user/<name>, login/ip/<address>); too many within LOGIN_WINDOW_MS lock that
+// name or address out for LOGIN_LOCK_MS. Public supply lookups are counted the same way
+// per address (lookup/ip/<address>), so nobody can walk account or meter numbers.
+// Tokens are "<payload>.<HMAC-SHA256>" (base64url) signed with SESSION_SECRET.
+
+import { createHmac, randomBytes, scryptSync, timingSafeEqual } from 'node:crypto';
+import { getStore } from '@netlify/blobs';
+import { ROLES, can } from '../../src/lib/roles.mjs';
+import { json } from './http.mjs';
+import { writeCondition } from './stores.mjs';
+
+const TOKEN_TTL_MS = 12 * 3600e3;
+const LOGIN_WINDOW_MS = 15 * 60e3;
+const LOGIN_LOCK_MS = 15 * 60e3;
+// Attempts allowed per window: failed sign-ins (an address gets more, since colleagues may
+// share one) and lookups, where a household checks a few numbers at most
+const LIMITS = { login: { user: 5, ip: 20 }, lookup: { ip: 30 } };
+
+const authStore = () => getStore('auth-store');
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+
+function secret() {
+  const s = process.env.SESSION_SECRET;
+  if (!s || s.length < 16) throw new Error('SESSION_SECRET is not set (min. 16 characters)');
+  return s;
+}
+
+export function hashPassword(password, salt = randomBytes(16)) {
+  return `scrypt$${b64url(salt)}$${b64url(scryptSync(String(password), salt, 64))}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, salt, key] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !key) return false;
+  const expected = Buffer.from(key, 'base64url');
+  const actual = scryptSync(String(password), Buffer.from(salt, 'base64url'), expected.length);
+  return timingSafeEqual(expected, actual);
+}
+
+export async function loadUsers() {
+  let fromEnv = {};
+  try {
+    fromEnv = JSON.parse(process.env.AUTH_USERS || '{}');
+  } catch {
+    console.warn('AUTH_USERS is not valid JSON; ignoring it');
+  }
+  const fromBlob = (await authStore().get('users', { type: 'json' })) ?? {};
+  return { ...fromEnv, ...fromBlob };
+}
+
+// Unknown usernames are counted like real ones, so a lockout says nothing about who exists.
+const attemptKey = (scope, kind, id) => `${scope}/${kind}/${encodeURIComponent(String(id).toLowerCase().slice(0, 100))}`;
+const attemptTargets = (targets) => Object.entries(targets).filter(([, id]) => id);
+
+// scope: "login" | "lookup"; targets: { user: <username>, ip: <client address> } (a missing one is skipped)
+// -> ms until the longest lock ends, 0 when the request may proceed
+async function lockedFor(scope, targets, now) {
+  const store = authStore();
+  const counters = await Promise.all(attemptTargets(targets).map(([kind, id]) => store.get(attemptKey(scope, kind, id), { type: 'json' })));
+  return Math.max(0, ...counters.map(c => (c?.lockedUntil ?? 0) - now));
+}
+
+// Count one attempt against every target; reaching the limit starts the lock.
+async function recordAttempt(scope, targets, now) {
+  const store = authStore();
+  await Promise.all(attemptTargets(targets).map(async ([kind, id]) => {
+    const key = attemptKey(scope, kind, id);
+    for (let i = 0; i < 3; i++) {
+      const found = await store.getWithMetadata(key, { type: 'json' });
+      const next = !found || now - found.data.first > LOGIN_WINDOW_MS
+        ? { failures: 1, first: now, lockedUntil: 0 }
+        : { ...found.data, failures: found.data.failures + 1 };
+      if (next.failures >= LIMITS[scope][kind]) next.lockedUntil = now + LOGIN_LOCK_MS;
+      const { modified } = await store.set(key, JSON.stringify(next), writeCondition(found ? found.etag : null));
+      if (modified) return;
+    }
+    // Lost every race: the attempts counted meanwhile are what matters
+  }));
+}
+
+export const loginLockedFor = (targets, now = Date.now()) => lockedFor('login', targets, now);
+export const recordLoginFailure = (targets, now = Date.now()) => recordAttempt('login', targets, now);
+
+// A successful sign-in clears the username's count (the address keeps its own)
+export async function clearLoginFailures(username) {
+  await authStore().delete(attemptKey('login', 'user', username));
+}
+
+// Every lookup counts, found or not: walking numbers finds plenty that exist
+export const lookupLockedFor = (ip, now = Date.now()) => lockedFor('lookup', { ip }, now);
+export const recordLookup = (ip, now = Date.now()) => recordAttempt('lookup', { ip }, now);
+
+export function signToken({ sub, role }, now = Date.now()) {
+  const payload = b64url(JSON.stringify({ sub, role, exp: now + TOKEN_TTL_MS }));
+  const sig = b64url(createHmac('sha256', secret()).update(payload).digest());
+  return `${payload}.${sig}`;
+}
+
+// -> { sub, role, exp } or null when missing/forged/expired
+export function verifyToken(token, now = Date.now()) {
+  const [payload, sig] = String(token || '').split('.');
+  if (!payload || !sig) return null;
+  const expected = createHmac('sha256', secret()).update(payload).digest();
+  const given = Buffer.from(sig, 'base64url');
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!ROLES.includes(claims.role) || !(claims.exp > now)) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+export function sessionFrom(req) {
+  const m = /^Bearer\s+(.+)$/i.exec(req.headers.get('authorization') || '');
+  return m ? verifyToken(m[1]) : null;
+}
+
+// Returns { user } when the request's session may perform `action`,
+// otherwise { error: Response } (401 without a session, 403 for a weaker role).
+export function authorize(req, action) {
+  let user;
+  try {
+    user = sessionFrom(req);
+  } catch (e) {
+    console.error(e.message);
+    return { error: json({ error: 'Authentication is not configured' }, { status: 500 }) };
+  }
+  if (!user) return { error: json({ error: 'Sign in required' }, { status: 401 }) };
+  if (!can(user.role, action)) return { error: json({ error: `Role "${user.role}" may not ${action}` }, { status: 403 }) };
+  return { user };
+}
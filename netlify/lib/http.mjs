@@ -0,0 +1,65 @@
+// Small response helpers shared by the Netlify functions.
+
+import { etag } from '../../src/lib/merge.mjs';
+
+export const cors = {
+  'access-control-allow-origin': '*',
+  'access-control-allow-methods': 'GET,POST,PUT,PATCH,DELETE,OPTIONS',
+  'access-control-allow-headers': 'content-type,authorization,if-match,if-none-match',
+  'access-control-expose-headers': 'etag'
+};
+
+export function json(data, init = {}) {
+  return new Response(JSON.stringify(data), {
+    ...init,
+    headers: {
+      'content-type': 'application/json; charset=utf-8',
+      'cache-control': 'no-store',
+      ...cors,
+      ...init.headers
+    }
+  });
+}
+
+export function text(body, status = 200, headers = {}) {
+  return new Response(body, { status, headers: { ...cors, 'content-type': 'text/plain', ...headers } });
+}
+
+// Empty answer to a conditional GET whose If-None-Match still matches
+export function notModified(tag) {
+  return new Response(null, { status: 304, headers: { ...cors, 'cache-control': 'no-cache', etag: tag } });
+}
+
+// Query-string time: '' -> null (open bound), invalid -> undefined,
+// otherwise an ISO string that compares correctly with stored ISO keys.
+export function parseTime(v) {
+  if (v == null || v === '') return null;
+  const d = /^\d+$/.test(v) ? new Date(Number(v)) : new Date(v);
+  return Number.isNaN(d.getTime()) ? undefined : d.toISOString();
+}
+
+// Request body as JSON, or undefined when it isn't valid JSON
+export async function readJson(req) {
+  try {
+    return await req.json();
+  } catch {
+    return undefined;
+  }
+}
+
+// Optimistic locking: documents carry an integer `version`, exposed as a strong ETag.
+export { etag };
+
+// If-Match header -> version number, or null when absent/unparseable
+export function ifMatch(req) {
+  const m = /^(?:W\/)?"?(\d+)"?$/.exec((req.headers.get('if-match') || '').trim());
+  return m ? Number(m[1]) : null;
+}
+
+// 409 for a stale write, carrying the state the client has to reconcile with
+export function conflict(current, key = 'current') {
+  return json({ error: 'Conflict: someone else saved a newer version', [key]: current }, {
+    status: 409,
+    headers: { etag: etag(current?.version) }
+  });
+}
@@ -0,0 +1,180 @@
+// Sending outage notifications: webhooks, email (SMTP) and SMS, with a retry queue and a
+// delivery log in the status store (see stores.mjs). What is worth sending is decided in
+// src/lib/notify.mjs.
+//
+// Webhooks get the JSON payload of webhookPayload() as a POST with
+//   x-outage-delivery   delivery id (the same on every retry)
+//   x-outage-timestamp  unix seconds
+//   x-outage-signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the webhook secret>
+// Email goes through SMTP_URL (from SMTP_FROM); SMS is a JSON POST { from, to, text } to
+// SMS_URL with SMS_TOKEN as bearer token, the shape most SMS gateways accept.
+// Times in email and SMS text are in NOTIFY_TIME_ZONE (an IANA zone, default Indian/Maldives).
+
+import { createHmac } from 'node:crypto';
+import { statusStore, loadNotifyConfig, appendDeliveries, writeCondition, QUEUE_PREFIX } from './stores.mjs';
+import { sendMail } from './smtp.mjs';
+import { notificationEvents, webhookPayload, messageText, wants } from '../../src/lib/notify.mjs';
+
+// Wait before retry n (minutes); a delivery still failing after the last one is given up
+const RETRY_MINUTES = [1, 5, 15, 60, 360];
+const SEND_TIMEOUT_MS = 8000;
+// How long a run owns the deliveries it claimed; one that dies mid-send frees them after this
+const CLAIM_MS = 5 * 60000;
+
+function timeZone() {
+  const zone = process.env.NOTIFY_TIME_ZONE || 'Indian/Maldives';
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: zone });
+    return zone;
+  } catch {
+    console.warn(`NOTIFY_TIME_ZONE "${zone}" is not a time zone; using UTC`);
+    return 'UTC';
+  }
+}
+
+export const sign = (secret, timestamp, body) => createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const failure = (message, { permanent = false, status = null } = {}) => Object.assign(new Error(message), { permanent, status });
+
+const SENDERS = {
+  async webhook(d, config) {
+    const hook = config.webhooks.find(w => w.id === d.target);
+    if (!hook?.enabled) throw failure('Webhook removed or disabled', { permanent: true });
+    const body = JSON.stringify(d.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = { 'content-type': 'application/json', 'user-agent': 'outage-dashboard', 'x-outage-delivery': d.id, 'x-outage-timestamp': String(timestamp) };
+    if (hook.secret) headers['x-outage-signature'] = `sha256=${sign(hook.secret, timestamp, body)}`;
+    const res = await fetch(hook.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(SEND_TIMEOUT_MS) });
+    // Client errors other than timeouts / rate limits won't get better by retrying
+    if (!res.ok) throw failure(`HTTP ${res.status}`, { permanent: res.status < 500 && res.status !== 408 && res.status !== 429, status: res.status });
+    return { status: res.status };
+  },
+
+  async email(d) {
+    if (!process.env.SMTP_URL) throw failure('SMTP_URL is not set', { permanent: true });
+    await sendMail(process.env.SMTP_URL, { from: process.env.SMTP_FROM || 'outages@localhost', to: [d.target], subject: d.message.subject, text: d.message.text });
+    return { status: 250 };
+  },
+
+  async sms(d) {
+    if (!process.env.SMS_URL) throw failure('SMS_URL is not set', { permanent: true });
+    const headers = { 'content-type': 'application/json' };
+    if (process.env.SMS_TOKEN) headers.authorization = `Bearer ${process.env.SMS_TOKEN}`;
+    const res = await fetch(process.env.SMS_URL, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ from: process.env.SMS_FROM || null, to: d.target, text: d.message.short }),
+      signal: AbortSignal.timeout(SEND_TIMEOUT_MS),
+    });
+    if (!res.ok) throw failure(`HTTP ${res.status}`, { permanent: res.status < 500 && res.status !== 408 && res.status !== 429, status: res.status });
+    return { status: res.status };
+  },
+};
+
+// One delivery per enabled webhook / recipient that wants at least one of the events:
+// { id, channel, target, label, version, events, payload | message, attempts, nextAt, createdAt }
+// nextAt is `now`: the first attempt is the queue's next run.
+export function deliveriesFor(config, snapshot, events, now = new Date()) {
+  const base = () => ({
+    id: crypto.randomUUID(), version: snapshot.version ?? null, attempts: 0,
+    createdAt: now.toISOString(), nextAt: now.toISOString(),
+  });
+  const out = [];
+  for (const hook of config.webhooks) {
+    const mine = events.filter(e => wants(hook, e.type));
+    if (!hook.enabled || !mine.length) continue;
+    const d = base();
+    out.push({ ...d, channel: 'webhook', target: hook.id, label: hook.name, events: mine.map(e => e.type), payload: webhookPayload(snapshot, mine, d.id) });
+  }
+  for (const channel of ['email', 'sms']) {
+    const settings = config[channel];
+    const mine = events.filter(e => wants(settings, e.type));
+    if (!settings.enabled || !mine.length) continue;
+    const message = messageText(snapshot, mine, { timeZone: timeZone() });
+    for (const to of settings.to) out.push({ ...base(), channel, target: to, label: to, events: mine.map(e => e.type), message });
+  }
+  return out;
+}
+
+// Send once. Success, a permanent failure or the last retry takes it off the queue;
+// otherwise it is rescheduled. -> delivery log entry
+async function attempt(store, config, d) {
+  const started = Date.now();
+  let result = null, error = null;
+  try {
+    result = await SENDERS[d.channel](d, config);
+  } catch (e) {
+    error = e;
+  }
+  const attempts = d.attempts + 1;
+  const wait = error && !error.permanent && d.retry !== false ? RETRY_MINUTES[attempts - 1] : undefined;
+  const nextAt = wait === undefined ? null : new Date(Date.now() + wait * 60000).toISOString();
+  const { claimedUntil, ...queued } = d;
+  if (nextAt) await store.set(`${QUEUE_PREFIX}${d.id}`, JSON.stringify({ ...queued, attempts, nextAt, lastError: error.message }));
+  else await store.delete(`${QUEUE_PREFIX}${d.id}`);
+  return {
+    id: d.id, channel: d.channel, target: d.label, version: d.version, events: d.events, attempt: attempts,
+    ok: !error, status: result?.status ?? error?.status ?? null, error: error?.message ?? null,
+    ms: Date.now() - started, nextAt, gaveUp: !!error && !nextAt && d.retry !== false,
+  };
+}
+
+async function run(store, config, list) {
+  const log = await Promise.all(list.map(d => attempt(store, config, d)));
+  await appendDeliveries(log, store);
+  return log;
+}
+
+// After a publish: queue a delivery for every subscriber of the changes. Nothing is sent here,
+// so a slow endpoint can't hold up the publish request; notify-retry makes every attempt,
+// the first one included. -> the queued deliveries
+export async function notifyChanges(prev, next, store = statusStore()) {
+  const config = await loadNotifyConfig(store);
+  const events = notificationEvents(prev, next, config.thresholds);
+  if (!events.length) return [];
+  const list = deliveriesFor(config, next, events);
+  await Promise.all(list.map(d => store.set(`${QUEUE_PREFIX}${d.id}`, JSON.stringify(d))));
+  return list;
+}
+
+export async function loadQueue(store = statusStore()) {
+  const { blobs } = await store.list({ prefix: QUEUE_PREFIX });
+  return (await Promise.all(blobs.map(b => store.get(b.key, { type: 'json' })))).filter(Boolean);
+}
+
+// Take a queued delivery for this run: rewriting it with `claimedUntil` only succeeds on the
+// copy that was read, so the scheduled run and a forced retry never both send it.
+// -> the claimed delivery, or null when it is gone, not due or another run has it
+async function claim(store, key, now, force) {
+  const found = await store.getWithMetadata(key, { type: 'json' });
+  const d = found?.data;
+  if (!d || d.claimedUntil > now || !(force || d.nextAt <= now)) return null;
+  const mine = { ...d, claimedUntil: new Date(Date.parse(now) + CLAIM_MS).toISOString() };
+  const { modified } = await store.set(key, JSON.stringify(mine), writeCondition(found.etag));
+  return modified ? mine : null;
+}
+
+// Send the deliveries that are due: new ones and retries (all of them with force)
+export async function processQueue(store = statusStore(), { force = false } = {}) {
+  const now = new Date().toISOString();
+  const { blobs } = await store.list({ prefix: QUEUE_PREFIX });
+  const due = (await Promise.all(blobs.map(b => claim(store, b.key, now, force)))).filter(Boolean);
+  if (!due.length) return [];
+  return run(store, await loadNotifyConfig(store), due);
+}
+
+// Test message to one channel ("webhook" + webhook id, "email", "sms"), logged but never retried
+export async function sendTest(config, channel, target, store = statusStore()) {
+  const snapshot = (await store.get('current', { type: 'json' })) ?? {};
+  const events = [{ type: 'test', feeder: null, station: null, name: null, consumers: 0, planned: false, etr: null, threshold: null }];
+  const test = {
+    ...config,
+    webhooks: config.webhooks.map(w => ({ ...w, events: [], enabled: w.id === target })),
+    email: { ...config.email, enabled: channel === 'email', events: [] },
+    sms: { ...config.sms, enabled: channel === 'sms', events: [] },
+  };
+  if (channel !== 'webhook') test.webhooks = [];
+  const list = deliveriesFor(test, snapshot, events).map(d => ({ ...d, retry: false }));
+  if (!list.length) return [];
+  return run(store, test, list);
+}
@@ -0,0 +1,90 @@
+// Writing a new status version, shared by /api/update-status (operators) and the
+// planned-outage scheduler: snapshot + history + outage events + audit entries + notifications + alerts.
+
+import { appendHistory, updateEvents, loadPlanned, writeCondition, appendAudit, withPublisher } from './stores.mjs';
+import { notifyChanges } from './notify.mjs';
+import { runAlerts } from './alerts.mjs';
+import { buildSnapshot, cleanStations } from '../../src/lib/status.mjs';
+import { reconcileEvents } from '../../src/lib/events.mjs';
+import { statusChanges } from '../../src/lib/audit.mjs';
+import { isActive, plannedFlags, plannedKey, publicPlanned } from '../../src/lib/planned.mjs';
+import { cleanTies } from '../../src/lib/topology.mjs';
+import { applyEtr } from '../../src/lib/etr.mjs';
+
+// current: store.getWithMetadata('current') result (or null before the first publish)
+// -> { payload } or { conflict: latest snapshot } when another write got there first
+// ties / switches: network topology and off-normal switch positions (see src/lib/topology.mjs)
+// etr: estimated restoration times by event key; kept only for outages still OFF (see src/lib/etr.mjs)
+export async function publishStatus(store, current, { stations, feederOut = {}, ties = [], switches = {}, etr = {}, changedAt = {}, notes = {}, user }) {
+  const now = new Date().toISOString();
+  const active = (await loadPlanned(store)).filter(p => isActive(p, now));
+  const previous = current?.data?.planned || [];
+
+  // Planned outages that started or ended since the last version are stamped with their own times
+  const plannedAt = {}, plannedAudit = [];
+  for (const p of active) {
+    if (previous.some(x => x.id === p.id)) continue;
+    plannedAt[plannedKey(p)] = p.start;
+    plannedAudit.push({ action: 'planned', kind: p.kind === 'feeder' ? 'feeder' : 'substation', id: p.target, feeder: p.feeder, name: p.name, old: 'ON', new: 'OFF (planned)', changedAt: p.start });
+  }
+  for (const p of previous) {
+    if (active.some(x => x.id === p.id)) continue;
+    plannedAt[plannedKey(p)] = p.end < now ? p.end : now;
+    plannedAudit.push({ action: 'planned', kind: p.kind === 'feeder' ? 'feeder' : 'substation', id: p.target, feeder: p.feeder, name: p.name, old: 'OFF (planned)', new: 'planned window over', changedAt: plannedAt[plannedKey(p)] });
+  }
+
+  const list = cleanStations(stations);
+  const topology = { ties: cleanTies(ties, new Set(list.map(s => s.id))), switches };
+  const payload = {
+    ...applyEtr({ ...buildSnapshot(list, feederOut, plannedFlags(active, now), topology), planned: active.map(publicPlanned) }, etr),
+    version: (current?.data?.version ?? 0) + 1,
+    updatedAt: now
+  };
+
+  // Who published is for operators (conflicts, audit log), not for the public snapshot
+  const written = await store.set('current', JSON.stringify(payload), {
+    metadata: { version: payload.version, updatedBy: user },
+    ...writeCondition(current ? current.etag : null)
+  });
+  if (!written.modified) return { conflict: withPublisher(await store.getWithMetadata('current', { type: 'json' })) };
+  // Keep every publish so /api/history can replay the outage curve.
+  await appendHistory(payload, store);
+
+  // Open/close outage events for every feeder/substation that changed state.
+  const { events } = await updateEvents(list => reconcileEvents(list, payload, {
+    changedAt: { ...plannedAt, ...changedAt },
+    notes,
+    now,
+    newId: () => crypto.randomUUID()
+  }), store);
+
+  const summary = (s) => (s ? { version: s.version ?? 0, affected: s.affected, subsOff: s.subsOff } : null);
+  await appendAudit(user, [
+    { action: 'publish', kind: 'status', id: String(payload.version), feeder: null, name: null, old: summary(current?.data), new: summary(payload) },
+    ...statusChanges(current?.data, payload, changedAt),
+    ...plannedAudit
+  ], store);
+
+  // Deliveries are only queued here (notify-retry sends them), so a slow or failing endpoint never
+  // holds up or fails the publish.
+  await notifyChanges(current?.data ?? null, payload, store).catch(e => console.warn('notifications failed', e));
+  await runAlerts(store, { snapshot: payload, events }).catch(e => console.warn('alert rules failed', e));
+
+  return { payload };
+}
+
+// Republish the current state when the set of active planned outages has changed.
+// -> the new snapshot, or null when nothing changed (or nothing was ever published)
+export async function applyPlanned(store) {
+  const current = await store.getWithMetadata('current', { type: 'json' });
+  if (!current?.data?.stations?.length) return null;
+  const now = new Date().toISOString();
+  const signature = (list) => list.map(p => `${p.id}|${p.target}|${p.start}|${p.end}|${p.reason}|${p.notice}`).sort().join();
+  if (signature((await loadPlanned(store)).filter(p => isActive(p, now))) === signature(current.data.planned || [])) return null;
+
+  const feederOut = {};
+  for (const f of current.data.feeders || []) feederOut[f.name] = !!f.isOut;
+  const { stations, ties, switches, etr } = current.data;
+  const { payload } = await publishStatus(store, current, { stations, feederOut, ties, switches, etr, user: 'scheduler' });
+  return payload ?? null; // lost a race with an operator publish: the next run retries
+}
@@ -0,0 +1,40 @@
+// Validation helpers for the station registry (/api/stations, /api/feeders).
+
+import { cleanStations } from '../../src/lib/status.mjs';
+import { text, ifMatch, conflict } from './http.mjs';
+
+// Registry stations carry no outage state; that lives in the status blob.
+export function registryStation(input) {
+  const [s] = cleanStations([input]);
+  if (!s) return null;
+  const { isOut, ...rest } = s;
+  return rest;
+}
+
+// Feeders = explicit registry feeders plus any feeder a station points at (also as an alternate).
+export function feederList(registry) {
+  const byName = new Map(registry.feeders.map(f => [f.name, { name: f.name, assetCode: f.assetCode ?? '', stations: 0, consumers: 0 }]));
+  for (const name of registry.stations.flatMap(s => s.alternates || [])) {
+    if (!byName.has(name)) byName.set(name, { name, assetCode: '', stations: 0, consumers: 0 });
+  }
+  for (const s of registry.stations) {
+    if (!byName.has(s.feeder)) byName.set(s.feeder, { name: s.feeder, assetCode: '', stations: 0, consumers: 0 });
+    const f = byName.get(s.feeder);
+    f.stations++;
+    f.consumers += s.consumers;
+  }
+  return Array.from(byName.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Optimistic locking for registry writes. An If-Match naming an older version
+// answers 409 with the current registry; `required` makes the header mandatory.
+export function staleRegistry(req, registry, required = false) {
+  const expected = ifMatch(req);
+  if (expected === null) return required ? text('Precondition Required: send If-Match with the registry version', 428) : null;
+  return expected === registry.version ? null : registryConflict(registry);
+}
+
+export function registryConflict(registry) {
+  const { etag, ...doc } = registry;
+  return conflict(doc, 'registry');
+}
@@ -0,0 +1,247 @@
+// Blob store names and key layout used by the functions.
+// Everything lives in the "status-store" blob store:
+//   current              latest published snapshot (blob metadata { version, updatedBy }: version for cheap
+//                        change checks; the publisher stays out of the public snapshot)
+//   history/<ISO time>   one copy of every published snapshot
+//   history-day/<date>   summary numbers of that UTC day's publishes, what /api/history serves
+//   events               array of outage events (see src/lib/events.mjs); each carries a `version`
+//   planned              array of planned outages (see src/lib/planned.mjs)
+//   audit/<ISO time>-<n> one batch of audit entries per write (see src/lib/audit.mjs); never rewritten
+//   alert-rules          alert rules (see src/lib/alerts.mjs)
+//   alerts               active alerts and the recently resolved ones
+//   notify/config        notification settings (see src/lib/notify.mjs); holds webhook secrets
+//   notify/queue/<id>    one pending notification delivery, removed once sent or given up
+//   notify/log/<ISO>-<n> one batch of delivery attempts per run; never rewritten
+// The network itself lives in the "registry-store" blob store:
+//   network              { feeders: [{ name, assetCode }], stations: [...], ties: [...], version, updatedAt }
+//   consumers            consumer lookup index (see src/lib/lookup.mjs); never sent to browsers whole
+
+import { getStore } from '@netlify/blobs';
+import { EMPTY_NOTIFY } from '../../src/lib/notify.mjs';
+
+export const statusStore = () => getStore('status-store');
+
+// Version of the published snapshot without downloading it (null when unknown)
+export async function statusVersion(store = statusStore()) {
+  const meta = await store.getMetadata('current');
+  if (!meta) return 0;
+  return Number.isInteger(meta.metadata?.version) ? meta.metadata.version : null;
+}
+
+// Snapshot as served to viewers; snapshots published before the publisher moved to the
+// metadata still carry updatedBy.
+export function publicSnapshot(snap) {
+  if (!snap) return snap;
+  const { updatedBy, ...rest } = snap;
+  return rest;
+}
+
+// getWithMetadata('current') result -> snapshot with its publisher, for operators resolving a 409
+export function withPublisher(found) {
+  if (!found) return null;
+  return { ...found.data, updatedBy: found.metadata?.updatedBy ?? found.data?.updatedBy ?? null };
+}
+
+export const HISTORY_PREFIX = 'history/';
+export const historyKey = (iso) => `${HISTORY_PREFIX}${iso}`;
+export const HISTORY_DAY_PREFIX = 'history-day/';
+
+// What /api/history returns per publish
+export const historySummary = (s) => ({
+  updatedAt: s.updatedAt,
+  affected: s.affected, total: s.total, pct: s.pct,
+  subsOff: s.subsOff, subsTotal: s.subsTotal, offPct: s.offPct
+});
+
+// Full snapshots published on `day` (YYYY-MM-DD, UTC) within [from, to], oldest first
+export async function loadHistorySnapshots(day, from, to, store = statusStore()) {
+  const { blobs } = await store.list({ prefix: historyKey(day) });
+  const keys = blobs.map(b => b.key).filter(k => {
+    const t = k.slice(HISTORY_PREFIX.length);
+    return (!from || t >= from) && (!to || t <= to);
+  }).sort();
+  return (await Promise.all(keys.map(k => store.get(k, { type: 'json' })))).filter(Boolean);
+}
+
+// Summaries of one day's publishes, oldest first. A day from before the series existed is
+// built once from its snapshots.
+export async function loadHistoryDay(day, store = statusStore()) {
+  const found = await store.get(`${HISTORY_DAY_PREFIX}${day}`, { type: 'json' });
+  if (found) return found;
+  const list = (await loadHistorySnapshots(day, null, null, store)).map(historySummary);
+  // Only if still missing: a publish may have written the day meanwhile
+  await store.set(`${HISTORY_DAY_PREFIX}${day}`, JSON.stringify(list), { onlyIfNew: true });
+  return list;
+}
+
+// Keep a published snapshot and add its summary to the day's series
+export async function appendHistory(snapshot, store = statusStore()) {
+  await store.set(historyKey(snapshot.updatedAt), JSON.stringify(snapshot));
+  const day = snapshot.updatedAt.slice(0, 10), key = `${HISTORY_DAY_PREFIX}${day}`;
+  for (let i = 0; i < 3; i++) {
+    const found = await store.getWithMetadata(key, { type: 'json' });
+    const list = found
+      ? [...found.data.filter(x => x.updatedAt !== snapshot.updatedAt), historySummary(snapshot)]
+      : (await loadHistorySnapshots(day, null, null, store)).map(historySummary);
+    const { modified } = await store.set(key, JSON.stringify(list), writeCondition(found ? found.etag : null));
+    if (modified) return;
+  }
+  throw new Error('history series kept changing while being updated');
+}
+
+export const EVENTS_KEY = 'events';
+
+export async function loadEvents(store = statusStore()) {
+  return (await store.get(EVENTS_KEY, { type: 'json' })) ?? [];
+}
+
+// Read-modify-write of the event list that never drops a concurrent change: change(events)
+// returns { events, ... } to save (and returned), or null to leave them as they are.
+export async function updateEvents(change, store = statusStore()) {
+  for (let i = 0; i < 5; i++) {
+    const found = await store.getWithMetadata(EVENTS_KEY, { type: 'json' });
+    const result = change(found?.data ?? []);
+    if (!result) return null;
+    const { modified } = await store.set(EVENTS_KEY, JSON.stringify(result.events), writeCondition(found ? found.etag : null));
+    if (modified) return result;
+  }
+  throw new Error('events kept changing while being updated');
+}
+
+export const PLANNED_KEY = 'planned';
+
+export async function loadPlanned(store = statusStore()) {
+  return (await store.get(PLANNED_KEY, { type: 'json' })) ?? [];
+}
+
+// Same read-modify-write as updateEvents: change(list) returns { planned, ... } to save, or null.
+export async function updatePlanned(change, store = statusStore()) {
+  for (let i = 0; i < 5; i++) {
+    const found = await store.getWithMetadata(PLANNED_KEY, { type: 'json' });
+    const result = change(found?.data ?? []);
+    if (!result) return null;
+    const { modified } = await store.set(PLANNED_KEY, JSON.stringify(result.planned), writeCondition(found ? found.etag : null));
+    if (modified) return result;
+  }
+  throw new Error('planned outages kept changing while being updated');
+}
+
+export const AUDIT_PREFIX = 'audit/';
+
+// Append-only: every write gets its own key, so concurrent writers never clash.
+export async function appendAudit(user, entries, store = statusStore()) {
+  if (!entries.length) return;
+  const at = new Date().toISOString();
+  const batch = entries.map(e => ({ at, user, ...e }));
+  await store.set(`${AUDIT_PREFIX}${at}-${crypto.randomUUID().slice(0, 8)}`, JSON.stringify(batch));
+}
+
+// Append-only logs (audit/, notify/log/) are keyed `<prefix><ISO time>-<n>`, so a time range
+// narrows the listing to its UTC days and the keys sort by time.
+const LOG_LIST_DAYS = 93; // longer ranges list the whole log (keys only)
+const LOG_FETCH = 20; // batches fetched at once while filling a page
+
+async function logKeys(prefix, from, to, store) {
+  let prefixes = [prefix];
+  const first = from ? Date.parse(from.slice(0, 10)) : NaN;
+  const last = Date.parse((to || new Date().toISOString()).slice(0, 10));
+  if (!Number.isNaN(first) && last >= first && last - first < LOG_LIST_DAYS * 86400e3) {
+    prefixes = [];
+    for (let t = first; t <= last; t += 86400e3) prefixes.push(prefix + new Date(t).toISOString().slice(0, 10));
+  }
+  const lists = await Promise.all(prefixes.map(p => store.list({ prefix: p })));
+  return lists.flatMap(l => l.blobs.map(b => b.key)).filter(k => {
+    const t = k.slice(prefix.length, prefix.length + 24);
+    return (!from || t >= from) && (!to || t <= to);
+  }).sort().reverse();
+}
+
+// One page of a log, newest first: batches within [from, to] older than `cursor` are fetched until
+// `limit` entries pass `match`. -> { entries, cursor } (cursor: pass back for the next page; null on the last)
+async function loadLogPage(prefix, { from = null, to = null, cursor = null, limit, match = () => true }, store) {
+  const keys = (await logKeys(prefix, from, to, store)).filter(k => !cursor || k < cursor);
+  const entries = [];
+  for (let i = 0; i < keys.length; i += LOG_FETCH) {
+    const chunk = keys.slice(i, i + LOG_FETCH);
+    const batches = await Promise.all(chunk.map(k => store.get(k, { type: 'json' })));
+    for (let j = 0; j < chunk.length; j++) {
+      entries.push(...(batches[j] ?? []).filter(match));
+      if (entries.length >= limit) return { entries, cursor: i + j < keys.length - 1 ? chunk[j] : null };
+    }
+  }
+  return { entries, cursor: null };
+}
+
+// Page of entries written within [from, to] (ISO bounds, either may be null), newest first;
+// options: { cursor, limit, match } as for loadLogPage. A page ends on a whole batch, so it can run over `limit`.
+export async function loadAudit(from, to, options, store = statusStore()) {
+  return loadLogPage(AUDIT_PREFIX, { ...options, from, to }, store);
+}
+
+export const ALERT_RULES_KEY = 'alert-rules';
+export const ALERTS_KEY = 'alerts';
+
+export async function loadAlertRules(store = statusStore()) {
+  return (await store.get(ALERT_RULES_KEY, { type: 'json' })) ?? [];
+}
+
+
+export async function loadAlerts(store = statusStore()) {
+  return (await store.get(ALERTS_KEY, { type: 'json' })) ?? [];
+}
+
+export const NOTIFY_KEY = 'notify/config';
+
+export async function loadNotifyConfig(store = statusStore()) {
+  return { ...EMPTY_NOTIFY, ...(await store.get(NOTIFY_KEY, { type: 'json' })) };
+}
+
+export async function saveNotifyConfig(config, store = statusStore()) {
+  await store.set(NOTIFY_KEY, JSON.stringify(config));
+}
+
+export const QUEUE_PREFIX = 'notify/queue/';
+export const DELIVERY_PREFIX = 'notify/log/';
+
+// Delivery attempts are logged like audit entries: one new key per batch.
+export async function appendDeliveries(entries, store = statusStore()) {
+  if (!entries.length) return;
+  const at = new Date().toISOString();
+  await store.set(`${DELIVERY_PREFIX}${at}-${crypto.randomUUID().slice(0, 8)}`, JSON.stringify(entries.map(e => ({ at, ...e }))));
+}
+
+// Page of delivery attempts since `from`, newest first; options: { cursor, limit } (see loadAudit)
+export async function loadDeliveries(from, options, store = statusStore()) {
+  return loadLogPage(DELIVERY_PREFIX, { ...options, from }, store);
+}
+
+export const registryStore = () => getStore('registry-store');
+
+// Conditional-write options for a blob read with getWithMetadata (etag null = it didn't exist).
+// The local dev blob server reports no etags, so there the write is unconditional.
+export const writeCondition = (etag) => (etag === null ? { onlyIfNew: true } : etag ? { onlyIfMatch: etag } : {});
+
+// The loaded document carries the blob's `etag` (not persisted) so that
+// saveRegistry only overwrites what was read; it returns null when it lost a race.
+export async function loadRegistry(store = registryStore()) {
+  const found = await store.getWithMetadata('network', { type: 'json' });
+  if (!found) return { feeders: [], stations: [], ties: [], version: 0, updatedAt: null, etag: null };
+  return { version: 0, ties: [], ...found.data, etag: found.etag };
+}
+
+export async function saveRegistry(registry, store = registryStore()) {
+  const { etag, ...doc } = registry;
+  const next = { ...doc, version: (doc.version ?? 0) + 1, updatedAt: new Date().toISOString() };
+  const { modified } = await store.set('network', JSON.stringify(next), writeCondition(etag));
+  return modified ? next : null;
+}
+
+export const LOOKUP_KEY = 'consumers';
+
+export async function loadLookup(store = registryStore()) {
+  return (await store.get(LOOKUP_KEY, { type: 'json' })) ?? { accounts: {}, meters: {}, count: 0, updatedAt: null };
+}
+
+export async function saveLookup(index, store = registryStore()) {
+  await store.set(LOOKUP_KEY, JSON.stringify(index));
+}
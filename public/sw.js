@@ -0,0 +1,64 @@
+// Service worker: keeps the dashboard usable on patchy connections.
+//   shell    the pages and their (hashed, immutable) assets: precached on install, cache first
+//   data     the station CSV, status and public planned outages: network first, and the
+//            last good copy while offline (marked with `x-offline-copy: 1`)
+//   private  the same for signed-in requests (registry, all planned outages); src/session.js
+//            deletes it when the session ends, so operator data doesn't outlive it
+// Writes are never cached here; the admin console queues them itself (src/outbox.js).
+
+// The build's hashed files; vite.config.js fills this in (empty under `vite dev`)
+const BUILD = { id: 'dev', assets: [] };
+const SHELL = `outage-shell-${BUILD.id}`;
+const DATA = 'outage-data-v2'; // v1 also held the registry
+const PRIVATE = 'outage-private-v1'; // PRIVATE_CACHE in src/session.js
+const PRECACHE = ['/', '/index.html', '/manifest.webmanifest', '/admin.webmanifest', '/icon.svg', '/data/feeders_substations.csv', ...BUILD.assets];
+const DATA_PATHS = ['/api/status', '/api/stations', '/api/planned'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL).then(c => c.addAll(PRECACHE)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith('outage-') && ![SHELL, DATA, PRIVATE].includes(k)).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function cacheFirst(request) {
+  const hit = await caches.match(request);
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok) (await caches.open(SHELL)).put(request, res.clone());
+  return res;
+}
+
+// key: the path to store the response under, so any query string gets the last copy
+async function networkFirst(request, cacheName, key) {
+  try {
+    const res = await fetch(request);
+    if (res.status === 200) (await caches.open(cacheName)).put(key, res.clone());
+    return res;
+  } catch (e) {
+    const hit = await (await caches.open(cacheName)).match(key);
+    if (!hit) throw e;
+    const headers = new Headers(hit.headers);
+    headers.set('x-offline-copy', '1');
+    return new Response(hit.body, { status: hit.status, statusText: hit.statusText, headers });
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL, url.pathname === '/' ? '/index.html' : url.pathname));
+  } else if (url.pathname.startsWith('/assets/')) {
+    event.respondWith(cacheFirst(request));
+  } else if (url.pathname.startsWith('/data/') || DATA_PATHS.includes(url.pathname)) {
+    event.respondWith(networkFirst(request, request.headers.has('authorization') ? PRIVATE : DATA, url.pathname));
+  }
+});
@@ -0,0 +1,13 @@
+// Print an AUTH_USERS entry for a user:
+//   node scripts/hash-password.mjs <username> <role> <password>
+// Roles: viewer | operator | supervisor
+
+import { hashPassword } from '../netlify/lib/auth.mjs';
+import { ROLES } from '../src/lib/roles.mjs';
+
+const [username, role, password] = process.argv.slice(2);
+if (!username || !ROLES.includes(role) || !password) {
+  console.error(`usage: node scripts/hash-password.mjs <username> <${ROLES.join('|')}> <password>`);
+  process.exit(1);
+}
+console.log(JSON.stringify({ [username]: { role, hash: hashPassword(password) } }));
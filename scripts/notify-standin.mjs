@@ -0,0 +1,59 @@
+// Local stand-in for notification endpoints, to try webhooks, email and SMS without real providers:
+//   node scripts/notify-standin.mjs [secret]
+// HTTP on :8025 prints every POST (webhooks, and SMS at /sms) and checks the webhook signature
+// when `secret` is given; any path containing "fail" answers 503 so retries can be watched.
+// SMTP on :2525 prints every message. Point the functions at it with
+//   SMTP_URL=smtp://localhost:2525  SMS_URL=http://localhost:8025/sms
+// and add a webhook http://localhost:8025/hook in the Notifications panel.
+
+import http from 'node:http';
+import net from 'node:net';
+import { sign } from '../netlify/lib/notify.mjs';
+
+const [secret] = process.argv.slice(2);
+const HTTP_PORT = Number(process.env.HTTP_PORT) || 8025;
+const SMTP_PORT = Number(process.env.SMTP_PORT) || 2525;
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (c) => { body += c; });
+  req.on('end', () => {
+    console.log(`\n[http] ${req.method} ${req.url} ${req.headers['x-outage-delivery'] ?? ''}`);
+    const signature = req.headers['x-outage-signature'];
+    if (secret && signature) {
+      const ok = signature === `sha256=${sign(secret, req.headers['x-outage-timestamp'], body)}`;
+      console.log(`[http] signature ${ok ? 'valid' : 'INVALID'}`);
+    }
+    console.log(body);
+    const fail = req.url.includes('fail');
+    res.writeHead(fail ? 503 : 200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ ok: !fail }));
+  });
+}).listen(HTTP_PORT, () => console.log(`HTTP stand-in on http://localhost:${HTTP_PORT}`));
+
+net.createServer((socket) => {
+  let buffer = '', data = null;
+  const reply = (line) => socket.write(`${line}\r\n`);
+  reply('220 notify-standin ESMTP');
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+    let i;
+    while ((i = buffer.indexOf('\r\n')) >= 0) {
+      const line = buffer.slice(0, i);
+      buffer = buffer.slice(i + 2);
+      if (data !== null) {
+        if (line === '.') { console.log(`\n[smtp] message\n${data.join('\n')}`); data = null; reply('250 queued'); }
+        else data.push(line.replace(/^\.\./, '.'));
+        continue;
+      }
+      const verb = line.slice(0, 4).toUpperCase();
+      if (verb === 'EHLO' || verb === 'HELO') reply('250-notify-standin\r\n250 AUTH PLAIN');
+      else if (verb === 'AUTH') reply('235 accepted');
+      else if (verb === 'MAIL' || verb === 'RCPT') { console.log(`[smtp] ${line}`); reply('250 ok'); }
+      else if (verb === 'DATA') { data = []; reply('354 end with .'); }
+      else if (verb === 'QUIT') { reply('221 bye'); socket.end(); }
+      else reply('250 ok');
+    }
+  });
+  socket.on('error', () => {});
+}).listen(SMTP_PORT, () => console.log(`SMTP stand-in on smtp://localhost:${SMTP_PORT}`));
@@ -0,0 +1,162 @@
+// Admin audit trail: who published, toggled or edited what and when, from /api/audit.
+
+import React, { useEffect, useMemo, useState } from "react";
+import Papa from "papaparse";
+import { authFetch } from "./session.js";
+import { auditValue } from "./lib/audit.mjs";
+import { card, thStyle, tdStyle, btnOutline, feederColor } from "./ui.jsx";
+
+const PAGE_SIZE = 200; // entries per request; older ones load on demand
+const EXPORT_PAGE = 1000; // per request while exporting (the server's most)
+const day = (d) => d.toISOString().slice(0, 10);
+
+export default function ActivityPanel({ C, refreshKey }) {
+  const [from, setFrom] = useState(() => day(new Date(Date.now() - 7 * 86400e3))); // "YYYY-MM-DD"
+  const [to, setTo] = useState(() => day(new Date()));
+  const [feeder, setFeeder] = useState("");
+  const [user, setUser] = useState("");
+  const [entries, setEntries] = useState([]); // filtered by the server, newest first
+  const [cursor, setCursor] = useState(null); // set while older entries remain
+  const [error, setError] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  // One page of the selected range and filters, starting after `after` (null: the newest)
+  async function fetchPage(after, limit) {
+    // Whole local days: from 00:00 on `from` up to 00:00 the day after `to`
+    const params = new URLSearchParams({
+      from: new Date(`${from}T00:00`).toISOString(),
+      to: new Date(new Date(`${to}T00:00`).getTime() + 86400e3).toISOString(),
+      limit,
+    });
+    if (feeder) params.set("feeder", feeder);
+    if (user) params.set("user", user);
+    if (after) params.set("cursor", after);
+    const r = await authFetch(`/api/audit?${params}`, { cache: "no-store" });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    return r.json();
+  }
+
+  // older: append the page after `cursor` instead of starting over
+  async function load(older = false) {
+    try {
+      const page = await fetchPage(older ? cursor : null, PAGE_SIZE);
+      setEntries(prev => (older ? [...prev, ...page.entries] : page.entries));
+      setCursor(page.cursor);
+      setError(null);
+    } catch (e) {
+      console.warn("audit fetch failed", e);
+      setError(e.message);
+    }
+  }
+  useEffect(() => { if (from && to) load(); }, [from, to, feeder, user, refreshKey]);
+
+  // Choices come from what is loaded, plus the current one so it stays selectable
+  const choices = (key, current) => Array.from(new Set([...entries.map(e => e[key]), current].filter(Boolean))).sort();
+  const feeders = useMemo(() => choices("feeder", feeder), [entries, feeder]);
+  const users = useMemo(() => choices("user", user), [entries, user]);
+  const rows = entries;
+
+  const target = (e) => (e.kind === "status" ? `version ${e.id}` : e.kind === "substation" ? `${e.name} · ${e.feeder}` : `${e.name ?? e.id} (${e.kind})`);
+
+  // The whole range: what is loaded plus every older page still on the server
+  async function exportCsv() {
+    setExporting(true);
+    let all = entries;
+    try {
+      for (let next = cursor; next; ) {
+        const page = await fetchPage(next, EXPORT_PAGE);
+        all = [...all, ...page.entries];
+        next = page.cursor;
+      }
+    } catch (e) {
+      alert(`Export failed: ${e.message}`);
+      return;
+    } finally {
+      setExporting(false);
+    }
+    const csv = Papa.unparse(all.map(e => ({
+      time: e.at, user: e.user, action: e.action, kind: e.kind, id: e.id, feeder: e.feeder ?? "", name: e.name ?? "",
+      old: auditValue(e.old), new: auditValue(e.new), toggled_at: e.changedAt ?? "",
+    })));
+    const blob = new Blob([csv], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a"); a.href = url; a.download = `activity-${from}-to-${to}.csv`; a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  const control = { padding: "4px 8px", border: `1px solid ${C.border}`, borderRadius: 8 };
+  const fmt = (iso) => new Date(iso).toLocaleString(undefined, { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit", second: "2-digit" });
+
+  return (
+    <div style={{ ...card(C), marginBottom: 8 }}>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8, flexWrap: "wrap", borderBottom: `1px solid ${C.border}`, padding: 8, background: C.header }}>
+        <div style={{ fontWeight: 600 }}>Activity</div>
+        <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", fontSize: 12, color: C.subtext }}>
+          <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+            From <input type="date" value={from} max={to} onChange={(e) => setFrom(e.target.value)} style={control} />
+          </label>
+          <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+            To <input type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} style={control} />
+          </label>
+          <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+            Feeder
+            <select value={feeder} onChange={(e) => setFeeder(e.target.value)} style={control}>
+              <option value="">All</option>
+              {feeders.map(f => <option key={f} value={f}>{f}</option>)}
+            </select>
+          </label>
+          <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+            User
+            <select value={user} onChange={(e) => setUser(e.target.value)} style={control}>
+              <option value="">All</option>
+              {users.map(u => <option key={u} value={u}>{u}</option>)}
+            </select>
+          </label>
+          <button onClick={() => load()} style={btnOutline(C)}>Refresh</button>
+          <button onClick={exportCsv} disabled={rows.length === 0 || exporting} style={btnOutline(C)}>{exporting ? "Exporting…" : "Export CSV"}</button>
+        </div>
+      </div>
+
+      {error && <div style={{ padding: 16, color: C.subtext }}>Activity log unavailable ({error}).</div>}
+
+      <div style={{ overflowX: "auto", maxHeight: 480, overflowY: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+          <thead>
+            <tr style={{ textAlign: "left", color: C.subtext }}>
+              <th style={thStyle(C)}>Time</th>
+              <th style={thStyle(C)}>User</th>
+              <th style={thStyle(C)}>Action</th>
+              <th style={thStyle(C)}>Target</th>
+              <th style={thStyle(C)}>Old</th>
+              <th style={thStyle(C)}>New</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((e, i) => (
+              <tr key={`${e.at}-${i}`} style={{ borderTop: `1px solid ${C.border}` }}>
+                <td style={{ ...tdStyle, whiteSpace: "nowrap" }} title={e.changedAt ? `Toggled ${fmt(e.changedAt)}` : undefined}>{fmt(e.at)}</td>
+                <td style={tdStyle}>{e.user}</td>
+                <td style={tdStyle}>{e.action}</td>
+                <td style={tdStyle}>
+                  {e.feeder && <span style={{ width: 10, height: 10, borderRadius: 999, background: feederColor(e.feeder), display: "inline-block", marginRight: 6 }}></span>}
+                  {target(e)}
+                </td>
+                <td style={{ ...tdStyle, color: C.subtext }}>{auditValue(e.old)}</td>
+                <td style={tdStyle}>{auditValue(e.new)}</td>
+              </tr>
+            ))}
+            {rows.length === 0 && (
+              <tr><td colSpan={6} style={{ padding: 24, textAlign: "center", color: C.subtext }}>No activity in this range.</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      {cursor && (
+        <div style={{ display: "flex", alignItems: "center", gap: 8, padding: 8, fontSize: 12, color: C.subtext, borderTop: `1px solid ${C.border}` }}>
+          Showing the latest {rows.length.toLocaleString()} entries; the CSV export has the whole range.
+          <button onClick={() => load(true)} style={btnOutline(C)}>Load older</button>
+        </div>
+      )}
+    </div>
+  );
+}
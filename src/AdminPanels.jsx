@@ -0,0 +1,71 @@
+// Admin console panels opened from the top bar: station registry, threshold alerts, notification
+// settings and reports, each for the roles allowed to use it (see lib/roles.mjs).
+
+import React, { useState } from "react";
+import RegistryPanel from "./RegistryPanel.jsx";
+import AlertsPanel from "./AlertsPanel.jsx";
+import NotificationsPanel from "./NotificationsPanel.jsx";
+import ReportsPanel from "./ReportsPanel.jsx";
+import { can } from "./lib/roles.mjs";
+import { btnOutline } from "./ui.jsx";
+
+// [name, action the role needs (null: any), button label, label while open], in top bar order
+const PANELS = [
+  ["registry", "editRegistry", "Edit registry", "Close registry"],
+  ["notify", "notify", "Notifications", "Close notifications"],
+  ["reports", "reports", "Reports", "Close reports"],
+  ["alerts", null, "Alerts", "Close alerts"],
+];
+
+// -> { open: { [name]: true while shown }, toggle(name), show(name) }
+export function usePanels() {
+  const [open, setOpen] = useState({});
+  return {
+    open,
+    toggle: (name) => setOpen(prev => ({ ...prev, [name]: !prev[name] })),
+    show: (name) => setOpen(prev => ({ ...prev, [name]: true })),
+  };
+}
+
+// alerts: useAlerts() result; the button shows how many are active
+export function PanelButtons({ C, role, panels, alerts }) {
+  return PANELS.filter(([, action]) => !action || can(role, action)).map(([name, , label, close]) => (
+    <button key={name} onClick={() => panels.toggle(name)} style={btnOutline(C)}>
+      {panels.open[name] ? close : name === "alerts" && alerts.active ? `${label} (${alerts.active})` : label}
+    </button>
+  ));
+}
+
+// inputs: metricInputs(...) of the console's current numbers, for the alert rule preview
+export default function AdminPanels({ C, role, panels, alerts, stations, ties, onRegistryChanged, inputs, openEvents, now, feeders }) {
+  const { open } = panels;
+  return (
+    <>
+      {/* Station registry editor (SUPERVISOR ONLY) */}
+      {open.registry && can(role, "editRegistry") && (
+        <RegistryPanel C={C} stations={stations} ties={ties} onChanged={onRegistryChanged} />
+      )}
+
+      {/* Threshold alerts and their rules (rules: SUPERVISOR ONLY) */}
+      {open.alerts && (
+        <AlertsPanel
+          C={C}
+          alerts={alerts.alerts}
+          rules={alerts.rules}
+          canAck={can(role, "ackAlert")}
+          canEdit={can(role, "alertRules")}
+          onAct={alerts.act}
+          onSaved={alerts.reload}
+          inputs={inputs}
+          openEvents={openEvents}
+          now={now}
+          feeders={feeders}
+        />
+      )}
+
+      {/* Webhook / email / SMS notification settings and reports (SUPERVISOR ONLY) */}
+      {open.notify && can(role, "notify") && <NotificationsPanel C={C} />}
+      {open.reports && can(role, "reports") && <ReportsPanel C={C} openEvents={openEvents} stations={stations} />}
+    </>
+  );
+}
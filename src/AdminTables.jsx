@@ -0,0 +1,290 @@
+// Admin substation tables: search results across all feeders, and one feeder with its own
+// OFF toggle. Each is a table (cards on mobile) with the OFF toggles, off-since time, ETR
+// editor and bulk-selection boxes, paged by the dashboard.
+
+import React from "react";
+import { feederKey, formatDuration } from "./lib/events.mjs";
+import { isOverdue, formatClock } from "./lib/etr.mjs";
+import { card, thStyle, tdStyle, btnOutline, pagerBtn, feederColor } from "./ui.jsx";
+
+export function AdminAllView(props) {
+  const { C, isMobile, feeders, q, setQ, showAffectedOnly, setShowAffectedOnly,
+          pageRows, filteredRows, page, setPage, pageSize, setPageSize, totalPages,
+          feederOut, toggleFeeder, toggleStation, canToggle, selectedFeeder, setSelectedFeeder, etr, setOutageEtr, now, selection, rowKeys } = props;
+
+  const StationCard = (r) => (
+    <div key={r.id} style={{ border: `1px solid ${C.border}`, borderRadius: 12, padding: 12, background: C.card, display: 'grid', gap: 8 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 8 }}>
+        <div style={{ fontWeight: 600 }}>{r.name}</div>
+        <span style={{ padding: "2px 8px", borderRadius: 999, border: `1px solid ${r.effOut ? C.affectedBorder : C.healthyBorder}`, background: r.effOut ? C.affectedBg : C.healthyBg, color: r.effOut ? C.affectedText : C.healthyText }}>
+          {r.plannedOut ? 'OFF · planned' : r.effOut ? 'OFF' : r.supply !== r.feeder ? `ON · via ${r.supply}` : 'ON'}
+        </span>
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', color: C.subtext }}>
+        <div>Feeder: <span style={{ fontWeight: 600 }}><span style={{ width: 10, height: 10, borderRadius: 999, background: feederColor(r.feeder), display: 'inline-block', marginRight: 6 }}></span>{r.feeder}</span></div>
+        <div><b>{Number(r.consumers).toLocaleString()}</b> consumers</div>
+      </div>
+      {r.offSince && <div style={{ color: C.subtext, fontSize: 12 }}>Off since <OffSince since={r.offSince} now={now} /></div>}
+      {r.cause && <div style={{ color: C.subtext, fontSize: 12 }}>Cause: {r.cause}</div>}
+      {r.effOut && <EtrInput C={C} row={r} etr={etr} onChange={setOutageEtr} disabled={!canToggle} now={now} />}
+      <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap' }}>
+        {canToggle && <SelectBox C={C} row={r} selection={selection} card />}
+        <label style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+          <input type="checkbox" checked={!!feederOut[r.feeder]} onChange={() => toggleFeeder(r.feeder)} disabled={!canToggle} aria-label={`Feeder ${r.feeder} OFF`} style={{ transform: 'scale(1.2)' }} /> Feeder OFF
+        </label>
+        <label style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+          <input type="checkbox" checked={!!r.isOut} onChange={() => toggleStation(r.id)} disabled={!canToggle || !!feederOut[r.feeder]} aria-label={`Substation ${r.name} OFF`} style={{ transform: 'scale(1.2)' }} /> Substation OFF
+        </label>
+      </div>
+    </div>
+  );
+
+  return (
+    <div style={card(C)}>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", borderBottom: `1px solid ${C.border}`, padding: 8, background: C.header }}>
+        <div style={{ fontWeight: 600 }}>Substations (search across all feeders)</div>
+        <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+          <div style={{ fontSize: 12, color: C.subtext }}>{filteredRows.length} result(s)</div>
+          <button onClick={() => { setQ(""); setShowAffectedOnly(false); setPage(1); }} style={btnOutline(C)}>Clear search</button>
+        </div>
+      </div>
+      {isMobile ? (
+        <div style={{ display: 'grid', gap: 8, padding: 8 }}>
+          {pageRows.map(r => <StationCard key={r.id} {...r} />)}
+          {pageRows.length === 0 && <div style={{ padding: 24, textAlign: 'center', color: C.subtext }}>No rows match this search.</div>}
+        </div>
+      ) : (
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+            <thead>
+              <tr style={{ textAlign: "left", color: C.subtext }}>
+                {canToggle && <SelectAllBox C={C} rows={pageRows} selection={selection} />}
+                <th style={thStyle(C)}>Feeder</th>
+                <th style={thStyle(C)}>Substation</th>
+                <th style={{ ...thStyle(C), textAlign: "right" }}>Consumers</th>
+                <th style={{ ...thStyle(C), textAlign: "center" }}>Feeder OFF</th>
+                <th style={{ ...thStyle(C), textAlign: "center" }}>Substation OFF</th>
+                <th style={{ ...thStyle(C), textAlign: "center" }}>Status</th>
+                <th style={thStyle(C)}>Off since</th>
+                <th style={thStyle(C)}>ETR</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pageRows.map((r, i) => (
+                <tr key={r.id} {...(canToggle ? rowKeys(r, i) : {})} style={{ borderTop: `1px solid ${C.border}`, background: selection.has(r.id) ? C.header : undefined }}>
+                  {canToggle && <td style={tdStyle}><SelectBox C={C} row={r} selection={selection} /></td>}
+                  <td style={tdStyle}>
+                    <span style={{ width: 10, height: 10, borderRadius: 999, background: feederColor(r.feeder), display: "inline-block", marginRight: 6 }}></span>
+                    {r.feeder}
+                  </td>
+                  <td style={tdStyle}>{r.name}</td>
+                  <td style={{ ...tdStyle, textAlign: "right", fontVariantNumeric: "tabular-nums" }}>{Number(r.consumers).toLocaleString()}</td>
+                  <td style={{ ...tdStyle, textAlign: "center" }}>
+                    <input type="checkbox" checked={!!feederOut[r.feeder]} onChange={() => toggleFeeder(r.feeder)} disabled={!canToggle} aria-label={`Feeder ${r.feeder} OFF`} />
+                  </td>
+                  <td style={{ ...tdStyle, textAlign: "center" }}>
+                    <input type="checkbox" checked={!!r.isOut} onChange={() => toggleStation(r.id)} disabled={!canToggle || !!feederOut[r.feeder]} aria-label={`Substation ${r.name} OFF`} />
+                  </td>
+                  <td style={{ ...tdStyle, textAlign: "center" }}>
+                    <span style={{ padding: "2px 8px", borderRadius: 999, border: `1px solid ${r.effOut ? C.affectedBorder : C.healthyBorder}`, background: r.effOut ? C.affectedBg : C.healthyBg, color: r.effOut ? C.affectedText : C.healthyText }}>
+                      {r.plannedOut ? "OFF · planned" : r.effOut ? "OFF" : r.supply !== r.feeder ? `ON · via ${r.supply}` : "ON"}
+                    </span>
+                    {r.cause && <div style={{ fontSize: 12, color: C.subtext, marginTop: 2 }}>{r.cause}</div>}
+                  </td>
+                  <td style={{ ...tdStyle, color: C.subtext, whiteSpace: "nowrap" }}>{r.offSince ? <OffSince since={r.offSince} now={now} /> : "—"}</td>
+                  <td style={{ ...tdStyle, whiteSpace: "nowrap" }}>{r.effOut ? <EtrInput C={C} row={r} etr={etr} onChange={setOutageEtr} disabled={!canToggle} now={now} /> : "—"}</td>
+                </tr>
+              ))}
+              {pageRows.length === 0 && (
+                <tr><td colSpan={canToggle ? 9 : 8} style={{ padding: 24, textAlign: "center", color: C.subtext }}>No rows match this search.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Pagination */}
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", padding: 8, borderTop: `1px solid ${C.border}`, color: C.subtext }}>
+        <div>
+          Showing <b>{filteredRows.length === 0 ? 0 : (page - 1) * pageSize + 1}</b>–<b>{Math.min(page * pageSize, filteredRows.length)}</b> of <b>{filteredRows.length}</b>
+        </div>
+        <div style={{ display: "flex", gap: 8 }}>
+          {!isMobile && <button onClick={() => setPage(1)} disabled={page === 1} style={pagerBtn(C, page === 1)}>« First</button>}
+          <button onClick={() => setPage(p => Math.max(1, p - 1))} disabled={page === 1} style={pagerBtn(C, page === 1)}>‹ Prev</button>
+          <div style={{ padding: "4px 8px" }}>{isMobile ? `Page ${page}` : `Page ${page} / ${totalPages}`}</div>
+          <button onClick={() => setPage(p => Math.min(totalPages, p + 1))} disabled={page === totalPages} style={pagerBtn(C, page === totalPages)}>Next ›</button>
+          {!isMobile && <button onClick={() => setPage(totalPages)} disabled={page === totalPages} style={pagerBtn(C, page === totalPages)}>Last »</button>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export function AdminFeederView(props) {
+  const { C, isMobile, feeders, selectedFeeder, setSelectedFeeder, feederOut,
+          toggleFeeder, pageRows, toggleStation, canToggle, filteredRows, page, setPage, pageSize, totalPages, etr, setOutageEtr, now, selection, rowKeys } = props;
+  const feederDown = !!feederOut[selectedFeeder] || !!feeders.find(f => f.name === selectedFeeder)?.plannedOut;
+
+  return (
+    <div style={card(C)}>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", borderBottom: `1px solid ${C.border}`, padding: 8, background: C.header }}>
+        <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+          <span style={{ width: 10, height: 10, borderRadius: 999, background: feederColor(selectedFeeder), display: "inline-block" }}></span>
+          <strong>{selectedFeeder}</strong>
+        </div>
+        <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+          <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, color: C.subtext }}>
+            <span>{feederOut[selectedFeeder] ? "OFF" : "ON"}</span>
+            <input type="checkbox" checked={!!feederOut[selectedFeeder]} onChange={() => toggleFeeder(selectedFeeder)} disabled={!canToggle} aria-label={`Feeder ${selectedFeeder} OFF`} />
+          </label>
+          {feederDown && (
+            <EtrInput C={C} row={{ etrKey: feederKey(selectedFeeder), etr: etr[feederKey(selectedFeeder)], name: selectedFeeder }} etr={etr} onChange={setOutageEtr} disabled={!canToggle} now={now} />
+          )}
+          <button onClick={() => setSelectedFeeder("ALL")} style={btnOutline(C)}>Show all feeders</button>
+        </div>
+      </div>
+
+      {isMobile ? (
+        <div style={{ display: 'grid', gap: 8, padding: 8 }}>
+          {pageRows.map(r => (
+            <div key={r.id} style={{ border: `1px solid ${C.border}`, borderRadius: 12, padding: 12, background: C.card, display: 'grid', gap: 8 }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 8 }}>
+                <div style={{ fontWeight: 600 }}>{r.name}</div>
+                <span style={{ padding: "2px 8px", borderRadius: 999, border: `1px solid ${r.effOut ? C.affectedBorder : C.healthyBorder}`, background: r.effOut ? C.affectedBg : C.healthyBg, color: r.effOut ? C.affectedText : C.healthyText }}>
+                  {r.plannedOut ? 'OFF · planned' : r.effOut ? 'OFF' : r.supply !== r.feeder ? `ON · via ${r.supply}` : 'ON'}
+                </span>
+              </div>
+              <div style={{ display: 'flex', justifyContent: 'space-between', color: C.subtext }}>
+                <div><b>{Number(r.consumers).toLocaleString()}</b> consumers</div>
+              </div>
+              {r.offSince && <div style={{ color: C.subtext, fontSize: 12 }}>Off since <OffSince since={r.offSince} now={now} /></div>}
+              {r.cause && <div style={{ color: C.subtext, fontSize: 12 }}>Cause: {r.cause}</div>}
+              {r.effOut && <EtrInput C={C} row={r} etr={etr} onChange={setOutageEtr} disabled={!canToggle} now={now} />}
+              <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap' }}>
+                {canToggle && <SelectBox C={C} row={r} selection={selection} card />}
+                <label style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                  <input type="checkbox" checked={!!r.isOut} onChange={() => toggleStation(r.id)} disabled={!canToggle || !!feederOut[selectedFeeder]} aria-label={`Substation ${r.name} OFF`} style={{ transform: 'scale(1.2)' }} /> Substation OFF
+                </label>
+              </div>
+            </div>
+          ))}
+          {pageRows.length === 0 && <div style={{ padding: 24, textAlign: 'center', color: C.subtext }}>No rows match this filter.</div>}
+        </div>
+      ) : (
+        <div style={{ overflowX: "auto" }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+            <thead>
+              <tr style={{ textAlign: "left", color: C.subtext }}>
+                {canToggle && <SelectAllBox C={C} rows={pageRows} selection={selection} />}
+                <th style={thStyle(C)}>Substation</th>
+                <th style={{ ...thStyle(C), textAlign: "right" }}>Consumers</th>
+                <th style={{ ...thStyle(C), textAlign: "center" }}>Substation OFF</th>
+                <th style={{ ...thStyle(C), textAlign: "center" }}>Status</th>
+                <th style={thStyle(C)}>Off since</th>
+                <th style={thStyle(C)}>ETR</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pageRows.map((r, i) => (
+                <tr key={r.id} {...(canToggle ? rowKeys(r, i) : {})} style={{ borderTop: `1px solid ${C.border}`, background: selection.has(r.id) ? C.header : undefined }}>
+                  {canToggle && <td style={tdStyle}><SelectBox C={C} row={r} selection={selection} /></td>}
+                  <td style={tdStyle}>{r.name}</td>
+                  <td style={{ ...tdStyle, textAlign: "right", fontVariantNumeric: "tabular-nums" }}>{Number(r.consumers).toLocaleString()}</td>
+                  <td style={{ ...tdStyle, textAlign: "center" }}>
+                    <input type="checkbox" checked={!!r.isOut} onChange={() => toggleStation(r.id)} disabled={!canToggle || !!feederOut[selectedFeeder]} aria-label={`Substation ${r.name} OFF`} />
+                  </td>
+                  <td style={{ ...tdStyle, textAlign: "center" }}>
+                    <span style={{ padding: "2px 8px", borderRadius: 999, border: `1px solid ${r.effOut ? C.affectedBorder : C.healthyBorder}`, background: r.effOut ? C.affectedBg : C.healthyBg, color: r.effOut ? C.affectedText : C.healthyText }}>
+                      {r.plannedOut ? "OFF · planned" : r.effOut ? "OFF" : r.supply !== r.feeder ? `ON · via ${r.supply}` : "ON"}
+                    </span>
+                    {r.cause && <div style={{ fontSize: 12, color: C.subtext, marginTop: 2 }}>{r.cause}</div>}
+                  </td>
+                  <td style={{ ...tdStyle, color: C.subtext, whiteSpace: "nowrap" }}>{r.offSince ? <OffSince since={r.offSince} now={now} /> : "—"}</td>
+                  <td style={{ ...tdStyle, whiteSpace: "nowrap" }}>{r.effOut ? <EtrInput C={C} row={r} etr={etr} onChange={setOutageEtr} disabled={!canToggle} now={now} /> : "—"}</td>
+                </tr>
+              ))}
+              {pageRows.length === 0 && (
+                <tr><td colSpan={canToggle ? 7 : 6} style={{ padding: 24, textAlign: "center", color: C.subtext }}>No rows match this filter.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Pagination */}
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", padding: 8, borderTop: `1px solid ${C.border}`, color: C.subtext }}>
+        <div>
+          Showing <b>{filteredRows.length === 0 ? 0 : (page - 1) * pageSize + 1}</b>–<b>{Math.min(page * pageSize, filteredRows.length)}</b> of <b>{filteredRows.length}</b>
+        </div>
+        <div style={{ display: "flex", gap: 8 }}>
+          {!isMobile && <button onClick={() => setPage(1)} disabled={page === 1} style={pagerBtn(C, page === 1)}>« First</button>}
+          <button onClick={() => setPage(p => Math.max(1, p - 1))} disabled={page === 1} style={pagerBtn(C, page === 1)}>‹ Prev</button>
+          <div style={{ padding: "4px 8px" }}>{isMobile ? `Page ${page}` : `Page ${page} / ${totalPages}`}</div>
+          <button onClick={() => setPage(p => Math.min(totalPages, p + 1))} disabled={page === totalPages} style={pagerBtn(C, page === totalPages)}>Next ›</button>
+          {!isMobile && <button onClick={() => setPage(totalPages)} disabled={page === totalPages} style={pagerBtn(C, page === totalPages)}>Last »</button>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Bulk-selection checkbox of one row (shift-click selects the range from the last picked row);
+// `card`: labelled, for the mobile cards
+function SelectBox({ C, row, selection, card }) {
+  const box = (
+    <input
+      type="checkbox"
+      checked={selection.has(row.id)}
+      onChange={(e) => selection.pick(row.id, { range: e.nativeEvent.shiftKey })}
+      aria-label={card ? undefined : `Select ${row.name}`}
+      style={card ? { transform: 'scale(1.2)' } : undefined}
+    />
+  );
+  return card ? <label style={{ display: 'flex', alignItems: 'center', gap: 6, color: C.subtext }}>{box} Select</label> : box;
+}
+
+// Header checkbox: selects or clears every row on the page
+function SelectAllBox({ C, rows, selection }) {
+  const all = rows.length > 0 && rows.every(r => selection.has(r.id));
+  return (
+    <th style={{ ...thStyle(C), width: 32 }}>
+      <input type="checkbox" checked={all} onChange={() => selection.setMany(rows.map(r => r.id), !all)} aria-label="Select all rows on this page" />
+    </th>
+  );
+}
+
+// "14:05 (2h 10m)" — start time plus elapsed duration
+function OffSince({ since, now }) {
+  const t = new Date(since);
+  const sameDay = t.toDateString() === new Date(now).toDateString();
+  const when = sameDay
+    ? t.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" })
+    : t.toLocaleString(undefined, { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+  return <span title={t.toLocaleString()}>{when} ({formatDuration(now - t.getTime())})</span>;
+}
+
+// ETR editor for an OFF row. It edits the estimate of `row.etrKey` (the feeder's outage when
+// the feeder is OFF); an estimate inherited from the feeder or a planned end is shown beside it.
+function EtrInput({ C, row, etr, onChange, disabled, now }) {
+  const own = etr[row.etrKey];
+  const pad = (n) => String(n).padStart(2, "0");
+  const local = (iso) => {
+    const t = new Date(iso);
+    return `${t.getFullYear()}-${pad(t.getMonth() + 1)}-${pad(t.getDate())}T${pad(t.getHours())}:${pad(t.getMinutes())}`;
+  };
+  const late = isOverdue(row.etr, now);
+  return (
+    <span style={{ display: "inline-flex", alignItems: "center", gap: 6, flexWrap: "wrap", fontSize: 12 }}>
+      <input
+        type="datetime-local"
+        value={own ? local(own) : ""}
+        onChange={(e) => onChange(row.etrKey, e.target.value ? new Date(e.target.value).toISOString() : null)}
+        disabled={disabled}
+        aria-label={`Estimated restoration time for ${row.etrKey.startsWith("feeder:") ? `feeder ${row.etrKey.slice(7)}` : row.name}`}
+        style={{ padding: "4px 6px", border: `1px solid ${late ? C.affectedBorder : C.border}`, borderRadius: 6, color: C.text }}
+      />
+      {!own && row.etr && <span style={{ color: C.subtext }}>by {formatClock(row.etr, now)}</span>}
+      {late && <span style={{ color: C.affectedText, fontWeight: 700 }}>Overdue</span>}
+    </span>
+  );
+}
@@ -0,0 +1,227 @@
+// Alerts raised by the threshold rules (see lib/alerts.mjs): the banner over the admin console,
+// and the panel listing alerts with acknowledge/resolve plus the supervisor's rule editor.
+
+import React, { useEffect, useState } from "react";
+import { ALERT_METRICS, ALERT_OPS, SEVERITIES, isActiveAlert, metricValue, describeRule } from "./lib/alerts.mjs";
+import { authFetch } from "./session.js";
+import { card, thStyle, tdStyle, btn, btnOutline } from "./ui.jsx";
+
+const MAX_RESOLVED_ROWS = 50;
+const fmt = (iso) => new Date(iso).toLocaleString(undefined, { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+const severityColor = (C, severity) => (severity === "critical" ? C.affectedText : C.text);
+
+// Alerts and rules from /api/alerts while `enabled`, refreshed every minute (the scheduler evaluates
+// rules too) and whenever refreshKey changes, e.g. after a publish
+// -> { alerts, rules, active: count of active alerts, reload(), act(id, "acknowledge"|"resolve") }
+export function useAlerts(enabled, refreshKey) {
+  const [data, setData] = useState({ alerts: [], rules: [] });
+
+  async function reload() {
+    try {
+      const r = await authFetch("/api/alerts", { cache: "no-store" });
+      if (r.ok) setData(await r.json());
+    } catch (e) {
+      console.warn("alerts fetch failed", e);
+    }
+  }
+  useEffect(() => {
+    if (!enabled) return;
+    reload();
+    const id = setInterval(reload, 60000);
+    return () => clearInterval(id);
+  }, [enabled, refreshKey]);
+
+  async function act(id, action) {
+    try {
+      const r = await authFetch(`/api/alerts?id=${encodeURIComponent(id)}`, {
+        method: "PATCH",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ action }),
+      });
+      if (!r.ok) alert(`Updating alert failed: ${(await r.json().catch(() => ({}))).error || r.status}`);
+    } catch (e) {
+      alert("Network error while updating alert: " + e.message);
+    }
+    await reload();
+  }
+
+  return { ...data, active: data.alerts.filter(isActiveAlert).length, reload, act };
+}
+
+// Firing (not yet acknowledged) alerts, most severe first
+export function AlertBanner({ C, alerts, canAck, onAct, onOpen }) {
+  const firing = alerts.filter(a => a.status === "firing")
+    .sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) || b.firedAt.localeCompare(a.firedAt));
+  if (!firing.length) return null;
+  return (
+    <div role="alert" style={{ ...card(C), marginBottom: 8, padding: 10, background: C.affectedBg, borderColor: C.affectedBorder, display: "grid", gap: 6 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        <b style={{ color: C.affectedText }}>{firing.length === 1 ? "1 alert firing" : `${firing.length} alerts firing`}</b>
+        <button onClick={onOpen} style={{ ...btnOutline(C), marginLeft: "auto" }}>All alerts</button>
+      </div>
+      {firing.slice(0, 3).map(a => (
+        <div key={a.id} style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", fontSize: 14 }}>
+          <span style={{ fontSize: 12, fontWeight: 600, textTransform: "uppercase", color: severityColor(C, a.severity) }}>{a.severity}</span>
+          <span><b>{a.name}</b> — now {a.value}, since {fmt(a.firedAt)}</span>
+          {canAck && <button onClick={() => onAct(a.id, "acknowledge")} style={{ ...btnOutline(C), marginLeft: "auto" }}>Acknowledge</button>}
+        </div>
+      ))}
+      {firing.length > 3 && <div style={{ fontSize: 12, color: C.subtext }}>and {firing.length - 3} more</div>}
+    </div>
+  );
+}
+
+const blankRule = () => ({ id: "", name: "", metric: "affectedPct", feeder: "", op: ">", value: "", severity: "warning", enabled: true });
+
+// alerts/rules: from /api/alerts; inputs: metricInputs(...) of the console's current numbers, for the rule preview
+export default function AlertsPanel({ C, alerts, rules, canAck, canEdit, onAct, onSaved, inputs, openEvents, now, feeders }) {
+  const [form, setForm] = useState(null); // rules being edited
+  const [base, setBase] = useState([]); // the rules when editing started
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null); // { ok, text }
+
+  const active = alerts.filter(isActiveAlert).sort((a, b) => b.firedAt.localeCompare(a.firedAt));
+  const resolved = alerts.filter(a => !isActiveAlert(a)).slice(0, MAX_RESOLVED_ROWS);
+
+  async function save(e) {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const r = await authFetch("/api/alerts", {
+        method: "PUT",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ rules: form.map(r => ({ ...r, feeder: r.feeder || null })), base }),
+      });
+      const body = await r.json().catch(() => ({}));
+      if (!r.ok) return setMessage({ ok: false, text: body.error || `HTTP ${r.status}` });
+      setForm(null);
+      setMessage({ ok: true, text: "Alert rules saved." });
+      onSaved();
+    } catch (err) {
+      setMessage({ ok: false, text: `Network error: ${err.message}` });
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const input = { padding: "4px 8px", border: `1px solid ${C.border}`, borderRadius: 8, boxSizing: "border-box" };
+  const setRule = (i, patch) => setForm(f => f.map((r, j) => (j === i ? { ...r, ...patch } : r)));
+  const preview = (r) => {
+    if (!ALERT_OPS[r.op] || r.value === "" || !Number.isFinite(Number(r.value))) return null;
+    const value = metricValue({ ...r, feeder: r.feeder || null }, inputs, openEvents, now);
+    return value == null ? null : { value, met: ALERT_OPS[r.op](value, Number(r.value)) };
+  };
+
+  const alertRow = (a) => (
+    <tr key={a.id} style={{ borderTop: `1px solid ${C.border}` }}>
+      <td style={{ ...tdStyle, color: severityColor(C, a.severity), fontWeight: 600, textTransform: "capitalize" }}>{a.severity}</td>
+      <td style={tdStyle}><b>{a.name}</b><div style={{ fontSize: 12, color: C.subtext }}>{a.rule}</div></td>
+      <td style={{ ...tdStyle, textAlign: "right", fontVariantNumeric: "tabular-nums" }}>{a.value}</td>
+      <td style={{ ...tdStyle, whiteSpace: "nowrap" }}>{fmt(a.firedAt)}</td>
+      <td style={tdStyle}>
+        {a.status === "firing" && <span style={{ color: C.affectedText }}>Firing</span>}
+        {a.status === "acknowledged" && <span>Acknowledged by {a.ackBy} <span style={{ color: C.subtext }}>{fmt(a.ackAt)}</span></span>}
+        {a.status === "resolved" && (
+          <span style={{ color: C.healthyText }}>
+            {a.resolvedBy === "auto" ? "Cleared" : `Resolved by ${a.resolvedBy}`} <span style={{ color: C.subtext }}>{fmt(a.resolvedAt)}</span>
+          </span>
+        )}
+      </td>
+      <td style={{ ...tdStyle, whiteSpace: "nowrap" }}>
+        {canAck && a.status === "firing" && <button onClick={() => onAct(a.id, "acknowledge")} style={btnOutline(C)}>Acknowledge</button>}{" "}
+        {canAck && isActiveAlert(a) && <button onClick={() => onAct(a.id, "resolve")} style={btnOutline(C)}>Resolve</button>}
+      </td>
+    </tr>
+  );
+
+  return (
+    <div style={{ ...card(C), marginBottom: 8 }}>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8, borderBottom: `1px solid ${C.border}`, padding: 8, background: C.header }}>
+        <div style={{ fontWeight: 600 }}>Alerts</div>
+        <span aria-live="polite" style={{ fontSize: 12, color: message?.ok === false ? C.affectedText : C.subtext }}>{message?.text}</span>
+      </div>
+
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+          <thead>
+            <tr style={{ textAlign: "left", color: C.subtext }}>
+              <th style={thStyle(C)}>Severity</th>
+              <th style={thStyle(C)}>Rule</th>
+              <th style={{ ...thStyle(C), textAlign: "right" }}>Value</th>
+              <th style={thStyle(C)}>Fired</th>
+              <th style={thStyle(C)}>Status</th>
+              <th style={thStyle(C)}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {active.map(alertRow)}
+            {!active.length && (
+              <tr><td colSpan={6} style={{ padding: 16, textAlign: "center", color: C.subtext }}>No active alerts.</td></tr>
+            )}
+            {resolved.length > 0 && (
+              <tr><td colSpan={6} style={{ ...tdStyle, background: C.header, fontSize: 12, color: C.subtext }}>Resolved (last 30 days)</td></tr>
+            )}
+            {resolved.map(alertRow)}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ padding: 10, borderTop: `1px solid ${C.border}`, display: "grid", gap: 8, fontSize: 14 }}>
+        <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+          <div style={{ fontWeight: 600 }}>Rules</div>
+          {canEdit && !form && <button onClick={() => { setBase(rules); setForm(rules.map(r => ({ ...r, feeder: r.feeder ?? "" }))); setMessage(null); }} style={{ ...btnOutline(C), marginLeft: "auto" }}>Edit rules</button>}
+        </div>
+        {!form && (rules.length
+          ? rules.map(r => {
+              const p = preview(r);
+              return (
+                <div key={r.id} style={{ display: "flex", gap: 8, flexWrap: "wrap", color: r.enabled ? C.text : C.subtext }}>
+                  <b>{r.name}</b>
+                  {r.name !== describeRule(r) && <span>{describeRule(r)}</span>}
+                  <span style={{ fontSize: 12, color: severityColor(C, r.severity) }}>{r.severity}{r.enabled ? "" : " · off"}</span>
+                  {p && <span style={{ fontSize: 12, color: p.met ? C.affectedText : C.subtext }}>now {p.value}</span>}
+                </div>
+              );
+            })
+          : <div style={{ color: C.subtext }}>No rules yet.</div>)}
+
+        {form && (
+          <form onSubmit={save} style={{ display: "grid", gap: 8 }}>
+            {form.map((r, i) => {
+              const p = preview(r);
+              return (
+                <div key={r.id || `new-${i}`} style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center", padding: 8, border: `1px solid ${C.border}`, borderRadius: 8 }}>
+                  <label style={{ display: "flex", alignItems: "center", gap: 4 }}>
+                    <input type="checkbox" checked={r.enabled} onChange={(e) => setRule(i, { enabled: e.target.checked })} /> On
+                  </label>
+                  <input aria-label="Rule name" value={r.name} onChange={(e) => setRule(i, { name: e.target.value })} placeholder="Name (optional)" style={{ ...input, width: 160 }} />
+                  <select aria-label="Metric" value={r.metric} onChange={(e) => setRule(i, { metric: e.target.value })} style={input}>
+                    {ALERT_METRICS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+                  </select>
+                  <select aria-label="Feeder" value={r.feeder} onChange={(e) => setRule(i, { feeder: e.target.value })} style={input}>
+                    <option value="">{r.metric === "offMinutes" ? "Any feeder" : "Whole network"}</option>
+                    {feeders.map(f => <option key={f} value={f}>{f}</option>)}
+                  </select>
+                  <select aria-label="Comparison" value={r.op} onChange={(e) => setRule(i, { op: e.target.value })} style={input}>
+                    {Object.keys(ALERT_OPS).map(op => <option key={op} value={op}>{op}</option>)}
+                  </select>
+                  <input aria-label="Threshold" type="number" min="0" step="any" required value={r.value} onChange={(e) => setRule(i, { value: e.target.value })} style={{ ...input, width: 90 }} />
+                  <select aria-label="Severity" value={r.severity} onChange={(e) => setRule(i, { severity: e.target.value })} style={input}>
+                    {SEVERITIES.map(s => <option key={s} value={s}>{s}</option>)}
+                  </select>
+                  {p && <span style={{ fontSize: 12, color: p.met ? C.affectedText : C.subtext }}>now {p.value}{p.met ? " · would fire" : ""}</span>}
+                  <button type="button" onClick={() => setForm(f => f.filter((_, j) => j !== i))} style={{ ...btnOutline(C), marginLeft: "auto" }}>Remove</button>
+                </div>
+              );
+            })}
+            <div style={{ display: "flex", gap: 8 }}>
+              <button type="button" onClick={() => setForm(f => [...f, blankRule()])} style={btnOutline(C)}>Add rule</button>
+              <button type="submit" disabled={busy} style={btn(C)}>Save rules</button>
+              <button type="button" onClick={() => setForm(null)} style={btnOutline(C)}>Cancel</button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
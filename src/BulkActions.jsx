@@ -0,0 +1,151 @@
+// Multi-select in the admin substation tables: selection (click, shift-click ranges, select all
+// results), keyboard navigation between rows, the bulk edits and the bar of bulk actions on the selected rows.
+
+import React, { useRef, useState } from "react";
+import { CAUSES, stationKey } from "./lib/events.mjs";
+import { card, btnOutline } from "./ui.jsx";
+
+// rows: the filtered rows, in table order (ranges span pages)
+// -> { has(id), rows: selected rows among `rows`, pick(id, { range }), setMany(ids, on), clear() }
+export function useSelection(rows) {
+  const [ids, setIds] = useState(() => new Set());
+  const anchor = useRef(null); // last row picked without shift: one end of shift ranges
+
+  // A range selects every row between the anchor and `id`; otherwise `id` flips and becomes the anchor
+  function pick(id, { range = false } = {}) {
+    const order = rows.map(r => r.id);
+    const from = range ? order.indexOf(anchor.current) : -1, to = order.indexOf(id);
+    if (from >= 0 && to >= 0) {
+      const span = order.slice(Math.min(from, to), Math.max(from, to) + 1);
+      setIds(prev => new Set([...prev, ...span]));
+      return;
+    }
+    anchor.current = id;
+    setIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }
+  function setMany(list, on) {
+    setIds(prev => {
+      const next = new Set(prev);
+      for (const id of list) on ? next.add(id) : next.delete(id);
+      return next;
+    });
+  }
+  const clear = () => { anchor.current = null; setIds(new Set()); };
+
+  return { has: (id) => ids.has(id), rows: rows.filter(r => ids.has(r.id)), pick, setMany, clear };
+}
+
+// Arrow keys / j k, Home, End move between rows (Shift extends the selection); Space or x selects,
+// o or Enter toggles the substation OFF, Ctrl+A selects all results, Escape clears.
+// -> rowProps(row, index) for each <tr> of the page; one row at a time is in the tab order
+export function useRowKeys({ rows, selection, onToggle, onSelectAll }) {
+  const [active, setActive] = useState(0);
+  const current = Math.min(active, rows.length - 1);
+
+  return (r, i) => ({
+    tabIndex: i === current ? 0 : -1,
+    onFocus: (e) => { if (e.target === e.currentTarget) setActive(i); },
+    onKeyDown: (e) => {
+      if (e.target !== e.currentTarget || e.altKey) return; // keys typed into the row's own inputs
+      const move = (j) => {
+        if (j < 0 || j >= rows.length) return;
+        e.currentTarget.parentElement.children[j]?.focus();
+        if (e.shiftKey) selection.pick(rows[j].id, { range: true });
+      };
+      const mod = e.ctrlKey || e.metaKey;
+      if (mod && e.key.toLowerCase() === "a") onSelectAll();
+      else if (mod) return;
+      else if (e.key === "ArrowDown" || e.key === "j") move(i + 1);
+      else if (e.key === "ArrowUp" || e.key === "k") move(i - 1);
+      else if (e.key === "Home") move(0);
+      else if (e.key === "End") move(rows.length - 1);
+      else if (e.key === " " || e.key === "x") selection.pick(r.id, { range: e.shiftKey });
+      else if (e.key === "Enter" || e.key === "o") onToggle(r);
+      else if (e.key === "Escape") selection.clear();
+      else return;
+      e.preventDefault();
+    },
+  });
+}
+
+// Edits of many rows at once, each one undo step (edits: useEditHistory() result; set*: the console's
+// state setters). Substations under a feeder that is OFF keep their own flag, as with single toggles;
+// a cause ("" clears it) or ETR (null clears it) goes to the outages the selected OFF rows belong to.
+// -> { mark(rows, isOut), setCause(rows, cause), setEtr(rows, iso) }
+export function bulkEdits({ enabled, feederOut, edits, setStations, setChangedAt, setCauses, setEtr }) {
+  const outageKeys = (rows) => [...new Set(rows.filter(r => r.effOut).map(r => r.etrKey))];
+  return {
+    mark(rows, isOut) {
+      if (!enabled) return;
+      const ids = new Set(rows.filter(r => !feederOut[r.feeder] && !!r.isOut !== isOut).map(r => r.id));
+      if (!ids.size) return;
+      edits.record(`Mark ${ids.size} substation(s) ${isOut ? "OFF" : "ON"}`);
+      const at = new Date().toISOString();
+      setStations(prev => prev.map(s => (ids.has(s.id) ? { ...s, isOut } : s)));
+      setChangedAt(prev => ({ ...prev, ...Object.fromEntries([...ids].map(id => [stationKey(id), at])) }));
+    },
+    setCause(rows, cause) {
+      const keys = outageKeys(rows);
+      if (!enabled || !keys.length) return;
+      edits.record(`Assign cause to ${keys.length} outage(s)`);
+      setCauses(prev => ({ ...prev, ...Object.fromEntries(keys.map(k => [k, cause])) }));
+    },
+    setEtr(rows, iso) {
+      const keys = outageKeys(rows);
+      if (!enabled || !keys.length) return;
+      edits.record(`${iso ? "Set" : "Clear"} ETR of ${keys.length} outage(s)`);
+      setEtr(prev => {
+        const next = { ...prev };
+        for (const k of keys) {
+          if (iso) next[k] = iso;
+          else delete next[k];
+        }
+        return next;
+      });
+    },
+  };
+}
+
+// selected: selected rows (filtered); total: filtered row count
+export default function BulkActions({ C, selected, total, onSelectAll, onClear, onMark, onCause, onEtr }) {
+  const [cause, setCause] = useState("Fault");
+  const [etrAt, setEtrAt] = useState(""); // datetime-local value
+  const n = selected.length;
+  const off = selected.filter(r => r.effOut).length; // causes and ETRs apply to OFF rows
+  const input = { padding: "6px 8px", border: `1px solid ${C.border}`, borderRadius: 8, color: C.text };
+  const act = (enabled) => ({ ...btnOutline(C), opacity: enabled ? 1 : 0.5, cursor: enabled ? "pointer" : "not-allowed" });
+
+  return (
+    <div style={{ ...card(C), marginBottom: 8, padding: 8, display: "grid", gap: 8, fontSize: 14 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <b aria-live="polite">{n ? `${n} of ${total} selected` : "No rows selected"}</b>
+        {n < total && <button onClick={onSelectAll} style={btnOutline(C)}>Select all {total} results</button>}
+        {n > 0 && <button onClick={onClear} style={btnOutline(C)}>Clear selection</button>}
+      </div>
+      <div role="group" aria-label="Bulk actions" style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <button onClick={() => onMark(true)} disabled={!n} style={act(n > 0)}>Mark OFF</button>
+        <button onClick={() => onMark(false)} disabled={!n} style={act(n > 0)}>Mark ON</button>
+        <span style={{ display: "flex", alignItems: "center", gap: 4 }}>
+          <select aria-label="Cause for selected outages" value={cause} onChange={(e) => setCause(e.target.value)} style={input}>
+            {CAUSES.map(c => <option key={c} value={c}>{c || "— (no cause)"}</option>)}
+          </select>
+          <button onClick={() => onCause(cause)} disabled={!off} style={act(off > 0)}>Assign cause</button>
+        </span>
+        <span style={{ display: "flex", alignItems: "center", gap: 4 }}>
+          <input type="datetime-local" aria-label="Estimated restoration time for selected outages" value={etrAt} onChange={(e) => setEtrAt(e.target.value)} style={input} />
+          <button onClick={() => onEtr(new Date(etrAt).toISOString())} disabled={!off || !etrAt} style={act(off > 0 && !!etrAt)}>Set ETR</button>
+          <button onClick={() => onEtr(null)} disabled={!off} style={act(off > 0)}>Clear ETR</button>
+        </span>
+        {n > 0 && off < n && <span style={{ fontSize: 12, color: C.subtext }}>Cause and ETR apply to the {off} OFF row(s).</span>}
+      </div>
+      <div style={{ fontSize: 12, color: C.subtext }}>
+        Shift-click selects a range. In the table: ↑/↓ move, Space selects (Shift+↑/↓ extends), O toggles OFF, Ctrl+A selects all results, Esc clears. Ctrl+Z / Ctrl+Y undo and redo edits until you publish.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+// Shown when Publish live answers 409: someone published a newer status since this tab loaded it.
+// Offers a three-way merge of outage flags and switch positions (see lib/merge.mjs) or reloading the server state.
+
+import React, { useMemo, useState } from "react";
+import { mergeOutageFlags, outageFlags } from "./lib/merge.mjs";
+import { feederKey, stationKey } from "./lib/events.mjs";
+import { switchKey } from "./lib/topology.mjs";
+import { card, thStyle, tdStyle, btn, btnOutline, useDialog } from "./ui.jsx";
+
+// Display name of a merge / draft item ({ kind, key }); names: { [stationId]: display name }
+export function changeLabel(c, names) {
+  if (c.kind === "feeder") return `${c.key} (feeder)`;
+  if (c.kind !== "switch") return names[c.key] ?? c.key;
+  const [station, feeder] = c.key.split(">"); // tie ids have no ">"
+  return feeder ? `${names[station] ?? station} ↔ ${feeder} switch` : `${c.key} tie`;
+}
+
+// base/server: published snapshots; local: this tab's { stations, feeders, switches } flags
+// names: { [stationId]: display name }
+// onMerge({ stations, feeders, switches, keepLocal: [eventKey] }) / onReload() / onCancel()
+export default function ConflictDialog({ C, base, local, server, names, onMerge, onReload, onCancel }) {
+  const dialog = useDialog(onCancel);
+  const merge = useMemo(() => mergeOutageFlags(outageFlags(base), local, outageFlags(server)), [base, local, server]);
+  const [takeTheirs, setTakeTheirs] = useState({}); // { ["kind:key"]: true } conflicts resolved to the server value
+
+  const id = (c) => `${c.kind}:${c.key}`;
+  const eventKey = (c) => (c.kind === "feeder" ? feederKey(c.key) : c.kind === "switch" ? switchKey(c.key) : stationKey(c.key));
+  const label = (c) => changeLabel(c, names);
+  const state = (v, c) => (c.kind === "switch"
+    ? <b>{v ? "closed" : "open"}</b>
+    : <b style={{ color: v ? C.affectedText : C.healthyText }}>{v ? "OFF" : "ON"}</b>);
+
+  function applyMerge() {
+    const merged = { stations: { ...merge.stations }, feeders: { ...merge.feeders }, switches: { ...merge.switches } };
+    const keepLocal = merge.mine.map(eventKey);
+    for (const c of merge.conflicts) {
+      const target = c.kind === "feeder" ? merged.feeders : c.kind === "switch" ? merged.switches : merged.stations;
+      if (takeTheirs[id(c)]) target[c.key] = c.server;
+      else keepLocal.push(eventKey(c));
+    }
+    onMerge({ ...merged, keepLocal });
+  }
+
+  const changeList = (title, items, side) => items.length > 0 && (
+    <div style={{ fontSize: 14 }}>
+      <div style={{ fontWeight: 600, marginBottom: 4 }}>{title} ({items.length})</div>
+      <div style={{ maxHeight: 120, overflowY: "auto", color: C.subtext }}>
+        {items.map(c => <div key={id(c)}>{label(c)} → {state(c[side], c)}</div>)}
+      </div>
+    </div>
+  );
+
+  return (
+    <div ref={dialog} role="dialog" aria-modal="true" aria-labelledby="conflict-title" tabIndex={-1} style={{ position: "fixed", inset: 0, background: "rgba(15,23,42,.45)", display: "grid", placeItems: "center", padding: 12, zIndex: 1000 }}>
+      <div style={{ ...card(C), width: "100%", maxWidth: 640, maxHeight: "90vh", overflowY: "auto" }}>
+        <div id="conflict-title" style={{ borderBottom: `1px solid ${C.border}`, padding: 12, background: C.header, fontWeight: 700 }}>
+          Someone else published first
+        </div>
+        <div style={{ padding: 12, display: "grid", gap: 12 }}>
+          <div style={{ fontSize: 14 }}>
+            {server?.updatedBy || "Another user"} published version {server?.version} at{" "}
+            {server?.updatedAt ? new Date(server.updatedAt).toLocaleTimeString() : "an unknown time"}, after you loaded version {base?.version ?? 0}.
+            Nothing of yours was published.
+          </div>
+          {changeList("Their changes", merge.theirs, "server")}
+          {changeList("Your changes", merge.mine, "local")}
+
+          {merge.conflicts.length > 0 && (
+            <div>
+              <div style={{ fontWeight: 600, marginBottom: 4, color: C.affectedText }}>Both changed ({merge.conflicts.length}) — choose which to keep</div>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+                <thead>
+                  <tr style={{ textAlign: "left", color: C.subtext }}>
+                    <th style={thStyle(C)}>Feeder / substation / switch</th>
+                    <th style={thStyle(C)}>Yours</th>
+                    <th style={thStyle(C)}>Theirs</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {merge.conflicts.map(c => (
+                    <tr key={id(c)} style={{ borderTop: `1px solid ${C.border}` }}>
+                      <td style={tdStyle}>{label(c)}</td>
+                      <td style={tdStyle}>
+                        <label><input type="radio" name={id(c)} checked={!takeTheirs[id(c)]} onChange={() => setTakeTheirs(p => ({ ...p, [id(c)]: false }))} /> {state(c.local, c)}</label>
+                      </td>
+                      <td style={tdStyle}>
+                        <label><input type="radio" name={id(c)} checked={!!takeTheirs[id(c)]} onChange={() => setTakeTheirs(p => ({ ...p, [id(c)]: true }))} /> {state(c.server, c)}</label>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div style={{ fontSize: 12, color: C.subtext }}>
+            Merge keeps your changes on top of theirs; review the result and publish again.
+            Reload discards your unpublished changes.
+          </div>
+          <div style={{ display: "flex", gap: 8, justifyContent: "flex-end", flexWrap: "wrap" }}>
+            <button onClick={onCancel} style={btnOutline(C)}>Cancel</button>
+            <button onClick={onReload} style={btnOutline(C)}>Reload server state</button>
+            <button onClick={applyMerge} style={btn(C)} autoFocus>Merge</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+// Where the outage is concentrated: affected vs healthy consumers per feeder (stacked bars)
+// and a sortable "worst feeders" ranking. Clicking a bar or a row selects that feeder.
+
+import React, { useState } from "react";
+import { BarChart, Bar, Cell, XAxis, YAxis, Tooltip, Legend, CartesianGrid, ResponsiveContainer } from "recharts";
+import { card, thStyle, tdStyle, btnOutline, feederColor, srOnly } from "./ui.jsx";
+
+// label: message key "sort.<key>"
+const SORTS = {
+  affected: { by: (a, b) => b.affected - a.affected || b.pct - a.pct },
+  pct: { by: (a, b) => b.pct - a.pct || b.affected - a.affected },
+  subsOff: { by: (a, b) => b.subsOff - a.subsOff || b.affected - a.affected },
+  name: { by: (a, b) => a.name.localeCompare(b.name) },
+};
+const COLUMNS = ["name", "subsOff", "pct", "affected"];
+const TOP = 10;
+const BAR_ROW = 28; // px per feeder in the chart
+
+const pctOf = (n, d) => (d ? Math.round((n / d) * 1000) / 10 : 0);
+
+// feeders: summarizeStations / snapshotFeeders groups; selected: feeder name or "ALL"; i18n: useI18n() result
+export default function FeederBreakdown({ C, i18n, feeders, selected, onSelect, isMobile }) {
+  const { t } = i18n, rtl = i18n.dir === "rtl";
+  const [sort, setSort] = useState("affected");
+  const [showAll, setShowAll] = useState(false);
+
+  const rows = feeders.map(f => {
+    const total = Number(f.total) || 0, affected = Number(f.affected) || 0;
+    return { name: f.name, total, affected, healthy: Math.max(0, total - affected), pct: pctOf(affected, total), subsOff: Number(f.subsOff) || 0, subsTotal: Number(f.subsTotal) || 0 };
+  });
+  const ranked = [...rows].sort(SORTS[sort].by);
+  const listed = showAll ? ranked : ranked.slice(0, TOP);
+  const chartRows = [...rows].sort(SORTS.affected.by);
+  const pick = (name) => onSelect(selected === name ? "ALL" : name);
+  const dim = (name) => (selected !== "ALL" && selected !== name ? 0.35 : 1);
+
+  return (
+    <div style={{ ...card(C), marginBottom: 8 }}>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8, borderBottom: `1px solid ${C.border}`, padding: 8, background: C.header }}>
+        <div style={{ fontWeight: 600 }}>{t("breakdown.title")}</div>
+        {selected !== "ALL" && <button onClick={() => onSelect("ALL")} style={btnOutline(C)}>{t("breakdown.showAll")}</button>}
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: isMobile ? "1fr" : "3fr 2fr", gap: 8 }}>
+        {/* Hidden from screen readers: the ranking table carries the same numbers and is the keyboard way to pick a feeder */}
+        <div aria-hidden="true" style={{ height: Math.max(200, chartRows.length * BAR_ROW + 60), padding: 8, boxSizing: "border-box" }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={chartRows} layout="vertical" margin={{ top: 8, right: rtl ? 8 : 16, bottom: 8, left: rtl ? 16 : 8 }}>
+              <CartesianGrid stroke={C.border} strokeDasharray="3 3" horizontal={false} />
+              <XAxis type="number" reversed={rtl} stroke={C.subtext} fontSize={12} tickFormatter={(v) => i18n.num(v)} />
+              <YAxis type="category" dataKey="name" orientation={rtl ? "right" : "left"} width={90} stroke={C.subtext} fontSize={12} interval={0} />
+              <Tooltip
+                formatter={(v) => i18n.num(v)}
+                contentStyle={{ backgroundColor: "#ffffff", border: `1px solid ${C.border}`, color: C.text }}
+                cursor={{ fill: C.header }}
+              />
+              <Legend />
+              <Bar dataKey="affected" name={t("chart.affected")} stackId="c" fill={C.affected} onClick={(d) => pick(d.payload.name)} cursor="pointer" isAnimationActive={false}>
+                {chartRows.map(r => <Cell key={r.name} fillOpacity={dim(r.name)} />)}
+              </Bar>
+              <Bar dataKey="healthy" name={t("chart.healthy")} stackId="c" fill={C.healthy} onClick={(d) => pick(d.payload.name)} cursor="pointer" isAnimationActive={false}>
+                {chartRows.map(r => <Cell key={r.name} fillOpacity={dim(r.name)} />)}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+
+        <div style={{ overflowX: "auto", borderInlineStart: isMobile ? 0 : `1px solid ${C.border}` }}>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+            <caption style={{ textAlign: "start", padding: 8, fontWeight: 600 }}>{t("breakdown.worst")}</caption>
+            <thead>
+              <tr style={{ textAlign: "start", color: C.subtext }}>
+                {COLUMNS.map(key => (
+                  <th key={key} aria-sort={sort === key ? (key === "name" ? "ascending" : "descending") : "none"} style={{ ...thStyle(C), textAlign: key === "name" ? "start" : "end" }}>
+                    <button onClick={() => setSort(key)} style={{ border: 0, background: "none", padding: 0, font: "inherit", color: sort === key ? C.text : C.subtext, fontWeight: sort === key ? 700 : 400, cursor: "pointer" }}>
+                      {t(`sort.${key}`)}{sort === key ? (key === "name" ? " ▲" : " ▼") : ""}
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {listed.map(r => (
+                <tr
+                  key={r.name}
+                  onClick={() => pick(r.name)}
+                  style={{ borderTop: `1px solid ${C.border}`, cursor: "pointer", background: selected === r.name ? C.header : undefined }}
+                >
+                  <td style={tdStyle}>
+                    <span style={{ width: 10, height: 10, borderRadius: 999, background: feederColor(r.name), display: "inline-block", marginInlineEnd: 6 }}></span>
+                    <button onClick={(e) => { e.stopPropagation(); pick(r.name); }} aria-pressed={selected === r.name} style={{ border: 0, background: "none", padding: 0, font: "inherit", color: C.text, fontWeight: 600, cursor: "pointer" }}>
+                      {r.name}
+                    </button>
+                  </td>
+                  <td style={{ ...tdStyle, textAlign: "end", fontVariantNumeric: "tabular-nums" }}>{i18n.num(r.subsOff)} / {i18n.num(r.subsTotal)}</td>
+                  <td style={{ ...tdStyle, textAlign: "end", fontVariantNumeric: "tabular-nums", color: r.pct > 0 ? C.affectedText : C.subtext }}>{i18n.num(r.pct)}%</td>
+                  <td style={{ ...tdStyle, textAlign: "end", fontVariantNumeric: "tabular-nums" }}>{i18n.num(r.affected)}<span style={srOnly}>{t("breakdown.ofTotal", { total: r.total })}</span></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {ranked.length > TOP && (
+            <div style={{ padding: 8 }}>
+              <button onClick={() => setShowAll(v => !v)} style={btnOutline(C)}>{showAll ? t("breakdown.top", { n: TOP }) : t("breakdown.all", { n: ranked.length })}</button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
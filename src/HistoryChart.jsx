@@ -0,0 +1,112 @@
+// Outage timeline: affected consumers and substations OFF per publish, from /api/history.
+
+import React, { useEffect, useState } from "react";
+import { ComposedChart, Area, Line, XAxis, YAxis, Tooltip, Legend, CartesianGrid, ResponsiveContainer } from "recharts";
+import { card, thStyle, tdStyle, btnOutline } from "./ui.jsx";
+
+// label: message key "history.<key>"
+const RANGES = [
+  { key: "6h", ms: 6 * 3600e3 },
+  { key: "24h", ms: 24 * 3600e3 },
+  { key: "7d", ms: 7 * 24 * 3600e3 },
+  { key: "30d", ms: 30 * 24 * 3600e3 },
+];
+
+// refreshKey: bump (e.g. last updatedAt) to refetch after a new publish; i18n: useI18n() result
+// (right to left, time runs leftwards and the axes swap sides). The same points can be shown as a
+// table, which is also what screen readers are pointed to.
+export default function HistoryChart({ C, i18n, refreshKey }) {
+  const { t } = i18n, rtl = i18n.dir === "rtl";
+  const [range, setRange] = useState("24h");
+  const [asTable, setAsTable] = useState(false);
+  const [items, setItems] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const ms = RANGES.find(r => r.key === range).ms;
+    // Whole minutes and the version make one URL per publish that every viewer shares (cached by the CDN)
+    const from = new Date(Math.floor((Date.now() - ms) / 60000) * 60000).toISOString();
+    (async () => {
+      try {
+        const r = await fetch(`/api/history?from=${encodeURIComponent(from)}${refreshKey ? `&v=${encodeURIComponent(refreshKey)}` : ""}`);
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+        const data = await r.json();
+        if (!cancelled) { setItems(data.items || []); setError(null); }
+      } catch (e) {
+        console.warn("history fetch failed", e);
+        if (!cancelled) setError(e.message);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [range, refreshKey]);
+
+  const data = items.map(it => ({ t: new Date(it.updatedAt).getTime(), affected: it.affected, subsOff: it.subsOff }));
+  const spansDays = data.length > 1 && data[data.length - 1].t - data[0].t > 24 * 3600e3;
+  const fmtTick = (ms) => i18n.date(ms, spansDays ? { month: "short", day: "numeric" } : { hour: "2-digit", minute: "2-digit" });
+  const peak = data.reduce((m, d) => Math.max(m, d.affected), 0);
+
+  return (
+    <div style={{ ...card(C), marginBottom: 8 }}>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", borderBottom: `1px solid ${C.border}`, padding: 8, background: C.header }}>
+        <div id="history-title" style={{ fontWeight: 600 }}>{t("history.title")}</div>
+        <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+          <button aria-pressed={asTable} onClick={() => setAsTable(v => !v)} style={{ ...btnOutline(C), padding: "4px 8px", fontSize: 12 }}>
+            {t(asTable ? "history.showChart" : "history.showTable")}
+          </button>
+          <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, color: C.subtext }}>
+            {t("history.range")}
+            <select value={range} onChange={(e) => setRange(e.target.value)} style={{ padding: "4px 8px", border: `1px solid ${C.border}`, borderRadius: 8 }}>
+              {RANGES.map(r => <option key={r.key} value={r.key}>{t(`history.${r.key}`)}</option>)}
+            </select>
+          </label>
+        </div>
+      </div>
+      <div style={{ height: 260, padding: asTable ? 0 : 8, boxSizing: "border-box", overflowY: asTable ? "auto" : undefined }}>
+        {data.length === 0 ? (
+          <div style={{ padding: 24, textAlign: "center", color: C.subtext }}>
+            {error ? t("history.error", { error }) : t("history.empty")}
+          </div>
+        ) : asTable ? (
+          <table aria-labelledby="history-title" style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+            <thead>
+              <tr style={{ color: C.subtext, background: C.card, position: "sticky", top: 0 }}>
+                <th scope="col" style={{ ...thStyle(C), textAlign: "start" }}>{t("history.time")}</th>
+                <th scope="col" style={{ ...thStyle(C), textAlign: "end" }}>{t("history.affected")}</th>
+                <th scope="col" style={{ ...thStyle(C), textAlign: "end" }}>{t("history.subsOff")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {data.map(d => (
+                <tr key={d.t} style={{ borderTop: `1px solid ${C.border}` }}>
+                  <th scope="row" style={{ ...tdStyle, textAlign: "start", fontWeight: 400 }}>{i18n.date(d.t)}</th>
+                  <td style={{ ...tdStyle, textAlign: "end", fontVariantNumeric: "tabular-nums" }}>{i18n.num(d.affected)}</td>
+                  <td style={{ ...tdStyle, textAlign: "end", fontVariantNumeric: "tabular-nums" }}>{i18n.num(d.subsOff)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div role="img" aria-label={t("history.summary", { n: data.length, peak })} style={{ height: "100%" }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={data} margin={{ top: 8, right: 8, bottom: 8, left: 8 }}>
+                <CartesianGrid stroke={C.border} strokeDasharray="3 3" />
+                <XAxis dataKey="t" type="number" scale="time" domain={["dataMin", "dataMax"]} reversed={rtl} tickFormatter={fmtTick} stroke={C.subtext} fontSize={12} />
+                <YAxis yAxisId="cons" orientation={rtl ? "right" : "left"} stroke={C.affectedText} fontSize={12} tickFormatter={(v) => i18n.num(v)} />
+                <YAxis yAxisId="subs" orientation={rtl ? "left" : "right"} allowDecimals={false} stroke={C.subtext} fontSize={12} />
+                <Tooltip
+                  labelFormatter={(ms) => i18n.date(ms)}
+                  formatter={(v) => i18n.num(v)}
+                  contentStyle={{ backgroundColor: "#ffffff", border: `1px solid ${C.border}`, color: C.text }}
+                />
+                <Legend />
+                <Area yAxisId="cons" type="stepAfter" dataKey="affected" name={t("history.affected")} stroke={C.affected} fill={C.affectedBg} isAnimationActive={false} />
+                <Line yAxisId="subs" type="stepAfter" dataKey="subsOff" name={t("history.subsOff")} stroke={C.text} dot={false} isAnimationActive={false} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
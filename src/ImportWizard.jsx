@@ -0,0 +1,192 @@
+// CSV import wizard: map columns, review rejected rows / warnings / duplicates,
+// preview the resulting station list, then replace the stations loaded in this tab.
+
+import React, { useMemo, useState } from "react";
+import { IMPORT_FIELDS, csvColumns, guessMapping, validateRows } from "./lib/csvImport.mjs";
+import { KpiChip, card, thStyle, tdStyle, btn, btnOutline, feederColor, useDialog } from "./ui.jsx";
+
+const PREVIEW_ROWS = 20;
+
+// rows: raw CSV rows (first row = header); currentCount: stations loaded now
+// onApply({ stations, feederOut }) / onCancel()
+export default function ImportWizard({ C, fileName, rows, currentCount, onApply, onCancel }) {
+  const dialog = useDialog(onCancel);
+  const columns = useMemo(() => csvColumns(rows), [rows]);
+  const [mapping, setMapping] = useState(() => guessMapping(columns));
+  const [blankConsumers, setBlankConsumers] = useState("zero");
+  const [duplicates, setDuplicates] = useState("keep");
+  const [tab, setTab] = useState("preview");
+
+  const result = useMemo(
+    () => (mapping.name == null ? null : validateRows(rows, mapping, { blankConsumers, duplicates })),
+    [rows, mapping, blankConsumers, duplicates]
+  );
+  const usable = columns.filter(c => c.header || c.filled > 0);
+  const control = { padding: "4px 8px", border: `1px solid ${C.border}`, borderRadius: 8, maxWidth: "100%" };
+
+  function apply() {
+    const skipped = result.rejected.length;
+    if (skipped && !confirm(`${skipped} row(s) will be left out. Replace the station list anyway?`)) return;
+    onApply({ stations: result.stations, feederOut: result.feederOut });
+  }
+
+  const tabs = result ? [
+    ["preview", `Preview (${result.stations.length})`],
+    ["rejected", `Rejected (${result.rejected.length})`],
+    ["warnings", `Warnings (${result.warnings.length})`],
+    ["duplicates", `Duplicates (${result.duplicates.length})`],
+  ] : [];
+
+  return (
+    <div ref={dialog} role="dialog" aria-modal="true" aria-labelledby="import-title" tabIndex={-1} style={{ position: "fixed", inset: 0, background: "rgba(15,23,42,.45)", display: "grid", placeItems: "center", padding: 12, zIndex: 1000 }}>
+      <div style={{ ...card(C), width: "100%", maxWidth: 960, maxHeight: "92vh", display: "flex", flexDirection: "column" }}>
+        <div id="import-title" style={{ borderBottom: `1px solid ${C.border}`, padding: 12, background: C.header, fontWeight: 700 }}>
+          Import {fileName} <span style={{ fontWeight: 400, color: C.subtext }}>· {Math.max(0, rows.length - 1)} data rows</span>
+        </div>
+
+        <div style={{ padding: 12, overflowY: "auto", display: "grid", gap: 12 }}>
+          {/* Column mapping */}
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(280px, 1fr))", gap: 8 }}>
+            {IMPORT_FIELDS.map(f => {
+              const col = columns[mapping[f.key]];
+              return (
+                <label key={f.key} style={{ display: "grid", gap: 2, fontSize: 12, color: C.subtext }}>
+                  <span>{f.label}{f.required && " *"}</span>
+                  <select
+                    value={mapping[f.key] ?? ""}
+                    onChange={(e) => setMapping(m => ({ ...m, [f.key]: e.target.value === "" ? null : Number(e.target.value) }))}
+                    style={control}
+                  >
+                    <option value="">— not in file —</option>
+                    {usable.map(c => <option key={c.index} value={c.index}>{c.label}</option>)}
+                  </select>
+                  <span style={{ minHeight: 16 }}>{col ? (col.samples.length ? `e.g. ${col.samples.join(", ")}` : "column is empty") : ""}</span>
+                </label>
+              );
+            })}
+          </div>
+
+          <div style={{ display: "flex", gap: 16, flexWrap: "wrap", fontSize: 12, color: C.subtext }}>
+            <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+              Blank consumers
+              <select value={blankConsumers} onChange={(e) => setBlankConsumers(e.target.value)} style={control}>
+                <option value="zero">Import as 0 (warn)</option>
+                <option value="reject">Reject the row</option>
+              </select>
+            </label>
+            <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+              Duplicate ids
+              <select value={duplicates} onChange={(e) => setDuplicates(e.target.value)} style={control}>
+                <option value="keep">Keep all (suffix #2, #3…)</option>
+                <option value="skip">Keep the first, reject the rest</option>
+              </select>
+            </label>
+          </div>
+
+          {!result ? (
+            <div style={{ padding: 16, color: C.affectedText }}>Choose the column that holds the substation name.</div>
+          ) : (
+            <>
+              <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
+                <KpiChip label="Ready to import" value={result.stations.length.toLocaleString()} color={C.healthy} />
+                <KpiChip label="Rejected rows" value={result.rejected.length.toLocaleString()} color={result.rejected.length ? C.affected : undefined} />
+                <KpiChip label="Warnings" value={result.warnings.length.toLocaleString()} />
+                <KpiChip label="Duplicate names / ids" value={result.duplicates.length.toLocaleString()} />
+              </div>
+
+              <div role="tablist" style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                {tabs.map(([key, label]) => (
+                  <button key={key} role="tab" aria-selected={tab === key} onClick={() => setTab(key)} style={tab === key ? btn(C) : btnOutline(C)}>{label}</button>
+                ))}
+              </div>
+
+              <div style={{ overflowX: "auto", border: `1px solid ${C.border}`, borderRadius: 8 }}>
+                {tab === "preview" && (
+                  <Table C={C} head={["Feeder", "Alternates", "Substation", "Id", "Consumers", "OFF", "Lat", "Lon", "Asset code"]} empty="No valid rows.">
+                    {result.stations.slice(0, PREVIEW_ROWS).map(s => (
+                      <tr key={s.id} style={{ borderTop: `1px solid ${C.border}` }}>
+                        <td style={tdStyle}>
+                          <span style={{ width: 10, height: 10, borderRadius: 999, background: feederColor(s.feeder), display: "inline-block", marginRight: 6 }}></span>
+                          {s.feeder}
+                        </td>
+                        <td style={{ ...tdStyle, color: C.subtext }}>{s.alternates.join(", ")}</td>
+                        <td style={tdStyle}>{s.name}</td>
+                        <td style={{ ...tdStyle, color: s.id !== s.name ? C.affectedText : C.subtext }}>{s.id}</td>
+                        <td style={{ ...tdStyle, textAlign: "right" }}>{s.consumers.toLocaleString()}</td>
+                        <td style={tdStyle}>{s.isOut ? "OFF" : ""}</td>
+                        <td style={tdStyle}>{s.lat ?? ""}</td>
+                        <td style={tdStyle}>{s.lon ?? ""}</td>
+                        <td style={tdStyle}>{s.assetCode}</td>
+                      </tr>
+                    ))}
+                  </Table>
+                )}
+                {tab === "rejected" && (
+                  <Table C={C} head={["Line", "Reason", "Row"]} empty="Every row is valid.">
+                    {result.rejected.map(r => (
+                      <tr key={r.line} style={{ borderTop: `1px solid ${C.border}` }}>
+                        <td style={tdStyle}>{r.line}</td>
+                        <td style={{ ...tdStyle, color: C.affectedText }}>{r.reason}</td>
+                        <td style={{ ...tdStyle, color: C.subtext, fontFamily: "monospace", fontSize: 12 }}>{r.values.map(v => v ?? "").join(", ").replace(/(, )+$/, "")}</td>
+                      </tr>
+                    ))}
+                  </Table>
+                )}
+                {tab === "warnings" && (
+                  <Table C={C} head={["Line", "Warning"]} empty="No warnings.">
+                    {result.warnings.map((w, i) => (
+                      <tr key={i} style={{ borderTop: `1px solid ${C.border}` }}>
+                        <td style={tdStyle}>{w.line}</td>
+                        <td style={tdStyle}>{w.message}</td>
+                      </tr>
+                    ))}
+                  </Table>
+                )}
+                {tab === "duplicates" && (
+                  <Table C={C} head={["Duplicate", "Value", "Lines"]} empty="No duplicate names or ids.">
+                    {result.duplicates.map(d => (
+                      <tr key={`${d.kind}:${d.value}`} style={{ borderTop: `1px solid ${C.border}` }}>
+                        <td style={tdStyle}>{d.kind === "id" ? "Id" : "Name (different ids)"}</td>
+                        <td style={tdStyle}>{d.value}</td>
+                        <td style={tdStyle}>{d.lines.join(", ")}</td>
+                      </tr>
+                    ))}
+                  </Table>
+                )}
+              </div>
+              {tab === "preview" && result.stations.length > PREVIEW_ROWS && (
+                <div style={{ fontSize: 12, color: C.subtext }}>First {PREVIEW_ROWS} of {result.stations.length.toLocaleString()} substations.</div>
+              )}
+            </>
+          )}
+        </div>
+
+        <div style={{ display: "flex", gap: 8, justifyContent: "flex-end", alignItems: "center", flexWrap: "wrap", padding: 12, borderTop: `1px solid ${C.border}` }}>
+          <span style={{ fontSize: 12, color: C.subtext, marginRight: "auto" }}>
+            Replaces the {currentCount.toLocaleString()} substations loaded now; use Save to registry afterwards to share them.
+          </span>
+          <button onClick={onCancel} style={btnOutline(C)}>Cancel</button>
+          <button onClick={apply} disabled={!result || result.stations.length === 0} style={btn(C)}>
+            Replace with {result ? result.stations.length.toLocaleString() : 0} substations
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function Table({ C, head, empty, children }) {
+  const rows = React.Children.toArray(children);
+  return (
+    <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+      <thead>
+        <tr style={{ textAlign: "left", color: C.subtext }}>
+          {head.map(h => <th key={h} style={thStyle(C)}>{h}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.length ? rows : <tr><td colSpan={head.length} style={{ padding: 24, textAlign: "center", color: C.subtext }}>{empty}</td></tr>}
+      </tbody>
+    </table>
+  );
+}
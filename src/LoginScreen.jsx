@@ -0,0 +1,43 @@
+// Sign-in form for the admin console.
+
+import React, { useState } from "react";
+import { login } from "./session.js";
+import { card, btn } from "./ui.jsx";
+
+export default function LoginScreen({ C }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  async function submit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      await login(username, password);
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  }
+
+  const input = { padding: "10px 12px", border: `1px solid ${C.border}`, borderRadius: 8, background: "#fff", color: C.text, fontSize: 16 };
+  return (
+    <div style={{ minHeight: "100vh", display: "grid", placeItems: "center", background: C.bg, color: C.text, padding: 12 }}>
+      <form onSubmit={submit} style={{ ...card(C), padding: 24, width: "100%", maxWidth: 360, display: "grid", gap: 12 }}>
+        <div style={{ fontSize: 20, fontWeight: 700 }}>Outage dashboard — sign in</div>
+        <label style={{ display: "grid", gap: 4, fontSize: 12, color: C.subtext }}>
+          Username
+          <input value={username} onChange={(e) => setUsername(e.target.value)} autoComplete="username" autoFocus required style={input} />
+        </label>
+        <label style={{ display: "grid", gap: 4, fontSize: 12, color: C.subtext }}>
+          Password
+          <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} autoComplete="current-password" required style={input} />
+        </label>
+        {error && <div role="alert" style={{ color: C.affectedText, fontSize: 14 }}>{error}</div>}
+        <button type="submit" disabled={busy} style={btn(C)}>{busy ? "Signing in…" : "Sign in"}</button>
+      </form>
+    </div>
+  );
+}
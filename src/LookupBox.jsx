@@ -0,0 +1,73 @@
+// Public "Is my supply affected?" search: account number, meter number or asset code
+// -> the substation's current status from /api/lookup (the consumer list stays on the server).
+
+import React, { useState } from "react";
+import { MIN_QUERY, lookupKey } from "./lib/lookup.mjs";
+import { card, btn, srOnly } from "./ui.jsx";
+
+// i18n: useI18n() result
+export default function LookupBox({ C, i18n }) {
+  const { t } = i18n;
+  const [q, setQ] = useState("");
+  const [result, setResult] = useState(null); // { found, matchedBy, status } | { error }
+  const [busy, setBusy] = useState(false);
+
+  async function check(e) {
+    e.preventDefault();
+    if (lookupKey(q).length < MIN_QUERY) return setResult({ error: t("lookup.short", { n: MIN_QUERY }) });
+    setBusy(true);
+    try {
+      const r = await fetch(`/api/lookup?q=${encodeURIComponent(q.trim())}`, { cache: "no-store" });
+      const data = await r.json().catch(() => ({}));
+      if (r.status === 429) setResult({ error: t("lookup.busy", { n: Math.ceil((data.retryAfter || 60) / 60) }) });
+      else setResult(r.ok || r.status === 404 ? data : { error: data.error || t("lookup.failed", { status: r.status }) });
+    } catch {
+      setResult({ error: t("lookup.offline") });
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const time = (iso) => i18n.date(iso, { weekday: "short", hour: "2-digit", minute: "2-digit" });
+  const s = result?.status;
+
+  return (
+    <div style={{ ...card(C), marginBottom: 8 }}>
+      <div style={{ borderBottom: `1px solid ${C.border}`, padding: 8, background: C.header, fontWeight: 600 }}>{t("lookup.title")}</div>
+      <form onSubmit={check} style={{ display: "flex", gap: 8, padding: 10, flexWrap: "wrap" }}>
+        <label htmlFor="lookup-q" style={srOnly}>{t("lookup.label")}</label>
+        <input
+          id="lookup-q"
+          value={q}
+          onChange={(e) => setQ(e.target.value)}
+          placeholder={t("lookup.placeholder")}
+          autoComplete="off"
+          style={{ flex: 1, minWidth: 220, padding: "12px 14px", border: `1px solid ${C.border}`, borderRadius: 8, fontSize: 16, color: C.text }}
+        />
+        <button type="submit" disabled={busy} style={btn(C)}>{busy ? t("lookup.checking") : t("lookup.check")}</button>
+      </form>
+
+      <div aria-live="polite" style={{ padding: result ? "0 10px 12px" : 0, fontSize: 14 }}>
+        {result?.error && <div style={{ color: C.affectedText }}>{result.error}</div>}
+        {result && !result.error && !result.found && (
+          <div style={{ color: C.subtext }}>{t("lookup.notFound")}</div>
+        )}
+        {result?.found && !s && (
+          <div style={{ color: C.subtext }}>{t("lookup.noStatus")}</div>
+        )}
+        {s && (
+          <div style={{ border: `1px solid ${s.affected ? C.affectedBorder : C.healthyBorder}`, background: s.affected ? C.affectedBg : C.healthyBg, borderRadius: 8, padding: 10, display: "grid", gap: 4 }}>
+            <div style={{ fontWeight: 700, fontSize: 16, color: s.affected ? C.affectedText : C.healthyText }}>
+              {t(s.affected ? (s.planned ? "lookup.offPlanned" : "lookup.off") : "lookup.on")}
+            </div>
+            <div>{t("lookup.where", { station: s.station, feeder: s.feeder })}{s.backfed && t("lookup.backfed")}</div>
+            {s.since && <div>{t("lookup.since", { time: time(s.since) })}</div>}
+            {s.reason && <div>{s.reason}</div>}
+            {s.affected && <div>{s.restoreBy ? <b>{t("restore.by", { time: time(s.restoreBy) })}</b> : t("lookup.noEtr")}</div>}
+            {s.updatedAt && <div style={{ fontSize: 12, color: C.subtext }}>{t("lookup.asOf", { time: i18n.time(s.updatedAt) })}</div>}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
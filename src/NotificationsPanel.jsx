@@ -0,0 +1,221 @@
+// Supervisor settings for outage notifications (webhooks, email, SMS, % thresholds), with the
+// pending retries and the delivery log from /api/notifications.
+
+import React, { useEffect, useState } from "react";
+import { NOTIFY_EVENTS } from "./lib/notify.mjs";
+import { authFetch } from "./session.js";
+import { card, thStyle, tdStyle, btn, btnOutline } from "./ui.jsx";
+
+const EVENT_LABELS = {
+  "feeder.off": "Feeder OFF", "feeder.on": "Feeder ON", "station.off": "Substation OFF",
+  "station.on": "Substation ON", "threshold.above": "Above threshold", "threshold.below": "Below threshold",
+};
+
+// Stored settings -> form state (lists as text, "all events" as every box ticked)
+const toForm = (c) => ({
+  webhooks: c.webhooks.map(w => ({ ...w, events: w.events.length ? w.events : NOTIFY_EVENTS })),
+  email: { ...c.email, to: c.email.to.join(", "), events: c.email.events.length ? c.email.events : NOTIFY_EVENTS },
+  sms: { ...c.sms, to: c.sms.to.join(", "), events: c.sms.events.length ? c.sms.events : NOTIFY_EVENTS },
+  thresholds: c.thresholds.join(", "),
+});
+const allOrSome = (events) => (events.length === NOTIFY_EVENTS.length ? [] : events);
+
+export default function NotificationsPanel({ C }) {
+  const [data, setData] = useState(null); // { config, channels, queue, log, cursor }
+  const [form, setForm] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null); // { ok, text }
+
+  async function load() {
+    try {
+      const r = await authFetch("/api/notifications", { cache: "no-store" });
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      const next = await r.json();
+      setData(next);
+      setForm(f => f ?? toForm(next.config));
+    } catch (e) {
+      setMessage({ ok: false, text: `Loading notifications failed: ${e.message}` });
+    }
+  }
+  useEffect(() => { load(); }, []);
+
+  async function loadOlder() {
+    try {
+      const r = await authFetch(`/api/notifications?cursor=${encodeURIComponent(data.cursor)}`, { cache: "no-store" });
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      const page = await r.json();
+      setData(d => ({ ...d, log: [...d.log, ...page.log], cursor: page.cursor }));
+    } catch (e) {
+      setMessage({ ok: false, text: `Loading older deliveries failed: ${e.message}` });
+    }
+  }
+
+  async function call(url, init, done) {
+    setBusy(true);
+    try {
+      const r = await authFetch(url, init);
+      const body = await r.json().catch(() => ({}));
+      if (!r.ok) return setMessage({ ok: false, text: body.error || `HTTP ${r.status}` });
+      setMessage(done(body));
+      await load();
+    } catch (e) {
+      setMessage({ ok: false, text: `Network error: ${e.message}` });
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function save(e) {
+    e.preventDefault();
+    const body = {
+      webhooks: form.webhooks.map(({ hasSecret, ...w }) => ({ ...w, events: allOrSome(w.events) })),
+      email: { ...form.email, events: allOrSome(form.email.events) },
+      sms: { ...form.sms, events: allOrSome(form.sms.events) },
+      thresholds: form.thresholds,
+    };
+    call("/api/notifications", { method: "PUT", headers: { "content-type": "application/json" }, body: JSON.stringify(body) }, (saved) => {
+      setForm(toForm(saved.config));
+      return { ok: true, text: "Notification settings saved." };
+    });
+  }
+
+  const sent = (log) => ({ ok: log.every(e => e.ok), text: log.map(e => `${e.target}: ${e.ok ? "sent" : `failed (${e.error})`}`).join(" · ") });
+  const test = (channel, target) => call(`/api/notifications?action=test&channel=${channel}${target ? `&target=${encodeURIComponent(target)}` : ""}`, { method: "POST" }, ({ log }) => sent(log));
+  const retry = () => call("/api/notifications?action=retry", { method: "POST" }, ({ log }) => (log.length ? sent(log) : { ok: true, text: "Nothing to retry." }));
+
+  if (!form) return <div style={{ ...card(C), marginBottom: 8, padding: 10, color: message ? C.affectedText : C.subtext }}>{message?.text ?? "Loading notifications…"}</div>;
+
+  const input = { padding: "4px 8px", border: `1px solid ${C.border}`, borderRadius: 8, boxSizing: "border-box" };
+  const section = { padding: 10, borderTop: `1px solid ${C.border}`, display: "grid", gap: 8, fontSize: 14 };
+  const setHook = (i, patch) => setForm(f => ({ ...f, webhooks: f.webhooks.map((w, j) => (j === i ? { ...w, ...patch } : w)) }));
+  const setChannel = (channel, patch) => setForm(f => ({ ...f, [channel]: { ...f[channel], ...patch } }));
+  const fmt = (iso) => new Date(iso).toLocaleString(undefined, { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit", second: "2-digit" });
+
+  // Plain render helpers (not components) so inputs keep focus while typing
+  const eventBoxes = (label, value, onChange) => (
+    <div role="group" aria-label={`${label} events`} style={{ display: "flex", gap: 10, flexWrap: "wrap", fontSize: 12, color: C.subtext }}>
+      {NOTIFY_EVENTS.map(ev => (
+        <label key={ev} style={{ display: "flex", alignItems: "center", gap: 4 }}>
+          <input type="checkbox" checked={value.includes(ev)} onChange={(e) => onChange(e.target.checked ? [...value, ev] : value.filter(x => x !== ev))} />
+          {EVENT_LABELS[ev]}
+        </label>
+      ))}
+    </div>
+  );
+
+  const channelSection = (channel, label, placeholder, configured, env) => (
+    <div style={section}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <label style={{ display: "flex", alignItems: "center", gap: 6, fontWeight: 600 }}>
+          <input type="checkbox" checked={form[channel].enabled} onChange={(e) => setChannel(channel, { enabled: e.target.checked })} /> {label}
+        </label>
+        {!configured && <span style={{ fontSize: 12, color: C.affectedText }}>{env} is not set on the server</span>}
+        <button type="button" onClick={() => test(channel)} disabled={busy} style={{ ...btnOutline(C), marginLeft: "auto" }}>Send test</button>
+      </div>
+      <input aria-label={`${label} recipients`} value={form[channel].to} onChange={(e) => setChannel(channel, { to: e.target.value })} placeholder={placeholder} style={{ ...input, width: "100%" }} />
+      {eventBoxes(label, form[channel].events, (events) => setChannel(channel, { events }))}
+    </div>
+  );
+
+  return (
+    <div style={{ ...card(C), marginBottom: 8 }}>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8, borderBottom: `1px solid ${C.border}`, padding: 8, background: C.header }}>
+        <div style={{ fontWeight: 600 }}>Notifications</div>
+        <button onClick={load} disabled={busy} style={btnOutline(C)}>Refresh</button>
+      </div>
+
+      <form onSubmit={save}>
+        <div style={{ ...section, borderTop: 0 }}>
+          <div style={{ fontWeight: 600 }}>Webhooks</div>
+          {form.webhooks.map((w, i) => (
+            <div key={w.id || i} style={{ display: "grid", gap: 6, padding: 8, border: `1px solid ${C.border}`, borderRadius: 8 }}>
+              <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+                <label style={{ display: "flex", alignItems: "center", gap: 4 }}>
+                  <input type="checkbox" checked={w.enabled} onChange={(e) => setHook(i, { enabled: e.target.checked })} /> On
+                </label>
+                <input aria-label="Webhook name" value={w.name} onChange={(e) => setHook(i, { name: e.target.value })} placeholder="Name" style={{ ...input, width: 160 }} />
+                <input aria-label="Webhook URL" required value={w.url} onChange={(e) => setHook(i, { url: e.target.value })} placeholder="https://example.com/hooks/outages" style={{ ...input, flex: 1, minWidth: 220 }} />
+                <input
+                  aria-label="Webhook signing secret"
+                  type="password"
+                  value={w.secret ?? ""}
+                  onChange={(e) => setHook(i, { secret: e.target.value })}
+                  placeholder={w.hasSecret ? "Secret set (type to replace)" : "Signing secret"}
+                  autoComplete="new-password"
+                  style={{ ...input, width: 200 }}
+                />
+                {w.id && <button type="button" onClick={() => test("webhook", w.id)} disabled={busy} style={btnOutline(C)}>Send test</button>}
+                <button type="button" onClick={() => setForm(f => ({ ...f, webhooks: f.webhooks.filter((_, j) => j !== i) }))} style={btnOutline(C)}>Remove</button>
+              </div>
+              {eventBoxes(w.name || "Webhook", w.events, (events) => setHook(i, { events }))}
+            </div>
+          ))}
+          <div>
+            <button type="button" onClick={() => setForm(f => ({ ...f, webhooks: [...f.webhooks, { id: "", name: "", url: "", secret: "", events: NOTIFY_EVENTS, enabled: true }] }))} style={btnOutline(C)}>Add webhook</button>
+          </div>
+        </div>
+
+        {channelSection("email", "Email", "ops@example.com, duty@example.com", data?.channels.email, "SMTP_URL")}
+        {channelSection("sms", "SMS", "+9607771234, +9607775678", data?.channels.sms, "SMS_URL")}
+
+        <div style={section}>
+          <label style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+            <span style={{ fontWeight: 600 }}>Affected % thresholds</span>
+            <input value={form.thresholds} onChange={(e) => setForm(f => ({ ...f, thresholds: e.target.value }))} placeholder="e.g. 10, 25, 50" style={{ ...input, width: 200 }} />
+          </label>
+          <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            <button type="submit" disabled={busy} style={btn(C)}>Save settings</button>
+            <span aria-live="polite" style={{ fontSize: 12, color: message?.ok === false ? C.affectedText : C.subtext }}>{message?.text}</span>
+          </div>
+        </div>
+      </form>
+
+      <div style={{ ...section, gridTemplateColumns: "1fr auto", alignItems: "center" }}>
+        <div>
+          <b>Waiting to send:</b> {data?.queue.length ?? 0}
+          {data?.queue.slice(0, 5).map(q => (
+            <div key={q.id} style={{ fontSize: 12, color: C.subtext }}>{q.channel} → {q.target}: {q.lastError ?? "not sent yet"}, next try {fmt(q.nextAt)}</div>
+          ))}
+        </div>
+        <button onClick={retry} disabled={busy || !data?.queue.length} style={btnOutline(C)}>Send now</button>
+      </div>
+
+      <div style={{ overflowX: "auto", borderTop: `1px solid ${C.border}` }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+          <thead>
+            <tr style={{ textAlign: "left", color: C.subtext }}>
+              <th style={thStyle(C)}>Time</th>
+              <th style={thStyle(C)}>Channel</th>
+              <th style={thStyle(C)}>To</th>
+              <th style={thStyle(C)}>Events</th>
+              <th style={{ ...thStyle(C), textAlign: "right" }}>Attempt</th>
+              <th style={thStyle(C)}>Result</th>
+            </tr>
+          </thead>
+          <tbody>
+            {(data?.log || []).map((e, i) => (
+              <tr key={`${e.id}-${e.attempt}-${i}`} style={{ borderTop: `1px solid ${C.border}` }}>
+                <td style={{ ...tdStyle, whiteSpace: "nowrap" }}>{fmt(e.at)}</td>
+                <td style={tdStyle}>{e.channel}</td>
+                <td style={tdStyle}>{e.target}</td>
+                <td style={{ ...tdStyle, fontSize: 12, color: C.subtext }}>{e.events.map(ev => EVENT_LABELS[ev] ?? ev).join(", ")}</td>
+                <td style={{ ...tdStyle, textAlign: "right" }}>{e.attempt}</td>
+                <td style={{ ...tdStyle, color: e.ok ? C.healthyText : C.affectedText }}>
+                  {e.ok ? `Delivered${e.status ? ` (${e.status})` : ""}` : `${e.error}${e.nextAt ? " · will retry" : e.gaveUp ? " · gave up" : ""}`}
+                </td>
+              </tr>
+            ))}
+            {!data?.log.length && (
+              <tr><td colSpan={6} style={{ padding: 24, textAlign: "center", color: C.subtext }}>No notifications sent in the last 7 days.</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      {data?.cursor && (
+        <div style={{ padding: 8, borderTop: `1px solid ${C.border}` }}>
+          <button onClick={loadOlder} style={btnOutline(C)}>Load older</button>
+        </div>
+      )}
+    </div>
+  );
+}
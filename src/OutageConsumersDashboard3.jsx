@@ -1,12 +1,45 @@
-// File: src/OutageConsumersDashboard.jsx (fixed)
-// Modes:
+// Outage dashboard, the app's single page. Modes:
 //  - Viewer (default): donut + % + OFF/ON counts, no toggles/tables
 //  - Admin (?admin=1): full UI (import/export, toggles, tables)
-// Live sync: viewer polls /api/status; admin can Publish live to /api/update-status
+// Live sync: viewer listens on /api/status-stream (polls /api/status as fallback); admin can Publish live to /api/update-status
 
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import Papa from "papaparse";
 import { PieChart, Pie, Tooltip, ResponsiveContainer, Cell } from "recharts";
+import { summarizeStations, snapshotFeeders, switchedOff } from "./lib/status.mjs";
+import { feederKey, stationKey } from "./lib/events.mjs";
+import { csvColumns, guessMapping, validateRows } from "./lib/csvImport.mjs";
+import { plannedFlags, isActive } from "./lib/planned.mjs";
+import { topologyLinks, isClosed, normalizeSwitches, energize, switchKey } from "./lib/topology.mjs";
+import { resolveEtr, isOverdue } from "./lib/etr.mjs";
+import HistoryChart from "./HistoryChart.jsx";
+import OutageEventsPanel from "./OutageEventsPanel.jsx";
+import ReliabilityPanel from "./ReliabilityPanel.jsx";
+import ActivityPanel from "./ActivityPanel.jsx";
+import PlannedOutagesPanel from "./PlannedOutagesPanel.jsx";
+import SwitchingPanel from "./SwitchingPanel.jsx";
+import FeederBreakdown from "./FeederBreakdown.jsx";
+import LookupBox from "./LookupBox.jsx";
+import StationMap from "./StationMap.jsx";
+import LoginScreen from "./LoginScreen.jsx";
+import AdminPanels, { PanelButtons, usePanels } from "./AdminPanels.jsx";
+import { AlertBanner, useAlerts } from "./AlertsPanel.jsx";
+import ConflictDialog from "./ConflictDialog.jsx";
+import PublishPreview, { AutoPublishToggle, useAutoPublish } from "./PublishPreview.jsx";
+import ImportWizard from "./ImportWizard.jsx";
+import BulkActions, { useSelection, useRowKeys, bulkEdits } from "./BulkActions.jsx";
+import { AdminAllView, AdminFeederView } from "./AdminTables.jsx";
+import ViewerDrillDown, { StatusAnnouncer, ViewerEtrSummary } from "./ViewerViews.jsx";
+import { etag, outageFlags, draftChanges } from "./lib/merge.mjs";
+import { useSession, authFetch, logout } from "./session.js";
+import { sendOrQueue, queuedPublish, useOutbox } from "./outbox.js";
+import { useEditHistory, useUndoKeys } from "./editHistory.js";
+import { useLiveStatus, POLL_MS } from "./liveStatus.js";
+import { useI18n } from "./i18n.js";
+import { useContrast } from "./theme.js";
+import { can } from "./lib/roles.mjs";
+import { metricInputs } from "./lib/alerts.mjs";
+import { PALETTES, LegendItem, KpiChip, LanguageSwitcher, ContrastToggle, srOnly, card, btn, btnOutline, useIsMobile, useNow } from "./ui.jsx";
 
 export default function OutageConsumersDashboard() {
   // ----- MODE / FLAGS -----
@@ -18,6 +51,10 @@ export default function OutageConsumersDashboard() {
     return p.get("admin") === "1" ? false : true;
   })();
   const useFunctions = typeof window !== "undefined" && window.USE_FUNCTIONS === true;
+  // Admin console needs a signed-in user; without functions it is a local-only tool with full rights.
+  const session = useSession();
+  const role = useFunctions ? session?.user.role : "supervisor";
+  const canToggle = can(role, "toggle");
 
   // CSV path (can be set in index.html as window.REMOTE_CSV_URL)
   const DEFAULT_CSV_URL = `${import.meta.env.BASE_URL}data/feeders_substations.csv`;
@@ -25,56 +62,75 @@ export default function OutageConsumersDashboard() {
     (typeof window !== "undefined" && window.REMOTE_CSV_URL) || DEFAULT_CSV_URL;
   const DATA_CSV_URL = REMOTE_CSV_URL;
 
-  // ----- COLORS (Okabe–Ito colorblind-safe) -----
-  const C = {
-    bg: "#f8fafc", card: "#ffffff", border: "#e2e8f0", text: "#0f172a",
-    subtext: "#475569", accent: "#2563eb", accentBorder: "#3b82f6",
-    affected: "#D55E00", healthy: "#0072B2", header: "#f1f5f9",
-    affectedBg: "#FDE5D6", healthyBg: "#DDECF7", affectedBorder: "#F3B493", healthyBorder: "#9CC3E6"
-  };
+  // ----- COLORS (Okabe–Ito colorblind-safe; darker hues and borders with High contrast) -----
+  const contrast = useContrast();
+  const C = contrast ? PALETTES.contrast : PALETTES.light;
+  // Viewers pick English or Dhivehi; the admin console is English only
+  const i18n = useI18n(viewerOnly ? null : "en");
+  const { t } = i18n;
 
   // ----- STATE -----
-  const [stations, setStations] = useState([]); // {id, feeder, name, consumers, isOut}
+  const [stations, setStations] = useState([]); // {id, feeder, alternates, name, consumers, isOut}
   const [feederOut, setFeederOut] = useState({}); // { [feederName]: boolean }
+  const [ties, setTies] = useState([]); // ring-main ties from the registry (see lib/topology.mjs)
+  const [switches, setSwitches] = useState({}); // { [linkId]: closed } switch positions off normal
+  const [etr, setEtr] = useState({}); // { [eventKey]: ISO } restoration estimates (see lib/etr.mjs)
+  const [causes, setCauses] = useState({}); // { [eventKey]: cause } assigned here, sent with the next publish
   const [q, setQ] = useState("");
   const [showAffectedOnly, setShowAffectedOnly] = useState(false);
   const [page, setPage] = useState(1);
   const [pageSize, setPageSize] = useState(50);
   const [selectedFeeder, setSelectedFeeder] = useState("ALL"); // "ALL" or feeder name
+  const [view, setView] = useState("table"); // "table" | "map"
+  const [registryAt, setRegistryAt] = useState(null); // updatedAt of the loaded registry (null = stations came from a CSV)
+  const [changedAt, setChangedAt] = useState({}); // { [eventKey]: ISO time of last unpublished toggle }
+  const [openEvents, setOpenEvents] = useState([]); // open outage events from /api/events
+  const [baseSnap, setBaseSnap] = useState(null); // published snapshot this tab's edits are based on
+  const [registryVersion, setRegistryVersion] = useState(0);
+  const [conflict, setConflict] = useState(null); // newer server snapshot after a 409 on publish
+  const [showPreview, setShowPreview] = useState(false); // diff preview opened by Publish live
+  const [autoPublish, setAutoPublish] = useState(false);
+  const [importFile, setImportFile] = useState(null); // { name, rows } being reviewed in the import wizard
+  const [planned, setPlanned] = useState([]); // upcoming planned outages from /api/planned
+  const now = useNow(60000);
 
   // ----- DATA BUILD (must come BEFORE any usage) -----
-  const { feeders, totals } = useMemo(() => {
-    const groups = new Map();
-    let total = 0, affected = 0;
-
-    for (const s of stations) {
-      const f = (s.feeder || "Unassigned").toString();
-      if (!groups.has(f)) groups.set(f, { name: f, stations: [], total: 0, affected: 0, healthy: 0 });
-      const g = groups.get(f);
-      const cons = Number(s.consumers) || 0;
-      const effOut = !!(feederOut[f]) || !!s.isOut;
-      g.stations.push({ ...s, effOut });
-      g.total += cons;
-      if (effOut) g.affected += cons;
-      total += cons;
-      if (effOut) affected += cons;
-    }
-
-    for (const g of groups.values()) g.healthy = g.total - g.affected;
-
-    const healthy = total - affected;
-    const pct = total > 0 ? Math.round(((affected / total) * 100) * 10) / 10 : 0;
-    return { feeders: Array.from(groups.values()).sort((a,b)=>a.name.localeCompare(b.name)), totals: { total, affected, healthy, pct } };
-  }, [stations, feederOut]);
-
-  // Flat list with effective outage flags
+  // Active planned outages count as OFF here too (the server applies them to what viewers see)
+  const plannedNow = useMemo(() => plannedFlags(planned, new Date(now).toISOString()), [planned, now]);
+  const activePlanned = useMemo(() => planned.filter(p => isActive(p, new Date(now).toISOString())), [planned, now]);
+  const { feeders, totals } = useMemo(() => summarizeStations(stations, feederOut, plannedNow, { ties, switches }), [stations, feederOut, plannedNow, ties, switches]);
+  const dead = useMemo(() => switchedOff(stations, feederOut, plannedNow), [stations, feederOut, plannedNow]);
+  const hasTopology = ties.length > 0 || stations.some(s => s.alternates?.length) || Object.keys(switches).length > 0;
+
+  // Flat list with effective outage flags, "off since" (published event start, else local toggle time)
+  // and the ETR: `etrKey` is the outage an edit applies to (the feeder's when it is OFF),
+  // `cause` the one assigned here or else the open event's
   const flatRows = useMemo(() => {
+    const openSince = {}, openCause = {};
+    for (const e of openEvents) { openSince[e.key] = e.start; openCause[e.key] = e.cause; }
+    const sinceOf = (key) => openSince[key] ?? changedAt[key];
+    const resolved = resolveEtr({ feeders, stations: feeders.flatMap(f => f.stations), planned: activePlanned }, etr);
     const list = [];
     for (const f of feeders) {
-      for (const s of f.stations) list.push({ feeder: f.name, feederEffOut: !!feederOut[f.name], ...s });
+      for (const s of f.stations) {
+        const starts = [];
+        const feederDown = feederOut[f.name] || f.plannedOut;
+        if (s.effOut && feederDown) starts.push(sinceOf(feederKey(f.name)));
+        if (s.isOut || (s.plannedOut && !f.plannedOut) || (s.effOut && !feederDown)) starts.push(sinceOf(stationKey(s.id)));
+        const offSince = s.effOut ? starts.filter(Boolean).sort()[0] ?? null : null;
+        const etrKey = s.isOut || !feederDown ? stationKey(s.id) : feederKey(f.name);
+        const cause = s.effOut ? causes[etrKey] ?? openCause[etrKey] ?? "" : "";
+        list.push({ feeder: f.name, feederEffOut: !!feederOut[f.name], ...s, offSince, etrKey, etr: resolved.stations.get(s.id), cause });
+      }
     }
     return list;
-  }, [feeders, feederOut]);
+  }, [feeders, feederOut, openEvents, changedAt, activePlanned, etr, causes]);
+
+  // OFF substations whose restoration time has passed (admin warning)
+  const overdue = useMemo(() => {
+    const rows = flatRows.filter(r => r.effOut && isOverdue(r.etr, now));
+    return { count: rows.length, consumers: rows.reduce((n, r) => n + (Number(r.consumers) || 0), 0) };
+  }, [flatRows, now]);
 
   // Substation counts (global + per feeder)
   const stationCounts = useMemo(() => {
@@ -110,33 +166,67 @@ export default function OutageConsumersDashboard() {
   const totalPages = Math.max(1, Math.ceil(filteredRows.length / pageSize));
   useEffect(() => { if (page > totalPages) setPage(1); }, [filteredRows.length, pageSize]);
 
-  // Load default CSV on start
-  useEffect(() => { loadDefaultCsv(true); }, []);
+  // Load stations on start: signed-in admins use the shared registry (default CSV while it is empty),
+  // everyone else the default CSV. Admin also needs the open outage events for "off since".
+  useEffect(() => {
+    if (viewerOnly || !useFunctions) loadDefaultCsv(true);
+    else if (session) loadRegistry().then(ok => { if (!ok) loadDefaultCsv(true); });
+  }, [viewerOnly, useFunctions, session?.token]);
+  useEffect(() => {
+    if (!viewerOnly && useFunctions && session) { loadOpenEvents(); loadBaseSnap(); }
+  }, [viewerOnly, useFunctions, session?.token]);
 
   const pageRows = useMemo(() => {
     const start = (page - 1) * pageSize;
     return filteredRows.slice(start, start + pageSize);
   }, [filteredRows, page, pageSize]);
 
-  // ----- VIEWER: poll /api/status and prefer live snapshot (AFTER totals/stationCounts exist) -----
-  const [viewerSnap, setViewerSnap] = useState(null);
+  // Rows picked for bulk actions; only those matching the current filters are acted on
+  const selection = useSelection(filteredRows);
+  const rowKeys = useRowKeys({
+    rows: pageRows,
+    selection,
+    onToggle: (r) => { if (!feederOut[r.feeder]) toggleStation(r.id); },
+    onSelectAll: () => selection.setMany(filteredRows.map(r => r.id), true),
+  });
+
+  // Unpublished edits can be undone step by step (station flags only, so registry edits stay)
+  const edits = useEditHistory(
+    () => ({ out: Object.fromEntries(stations.map(s => [s.id, !!s.isOut])), feederOut, switches, etr, causes, changedAt }),
+    (state) => {
+      setStations(prev => prev.map(s => ({ ...s, isOut: !!state.out[s.id] })));
+      setFeederOut(state.feederOut);
+      setSwitches(state.switches);
+      setEtr(state.etr);
+      setCauses(state.causes);
+      setChangedAt(state.changedAt);
+    },
+  );
+  useUndoKeys(edits, !viewerOnly);
+
+  // ----- VIEWER: live snapshot pushed over SSE (polling fallback); preferred over the CSV -----
+  const { snap: viewerSnap, mode: liveMode, staleSince } = useLiveStatus(viewerOnly && useFunctions);
+  const [publishedAt, setPublishedAt] = useState(null); // admin: last successful publish
 
+  // Planned outages: public list, refreshed with every new snapshot and every 5 minutes
+  async function loadPlanned() {
+    try {
+      const r = await fetch('/api/planned', { cache: 'no-store' });
+      if (r.ok) setPlanned((await r.json()).planned || []);
+    } catch (e) {
+      console.warn('planned outages fetch failed', e);
+    }
+  }
   useEffect(() => {
-    if (!(viewerOnly && useFunctions)) return;
-    const fetchStatus = async () => {
-      try {
-        const r = await fetch('/api/status', { cache: 'no-store' });
-        if (r.ok) setViewerSnap(await r.json());
-      } catch (e) {
-        console.warn('status fetch failed', e);
-      }
-    };
-    fetchStatus();
-    const id = setInterval(fetchStatus, 30000); // 30s poll
-    const onVis = () => { if (!document.hidden) fetchStatus(); };
-    document.addEventListener('visibilitychange', onVis);
-    return () => { clearInterval(id); document.removeEventListener('visibilitychange', onVis); };
-  }, [viewerOnly, useFunctions]);
+    if (!useFunctions) return;
+    loadPlanned();
+    const id = setInterval(loadPlanned, 5 * 60000);
+    return () => clearInterval(id);
+  }, [useFunctions, viewerSnap?.updatedAt, publishedAt]);
+
+  // Alerts: admin only, refreshed after every publish (see AlertsPanel.jsx)
+  const alerts = useAlerts(!viewerOnly && useFunctions && !!session, `${session?.token}|${publishedAt}`);
+  const panels = usePanels();
 
   const hasLive = viewerOnly && useFunctions && viewerSnap &&
     (Number(viewerSnap.total) > 0 || Number(viewerSnap.subsTotal) > 0);
@@ -159,9 +249,12 @@ export default function OutageConsumersDashboard() {
       }
     : { total: stationCounts.total, off: stationCounts.off, on: stationCounts.on, offPct: stationCounts.offPct };
 
+  // Feeder/substation breakdown for the viewer drill-down (live snapshot when available)
+  const uiFeeders = useMemo(() => (hasLive ? snapshotFeeders(viewerSnap) : feeders), [hasLive, viewerSnap, feeders]);
+
   const chartData = [
-    { name: "Affected", value: uiTotals.affected },
-    { name: "Healthy", value: uiTotals.healthy },
+    { key: "affected", name: t("chart.affected"), value: uiTotals.affected },
+    { key: "healthy", name: t("chart.healthy"), value: uiTotals.healthy },
   ];
 
   // Mobile + donut sizing
@@ -188,49 +281,121 @@ export default function OutageConsumersDashboard() {
       const res = await fetch(DATA_CSV_URL, { cache: 'no-store' });
       if (!res.ok) throw new Error('Default CSV not found');
       const text = await res.text();
-      const { data, errors } = Papa.parse(text, { header: true, skipEmptyLines: true, dynamicTyping: true });
+      const { data, errors } = Papa.parse(text, { skipEmptyLines: 'greedy' });
       if (errors?.length) console.warn('Default CSV parse warnings:', errors.slice(0, 3));
-      applyParsedRows(data || []);
+      // Same validation as the import wizard, with the guessed column mapping
+      const result = validateRows(data, guessMapping(csvColumns(data)));
+      if (result.rejected.length) console.warn(`Default CSV: ${result.rejected.length} row(s) rejected`, result.rejected.slice(0, 5).map(r => `line ${r.line}: ${r.reason}`));
+      applyStations(result);
     } catch (e) {
       if (!silent) alert(`Default CSV not found at ${DATA_CSV_URL}`);
       console.warn(e);
     }
   }
 
-  function applyParsedRows(parsed) {
-    const rows = parsed.filter(r => r.name && Number.isFinite(Number(r.consumers)))
-      .map(row => ({
-        id: row.id?.toString().trim() || rid(),
-        feeder: (row.feeder ?? row.bay ?? row.feeder_name ?? "Unassigned").toString().trim(),
-        name: (row.name ?? row.station ?? row.substation ?? "").toString().trim(),
-        consumers: Number(row.consumers ?? row.consumer_count ?? row.count ?? 0),
-        isOut: String(row.isOut ?? row.outage ?? "false").trim().toLowerCase().startsWith("t"),
-      }));
+  // Replace this tab's stations with validated CSV rows (ids: explicit id, else the
+  // substation name, so outage events keep matching across imports)
+  function applyStations({ stations: rows, feederOut: initialFeederOut }) {
     setStations(rows);
-    const initialFeederOut = {};
-    for (const r of rows) initialFeederOut[r.feeder] = String((r.feeder_isOut ?? "false")).toLowerCase().startsWith("t");
     setFeederOut(initialFeederOut);
+    setTies([]);
+    setSwitches({});
+    setEtr({});
+    setCauses({});
+    edits.reset();
     setSelectedFeeder("ALL");
     setPage(1);
+    setRegistryAt(null);
+  }
+
+  // Load the shared registry. Outage flags come from the live status on first load,
+  // or are kept from the current tab when reloading after a registry edit.
+  async function loadRegistry(keepLocal = false) {
+    try {
+      const r = await authFetch('/api/stations', { cache: 'no-store' });
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      const reg = await r.json();
+      setRegistryVersion(reg.version ?? 0);
+      if (!reg.stations?.length) return false;
+
+      let outById, nextFeederOut, nextSwitches;
+      if (keepLocal) {
+        outById = new Map(stations.map(s => [s.id, s.isOut]));
+        nextFeederOut = feederOut;
+        nextSwitches = switches;
+      } else {
+        const live = await loadBaseSnap();
+        // A publish still queued on this device (made offline) is newer than the live status
+        const queued = await queuedPublish().catch(() => null);
+        const state = queued ? JSON.parse(queued.body) : null;
+        outById = new Map((state?.stations || live?.stations || []).map(s => [s.id, s.isOut]));
+        nextFeederOut = {};
+        if (state) Object.assign(nextFeederOut, state.feederOut);
+        else for (const f of live?.feeders || []) nextFeederOut[f.name] = !!f.isOut;
+        nextSwitches = (state ?? live)?.switches || {};
+        setEtr((state ?? live)?.etr || {});
+        if (state) setChangedAt(state.changedAt || {});
+        if (state) setCauses(Object.fromEntries(Object.entries(state.notes || {}).map(([k, v]) => [k, v.cause])));
+        edits.reset();
+      }
+      const nextStations = reg.stations.map(s => ({ ...s, isOut: !!outById.get(s.id) }));
+      setStations(nextStations);
+      setFeederOut(nextFeederOut);
+      setTies(reg.ties || []);
+      setSwitches(normalizeSwitches(nextSwitches, topologyLinks(nextStations, reg.ties || [])));
+      setRegistryAt(reg.updatedAt);
+      if (!keepLocal) { setSelectedFeeder("ALL"); setPage(1); }
+      return true;
+    } catch (e) {
+      console.warn('registry fetch failed', e);
+      return false;
+    }
+  }
+
+  // Replace the registry with the stations loaded in this tab (e.g. after a CSV import)
+  async function saveToRegistry() {
+    if (!confirm(`Replace the shared registry with these ${stations.length} substations?`)) return;
+    try {
+      const { response: res, queued } = await sendOrQueue({
+        kind: 'registry',
+        label: `Save registry (${stations.length} substations)`,
+        url: '/api/stations',
+        method: 'PUT',
+        headers: { 'content-type': 'application/json', 'if-match': etag(registryVersion) },
+        body: JSON.stringify({ stations: stations.map(({ id, feeder, alternates, name, consumers, lat, lon, assetCode }) => ({ id, feeder, alternates, name, consumers, lat, lon, assetCode })) }),
+      });
+      if (queued) return alert('No connection: the registry save is queued and will be sent when the connection returns.');
+      const data = await res.json().catch(() => ({}));
+      if (res.status === 409) {
+        setRegistryVersion(data.registry?.version ?? registryVersion);
+        if (confirm(`Someone else changed the registry (version ${data.registry?.version}) since you loaded it.\n\nOK = load their registry (your stations here are discarded)\nCancel = keep yours; Save again to overwrite theirs`)) loadRegistry();
+        return;
+      }
+      if (!res.ok) return alert('Saving registry failed: ' + (data.error || res.status));
+      setRegistryVersion(data.version);
+      setRegistryAt(data.updatedAt);
+      alert('Registry saved.');
+    } catch (e) {
+      alert('Network error while saving registry: ' + e.message);
+    }
   }
 
   function importCsv(e) {
     const file = e.target.files?.[0];
     if (!file) return;
     Papa.parse(file, {
-      header: true,
-      skipEmptyLines: true,
-      dynamicTyping: true,
+      skipEmptyLines: "greedy",
       complete: ({ data, errors }) => {
         if (errors?.length) console.warn("CSV parse warnings:", errors.slice(0, 3));
-        applyParsedRows(data || []);
+        if (!data?.length) return alert("The file has no rows.");
+        setImportFile({ name: file.name, rows: data }); // opens the import wizard
       }
     });
     e.target.value = "";
   }
 
   function exportCsv() {
-    const rows = stations.map(({ id, feeder, name, consumers, isOut }) => ({ id, feeder, name, consumers, isOut }));
+    const rows = stations.map(({ id, feeder, alternates, name, consumers, isOut, lat, lon, assetCode }) => ({ id, feeder, alternates: (alternates || []).join("; "), name, consumers, isOut, Lat: lat ?? "", Lon: lon ?? "", assetCode: assetCode ?? "" }));
     const csv = Papa.unparse(rows);
     const blob = new Blob([csv], { type: "text/csv" });
     const url = URL.createObjectURL(blob);
@@ -239,62 +404,264 @@ export default function OutageConsumersDashboard() {
   }
 
   function toggleFeeder(name) {
-    if (viewerOnly) return; // viewer cannot toggle
+    if (viewerOnly || !canToggle) return; // viewer / read-only role cannot toggle
+    edits.record(`${feederOut[name] ? "Switch ON" : "Switch OFF"} feeder ${name}`);
     setFeederOut(prev => ({ ...prev, [name]: !prev[name] }));
+    setChangedAt(prev => ({ ...prev, [feederKey(name)]: new Date().toISOString() }));
   }
 
   function toggleStation(id) {
-    if (viewerOnly) return; // viewer cannot toggle
+    if (viewerOnly || !canToggle) return; // viewer / read-only role cannot toggle
+    const s = stations.find(x => x.id === id);
+    edits.record(`${s?.isOut ? "Switch ON" : "Switch OFF"} ${s?.name ?? id}`);
     setStations(prev => prev.map(s => (s.id === id ? { ...s, isOut: !s.isOut } : s)));
+    setChangedAt(prev => ({ ...prev, [stationKey(id)]: new Date().toISOString() }));
   }
 
-  function primeAuth() {
-    // Navigate to protected function so the browser shows the Basic-Auth dialog once.
-    window.location.href = '/api/update-status?login=1';
+  // Apply new off-normal switch positions. Substations that gain or lose supply are stamped
+  // like toggles so their outage events (and backfed periods) carry the switching time.
+  function operateSwitches(next) {
+    if (viewerOnly || !canToggle) return;
+    const at = new Date().toISOString();
+    const before = energize(stations, dead, { ties, switches });
+    const after = energize(stations, dead, { ties, switches: next });
+    const stamps = {};
+    for (const s of stations) if (before.get(s.id) !== after.get(s.id)) stamps[stationKey(s.id)] = at;
+    for (const l of topologyLinks(stations, ties)) if (isClosed(l, switches) !== isClosed(l, next)) stamps[switchKey(l.id)] = at;
+    edits.record("Switching");
+    setSwitches(next);
+    setChangedAt(prev => ({ ...prev, ...stamps }));
+  }
+
+  // Set (ISO) or clear (null) the restoration estimate of one outage
+  function setOutageEtr(key, iso) {
+    if (viewerOnly || !canToggle) return;
+    edits.record("Edit ETR", `etr:${key}`);
+    setEtr(prev => {
+      const next = { ...prev };
+      if (iso) next[key] = iso;
+      else delete next[key];
+      return next;
+    });
   }
 
-  async function publishLive() {
+  // Bulk edits of the selected rows (see BulkActions.jsx)
+  const bulk = bulkEdits({ enabled: !viewerOnly && canToggle, feederOut, edits, setStations, setChangedAt, setCauses, setEtr });
+
+  async function loadOpenEvents() {
+    try {
+      const r = await authFetch('/api/events?open=1', { cache: 'no-store' });
+      if (r.ok) setOpenEvents((await r.json()).events || []);
+    } catch (e) {
+      console.warn('events fetch failed', e);
+    }
+  }
+
+  // Latest published snapshot; publishes are only accepted against its version (If-Match).
+  async function loadBaseSnap() {
+    const live = await fetch('/api/status', { cache: 'no-store' }).then(res => (res.ok ? res.json() : null)).catch(() => null);
+    if (live) setBaseSnap(live);
+    return live;
+  }
+
+  // quiet: auto-publish, which only reports failures
+  const publishing = useRef(false);
+  async function publishLive({ quiet = false } = {}) {
     if (!useFunctions) return alert('Server functions are disabled.');
+    if (publishing.current) return;
+    // Server recomputes totals from this list; we only send the raw state.
     const payload = {
-      affected: totals.affected,
-      total: totals.total,
-      healthy: totals.healthy,
-      pct: totals.pct,
-      subsOff: stationCounts.off,
-      subsOn:  stationCounts.on,
-      subsTotal: stationCounts.total,
-      offPct:  stationCounts.offPct
+      stations: stations.map(({ id, feeder, alternates, name, consumers, isOut, lat, lon }) => ({ id, feeder, alternates, name, consumers, isOut, lat, lon })),
+      feederOut,
+      ties,
+      switches,
+      etr,
+      changedAt, // lets the server stamp outage events with the toggle time
+      notes: Object.fromEntries(Object.entries(causes).map(([k, cause]) => [k, { cause }])),
     };
+    publishing.current = true;
     try {
-      const res = await fetch('/api/update-status', {
+      const { response: res, queued } = await sendOrQueue({
+        kind: 'publish',
+        label: 'Publish',
+        url: '/api/update-status',
         method: 'POST',
-        headers: { 'content-type': 'application/json' },
+        headers: { 'content-type': 'application/json', 'if-match': etag(baseSnap?.version) },
         body: JSON.stringify(payload),
       });
+      if (queued) {
+        if (!quiet) alert('No connection: the publish is queued and will be sent when the connection returns.');
+        return;
+      }
+      if (res.status === 409) {
+        setConflict((await res.json()).current);
+        return;
+      }
       if (!res.ok) {
         const msg = await res.text();
-        alert('Publish failed: ' + msg + '\nTip: click "Sign in to publish" first and enter username/password.');
+        alert('Publish failed: ' + msg);
         return;
       }
-      alert('Published live.');
+      const snap = await res.json();
+      setBaseSnap(snap);
+      setPublishedAt(snap.updatedAt);
+      setChangedAt({});
+      setEtr(snap.etr || {}); // estimates of outages that ended are dropped
+      setCauses({});
+      edits.reset();
+      loadOpenEvents();
+      if (!quiet) alert('Published live.');
     } catch (e) {
       alert('Network error while publishing: ' + e.message);
+    } finally {
+      publishing.current = false;
+    }
+  }
+
+  // Writes queued while offline, replayed in order when the connection returns (see outbox.js)
+  const outbox = useOutbox(!viewerOnly && useFunctions && !!session, async (entry, res) => {
+    const data = await res.json().catch(() => ({}));
+    if (entry.kind === 'publish') {
+      if (res.status === 409) return setConflict(data.current);
+      if (!res.ok) return alert(`Queued publish failed: ${data.error || res.status}`);
+      // Toggles made after this publish was queued keep their times for the next one
+      const { changedAt: sent = {}, notes: sentNotes = {} } = JSON.parse(entry.body);
+      setBaseSnap(data);
+      setPublishedAt(data.updatedAt);
+      setChangedAt(prev => Object.fromEntries(Object.entries(prev).filter(([k, at]) => sent[k] !== at)));
+      setCauses(prev => Object.fromEntries(Object.entries(prev).filter(([k, cause]) => sentNotes[k]?.cause !== cause)));
+      loadOpenEvents();
+    } else if (entry.kind === 'registry' && res.ok) {
+      setRegistryVersion(data.version);
+      setRegistryAt(data.updatedAt);
+    } else if (res.status === 409) {
+      alert(`${entry.label}: someone else changed the data while you were offline. Reload and try again.`);
+    } else if (!res.ok) {
+      alert(`${entry.label} failed: ${data.error || res.status}`);
     }
+  });
+
+  // Conflict resolution: apply merged flags (then publish again) or adopt the server state.
+  // Merging keeps the ETRs edited in this tab on top of the server's.
+  function applyServerFlags({ stations: byId, feeders: byFeeder, switches: byLink }, server, keepLocal = [], keepEtr = false) {
+    setStations(prev => prev.map(s => ({ ...s, isOut: !!byId[s.id] })));
+    setFeederOut(byFeeder);
+    setSwitches(normalizeSwitches(byLink, topologyLinks(stations, ties)));
+    setEtr(prev => {
+      const base = baseSnap?.etr || {}, next = { ...(server.etr || {}) };
+      if (!keepEtr) return next;
+      for (const k of new Set([...Object.keys(base), ...Object.keys(prev)])) {
+        if (prev[k] === base[k]) continue;
+        if (prev[k]) next[k] = prev[k];
+        else delete next[k];
+      }
+      return next;
+    });
+    setChangedAt(prev => Object.fromEntries(keepLocal.filter(k => prev[k]).map(k => [k, prev[k]])));
+    edits.reset();
+    setBaseSnap(server);
+    setConflict(null);
   }
+  const localFlags = () => ({
+    stations: Object.fromEntries(stations.map(s => [s.id, !!s.isOut])),
+    feeders: Object.fromEntries(feeders.map(f => [f.name, !!feederOut[f.name]])),
+    switches: Object.fromEntries(topologyLinks(stations, ties).map(l => [l.id, isClosed(l, switches)])),
+  });
+
+  // Draft: what this tab would change in the published snapshot it is based on
+  const draft = useMemo(() => {
+    if (viewerOnly || !useFunctions) return null;
+    const published = baseSnap?.etr || {};
+    const etrChanges = [...new Set([...Object.keys(published), ...Object.keys(etr)])]
+      .filter(k => (published[k] ?? null) !== (etr[k] ?? null))
+      .map(k => ({ key: k, base: published[k] ?? null, local: etr[k] ?? null }));
+    return {
+      flags: draftChanges(outageFlags(baseSnap), localFlags()),
+      etr: etrChanges,
+      causes: Object.entries(causes).map(([k, cause]) => ({ key: k, cause })),
+    };
+  }, [viewerOnly, useFunctions, baseSnap, stations, feederOut, feeders, switches, ties, etr, causes]);
+  const draftCount = draft ? draft.flags.length + draft.etr.length + draft.causes.length : 0;
+
+  useAutoPublish(autoPublish && draftCount > 0 && !conflict, () => publishLive({ quiet: true }), [stations, feederOut, switches, etr, causes]);
 
   // ----- UI -----
+  if (!viewerOnly && useFunctions && !session) return <LoginScreen C={C} />;
+
   return (
-    <div style={{ minHeight: "100vh", padding: 12, background: C.bg, color: C.text }}>
+    <div style={{ minHeight: "100vh", padding: 12, background: C.bg, color: C.text, fontFamily: i18n.font }}>
+      {conflict && (
+        <ConflictDialog
+          C={C}
+          base={baseSnap}
+          local={localFlags()}
+          server={conflict}
+          names={Object.fromEntries(stations.map(s => [s.id, s.name]))}
+          onMerge={(merged) => applyServerFlags(merged, conflict, merged.keepLocal, true)}
+          onReload={() => applyServerFlags(outageFlags(conflict), conflict)}
+          onCancel={() => setConflict(null)}
+        />
+      )}
+      {showPreview && draft && (
+        <PublishPreview
+          C={C}
+          base={baseSnap}
+          draft={draft}
+          after={{ affected: totals.affected, subsOff: stationCounts.off }}
+          names={Object.fromEntries(stations.map(s => [s.id, s.name]))}
+          onPublish={() => { setShowPreview(false); publishLive(); }}
+          onCancel={() => setShowPreview(false)}
+        />
+      )}
+      {importFile && (
+        <ImportWizard
+          C={C}
+          fileName={importFile.name}
+          rows={importFile.rows}
+          currentCount={stations.length}
+          onApply={(result) => { applyStations(result); setImportFile(null); }}
+          onCancel={() => setImportFile(null)}
+        />
+      )}
       <div style={{ maxWidth: 1280, margin: "0 auto" }}>
         {/* Top bar (ADMIN ONLY) */}
         {!viewerOnly && (
           <div style={{ display: "flex", gap: 8, alignItems: isMobile ? "stretch" : "center", flexDirection: isMobile ? "column" : "row", flexWrap: "wrap", marginBottom: 8, position: "sticky", top: 0, background: C.bg, zIndex: 10, paddingTop: 6 }}>
             <input id="csvFile" type="file" accept=".csv,text/csv" onChange={importCsv} style={{ display: "none" }} />
-            <label htmlFor="csvFile" style={btn(C)}>Import CSV</label>
+            {can(role, "editRegistry") && <label htmlFor="csvFile" style={btn(C)}>Import CSV</label>}
             <button onClick={exportCsv} style={btnOutline(C)}>Export</button>
             <button onClick={() => loadDefaultCsv(false)} style={btnOutline(C)}>Load default CSV</button>
-            {useFunctions && <button onClick={primeAuth} style={btnOutline(C)}>Sign in to publish</button>}
-            {useFunctions && <button onClick={publishLive} style={btnOutline(C)}>Publish live</button>}
+            <button onClick={() => setView(view === "map" ? "table" : "map")} style={btnOutline(C)}>{view === "map" ? "Table view" : "Map view"}</button>
+            {useFunctions && <button onClick={() => loadRegistry()} style={btnOutline(C)} title={registryAt ? `Registry saved ${new Date(registryAt).toLocaleString()}` : "Stations currently come from a CSV"}>Load registry</button>}
+            {useFunctions && can(role, "editRegistry") && <button onClick={saveToRegistry} style={btnOutline(C)}>Save to registry</button>}
+            {useFunctions && <PanelButtons C={C} role={role} panels={panels} alerts={alerts} />}
+            {useFunctions && can(role, "publish") && <button onClick={() => setShowPreview(true)} style={btnOutline(C)}>Publish live</button>}
+            {useFunctions && can(role, "publish") && <AutoPublishToggle C={C} checked={autoPublish} onChange={setAutoPublish} />}
+            {draftCount > 0 && (
+              <span role="status" title="Viewers don't see these changes until you publish" style={{ padding: "4px 10px", borderRadius: 999, border: `1px solid ${C.accentBorder}`, background: C.header, color: C.accent, fontSize: 12, fontWeight: 600 }}>
+                Draft · {draftCount} unpublished change{draftCount === 1 ? "" : "s"}{autoPublish ? " · publishing shortly" : ""}
+              </span>
+            )}
+            {canToggle && (
+              <>
+                <button onClick={edits.undo} disabled={!edits.undoLabel} title={edits.undoLabel ? `Undo: ${edits.undoLabel} (Ctrl+Z)` : "Nothing to undo"} style={{ ...btnOutline(C), opacity: edits.undoLabel ? 1 : 0.5 }}>Undo</button>
+                <button onClick={edits.redo} disabled={!edits.redoLabel} title={edits.redoLabel ? `Redo: ${edits.redoLabel} (Ctrl+Y)` : "Nothing to redo"} style={{ ...btnOutline(C), opacity: edits.redoLabel ? 1 : 0.5 }}>Redo</button>
+              </>
+            )}
+            {useFunctions && (outbox.pending.length > 0 || !outbox.online) && (
+              <span role="status" title={outbox.pending.map(e => `${e.label} (queued ${new Date(e.queuedAt).toLocaleTimeString()})`).join("\n")} style={{ display: "flex", alignItems: "center", gap: 6, padding: "4px 10px", borderRadius: 999, border: `1px solid ${C.affectedBorder}`, background: C.affectedBg, color: C.affectedText, fontSize: 12 }}>
+                {outbox.online ? "" : "Offline · "}
+                {outbox.pending.length > 0 ? `${outbox.pending.length} change${outbox.pending.length === 1 ? "" : "s"} pending sync` : "changes will be queued"}
+                {outbox.online && outbox.pending.length > 0 && <button onClick={outbox.sync} style={{ ...btnOutline(C), padding: "2px 8px" }}>Sync now</button>}
+              </span>
+            )}
+            <ContrastToggle C={C} i18n={i18n} contrast={contrast} />
+            {useFunctions && (
+              <span style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, color: C.subtext }}>
+                {session.user.sub} ({role})
+                <button onClick={logout} style={btnOutline(C)}>Sign out</button>
+              </span>
+            )}
 
             {/* Feeder dropdown */}
             <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, color: C.subtext }}>
@@ -338,69 +705,109 @@ export default function OutageConsumersDashboard() {
           </div>
         )}
 
+        {/* Firing threshold alerts (ADMIN ONLY) */}
+        {!viewerOnly && useFunctions && (
+          <AlertBanner C={C} alerts={alerts.alerts} canAck={can(role, "ackAlert")} onAct={alerts.act} onOpen={() => panels.show("alerts")} />
+        )}
+
+        {/* Language, contrast and status announcements (VIEWER ONLY) */}
+        {viewerOnly && (
+          <div style={{ display: "flex", justifyContent: "flex-end", flexWrap: "wrap", gap: 8, marginBottom: 8 }}>
+            <ContrastToggle C={C} i18n={i18n} contrast={contrast} />
+            <LanguageSwitcher C={C} i18n={i18n} />
+            <StatusAnnouncer i18n={i18n} ready={!!hasLive} totals={uiTotals} subsOff={uiCounts.off} stale={!!staleSince} />
+          </div>
+        )}
+
         {/* Stats + Chart */}
         <div style={{ display: "grid", gridTemplateColumns: (isMobile || viewerOnly) ? "1fr" : "2fr 1fr", gap: 8, marginBottom: 8 }}>
           <div style={card(C)}>
             <div ref={chartBoxRef} style={{ position: "relative", height: isMobile ? 300 : 340, padding: 8, boxSizing: 'border-box' }}>
-              <ResponsiveContainer width="100%" height="100%">
-                <PieChart margin={{ top: 8, right: 8, bottom: 8, left: 8 }}>
-                  <Pie
-                    data={chartData}
-                    dataKey="value"
-                    nameKey="name"
-                    cx="50%"
-                    cy="50%"
-                    innerRadius={innerR}
-                    outerRadius={outerR}
-                    label={false}
-                    isAnimationActive={false}
-                  >
-                    {chartData.map((entry, i) => (
-                      <Cell key={`${entry.name}-${i}`} fill={entry.name === "Affected" ? C.affected : C.healthy} stroke="#ffffff" />
-                    ))}
-                  </Pie>
-                  <Tooltip
-                    formatter={(v) => Number(v).toLocaleString()}
-                    contentStyle={{ backgroundColor: "#ffffff", border: `1px solid ${C.border}`, color: C.text }}
-                    itemStyle={{ color: C.text }}
-                    labelStyle={{ color: C.subtext }}
-                  />
-                </PieChart>
-              </ResponsiveContainer>
+              {/* Screen readers get the table; the donut and its centre label repeat it visually */}
+              <table style={srOnly}>
+                <caption>{t("donut.caption")}</caption>
+                <thead><tr><th scope="col">{t("donut.status")}</th><th scope="col">{t("donut.consumers")}</th><th scope="col">%</th></tr></thead>
+                <tbody>
+                  {chartData.map(d => (
+                    <tr key={d.key}><th scope="row">{d.name}</th><td>{i18n.num(d.value)}</td><td>{i18n.num(uiTotals.total ? Math.round((d.value / uiTotals.total) * 1000) / 10 : 0)}%</td></tr>
+                  ))}
+                </tbody>
+              </table>
+              <div aria-hidden="true" style={{ height: "100%" }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <PieChart margin={{ top: 8, right: 8, bottom: 8, left: 8 }}>
+                    <Pie
+                      data={chartData}
+                      dataKey="value"
+                      nameKey="name"
+                      cx="50%"
+                      cy="50%"
+                      innerRadius={innerR}
+                      outerRadius={outerR}
+                      label={false}
+                      isAnimationActive={false}
+                    >
+                      {chartData.map((entry, i) => (
+                        <Cell key={`${entry.key}-${i}`} fill={entry.key === "affected" ? C.affected : C.healthy} stroke="#ffffff" />
+                      ))}
+                    </Pie>
+                    <Tooltip
+                      formatter={(v) => i18n.num(v)}
+                      contentStyle={{ backgroundColor: "#ffffff", border: `1px solid ${C.border}`, color: C.text }}
+                      itemStyle={{ color: C.text }}
+                      labelStyle={{ color: C.subtext }}
+                    />
+                  </PieChart>
+                </ResponsiveContainer>
+              </div>
 
               {/* Empty state when no totals yet */}
               {uiTotals.total === 0 && (
                 <div style={{ padding: 12, textAlign: 'center', color: C.subtext }}>
-                  No data yet. {viewerOnly ? (
-                    <span>Ask the admin to open <b>?admin=1</b> and update.</span>
+                  {t("empty.title")} {viewerOnly ? (
+                    <span>{t("empty.viewer")}</span>
                   ) : (
                     <span>Load a CSV to begin.</span>
                   )}
                   <div style={{ marginTop: 8 }}>
-                    <button onClick={() => loadDefaultCsv(false)} style={btnOutline(C)}>Retry loading CSV</button>
+                    <button onClick={() => loadDefaultCsv(false)} style={btnOutline(C)}>{t("empty.retry")}</button>
                   </div>
                 </div>
               )}
 
               {/* Center label with affected PERCENT */}
-              <div style={{ position: "absolute", inset: 0, display: "grid", placeItems: "center", pointerEvents: "none" }}>
+              <div aria-hidden="true" style={{ position: "absolute", inset: 0, display: "grid", placeItems: "center", pointerEvents: "none" }}>
                 <div style={{ textAlign: "center" }}>
-                  <div style={{ fontSize: pctFont, fontWeight: 800, lineHeight: 1, color: C.affected }}>{uiTotals.pct}%</div>
-                  <div style={{ fontSize: 14, color: C.subtext }}>{uiTotals.affected.toLocaleString()} affected of {uiTotals.total.toLocaleString()}</div>
+                  <div style={{ fontSize: pctFont, fontWeight: 800, lineHeight: 1, color: C.affectedText }}>{i18n.num(uiTotals.pct)}%</div>
+                  <div style={{ fontSize: 14, color: C.subtext }}>{t("donut.center", { affected: uiTotals.affected, total: uiTotals.total })}</div>
                 </div>
               </div>
             </div>
 
             {/* Legend / KPI row under the chart */}
             {!viewerOnly ? (
-              <div style={{ display: "flex", justifyContent: "center", gap: 16, flexWrap: "wrap", padding: "8px 0 12px" }} aria-label="Chart legend">
+              <div role="list" aria-label="Chart legend" style={{ display: "flex", justifyContent: "center", gap: 16, flexWrap: "wrap", padding: "8px 0 12px" }}>
                 <LegendItem color={C.affected} label="Affected" value={uiTotals.affected} total={uiTotals.total} />
                 <LegendItem color={C.healthy} label="Healthy" value={uiTotals.healthy} total={uiTotals.total} />
               </div>
             ) : (
               <div style={{ display: "flex", justifyContent: "center", gap: 12, flexWrap: "wrap", padding: "8px 0 12px" }}>
-                <KpiChip label="Substations OFF" value={uiCounts.off.toLocaleString()} color={C.affected} />
-                <KpiChip label="Substations ON"  value={uiCounts.on.toLocaleString()}  color={C.healthy} />
+                <KpiChip label={t("kpi.subsOff")} value={i18n.num(uiCounts.off)} color={C.affected} />
+                <KpiChip label={t("kpi.subsOn")} value={i18n.num(uiCounts.on)} color={C.healthy} />
+                {useFunctions && staleSince && (
+                  <div style={{ width: "100%", textAlign: "center", fontSize: 12, color: C.affectedText }}>
+                    <span style={{ width: 8, height: 8, borderRadius: 999, background: C.affected, display: "inline-block", marginInlineEnd: 6 }}></span>
+                    {t("live.stale", { time: i18n.date(staleSince, { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" }) })}
+                    {viewerSnap?.updatedAt && t("live.published", { time: i18n.time(viewerSnap.updatedAt) })}
+                  </div>
+                )}
+                {useFunctions && !staleSince && (
+                  <div style={{ width: "100%", textAlign: "center", fontSize: 12, color: C.subtext }}>
+                    <span style={{ width: 8, height: 8, borderRadius: 999, background: liveMode === "live" ? C.healthy : C.border, display: "inline-block", marginInlineEnd: 6 }}></span>
+                    {liveMode === "live" ? t("live.live") : liveMode === "polling" ? t("live.polling", { s: POLL_MS / 1000 }) : t("live.connecting")}
+                    {viewerSnap?.updatedAt && t("live.updated", { time: i18n.time(viewerSnap.updatedAt) })}
+                  </div>
+                )}
               </div>
             )}
           </div>
@@ -410,7 +817,7 @@ export default function OutageConsumersDashboard() {
             <div style={card(C)}>
               <div style={{ padding: 16 }}>
                 <div style={{ fontSize: 12, color: C.subtext }}>Affected consumers</div>
-                <div style={{ fontSize: 28, fontWeight: 700, color: C.affected }}>{uiTotals.affected.toLocaleString()}</div>
+                <div style={{ fontSize: 28, fontWeight: 700, color: C.affectedText }}>{uiTotals.affected.toLocaleString()}</div>
 
                 <div style={{ marginTop: 12, fontSize: 12, color: C.subtext }}>Total consumers</div>
                 <div style={{ fontSize: 24, fontWeight: 700 }}>{uiTotals.total.toLocaleString()}</div>
@@ -422,22 +829,123 @@ export default function OutageConsumersDashboard() {
 
                 {/* Substation counts */}
                 <div style={{ marginTop: 12, fontSize: 12, color: C.subtext }}>Substations OFF</div>
-                <div style={{ fontSize: 20, fontWeight: 700, color: C.affected }}>
+                <div style={{ fontSize: 20, fontWeight: 700, color: C.affectedText }}>
                   {((feederStationCounts?.off ?? stationCounts.off)).toLocaleString()} <span style={{ fontSize: 12, color: C.subtext }}>
                     of {(feederStationCounts?.total ?? stationCounts.total).toLocaleString()} ({(feederStationCounts?.offPct ?? stationCounts.offPct)}%)
                   </span>
                 </div>
                 <div style={{ marginTop: 8, fontSize: 12, color: C.subtext }}>Substations ON</div>
-                <div style={{ fontSize: 20, fontWeight: 700, color: C.healthy }}>
+                <div style={{ fontSize: 20, fontWeight: 700, color: C.healthyText }}>
                   {((feederStationCounts ? feederStationCounts.on : stationCounts.on)).toLocaleString()}
                 </div>
+
+                {overdue.count > 0 && (
+                  <div role="status" style={{ marginTop: 12, padding: 8, borderRadius: 8, border: `1px solid ${C.affectedBorder}`, background: C.affectedBg, color: C.affectedText, fontSize: 14 }}>
+                    <b>ETR overdue</b> at {overdue.count} substation(s), {overdue.consumers.toLocaleString()} consumers. Update the estimates and publish.
+                  </div>
+                )}
               </div>
             </div>
           )}
         </div>
 
-        {/* ADMIN TABLES ONLY */}
-        {!viewerOnly && (
+        {/* Affected vs healthy per feeder + worst-feeder ranking (viewers: when the snapshot has feeder data) */}
+        {uiFeeders.length > 0 && (
+          <FeederBreakdown
+            C={C}
+            i18n={i18n}
+            feeders={uiFeeders}
+            selected={selectedFeeder}
+            onSelect={(name) => { setSelectedFeeder(name); setPage(1); if (viewerOnly && name !== "ALL") setView("table"); }}
+            isMobile={isMobile}
+          />
+        )}
+
+        {/* Transfers / backfeed (ADMIN ONLY, networks with alternate feeders or ties) */}
+        {!viewerOnly && hasTopology && (
+          <SwitchingPanel C={C} stations={stations} dead={dead} ties={ties} switches={switches} canOperate={canToggle} onOperate={operateSwitches} />
+        )}
+
+        {/* Public account / meter / asset code search (VIEWER ONLY) */}
+        {viewerOnly && useFunctions && <LookupBox C={C} i18n={i18n} />}
+
+        {/* Consumers per restoration estimate (VIEWER ONLY, live status) */}
+        {hasLive && uiCounts.off > 0 && <ViewerEtrSummary C={C} i18n={i18n} stations={viewerSnap.stations || []} now={now} />}
+
+        {/* Advance notice of scheduled work */}
+        {useFunctions && (
+          <PlannedOutagesPanel
+            C={C}
+            i18n={i18n}
+            items={planned}
+            now={now}
+            canPlan={!viewerOnly && can(role, "plan")}
+            feeders={feeders.map(f => f.name)}
+            stations={[...stations].sort((a, b) => a.name.localeCompare(b.name))}
+            onChanged={async () => {
+              await loadPlanned();
+              if (Object.keys(changedAt).length === 0) loadBaseSnap(); // may have started a new status version
+            }}
+          />
+        )}
+
+        {/* Outage timeline from published history */}
+        {useFunctions && (
+          <HistoryChart C={C} i18n={i18n} refreshKey={viewerOnly ? viewerSnap?.updatedAt : publishedAt} />
+        )}
+
+        {/* Registry, alerts, notifications and reports opened from the top bar (ADMIN ONLY) */}
+        {!viewerOnly && useFunctions && (
+          <AdminPanels
+            C={C}
+            role={role}
+            panels={panels}
+            alerts={alerts}
+            stations={stations}
+            ties={ties}
+            onRegistryChanged={() => loadRegistry(true)}
+            inputs={metricInputs({ totals, counts: stationCounts, feeders })}
+            openEvents={openEvents}
+            now={now}
+            feeders={feeders.map(f => f.name)}
+          />
+        )}
+
+        {/* Outage events: cause/notes and restore times (ADMIN ONLY) */}
+        {!viewerOnly && useFunctions && (
+          <OutageEventsPanel C={C} now={now} refreshKey={publishedAt} canAnnotate={can(role, "annotate")} />
+        )}
+        {!viewerOnly && useFunctions && (
+          <ReliabilityPanel C={C} refreshKey={publishedAt} />
+        )}
+        {!viewerOnly && useFunctions && (
+          <ActivityPanel C={C} refreshKey={`${publishedAt}|${registryAt}`} />
+        )}
+
+        {/* VIEWER drill-down: which feeders / substations are off */}
+        {viewerOnly && uiFeeders.length > 0 && (
+          <ViewerDrillDown C={C} i18n={i18n} feeders={uiFeeders} view={view} setView={setView} now={now} selected={selectedFeeder} onSelect={setSelectedFeeder} />
+        )}
+
+        {/* ADMIN TABLES / MAP ONLY */}
+        {!viewerOnly && view === "map" && (
+          <div style={card(C)}>
+            <StationMap C={C} i18n={i18n} stations={filteredRows} onToggle={canToggle ? (s) => toggleStation(s.id) : undefined} height={isMobile ? 360 : 560} />
+          </div>
+        )}
+        {!viewerOnly && view === "table" && canToggle && (
+          <BulkActions
+            C={C}
+            selected={selection.rows}
+            total={filteredRows.length}
+            onSelectAll={() => selection.setMany(filteredRows.map(r => r.id), true)}
+            onClear={selection.clear}
+            onMark={(isOut) => bulk.mark(selection.rows, isOut)}
+            onCause={(cause) => bulk.setCause(selection.rows, cause)}
+            onEtr={(iso) => bulk.setEtr(selection.rows, iso)}
+          />
+        )}
+        {!viewerOnly && view === "table" && (
           selectedFeeder === "ALL" ? (
             <AdminAllView
               C={C}
@@ -457,8 +965,14 @@ export default function OutageConsumersDashboard() {
               feederOut={feederOut}
               toggleFeeder={toggleFeeder}
               toggleStation={toggleStation}
+              canToggle={canToggle}
               selectedFeeder={selectedFeeder}
               setSelectedFeeder={setSelectedFeeder}
+              etr={etr}
+              setOutageEtr={setOutageEtr}
+              now={now}
+              selection={selection}
+              rowKeys={rowKeys}
             />
           ) : (
             <AdminFeederView
@@ -471,273 +985,26 @@ export default function OutageConsumersDashboard() {
               toggleFeeder={toggleFeeder}
               pageRows={pageRows}
               toggleStation={toggleStation}
+              canToggle={canToggle}
               filteredRows={filteredRows}
               page={page}
               setPage={setPage}
               pageSize={pageSize}
               totalPages={totalPages}
+              etr={etr}
+              setOutageEtr={setOutageEtr}
+              now={now}
+              selection={selection}
+              rowKeys={rowKeys}
             />
           )
         )}
 
-        {/* Small note */}
-        <div style={{ fontSize: 12, color: C.subtext, marginTop: 8 }}>
-          CSV columns: <code>feeder</code> (or <code>bay</code>), <code>name</code>, <code>consumers</code>, optional <code>isOut</code>.
-        </div>
-      </div>
-    </div>
-  );
-}
-
-/* ---------- Admin-only views (split out for readability) ---------- */
-
-function AdminAllView(props) {
-  const { C, isMobile, feeders, q, setQ, showAffectedOnly, setShowAffectedOnly,
-          pageRows, filteredRows, page, setPage, pageSize, setPageSize, totalPages,
-          feederOut, toggleFeeder, toggleStation, selectedFeeder, setSelectedFeeder } = props;
-
-  const StationCard = (r) => (
-    <div key={r.id} style={{ border: `1px solid ${C.border}`, borderRadius: 12, padding: 12, background: C.card, display: 'grid', gap: 8 }}>
-      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 8 }}>
-        <div style={{ fontWeight: 600 }}>{r.name}</div>
-        <span style={{ padding: "2px 8px", borderRadius: 999, border: `1px solid ${r.effOut ? C.affectedBorder : C.healthyBorder}`, background: r.effOut ? C.affectedBg : C.healthyBg, color: r.effOut ? C.affected : C.healthy }}>
-          {r.effOut ? 'OFF' : 'ON'}
-        </span>
-      </div>
-      <div style={{ display: 'flex', justifyContent: 'space-between', color: C.subtext }}>
-        <div>Feeder: <span style={{ fontWeight: 600 }}><span style={{ width: 10, height: 10, borderRadius: 999, background: feederColor(r.feeder), display: 'inline-block', marginRight: 6 }}></span>{r.feeder}</span></div>
-        <div><b>{Number(r.consumers).toLocaleString()}</b> consumers</div>
-      </div>
-      <div style={{ display: 'flex', gap: 12 }}>
-        <label style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
-          <input type="checkbox" checked={!!feederOut[r.feeder]} onChange={() => toggleFeeder(r.feeder)} style={{ transform: 'scale(1.2)' }} /> Feeder OFF
-        </label>
-        <label style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
-          <input type="checkbox" checked={!!r.isOut} onChange={() => toggleStation(r.id)} disabled={!!feederOut[r.feeder]} style={{ transform: 'scale(1.2)' }} /> Substation OFF
-        </label>
-      </div>
-    </div>
-  );
-
-  return (
-    <div style={card(C)}>
-      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", borderBottom: `1px solid ${C.border}`, padding: 8, background: C.header }}>
-        <div style={{ fontWeight: 600 }}>Substations (search across all feeders)</div>
-        <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
-          <div style={{ fontSize: 12, color: C.subtext }}>{filteredRows.length} result(s)</div>
-          <button onClick={() => { setQ(""); setShowAffectedOnly(false); setPage(1); }} style={btnOutline(C)}>Clear search</button>
-        </div>
-      </div>
-      {isMobile ? (
-        <div style={{ display: 'grid', gap: 8, padding: 8 }}>
-          {pageRows.map(r => <StationCard key={r.id} {...r} />)}
-          {pageRows.length === 0 && <div style={{ padding: 24, textAlign: 'center', color: C.subtext }}>No rows match this search.</div>}
-        </div>
-      ) : (
-        <div style={{ overflowX: "auto" }}>
-          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
-            <thead>
-              <tr style={{ textAlign: "left", color: C.subtext }}>
-                <th style={thStyle(C)}>Feeder</th>
-                <th style={thStyle(C)}>Substation</th>
-                <th style={{ ...thStyle(C), textAlign: "right" }}>Consumers</th>
-                <th style={{ ...thStyle(C), textAlign: "center" }}>Feeder</th>
-                <th style={{ ...thStyle(C), textAlign: "center" }}>Toggle (ON/OFF)</th>
-                <th style={{ ...thStyle(C), textAlign: "center" }}>Status</th>
-              </tr>
-            </thead>
-            <tbody>
-              {pageRows.map(r => (
-                <tr key={r.id} style={{ borderTop: `1px solid ${C.border}` }}>
-                  <td style={tdStyle}>
-                    <span style={{ width: 10, height: 10, borderRadius: 999, background: feederColor(r.feeder), display: "inline-block", marginRight: 6 }}></span>
-                    {r.feeder}
-                  </td>
-                  <td style={tdStyle}>{r.name}</td>
-                  <td style={{ ...tdStyle, textAlign: "right", fontVariantNumeric: "tabular-nums" }}>{Number(r.consumers).toLocaleString()}</td>
-                  <td style={{ ...tdStyle, textAlign: "center" }}>
-                    <input type="checkbox" checked={!!feederOut[r.feeder]} onChange={() => toggleFeeder(r.feeder)} />
-                  </td>
-                  <td style={{ ...tdStyle, textAlign: "center" }}>
-                    <input type="checkbox" checked={!!r.isOut} onChange={() => toggleStation(r.id)} disabled={!!feederOut[r.feeder]} />
-                  </td>
-                  <td style={{ ...tdStyle, textAlign: "center" }}>
-                    <span style={{ padding: "2px 8px", borderRadius: 999, border: `1px solid ${r.effOut ? C.affectedBorder : C.healthyBorder}`, background: r.effOut ? C.affectedBg : C.healthyBg, color: r.effOut ? C.affected : C.healthy }}>
-                      {r.effOut ? "OFF" : "ON"}
-                    </span>
-                  </td>
-                </tr>
-              ))}
-              {pageRows.length === 0 && (
-                <tr><td colSpan={6} style={{ padding: 24, textAlign: "center", color: C.subtext }}>No rows match this search.</td></tr>
-              )}
-            </tbody>
-          </table>
-        </div>
-      )}
-
-      {/* Pagination */}
-      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", padding: 8, borderTop: `1px solid ${C.border}`, color: C.subtext }}>
-        <div>
-          Showing <b>{filteredRows.length === 0 ? 0 : (page - 1) * pageSize + 1}</b>–<b>{Math.min(page * pageSize, filteredRows.length)}</b> of <b>{filteredRows.length}</b>
-        </div>
-        <div style={{ display: "flex", gap: 8 }}>
-          {!isMobile && <button onClick={() => setPage(1)} disabled={page === 1} style={pagerBtn(C, page === 1)}>« First</button>}
-          <button onClick={() => setPage(p => Math.max(1, p - 1))} disabled={page === 1} style={pagerBtn(C, page === 1)}>‹ Prev</button>
-          <div style={{ padding: "4px 8px" }}>{isMobile ? `Page ${page}` : `Page ${page} / ${totalPages}`}</div>
-          <button onClick={() => setPage(p => Math.min(totalPages, p + 1))} disabled={page === totalPages} style={pagerBtn(C, page === totalPages)}>Next ›</button>
-          {!isMobile && <button onClick={() => setPage(totalPages)} disabled={page === totalPages} style={pagerBtn(C, page === totalPages)}>Last »</button>}
-        </div>
+        {/* Small note (ADMIN ONLY) */}
+        {!viewerOnly && <div style={{ fontSize: 12, color: C.subtext, marginTop: 8 }}>
+          CSV columns: <code>feeder</code> (or <code>bay</code>), <code>name</code>, <code>consumers</code>, optional <code>isOut</code>, <code>Lat</code>, <code>Lon</code>, <code>assetCode</code>, <code>alternates</code> (backfeed feeders, <code>;</code> separated). Import CSV lets you map other column names and review rejected rows before applying.
+        </div>}
       </div>
     </div>
   );
 }
-
-function AdminFeederView(props) {
-  const { C, isMobile, selectedFeeder, setSelectedFeeder, feederOut,
-          toggleFeeder, pageRows, toggleStation, filteredRows, page, setPage, pageSize, totalPages } = props;
-
-  return (
-    <div style={card(C)}>
-      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", borderBottom: `1px solid ${C.border}`, padding: 8, background: C.header }}>
-        <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
-          <span style={{ width: 10, height: 10, borderRadius: 999, background: feederColor(selectedFeeder), display: "inline-block" }}></span>
-          <strong>{selectedFeeder}</strong>
-        </div>
-        <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
-          <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, color: C.subtext }}>
-            <span>{feederOut[selectedFeeder] ? "OFF" : "ON"}</span>
-            <input type="checkbox" checked={!!feederOut[selectedFeeder]} onChange={() => toggleFeeder(selectedFeeder)} />
-          </label>
-          <button onClick={() => setSelectedFeeder("ALL")} style={btnOutline(C)}>Show all feeders</button>
-        </div>
-      </div>
-
-      {isMobile ? (
-        <div style={{ display: 'grid', gap: 8, padding: 8 }}>
-          {pageRows.map(r => (
-            <div key={r.id} style={{ border: `1px solid ${C.border}`, borderRadius: 12, padding: 12, background: C.card, display: 'grid', gap: 8 }}>
-              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 8 }}>
-                <div style={{ fontWeight: 600 }}>{r.name}</div>
-                <span style={{ padding: "2px 8px", borderRadius: 999, border: `1px solid ${r.effOut ? C.affectedBorder : C.healthyBorder}`, background: r.effOut ? C.affectedBg : C.healthyBg, color: r.effOut ? C.affected : C.healthy }}>
-                  {r.effOut ? 'OFF' : 'ON'}
-                </span>
-              </div>
-              <div style={{ display: 'flex', justifyContent: 'space-between', color: C.subtext }}>
-                <div><b>{Number(r.consumers).toLocaleString()}</b> consumers</div>
-              </div>
-              <div style={{ display: 'flex', gap: 12 }}>
-                <label style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
-                  <input type="checkbox" checked={!!r.isOut} onChange={() => toggleStation(r.id)} disabled={!!feederOut[selectedFeeder]} style={{ transform: 'scale(1.2)' }} /> Substation OFF
-                </label>
-              </div>
-            </div>
-          ))}
-          {pageRows.length === 0 && <div style={{ padding: 24, textAlign: 'center', color: C.subtext }}>No rows match this filter.</div>}
-        </div>
-      ) : (
-        <div style={{ overflowX: "auto" }}>
-          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
-            <thead>
-              <tr style={{ textAlign: "left", color: C.subtext }}>
-                <th style={thStyle(C)}>Substation</th>
-                <th style={{ ...thStyle(C), textAlign: "right" }}>Consumers</th>
-                <th style={{ ...thStyle(C), textAlign: "center" }}>Toggle (ON/OFF)</th>
-                <th style={{ ...thStyle(C), textAlign: "center" }}>Status</th>
-              </tr>
-            </thead>
-            <tbody>
-              {pageRows.map(r => (
-                <tr key={r.id} style={{ borderTop: `1px solid ${C.border}` }}>
-                  <td style={tdStyle}>{r.name}</td>
-                  <td style={{ ...tdStyle, textAlign: "right", fontVariantNumeric: "tabular-nums" }}>{Number(r.consumers).toLocaleString()}</td>
-                  <td style={{ ...tdStyle, textAlign: "center" }}>
-                    <input type="checkbox" checked={!!r.isOut} onChange={() => toggleStation(r.id)} disabled={!!feederOut[selectedFeeder]} />
-                  </td>
-                  <td style={{ ...tdStyle, textAlign: "center" }}>
-                    <span style={{ padding: "2px 8px", borderRadius: 999, border: `1px solid ${r.effOut ? C.affectedBorder : C.healthyBorder}`, background: r.effOut ? C.affectedBg : C.healthyBg, color: r.effOut ? C.affected : C.healthy }}>
-                      {r.effOut ? "OFF" : "ON"}
-                    </span>
-                  </td>
-                </tr>
-              ))}
-              {pageRows.length === 0 && (
-                <tr><td colSpan={4} style={{ padding: 24, textAlign: "center", color: C.subtext }}>No rows match this filter.</td></tr>
-              )}
-            </tbody>
-          </table>
-        </div>
-      )}
-
-      {/* Pagination */}
-      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", padding: 8, borderTop: `1px solid ${C.border}`, color: C.subtext }}>
-        <div>
-          Showing <b>{filteredRows.length === 0 ? 0 : (page - 1) * pageSize + 1}</b>–<b>{Math.min(page * pageSize, filteredRows.length)}</b> of <b>{filteredRows.length}</b>
-        </div>
-        <div style={{ display: "flex", gap: 8 }}>
-          {!isMobile && <button onClick={() => setPage(1)} disabled={page === 1} style={pagerBtn(C, page === 1)}>« First</button>}
-          <button onClick={() => setPage(p => Math.max(1, p - 1))} disabled={page === 1} style={pagerBtn(C, page === 1)}>‹ Prev</button>
-          <div style={{ padding: "4px 8px" }}>{isMobile ? `Page ${page}` : `Page ${page} / ${totalPages}`}</div>
-          <button onClick={() => setPage(p => Math.min(totalPages, p + 1))} disabled={page === totalPages} style={pagerBtn(C, page === totalPages)}>Next ›</button>
-          {!isMobile && <button onClick={() => setPage(totalPages)} disabled={page === totalPages} style={pagerBtn(C, page === totalPages)}>Last »</button>}
-        </div>
-      </div>
-    </div>
-  );
-}
-
-/* ---------- Shared small components/helpers ---------- */
-
-function LegendItem({ color, label, value, total }) {
-  const pct = total > 0 ? Math.round((value / total) * 1000) / 10 : 0;
-  return (
-    <div role="listitem" style={{ display: 'flex', alignItems: 'center', gap: 8, background: '#ffffff', border: '1px solid #e2e8f0', borderRadius: 999, padding: '6px 10px' }}>
-      <span aria-hidden="true" style={{ width: 12, height: 12, borderRadius: 2, background: color, display: 'inline-block' }} />
-      <span style={{ fontWeight: 700 }}>{label}</span>
-      <span style={{ color: '#475569' }}> — {Number(value || 0).toLocaleString()} ({pct}%)</span>
-    </div>
-  );
-}
-
-function KpiChip({ label, value, color }) {
-  return (
-    <div style={{ display: 'flex', alignItems: 'center', gap: 8, background: '#fff', border: '1px solid #e2e8f0', borderRadius: 999, padding: '6px 10px' }}>
-      {color ? <span style={{ width: 12, height: 12, borderRadius: 2, background: color, display: 'inline-block' }} /> : null}
-      <strong>{label}</strong>
-      <span style={{ color: '#475569' }}> — {value}</span>
-    </div>
-  );
-}
-
-// ---- Small UI helpers ----
-const card = (C) => ({ background: C.card, border: `1px solid ${C.border}`, borderRadius: 10, overflow: "hidden" });
-const thStyle = (C) => ({ padding: 8, borderBottom: `1px solid ${C.border}` });
-const tdStyle = { padding: 8 };
-const btn = (C) => ({ padding: "8px 12px", borderRadius: 8, border: `1px solid ${C.accentBorder}`, background: C.accent, color: "#ffffff", cursor: "pointer" });
-const btnOutline = (C) => ({ padding: "8px 12px", borderRadius: 8, border: `1px solid ${C.border}`, background: C.card, color: C.text, cursor: "pointer" });
-const pagerBtn = (C, disabled) => ({ padding: "6px 10px", borderRadius: 8, border: `1px solid ${C.border}`, background: disabled ? "#f1f5f9" : "#fff", color: disabled ? "#94a3b8" : C.text, cursor: disabled ? "not-allowed" : "pointer" });
-
-function rid() {
-  try { if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID(); } catch {}
-  return Math.random().toString(36).slice(2) + Date.now().toString(36);
-}
-
-function useIsMobile(breakpoint = 768) {
-  const [is, setIs] = React.useState(typeof window !== 'undefined' ? window.innerWidth < breakpoint : false);
-  React.useEffect(() => {
-    function onResize() { setIs(window.innerWidth < breakpoint); }
-    window.addEventListener('resize', onResize);
-    return () => window.removeEventListener('resize', onResize);
-  }, [breakpoint]);
-  return is;
-}
-
-function feederColor(name) {
-  const h = hashStringToHue(name || "");
-  return `hsl(${h}, 65%, 45%)`;
-}
-function hashStringToHue(str) {
-  let h = 0;
-  for (let i = 0; i < str.length; i++) h = (h * 31 + str.charCodeAt(i)) >>> 0;
-  return h % 360;
-}
@@ -0,0 +1,112 @@
+// Admin list of outage events (open + restored in the last 24 h) with cause/notes editing.
+
+import React, { useEffect, useState } from "react";
+import { CAUSES, durationMs, formatDuration } from "./lib/events.mjs";
+import { authFetch } from "./session.js";
+import { sendOrQueue } from "./outbox.js";
+import { etag } from "./lib/merge.mjs";
+import { card, thStyle, tdStyle, btnOutline, feederColor } from "./ui.jsx";
+
+export default function OutageEventsPanel({ C, now, refreshKey, canAnnotate }) {
+  const [events, setEvents] = useState([]);
+  const [drafts, setDrafts] = useState({}); // { [eventId]: { cause, notes } } unsaved edits
+
+  async function load() {
+    try {
+      const from = new Date(Date.now() - 24 * 3600e3).toISOString();
+      const r = await authFetch(`/api/events?from=${encodeURIComponent(from)}`, { cache: "no-store" });
+      if (r.ok) setEvents((await r.json()).events || []);
+    } catch (e) {
+      console.warn("events fetch failed", e);
+    }
+  }
+  useEffect(() => { load(); }, [refreshKey]);
+
+  function edit(id, field, value) {
+    setDrafts(prev => ({ ...prev, [id]: { ...prev[id], [field]: value } }));
+  }
+
+  async function save(e) {
+    try {
+      const { response: r, queued } = await sendOrQueue({
+        kind: "annotate",
+        label: `Notes on ${e.name}`,
+        url: "/api/events",
+        method: "POST",
+        headers: { "content-type": "application/json", "if-match": etag(e.version) },
+        body: JSON.stringify({ id: e.id, ...drafts[e.id] }),
+      });
+      if (r?.status === 409) {
+        // Keep the draft on top of the newer event so saving again is a deliberate overwrite
+        const { event } = await r.json();
+        setEvents(prev => prev.map(x => (x.id === event.id ? event : x)));
+        return alert(`Someone else changed the notes on ${e.name} meanwhile (cause: ${event.cause || "none"}; notes: ${event.notes || "none"}). Your edit is kept; Save again to replace theirs.`);
+      }
+      // Offline: show the notes as saved (as the next version); they are sent when the connection returns
+      const saved = queued ? { ...e, ...drafts[e.id], version: (e.version ?? 0) + 1 } : r.ok ? await r.json() : null;
+      if (!saved) return alert("Saving event failed: " + (await r.text()));
+      setEvents(prev => prev.map(x => (x.id === saved.id ? saved : x)));
+      setDrafts(prev => { const next = { ...prev }; delete next[e.id]; return next; });
+    } catch (err) {
+      alert("Network error while saving event: " + err.message);
+    }
+  }
+
+  const fmt = (iso) => new Date(iso).toLocaleString(undefined, { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+
+  return (
+    <div style={{ ...card(C), marginBottom: 8 }}>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", borderBottom: `1px solid ${C.border}`, padding: 8, background: C.header }}>
+        <div style={{ fontWeight: 600 }}>Outage events (last 24 h)</div>
+        <button onClick={load} style={btnOutline(C)}>Refresh</button>
+      </div>
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+          <thead>
+            <tr style={{ textAlign: "left", color: C.subtext }}>
+              <th style={thStyle(C)}>Feeder / substation</th>
+              <th style={{ ...thStyle(C), textAlign: "right" }}>Consumers</th>
+              <th style={thStyle(C)}>Off</th>
+              <th style={thStyle(C)}>Restored</th>
+              <th style={thStyle(C)}>Duration</th>
+              <th style={thStyle(C)}>Cause</th>
+              <th style={thStyle(C)}>Notes</th>
+              <th style={thStyle(C)}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {events.map(e => {
+              const d = { cause: e.cause, notes: e.notes, ...drafts[e.id] };
+              return (
+                <tr key={e.id} style={{ borderTop: `1px solid ${C.border}` }}>
+                  <td style={tdStyle}>
+                    <span style={{ width: 10, height: 10, borderRadius: 999, background: feederColor(e.feeder), display: "inline-block", marginRight: 6 }}></span>
+                    {e.kind === "feeder" ? <b>{e.name} (feeder)</b> : <>{e.name} <span style={{ color: C.subtext }}>· {e.feeder}</span></>}
+                  </td>
+                  <td style={{ ...tdStyle, textAlign: "right", fontVariantNumeric: "tabular-nums" }}>{Number(e.consumers).toLocaleString()}</td>
+                  <td style={{ ...tdStyle, whiteSpace: "nowrap" }}>{fmt(e.start)}</td>
+                  <td style={{ ...tdStyle, whiteSpace: "nowrap", color: e.restore ? C.healthyText : C.affectedText }}>{e.restore ? fmt(e.restore) : "Still off"}</td>
+                  <td style={{ ...tdStyle, whiteSpace: "nowrap" }}>{formatDuration(durationMs(e, now))}</td>
+                  <td style={tdStyle}>
+                    <select value={d.cause} disabled={!canAnnotate} onChange={(ev) => edit(e.id, "cause", ev.target.value)} style={{ padding: "4px 8px", border: `1px solid ${C.border}`, borderRadius: 8 }}>
+                      {CAUSES.map(c => <option key={c} value={c}>{c || "—"}</option>)}
+                    </select>
+                  </td>
+                  <td style={tdStyle}>
+                    <input value={d.notes} disabled={!canAnnotate} onChange={(ev) => edit(e.id, "notes", ev.target.value)} placeholder="Notes" style={{ padding: "4px 8px", border: `1px solid ${C.border}`, borderRadius: 8, width: "100%", minWidth: 160 }} />
+                  </td>
+                  <td style={tdStyle}>
+                    {drafts[e.id] && <button onClick={() => save(e)} style={btnOutline(C)}>Save</button>}
+                  </td>
+                </tr>
+              );
+            })}
+            {events.length === 0 && (
+              <tr><td colSpan={8} style={{ padding: 24, textAlign: "center", color: C.subtext }}>No outage events in the last 24 hours.</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
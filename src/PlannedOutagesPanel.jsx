@@ -0,0 +1,127 @@
+// Upcoming planned outages (viewer + admin). Operators can schedule, edit and cancel them;
+// the server switches the feeder / substation OFF and back ON at the window edges.
+
+import React, { useState } from "react";
+import { isActive } from "./lib/planned.mjs";
+import { authFetch } from "./session.js";
+import { card, btn, btnOutline, feederColor } from "./ui.jsx";
+
+const EMPTY = { kind: "feeder", target: "", start: "", end: "", reason: "", notice: "" };
+
+// ISO -> value for <input type="datetime-local"> (local time, minutes)
+function toLocalInput(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+// items: upcoming planned outages from /api/planned; now: ms timestamp
+// canPlan: show the scheduling form; feeders: [name]; stations: [{ id, name, feeder }]
+// i18n: useI18n() result (the scheduling form is for operators and stays English)
+export default function PlannedOutagesPanel({ C, i18n, items, now, canPlan, feeders = [], stations = [], onChanged }) {
+  const { t } = i18n;
+  const [form, setForm] = useState(null); // null = closed, else { id?, ...fields }
+  const nowIso = new Date(now).toISOString();
+
+  const fmt = (iso) => i18n.date(iso, { weekday: "short", month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+  const fmtTime = (iso) => i18n.date(iso, { hour: "2-digit", minute: "2-digit" });
+  const sameDay = (a, b) => new Date(a).toDateString() === new Date(b).toDateString();
+
+  async function send(url, method, body) {
+    try {
+      const r = await authFetch(url, { method, headers: { "content-type": "application/json" }, body: body ? JSON.stringify(body) : undefined });
+      const data = await r.json().catch(() => ({}));
+      if (!r.ok) { alert(data.error || `Saving planned outage failed (HTTP ${r.status})`); return false; }
+      await onChanged?.();
+      return true;
+    } catch (e) {
+      alert("Network error while saving planned outage: " + e.message);
+      return false;
+    }
+  }
+
+  async function submit(e) {
+    e.preventDefault();
+    const { id, ...fields } = form;
+    const body = { ...fields, start: new Date(fields.start).toISOString(), end: new Date(fields.end).toISOString() };
+    const ok = id
+      ? await send(`/api/planned?id=${encodeURIComponent(id)}`, "PATCH", body)
+      : await send("/api/planned", "POST", body);
+    if (ok) setForm(null);
+  }
+
+  async function cancel(p) {
+    if (!confirm(`Cancel the planned outage of ${p.name}?`)) return;
+    await send(`/api/planned?id=${encodeURIComponent(p.id)}`, "DELETE");
+  }
+
+  const input = { padding: "4px 8px", border: `1px solid ${C.border}`, borderRadius: 8, width: "100%", boxSizing: "border-box" };
+  const set = (field) => (e) => setForm(f => ({ ...f, [field]: e.target.value, ...(field === "kind" ? { target: "" } : {}) }));
+
+  return (
+    <div style={{ ...card(C), marginBottom: 8 }}>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", borderBottom: `1px solid ${C.border}`, padding: 8, background: C.header }}>
+        <div style={{ fontWeight: 600 }}>{t("planned.title")}</div>
+        {canPlan && !form && <button onClick={() => setForm(EMPTY)} style={btnOutline(C)}>Schedule outage</button>}
+      </div>
+
+      {form && (
+        <form onSubmit={submit} style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(200px, 1fr))", gap: 8, padding: 8, borderBottom: `1px solid ${C.border}`, fontSize: 12, color: C.subtext }}>
+          <label>Type
+            <select value={form.kind} onChange={set("kind")} style={input}>
+              <option value="feeder">Feeder</option>
+              <option value="substation">Substation</option>
+            </select>
+          </label>
+          <label>{form.kind === "feeder" ? "Feeder" : "Substation"}
+            <select required value={form.target} onChange={set("target")} style={input}>
+              <option value="">Choose…</option>
+              {form.kind === "feeder"
+                ? feeders.map(f => <option key={f} value={f}>{f}</option>)
+                : stations.map(s => <option key={s.id} value={s.id}>{s.name} · {s.feeder}</option>)}
+            </select>
+          </label>
+          <label>Starts<input required type="datetime-local" value={form.start} onChange={set("start")} style={input} /></label>
+          <label>Ends<input required type="datetime-local" value={form.end} min={form.start} onChange={set("end")} style={input} /></label>
+          <label>Reason<input value={form.reason} maxLength={200} placeholder="e.g. Breaker maintenance" onChange={set("reason")} style={input} /></label>
+          <label style={{ gridColumn: "1 / -1" }}>Notice to customers
+            <textarea value={form.notice} maxLength={1000} rows={2} onChange={set("notice")} style={{ ...input, fontFamily: "inherit" }} />
+          </label>
+          <div style={{ gridColumn: "1 / -1", display: "flex", gap: 8, justifyContent: "flex-end" }}>
+            <button type="button" onClick={() => setForm(null)} style={btnOutline(C)}>Close</button>
+            <button type="submit" style={btn(C)}>{form.id ? "Save changes" : "Schedule"}</button>
+          </div>
+        </form>
+      )}
+
+      {items.length === 0 && <div style={{ padding: 16, color: C.subtext, fontSize: 14 }}>{t("planned.none")}</div>}
+      {items.map(p => {
+        const active = isActive(p, nowIso);
+        return (
+          <div key={p.id} style={{ display: "flex", gap: 12, alignItems: "flex-start", padding: 10, borderTop: `1px solid ${C.border}`, flexWrap: "wrap" }}>
+            <span style={{ width: 10, height: 10, borderRadius: 999, background: feederColor(p.feeder), display: "inline-block", marginTop: 5 }}></span>
+            <div style={{ flex: 1, minWidth: 220 }}>
+              <div style={{ fontWeight: 600 }}>
+                {p.kind === "feeder" ? t("planned.wholeFeeder", { name: p.name }) : <>{p.name} <span style={{ fontWeight: 400, color: C.subtext }}>· {p.feeder}</span></>}
+              </div>
+              <div style={{ fontSize: 14 }}>
+                {fmt(p.start)} – {sameDay(p.start, p.end) ? fmtTime(p.end) : fmt(p.end)}
+                {p.reason && <span style={{ color: C.subtext }}> · {p.reason}</span>}
+              </div>
+              {p.notice && <div style={{ fontSize: 14, color: C.subtext, marginTop: 4, whiteSpace: "pre-wrap" }}>{p.notice}</div>}
+            </div>
+            <span style={{ padding: "2px 8px", borderRadius: 999, fontSize: 12, border: `1px solid ${active ? C.affectedBorder : C.border}`, background: active ? C.affectedBg : C.bg, color: active ? C.affectedText : C.subtext }}>
+              {active ? t("planned.active", { time: fmtTime(p.end) }) : t("planned.startsIn", { duration: i18n.duration(Date.parse(p.start) - now) })}
+            </span>
+            {canPlan && (
+              <div style={{ display: "flex", gap: 6 }}>
+                <button onClick={() => setForm({ id: p.id, kind: p.kind, target: p.target, start: toLocalInput(p.start), end: toLocalInput(p.end), reason: p.reason, notice: p.notice })} style={btnOutline(C)}>Edit</button>
+                <button onClick={() => cancel(p)} style={btnOutline(C)}>Cancel</button>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
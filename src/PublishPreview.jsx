@@ -0,0 +1,91 @@
+// Shown by Publish live: what this tab's draft changes against the published status
+// (feeders / substations / switches changing state, ETRs and causes) and the effect on the totals.
+// Auto-publish skips it and publishes once edits have paused.
+
+import React, { useEffect } from "react";
+import { changeLabel } from "./ConflictDialog.jsx";
+import { card, btn, btnOutline, useDialog } from "./ui.jsx";
+
+const AUTO_PUBLISH_MS = 5000; // auto-publish once edits have paused this long
+
+// Calls publish() once `enabled` has held for AUTO_PUBLISH_MS; every change in `deps` (an edit) restarts the wait
+export function useAutoPublish(enabled, publish, deps) {
+  useEffect(() => {
+    if (!enabled) return;
+    const id = setTimeout(publish, AUTO_PUBLISH_MS);
+    return () => clearTimeout(id);
+  }, [enabled, ...deps]);
+}
+
+export function AutoPublishToggle({ C, checked, onChange }) {
+  return (
+    <label title={`Publish automatically ${AUTO_PUBLISH_MS / 1000} s after the last change, without the preview`} style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, color: C.subtext }}>
+      <input type="checkbox" checked={checked} onChange={(e) => onChange(e.target.checked)} />
+      Auto-publish
+    </label>
+  );
+}
+
+const fmt = (iso) => new Date(iso).toLocaleString(undefined, { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+
+// base: published snapshot (null before the first publish)
+// draft: { flags: draftChanges(...), etr: [{ key, base, local }], causes: [{ key, cause }] }
+// after: { affected, subsOff } of the local state; names: { [stationId]: display name }
+export default function PublishPreview({ C, base, draft, after, names, onPublish, onCancel }) {
+  const dialog = useDialog(onCancel);
+  const eventLabel = (key) => (key.startsWith("feeder:")
+    ? changeLabel({ kind: "feeder", key: key.slice("feeder:".length) }, names)
+    : changeLabel({ kind: "substation", key: key.slice("station:".length) }, names));
+  const off = draft.flags.filter(c => c.kind !== "switch" && c.local);
+  const on = draft.flags.filter(c => c.kind !== "switch" && !c.local);
+  const switching = draft.flags.filter(c => c.kind === "switch");
+  const empty = !draft.flags.length && !draft.etr.length && !draft.causes.length;
+
+  const delta = (from, to) => {
+    const d = to - from;
+    return (
+      <>
+        {from.toLocaleString()} → <b>{to.toLocaleString()}</b>{" "}
+        <span style={{ color: d > 0 ? C.affectedText : d < 0 ? C.healthyText : C.subtext }}>({d > 0 ? "+" : ""}{d.toLocaleString()})</span>
+      </>
+    );
+  };
+  const list = (title, items, render) => items.length > 0 && (
+    <div style={{ fontSize: 14 }}>
+      <div style={{ fontWeight: 600, marginBottom: 4 }}>{title} ({items.length})</div>
+      <div style={{ maxHeight: 120, overflowY: "auto", color: C.subtext }}>{items.map(render)}</div>
+    </div>
+  );
+
+  return (
+    <div ref={dialog} role="dialog" aria-modal="true" aria-labelledby="publish-title" tabIndex={-1} style={{ position: "fixed", inset: 0, background: "rgba(15,23,42,.45)", display: "grid", placeItems: "center", padding: 12, zIndex: 1000 }}>
+      <div style={{ ...card(C), width: "100%", maxWidth: 640, maxHeight: "90vh", overflowY: "auto" }}>
+        <div id="publish-title" style={{ borderBottom: `1px solid ${C.border}`, padding: 12, background: C.header, fontWeight: 700 }}>
+          Publish to viewers?
+        </div>
+        <div style={{ padding: 12, display: "grid", gap: 12 }}>
+          <div style={{ display: "grid", gap: 4, fontSize: 14 }}>
+            <div>Affected consumers: {delta(Number(base?.affected || 0), after.affected)}</div>
+            <div>Substations OFF: {delta(Number(base?.subsOff || 0), after.subsOff)}</div>
+          </div>
+          {empty && (
+            <div style={{ fontSize: 14, color: C.subtext }}>
+              No changes since version {base?.version ?? 0}. Publishing again records the current state as a new version.
+            </div>
+          )}
+          {list("Switching OFF", off, c => <div key={`${c.kind}:${c.key}`}>{changeLabel(c, names)} → <b style={{ color: C.affectedText }}>OFF</b></div>)}
+          {list("Switching ON", on, c => <div key={`${c.kind}:${c.key}`}>{changeLabel(c, names)} → <b style={{ color: C.healthyText }}>ON</b></div>)}
+          {list("Switches", switching, c => <div key={c.key}>{changeLabel(c, names)} → <b>{c.local ? "closed" : "open"}</b></div>)}
+          {list("Restoration estimates", draft.etr, e => (
+            <div key={e.key}>{eventLabel(e.key)}: {e.local ? <b>{fmt(e.local)}</b> : "cleared"}{e.base && <> (was {fmt(e.base)})</>}</div>
+          ))}
+          {list("Causes", draft.causes, e => <div key={e.key}>{eventLabel(e.key)}: <b>{e.cause || "none"}</b></div>)}
+          <div style={{ display: "flex", gap: 8, justifyContent: "flex-end", flexWrap: "wrap" }}>
+            <button onClick={onCancel} style={btnOutline(C)}>Cancel</button>
+            <button onClick={onPublish} style={btn(C)} autoFocus>Publish</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,311 @@
+// Supervisor editor for the shared station registry (/api/feeders, /api/stations, /api/ties)
+// and the consumer lookup data (/api/consumers).
+
+import React, { useEffect, useMemo, useState } from "react";
+import { authFetch } from "./session.js";
+import { card, thStyle, tdStyle, btn, btnOutline, feederColor } from "./ui.jsx";
+
+const EMPTY_STATION = { feeder: "", alternates: "", name: "", consumers: "", lat: "", lon: "", assetCode: "" };
+const EMPTY_TIE = { a: "", b: "", normallyOpen: true };
+
+// stations / ties: the registry stations and ring-main ties currently loaded in the dashboard
+// onChanged(): called after every successful write so the dashboard can reload
+export default function RegistryPanel({ C, stations, ties = [], onChanged }) {
+  const [feeders, setFeeders] = useState([]);
+  const [feederEdits, setFeederEdits] = useState({}); // { [name]: { name, assetCode } }
+  const [newFeeder, setNewFeeder] = useState({ name: "", assetCode: "" });
+  const [stationEdits, setStationEdits] = useState({}); // { [id]: partial station }
+  const [newStation, setNewStation] = useState(EMPTY_STATION);
+  const [q, setQ] = useState("");
+  const [newTie, setNewTie] = useState(EMPTY_TIE);
+  const [lookup, setLookup] = useState(null); // { count, updatedAt, ... } summary of the consumer lookup data
+  const [lookupResult, setLookupResult] = useState(null); // last upload: { unmatchedCount, unmatched }
+
+  async function loadFeeders() {
+    try {
+      const r = await authFetch("/api/feeders", { cache: "no-store" });
+      if (r.ok) setFeeders((await r.json()).feeders || []);
+    } catch (e) {
+      console.warn("feeders fetch failed", e);
+    }
+  }
+  useEffect(() => { loadFeeders(); }, [stations]);
+
+  async function loadLookup() {
+    try {
+      const r = await authFetch("/api/consumers", { cache: "no-store" });
+      if (r.ok) setLookup(await r.json());
+    } catch (e) {
+      console.warn("consumer lookup fetch failed", e);
+    }
+  }
+  useEffect(() => { loadLookup(); }, []);
+
+  // The CSV goes to the server as is; only counts come back
+  async function uploadLookup(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const r = await authFetch("/api/consumers", { method: "PUT", headers: { "content-type": "text/csv" }, body: await file.text() });
+      const data = await r.json().catch(() => ({}));
+      if (!r.ok) return alert(data.error || `Upload failed (HTTP ${r.status})`);
+      setLookup(data);
+      setLookupResult(data);
+    } catch (err) {
+      alert("Network error while uploading consumer data: " + err.message);
+    }
+  }
+  async function clearLookup() {
+    if (!confirm("Remove all consumer lookup data? The public search will then only find asset codes.")) return;
+    const r = await authFetch("/api/consumers", { method: "DELETE" }).catch(() => null);
+    if (r?.ok) { setLookup(await r.json()); setLookupResult(null); }
+  }
+
+  async function send(url, method, body) {
+    try {
+      const r = await authFetch(url, {
+        method,
+        headers: { "content-type": "application/json" },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const data = await r.json().catch(() => ({}));
+      if (!r.ok) { alert(data.error || `Registry update failed (HTTP ${r.status})`); return false; }
+      await onChanged();
+      return true;
+    } catch (e) {
+      alert("Network error while saving registry: " + e.message);
+      return false;
+    }
+  }
+
+  async function saveFeeder(name) {
+    if (await send(`/api/feeders?name=${encodeURIComponent(name)}`, "PATCH", feederEdits[name])) {
+      setFeederEdits(prev => { const next = { ...prev }; delete next[name]; return next; });
+    }
+  }
+  async function deleteFeeder(name) {
+    if (!confirm(`Delete feeder "${name}"?`)) return;
+    await send(`/api/feeders?name=${encodeURIComponent(name)}`, "DELETE");
+  }
+  async function addFeeder(e) {
+    e.preventDefault();
+    if (await send("/api/feeders", "POST", newFeeder)) setNewFeeder({ name: "", assetCode: "" });
+  }
+
+  async function saveStation(id) {
+    if (await send(`/api/stations?id=${encodeURIComponent(id)}`, "PATCH", stationEdits[id])) {
+      setStationEdits(prev => { const next = { ...prev }; delete next[id]; return next; });
+    }
+  }
+  async function deleteStation(s) {
+    if (!confirm(`Delete substation "${s.name}"?`)) return;
+    await send(`/api/stations?id=${encodeURIComponent(s.id)}`, "DELETE");
+  }
+  async function addStation(e) {
+    e.preventDefault();
+    if (await send("/api/stations", "POST", newStation)) setNewStation(EMPTY_STATION);
+  }
+
+  const saveTies = (list) => send("/api/ties", "PUT", { ties: list });
+  async function addTie(e) {
+    e.preventDefault();
+    if (await saveTies([...ties, newTie])) setNewTie(EMPTY_TIE);
+  }
+  async function deleteTie(t) {
+    if (!confirm(`Delete the tie ${stationName(t.a)} ↔ ${stationName(t.b)}?`)) return;
+    await saveTies(ties.filter(x => x.id !== t.id));
+  }
+  const stationName = (id) => stations.find(s => s.id === id)?.name ?? id;
+
+  const matches = useMemo(() => {
+    const needle = q.trim().toLowerCase();
+    const rows = needle
+      ? stations.filter(s => [s.name, s.feeder, s.assetCode].some(v => String(v ?? "").toLowerCase().includes(needle)))
+      : stations;
+    return rows.slice(0, 50);
+  }, [stations, q]);
+
+  const input = { padding: "4px 8px", border: `1px solid ${C.border}`, borderRadius: 8, width: "100%", boxSizing: "border-box" };
+  const feederNames = feeders.map(f => f.name);
+
+  return (
+    <div style={{ ...card(C), marginBottom: 8 }}>
+      <div style={{ borderBottom: `1px solid ${C.border}`, padding: 8, background: C.header, fontWeight: 600 }}>Station registry</div>
+
+      {/* Feeders */}
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+          <thead>
+            <tr style={{ textAlign: "left", color: C.subtext }}>
+              <th style={thStyle(C)}>Feeder</th>
+              <th style={thStyle(C)}>Asset code</th>
+              <th style={{ ...thStyle(C), textAlign: "right" }}>Substations</th>
+              <th style={{ ...thStyle(C), textAlign: "right" }}>Consumers</th>
+              <th style={thStyle(C)}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {feeders.map(f => {
+              const d = { name: f.name, assetCode: f.assetCode, ...feederEdits[f.name] };
+              const edit = (field) => (e) => setFeederEdits(prev => ({ ...prev, [f.name]: { ...prev[f.name], [field]: e.target.value } }));
+              return (
+                <tr key={f.name} style={{ borderTop: `1px solid ${C.border}` }}>
+                  <td style={tdStyle}>
+                    <span style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                      <span style={{ width: 10, height: 10, borderRadius: 999, background: feederColor(f.name), display: "inline-block", flex: "none" }}></span>
+                      <input value={d.name} onChange={edit("name")} style={input} aria-label={`Feeder name ${f.name}`} />
+                    </span>
+                  </td>
+                  <td style={tdStyle}><input value={d.assetCode} onChange={edit("assetCode")} style={input} aria-label={`Asset code of ${f.name}`} /></td>
+                  <td style={{ ...tdStyle, textAlign: "right" }}>{f.stations}</td>
+                  <td style={{ ...tdStyle, textAlign: "right" }}>{f.consumers.toLocaleString()}</td>
+                  <td style={{ ...tdStyle, whiteSpace: "nowrap" }}>
+                    {feederEdits[f.name] && <button onClick={() => saveFeeder(f.name)} style={btnOutline(C)}>Save</button>}
+                    <button onClick={() => deleteFeeder(f.name)} disabled={f.stations > 0} title={f.stations > 0 ? "Move or delete its substations first" : undefined} style={{ ...btnOutline(C), marginLeft: 6 }}>Delete</button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <form onSubmit={addFeeder} style={{ display: "flex", gap: 8, padding: 8, borderTop: `1px solid ${C.border}`, flexWrap: "wrap" }}>
+        <input required placeholder="New feeder name" value={newFeeder.name} onChange={(e) => setNewFeeder({ ...newFeeder, name: e.target.value })} style={{ ...input, width: 200 }} />
+        <input placeholder="Asset code" value={newFeeder.assetCode} onChange={(e) => setNewFeeder({ ...newFeeder, assetCode: e.target.value })} style={{ ...input, width: 140 }} />
+        <button type="submit" style={btn(C)}>Add feeder</button>
+      </form>
+
+      {/* Substations */}
+      <div style={{ display: "flex", alignItems: "center", gap: 8, padding: 8, borderTop: `1px solid ${C.border}`, background: C.header }}>
+        <strong>Substations</strong>
+        <input placeholder="Find substation, feeder or asset code" value={q} onChange={(e) => setQ(e.target.value)} style={{ ...input, width: 280, marginLeft: "auto" }} />
+      </div>
+      <datalist id="registry-feeders">{feederNames.map(n => <option key={n} value={n} />)}</datalist>
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+          <thead>
+            <tr style={{ textAlign: "left", color: C.subtext }}>
+              <th style={thStyle(C)}>Name</th>
+              <th style={thStyle(C)}>Feeder</th>
+              <th style={thStyle(C)} title="Feeders it can be backfed from, separated by ;">Alternates</th>
+              <th style={thStyle(C)}>Consumers</th>
+              <th style={thStyle(C)}>Lat</th>
+              <th style={thStyle(C)}>Lon</th>
+              <th style={thStyle(C)}>Asset code</th>
+              <th style={thStyle(C)}></th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr style={{ borderTop: `1px solid ${C.border}`, background: C.bg }}>
+              {["name", "feeder", "alternates", "consumers", "lat", "lon", "assetCode"].map(field => (
+                <td key={field} style={tdStyle}>
+                  <input
+                    form="registry-new-station"
+                    required={field === "name" || field === "feeder"}
+                    list={field === "feeder" ? "registry-feeders" : undefined}
+                    placeholder={field === "name" ? "New substation" : field === "alternates" ? "F2; F3" : ""}
+                    value={newStation[field]}
+                    onChange={(e) => setNewStation({ ...newStation, [field]: e.target.value })}
+                    style={input}
+                    aria-label={`New substation ${field}`}
+                  />
+                </td>
+              ))}
+              <td style={tdStyle}>
+                <form id="registry-new-station" onSubmit={addStation}><button type="submit" style={btn(C)}>Add</button></form>
+              </td>
+            </tr>
+            {matches.map(s => {
+              const d = { ...s, ...stationEdits[s.id] };
+              const edit = (field) => (e) => setStationEdits(prev => ({ ...prev, [s.id]: { ...prev[s.id], [field]: e.target.value } }));
+              return (
+                <tr key={s.id} style={{ borderTop: `1px solid ${C.border}` }}>
+                  <td style={tdStyle}><input value={d.name} onChange={edit("name")} style={input} aria-label={`Name of ${s.name}`} /></td>
+                  <td style={tdStyle}><input value={d.feeder} list="registry-feeders" onChange={edit("feeder")} style={input} aria-label={`Feeder of ${s.name}`} /></td>
+                  <td style={tdStyle}><input value={Array.isArray(d.alternates) ? d.alternates.join("; ") : d.alternates ?? ""} onChange={edit("alternates")} style={input} aria-label={`Alternate feeders of ${s.name}`} /></td>
+                  <td style={tdStyle}><input value={d.consumers ?? ""} inputMode="numeric" onChange={edit("consumers")} style={input} aria-label={`Consumers of ${s.name}`} /></td>
+                  <td style={tdStyle}><input value={d.lat ?? ""} inputMode="decimal" onChange={edit("lat")} style={input} aria-label={`Latitude of ${s.name}`} /></td>
+                  <td style={tdStyle}><input value={d.lon ?? ""} inputMode="decimal" onChange={edit("lon")} style={input} aria-label={`Longitude of ${s.name}`} /></td>
+                  <td style={tdStyle}><input value={d.assetCode ?? ""} onChange={edit("assetCode")} style={input} aria-label={`Asset code of ${s.name}`} /></td>
+                  <td style={{ ...tdStyle, whiteSpace: "nowrap" }}>
+                    {stationEdits[s.id] && <button onClick={() => saveStation(s.id)} style={btnOutline(C)}>Save</button>}
+                    <button onClick={() => deleteStation(s)} style={{ ...btnOutline(C), marginLeft: 6 }}>Delete</button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      {stations.length > matches.length && (
+        <div style={{ padding: 8, fontSize: 12, color: C.subtext, borderTop: `1px solid ${C.border}` }}>
+          Showing {matches.length} of {stations.length} substations — refine the search to find others.
+        </div>
+      )}
+
+      {/* Ring-main ties between substations */}
+      <div style={{ padding: 8, borderTop: `1px solid ${C.border}`, background: C.header }}>
+        <strong>Ties</strong> <span style={{ fontSize: 12, color: C.subtext }}>· ring-main links between substations, usually a normally open point</span>
+      </div>
+      <datalist id="registry-stations">{stations.map(s => <option key={s.id} value={s.id}>{s.name} · {s.feeder}</option>)}</datalist>
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+          <thead>
+            <tr style={{ textAlign: "left", color: C.subtext }}>
+              <th style={thStyle(C)}>Substation</th>
+              <th style={thStyle(C)}>Substation</th>
+              <th style={thStyle(C)}>Normally open</th>
+              <th style={thStyle(C)}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {ties.map(t => (
+              <tr key={t.id} style={{ borderTop: `1px solid ${C.border}` }}>
+                <td style={tdStyle}>{stationName(t.a)}</td>
+                <td style={tdStyle}>{stationName(t.b)}</td>
+                <td style={tdStyle}>
+                  <input type="checkbox" checked={t.normallyOpen} onChange={() => saveTies(ties.map(x => (x.id === t.id ? { ...x, normallyOpen: !x.normallyOpen } : x)))} aria-label={`Tie ${stationName(t.a)} to ${stationName(t.b)} normally open`} />
+                </td>
+                <td style={tdStyle}><button onClick={() => deleteTie(t)} style={btnOutline(C)}>Delete</button></td>
+              </tr>
+            ))}
+            {ties.length === 0 && (
+              <tr><td colSpan={4} style={{ padding: 16, textAlign: "center", color: C.subtext }}>No ties yet.</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      <form onSubmit={addTie} style={{ display: "flex", gap: 8, padding: 8, borderTop: `1px solid ${C.border}`, flexWrap: "wrap", alignItems: "center" }}>
+        <input required list="registry-stations" placeholder="Substation id" value={newTie.a} onChange={(e) => setNewTie({ ...newTie, a: e.target.value })} style={{ ...input, width: 200 }} aria-label="First substation of the new tie" />
+        <input required list="registry-stations" placeholder="Substation id" value={newTie.b} onChange={(e) => setNewTie({ ...newTie, b: e.target.value })} style={{ ...input, width: 200 }} aria-label="Second substation of the new tie" />
+        <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, color: C.subtext }}>
+          <input type="checkbox" checked={newTie.normallyOpen} onChange={(e) => setNewTie({ ...newTie, normallyOpen: e.target.checked })} /> Normally open
+        </label>
+        <button type="submit" style={btn(C)}>Add tie</button>
+      </form>
+
+      {/* Consumer lookup data for the public "Is my supply affected?" search */}
+      <div style={{ padding: 8, borderTop: `1px solid ${C.border}`, background: C.header }}>
+        <strong>Consumer lookup</strong> <span style={{ fontSize: 12, color: C.subtext }}>· account / meter numbers per substation, kept on the server</span>
+      </div>
+      <div style={{ display: "flex", gap: 8, padding: 8, alignItems: "center", flexWrap: "wrap", fontSize: 14 }}>
+        <span style={{ color: C.subtext, marginRight: "auto" }}>
+          {lookup?.count
+            ? `${lookup.count.toLocaleString()} consumers (${lookup.accounts.toLocaleString()} accounts, ${lookup.meters.toLocaleString()} meters), uploaded ${new Date(lookup.updatedAt).toLocaleString()} by ${lookup.updatedBy}`
+            : "No consumer data yet: the public search only finds substation asset codes."}
+        </span>
+        <input id="lookupFile" type="file" accept=".csv,text/csv" onChange={uploadLookup} style={{ display: "none" }} />
+        <label htmlFor="lookupFile" style={btn(C)} title="CSV with account and/or meter columns and a station, substation or asset code column">Upload CSV</label>
+        {lookup?.count > 0 && <button onClick={clearLookup} style={btnOutline(C)}>Clear</button>}
+      </div>
+      {lookupResult?.unmatchedCount > 0 && (
+        <div style={{ padding: "0 8px 8px", fontSize: 12, color: C.affectedText }}>
+          {lookupResult.unmatchedCount.toLocaleString()} row(s) name an unknown substation and were left out:{" "}
+          {lookupResult.unmatched.map(u => `line ${u.line} (${u.station || "blank"})`).join(", ")}
+          {lookupResult.unmatchedCount > lookupResult.unmatched.length && " …"}
+        </div>
+      )}
+    </div>
+  );
+}
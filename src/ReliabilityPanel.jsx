@@ -0,0 +1,111 @@
+// Admin reporting panel: SAIDI / SAIFI / CAIDI / CMI for a month, from /api/reliability.
+
+import React, { useEffect, useState } from "react";
+import Papa from "papaparse";
+import { authFetch } from "./session.js";
+import { KpiChip, card, thStyle, tdStyle, btnOutline, feederColor } from "./ui.jsx";
+
+export default function ReliabilityPanel({ C, refreshKey }) {
+  const [month, setMonth] = useState(() => new Date().toISOString().slice(0, 7)); // "YYYY-MM"
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const [y, m] = month.split("-").map(Number);
+    const from = new Date(y, m - 1, 1).toISOString();
+    const to = new Date(y, m, 1).toISOString();
+    (async () => {
+      try {
+        const r = await authFetch(`/api/reliability?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`, { cache: "no-store" });
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+        const data = await r.json();
+        if (!cancelled) { setReport(data); setError(null); }
+      } catch (e) {
+        console.warn("reliability fetch failed", e);
+        if (!cancelled) setError(e.message);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [month, refreshKey]);
+
+  function exportCsv() {
+    if (!report) return;
+    const row = (name, r) => ({
+      feeder: name, customers_served: r.customersServed, customers_interrupted: r.customersInterrupted,
+      customer_minutes_lost: r.cmi, saifi: r.saifi, saidi_min: r.saidi, caidi_min: r.caidi,
+    });
+    const csv = Papa.unparse([...report.feeders.map(f => row(f.feeder, f)), row("SYSTEM", report.system)]);
+    const blob = new Blob([csv], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a"); a.href = url; a.download = `reliability-${month}.csv`; a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  const sys = report?.system;
+  return (
+    <div style={{ ...card(C), marginBottom: 8 }}>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", borderBottom: `1px solid ${C.border}`, padding: 8, background: C.header }}>
+        <div style={{ fontWeight: 600 }}>Reliability indices</div>
+        <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+          <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, color: C.subtext }}>
+            Month
+            <input type="month" value={month} onChange={(e) => e.target.value && setMonth(e.target.value)} style={{ padding: "4px 8px", border: `1px solid ${C.border}`, borderRadius: 8 }} />
+          </label>
+          <button onClick={exportCsv} disabled={!report} style={btnOutline(C)}>Export CSV</button>
+        </div>
+      </div>
+
+      {error && <div style={{ padding: 16, color: C.subtext }}>Reliability report unavailable ({error}).</div>}
+
+      {sys && (
+        <>
+          <div style={{ display: "flex", gap: 12, flexWrap: "wrap", padding: 12 }}>
+            <KpiChip label="SAIDI" value={`${sys.saidi} min`} />
+            <KpiChip label="SAIFI" value={sys.saifi} />
+            <KpiChip label="CAIDI" value={`${sys.caidi} min`} />
+            <KpiChip label="Customer-minutes lost" value={sys.cmi.toLocaleString()} color={C.affected} />
+            <KpiChip label="Customers served" value={sys.customersServed.toLocaleString()} color={C.healthy} />
+          </div>
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+              <thead>
+                <tr style={{ textAlign: "left", color: C.subtext }}>
+                  <th style={thStyle(C)}>Feeder</th>
+                  <th style={{ ...thStyle(C), textAlign: "right" }}>Customers</th>
+                  <th style={{ ...thStyle(C), textAlign: "right" }}>Interrupted</th>
+                  <th style={{ ...thStyle(C), textAlign: "right" }}>Customer-min lost</th>
+                  <th style={{ ...thStyle(C), textAlign: "right" }}>SAIFI</th>
+                  <th style={{ ...thStyle(C), textAlign: "right" }}>SAIDI (min)</th>
+                  <th style={{ ...thStyle(C), textAlign: "right" }}>CAIDI (min)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.feeders.map(f => (
+                  <tr key={f.feeder} style={{ borderTop: `1px solid ${C.border}`, fontVariantNumeric: "tabular-nums" }}>
+                    <td style={tdStyle}>
+                      <span style={{ width: 10, height: 10, borderRadius: 999, background: feederColor(f.feeder), display: "inline-block", marginRight: 6 }}></span>
+                      {f.feeder}
+                    </td>
+                    <td style={{ ...tdStyle, textAlign: "right" }}>{f.customersServed.toLocaleString()}</td>
+                    <td style={{ ...tdStyle, textAlign: "right" }}>{f.customersInterrupted.toLocaleString()}</td>
+                    <td style={{ ...tdStyle, textAlign: "right" }}>{f.cmi.toLocaleString()}</td>
+                    <td style={{ ...tdStyle, textAlign: "right" }}>{f.saifi}</td>
+                    <td style={{ ...tdStyle, textAlign: "right" }}>{f.saidi}</td>
+                    <td style={{ ...tdStyle, textAlign: "right" }}>{f.caidi}</td>
+                  </tr>
+                ))}
+                {report.feeders.length === 0 && (
+                  <tr><td colSpan={7} style={{ padding: 24, textAlign: "center", color: C.subtext }}>Nothing published yet.</td></tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+          <div style={{ padding: 8, fontSize: 12, color: C.subtext, borderTop: `1px solid ${C.border}` }}>
+            Sustained interruptions only (≥ {report.minMinutes} min). Customers served come from the last published station list.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+// Fixed-size charts for outage reports (see ReportsPanel.jsx), rendered once off-screen and kept as
+// SVG markup: the donut at the peak, consumers per feeder at the peak, and the publish timeline.
+
+import React from "react";
+import { createRoot } from "react-dom/client";
+import { flushSync } from "react-dom";
+import { PieChart, Pie, Cell, Label, BarChart, Bar, ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid } from "recharts";
+
+const WIDTH = 520;
+const LEGEND = 24; // px under the chart
+const BAR_ROW = 24;
+const TIMELINE_WIDTH = 720;
+
+const escape = (s) => String(s).replace(/[<>&"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[c]);
+
+// Renders a fixed-size recharts element into a detached node.
+// -> { svg, width, height } with a legend row drawn under the chart, or null if nothing rendered
+export function chartSvg(element, legend = []) {
+  const host = document.createElement("div");
+  const root = createRoot(host);
+  try {
+    flushSync(() => root.render(element));
+    const svg = host.querySelector("svg.recharts-surface");
+    if (!svg) return null;
+    const width = Number(svg.getAttribute("width")), chartHeight = Number(svg.getAttribute("height"));
+    const height = chartHeight + (legend.length ? LEGEND : 0);
+    let x = 8;
+    const keys = legend.map(({ color, label }) => {
+      const item = `<rect x="${x}" y="${chartHeight + 6}" width="12" height="12" rx="2" fill="${color}"/>` +
+        `<text x="${x + 18}" y="${chartHeight + 16}" font-size="12" font-family="system-ui, sans-serif" fill="#475569">${escape(label)}</text>`;
+      x += 30 + label.length * 7;
+      return item;
+    }).join("");
+    const inner = svg.outerHTML.replace(/^<svg(?![^>]*xmlns=)/, '<svg xmlns="http://www.w3.org/2000/svg"');
+    return {
+      svg: `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"><rect width="100%" height="100%" fill="#ffffff"/>${inner}${keys}</svg>`,
+      width,
+      height,
+    };
+  } finally {
+    root.unmount();
+  }
+}
+
+// peak: { affected, total, pct } of the report
+export function PeakDonut({ C, peak }) {
+  const data = [
+    { name: "Affected", value: peak.affected },
+    { name: "Healthy", value: Math.max(0, peak.total - peak.affected) },
+  ];
+  return (
+    <PieChart width={280} height={240}>
+      <Pie data={data} dataKey="value" nameKey="name" cx="50%" cy="50%" innerRadius={65} outerRadius={105} isAnimationActive={false}>
+        {data.map(d => <Cell key={d.name} fill={d.name === "Affected" ? C.affected : C.healthy} stroke="#ffffff" />)}
+        <Label position="center" value={`${peak.pct}% affected`} fill={C.text} fontSize={16} fontWeight={700} />
+      </Pie>
+    </PieChart>
+  );
+}
+
+// feeders: [{ name, total, affected }] of the peak snapshot
+export function FeederBars({ C, feeders }) {
+  const rows = feeders
+    .map(f => ({ name: f.name, affected: Number(f.affected) || 0, healthy: Math.max(0, (Number(f.total) || 0) - (Number(f.affected) || 0)) }))
+    .sort((a, b) => b.affected - a.affected || a.name.localeCompare(b.name));
+  return (
+    <BarChart width={WIDTH} height={Math.max(160, rows.length * BAR_ROW + 40)} data={rows} layout="vertical" margin={{ top: 8, right: 16, bottom: 8, left: 8 }}>
+      <CartesianGrid stroke={C.border} strokeDasharray="3 3" horizontal={false} />
+      <XAxis type="number" stroke={C.subtext} fontSize={11} tickFormatter={(v) => Number(v).toLocaleString()} />
+      <YAxis type="category" dataKey="name" width={90} stroke={C.subtext} fontSize={11} interval={0} />
+      <Bar dataKey="affected" stackId="c" fill={C.affected} isAnimationActive={false} />
+      <Bar dataKey="healthy" stackId="c" fill={C.healthy} isAnimationActive={false} />
+    </BarChart>
+  );
+}
+
+// timeline: report.timeline; from / to: the reporting period (ISO)
+export function TimelineChart({ C, timeline, from, to }) {
+  const data = timeline.map(t => ({ t: Date.parse(t.at), affected: t.affected, subsOff: t.subsOff }));
+  const spansDays = Date.parse(to) - Date.parse(from) > 24 * 3600e3;
+  const fmtTick = (t) => new Date(t).toLocaleString(undefined, spansDays ? { month: "short", day: "numeric" } : { hour: "2-digit", minute: "2-digit" });
+  return (
+    <ComposedChart width={TIMELINE_WIDTH} height={220} data={data} margin={{ top: 8, right: 8, bottom: 8, left: 8 }}>
+      <CartesianGrid stroke={C.border} strokeDasharray="3 3" />
+      <XAxis dataKey="t" type="number" scale="time" domain={[Date.parse(from), Date.parse(to)]} tickFormatter={fmtTick} stroke={C.subtext} fontSize={11} />
+      <YAxis yAxisId="cons" stroke={C.affected} fontSize={11} tickFormatter={(v) => Number(v).toLocaleString()} />
+      <YAxis yAxisId="subs" orientation="right" allowDecimals={false} stroke={C.subtext} fontSize={11} />
+      <Area yAxisId="cons" type="stepAfter" dataKey="affected" stroke={C.affected} fill={C.affectedBg} isAnimationActive={false} />
+      <Line yAxisId="subs" type="stepAfter" dataKey="subsOff" stroke={C.text} dot={false} isAnimationActive={false} />
+    </ComposedChart>
+  );
+}
+
+// { svg, width, height } -> PNG bytes at `scale`x, for the workbook
+export async function svgToPng({ svg, width, height }, scale = 2) {
+  const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+  try {
+    const img = new Image();
+    await new Promise((resolve, reject) => { img.onload = resolve; img.onerror = () => reject(new Error("SVG did not load")); img.src = url; });
+    const canvas = document.createElement("canvas");
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+    if (!blob) throw new Error("Canvas export failed");
+    return new Uint8Array(await blob.arrayBuffer());
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
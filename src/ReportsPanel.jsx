@@ -0,0 +1,159 @@
+// Supervisor outage reports: an incident summary, a daily or a monthly report, from /api/events and
+// /api/history, downloaded as XLSX or as a printable HTML page (print it to PDF). Built entirely in the
+// browser, charts included.
+
+import React, { useState } from "react";
+import { REPORT_KINDS, reportPeriod, peakOf, buildReport, reportSheets, reportHtml } from "./lib/report.mjs";
+import { xlsxWorkbook } from "./lib/xlsx.mjs";
+import { authFetch } from "./session.js";
+import { chartSvg, svgToPng, PeakDonut, FeederBars, TimelineChart } from "./ReportCharts.jsx";
+import { card, btn, btnOutline } from "./ui.jsx";
+
+const q = (params) => Object.entries(params).map(([k, v]) => `${k}=${encodeURIComponent(v)}`).join("&");
+const today = () => new Date().toLocaleDateString("en-CA"); // local "YYYY-MM-DD"
+
+async function getJson(url, fetcher = fetch) {
+  const r = await fetcher(url, { cache: "no-store" });
+  if (!r.ok) throw new Error(`${url.split("?")[0]}: HTTP ${r.status}`);
+  return r.json();
+}
+
+function download(bytes, type, filename) {
+  const url = URL.createObjectURL(new Blob([bytes], { type }));
+  const a = document.createElement("a"); a.href = url; a.download = filename; a.click();
+  URL.revokeObjectURL(url);
+}
+
+// openEvents: open outage events (incident start); stations: the registry (consumers per feeder)
+export default function ReportsPanel({ C, openEvents, stations }) {
+  const [kind, setKind] = useState("incident");
+  const [day, setDay] = useState(today);
+  const [month, setMonth] = useState(() => today().slice(0, 7));
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null); // { ok, text }
+
+  // -> { report, title, name (file name stem), charts: { donut, feeders, timeline } as chartSvg() results }
+  async function prepare() {
+    const now = Date.now();
+    const { from, to } = reportPeriod(kind, { day, month, openEvents, now });
+    const [{ events }, { items: history }] = await Promise.all([
+      getJson(`/api/events?${q({ from, to })}`, authFetch),
+      getJson(`/api/history?${q({ from, to })}`),
+    ]);
+    // Feeder breakdown at the peak; with nothing published in the period, the live status if it is current
+    const peak = peakOf(history);
+    let peakSnap = null;
+    if (peak) {
+      peakSnap = (await getJson(`/api/history?${q({ from: peak.updatedAt, to: peak.updatedAt, detail: 1 })}`)).items[0] ?? null;
+    } else if (Date.parse(to) >= now - 60000) {
+      const live = await getJson("/api/status").catch(() => null);
+      if (live?.updatedAt) { peakSnap = live; history.push(live); }
+    }
+    const report = buildReport({ events, history, stations, peakFeeders: peakSnap?.feeders || [], from, to, now });
+
+    const stamp = kind === "month" ? month : kind === "day" ? day : new Date(now).toLocaleDateString("en-CA");
+    const title = `${REPORT_KINDS.find(k => k.key === kind).label} — ${stamp}`;
+    const legend = [{ color: C.affected, label: "Affected" }, { color: C.healthy, label: "Healthy" }];
+    const charts = {
+      donut: report.peak?.total ? chartSvg(<PeakDonut C={C} peak={report.peak} />, legend) : null,
+      feeders: peakSnap?.feeders?.length ? chartSvg(<FeederBars C={C} feeders={peakSnap.feeders} />, legend) : null,
+      timeline: report.timeline.length
+        ? chartSvg(<TimelineChart C={C} timeline={report.timeline} from={from} to={to} />, [{ color: C.affected, label: "Affected consumers" }, { color: C.text, label: "Substations OFF" }])
+        : null,
+    };
+    return { report, title, name: `outage-${kind}-${stamp}`, charts };
+  }
+
+  async function run(make) {
+    setBusy(true);
+    setMessage(null);
+    try {
+      setMessage(await make(await prepare()));
+    } catch (e) {
+      setMessage({ ok: false, text: `Report failed: ${e.message}` });
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const svgs = (charts) => Object.fromEntries(Object.entries(charts).map(([k, c]) => [k, c?.svg]));
+
+  const downloadXlsx = () => run(async ({ report, title, name, charts }) => {
+    let images = [], note = "";
+    try {
+      for (const c of [charts.donut, charts.feeders, charts.timeline].filter(Boolean)) {
+        images.push({ png: await svgToPng(c), width: c.width, height: c.height });
+      }
+    } catch (e) {
+      console.warn("chart export failed", e);
+      images = [];
+      note = " (without charts: this browser could not draw them)";
+    }
+    download(xlsxWorkbook(reportSheets(report, title, images)), "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", `${name}.xlsx`);
+    return { ok: true, text: `Downloaded ${name}.xlsx${note}.` };
+  });
+
+  const downloadHtml = () => run(async ({ report, title, name, charts }) => {
+    download(reportHtml(report, title, svgs(charts), C), "text/html", `${name}.html`);
+    return { ok: true, text: `Downloaded ${name}.html. Open it and print to save a PDF.` };
+  });
+
+  // The window opens on the click itself so pop-up blockers let it through
+  function printReport() {
+    const win = window.open("", "_blank");
+    if (!win) return setMessage({ ok: false, text: "Allow pop-ups for this site to print reports." });
+    win.document.write("<p style=\"font-family: system-ui, sans-serif\">Preparing report…</p>");
+    run(async ({ report, title, charts }) => {
+      win.document.open();
+      win.document.write(reportHtml(report, title, svgs(charts), C));
+      win.document.close();
+      win.focus();
+      win.print();
+      return { ok: true, text: "Report opened for printing. Choose “Save as PDF” as the printer for a PDF." };
+    }).then(() => { if (!win.document.title) win.close(); });
+  }
+
+  const input = { padding: "4px 8px", border: `1px solid ${C.border}`, borderRadius: 8 };
+  return (
+    <div style={{ ...card(C), marginBottom: 8 }}>
+      <div style={{ borderBottom: `1px solid ${C.border}`, padding: 8, background: C.header, fontWeight: 600 }}>Outage reports</div>
+      <div style={{ padding: 12, display: "grid", gap: 12, fontSize: 14 }}>
+        <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+          <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+            Report
+            <select value={kind} onChange={(e) => setKind(e.target.value)} style={input}>
+              {REPORT_KINDS.map(k => <option key={k.key} value={k.key}>{k.label}</option>)}
+            </select>
+          </label>
+          {kind === "day" && (
+            <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+              Day
+              <input type="date" value={day} max={today()} onChange={(e) => e.target.value && setDay(e.target.value)} style={input} />
+            </label>
+          )}
+          {kind === "month" && (
+            <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+              Month
+              <input type="month" value={month} max={today().slice(0, 7)} onChange={(e) => e.target.value && setMonth(e.target.value)} style={input} />
+            </label>
+          )}
+        </div>
+        <div style={{ fontSize: 12, color: C.subtext }}>
+          {kind === "incident"
+            ? openEvents.length
+              ? `From the start of the earliest open outage (${openEvents.length} open) until now.`
+              : "No outage is open: covers the last 24 hours."
+            : "Covers the whole period in local time, up to now."}
+          {" "}Includes peak figures, the donut and per-feeder charts at the peak, every outage with its cause and notes, and reliability indices.
+        </div>
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+          <button onClick={downloadXlsx} disabled={busy} style={btn(C)}>Download XLSX</button>
+          <button onClick={printReport} disabled={busy} style={btnOutline(C)}>Print / PDF</button>
+          <button onClick={downloadHtml} disabled={busy} style={btnOutline(C)}>Download HTML</button>
+        </div>
+        {busy && <div style={{ color: C.subtext }} role="status">Building report…</div>}
+        {message && <div role="status" style={{ color: message.ok ? C.healthyText : C.affectedText }}>{message.text}</div>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,218 @@
+// Offline substation map: plain SVG, no tile service.
+// Markers are filled by effective status and ringed in the feeder colour; they take keyboard focus
+// (Enter/Space opens the info box, Esc closes it and returns to the marker).
+// An optional basemap (island outlines etc.) is read from public/data/basemap.geojson.
+
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { btnOutline, feederColor } from "./ui.jsx";
+
+const BASEMAP_URL = `${import.meta.env.BASE_URL}data/basemap.geojson`;
+const W = 1000; // SVG user units across the fitted extent
+
+// stations: [{ id, name, feeder, consumers, lat, lon, effOut, isOut }]
+// onToggle(station): admin click handler; omit for the read-only public map; i18n: useI18n() result
+export default function StationMap({ C, i18n, stations, onToggle, height = 480 }) {
+  const { t } = i18n;
+  const [basemap, setBasemap] = useState(null);
+  const [selected, setSelected] = useState(null); // station id with open info box
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(BASEMAP_URL, { cache: "force-cache" })
+      .then(r => (r.ok ? r.json() : null))
+      .then(g => { if (!cancelled) setBasemap(g); })
+      .catch(() => {}); // basemap is optional
+    return () => { cancelled = true; };
+  }, []);
+
+  const placed = useMemo(() => stations.filter(s => Number.isFinite(s.lat) && Number.isFinite(s.lon)), [stations]);
+
+  // Equirectangular projection fitted to the stations (good enough at island scale)
+  const proj = useMemo(() => {
+    if (placed.length === 0) return null;
+    let minLat = Infinity, maxLat = -Infinity, minLon = Infinity, maxLon = -Infinity;
+    for (const s of placed) {
+      minLat = Math.min(minLat, s.lat); maxLat = Math.max(maxLat, s.lat);
+      minLon = Math.min(minLon, s.lon); maxLon = Math.max(maxLon, s.lon);
+    }
+    const k = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+    const spanX = Math.max((maxLon - minLon) * k, 0.002), spanY = Math.max(maxLat - minLat, 0.002);
+    const scale = W / spanX;
+    const H = spanY * scale;
+    const pad = 0.08 * Math.max(W, H);
+    return {
+      x: (lon) => (lon - minLon) * k * scale,
+      y: (lat) => (maxLat - lat) * scale,
+      full: { x: -pad, y: -pad, w: W + 2 * pad, h: H + 2 * pad },
+    };
+  }, [placed]);
+
+  const [vb, setVb] = useState(null);
+  useEffect(() => { setVb(proj?.full ?? null); }, [proj]);
+
+  // ----- zoom / pan -----
+  const svgRef = useRef(null);
+  const drag = useRef(null);
+  const infoRef = useRef(null);
+
+  function toSvg(clientX, clientY) {
+    const r = svgRef.current.getBoundingClientRect();
+    return { x: vb.x + ((clientX - r.left) / r.width) * vb.w, y: vb.y + ((clientY - r.top) / r.height) * vb.h };
+  }
+  function zoomAt(factor, cx, cy) {
+    setVb(v => {
+      const w = Math.min(proj.full.w * 2, Math.max(proj.full.w / 200, v.w * factor));
+      const f = w / v.w;
+      return { x: cx - (cx - v.x) * f, y: cy - (cy - v.y) * f, w, h: v.h * f };
+    });
+  }
+  // React's onWheel is passive, so attach a native listener to be able to preventDefault
+  useEffect(() => {
+    const el = svgRef.current;
+    if (!el || !vb) return;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const p = toSvg(e.clientX, e.clientY);
+      zoomAt(e.deltaY > 0 ? 1.2 : 1 / 1.2, p.x, p.y);
+    };
+    el.addEventListener("wheel", onWheel, { passive: false });
+    return () => el.removeEventListener("wheel", onWheel);
+  });
+
+  function onPointerDown(e) {
+    if (e.target.closest("[data-marker]")) return;
+    drag.current = { x: e.clientX, y: e.clientY, vb };
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+  }
+  function onPointerMove(e) {
+    const d = drag.current;
+    if (!d) return;
+    const r = svgRef.current.getBoundingClientRect();
+    const dx = ((e.clientX - d.x) / r.width) * d.vb.w, dy = ((e.clientY - d.y) / r.height) * d.vb.h;
+    setVb({ ...d.vb, x: d.vb.x - dx, y: d.vb.y - dy });
+  }
+  function onPointerUp() { drag.current = null; }
+
+  // Focus follows the info box: into it when it opens, back to its marker when it closes
+  useEffect(() => {
+    if (selected) infoRef.current?.querySelector("button")?.focus();
+  }, [selected]);
+  function closeInfo() {
+    const id = selected;
+    setSelected(null);
+    [...(svgRef.current?.querySelectorAll("[data-marker]") ?? [])].find(el => el.dataset.marker === id)?.focus();
+  }
+
+  if (!proj || !vb) {
+    return <div style={{ padding: 24, textAlign: "center", color: C.subtext }}>{t("map.empty")}</div>;
+  }
+
+  const unit = vb.w / W; // keeps markers a constant size on screen
+  const sel = placed.find(s => s.id === selected);
+  const feederNames = Array.from(new Set(placed.map(s => s.feeder))).sort();
+  const offCount = placed.filter(s => s.effOut).length;
+
+  return (
+    <div style={{ position: "relative" }}>
+      <svg
+        ref={svgRef}
+        viewBox={`${vb.x} ${vb.y} ${vb.w} ${vb.h}`}
+        preserveAspectRatio="xMidYMid meet"
+        role="group"
+        aria-label={t("map.summary", { n: placed.length, off: offCount })}
+        style={{ width: "100%", height, display: "block", background: C.healthyBg, touchAction: "none", cursor: drag.current ? "grabbing" : "grab" }}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerLeave={onPointerUp}
+      >
+        {basemap && <Basemap geo={basemap} proj={proj} C={C} unit={unit} />}
+        {placed.map(s => (
+          <circle
+            key={s.id}
+            data-marker={s.id}
+            role="button"
+            tabIndex={0}
+            aria-label={`${s.name} · ${s.feeder} · ${t(s.effOut ? "status.off" : "status.on")}`}
+            aria-expanded={s.id === selected}
+            cx={proj.x(s.lon)}
+            cy={proj.y(s.lat)}
+            r={(s.effOut ? 9 : 7) * unit}
+            fill={s.effOut ? C.affected : C.healthy}
+            stroke={feederColor(s.feeder)}
+            strokeWidth={3 * unit}
+            style={{ cursor: "pointer" }}
+            onClick={() => setSelected(s.id === selected ? null : s.id)}
+            onKeyDown={(e) => { if (e.key === "Enter" || e.key === " ") { e.preventDefault(); setSelected(s.id === selected ? null : s.id); } }}
+          >
+            <title>{`${s.name} · ${s.feeder} · ${t(s.effOut ? "status.off" : "status.on")}`}</title>
+          </circle>
+        ))}
+      </svg>
+
+      {/* Zoom controls */}
+      <div style={{ position: "absolute", top: 8, insetInlineEnd: 8, display: "grid", gap: 4 }}>
+        <button onClick={() => zoomAt(1 / 1.5, vb.x + vb.w / 2, vb.y + vb.h / 2)} style={btnOutline(C)} aria-label={t("map.zoomIn")}>+</button>
+        <button onClick={() => zoomAt(1.5, vb.x + vb.w / 2, vb.y + vb.h / 2)} style={btnOutline(C)} aria-label={t("map.zoomOut")}>−</button>
+        <button onClick={() => setVb(proj.full)} style={btnOutline(C)} aria-label={t("map.reset")}>⟲</button>
+      </div>
+
+      {/* Info box for the clicked marker */}
+      {sel && (
+        <div ref={infoRef} role="group" aria-label={sel.name} onKeyDown={(e) => { if (e.key === "Escape") closeInfo(); }} style={{ position: "absolute", insetInlineStart: 8, top: 8, background: C.card, border: `1px solid ${C.border}`, borderRadius: 10, padding: 10, minWidth: 200, boxShadow: "0 2px 8px rgba(15,23,42,.12)" }}>
+          <div style={{ fontWeight: 700 }}>{sel.name}</div>
+          <div style={{ fontSize: 12, color: C.subtext }}>
+            <span style={{ width: 10, height: 10, borderRadius: 999, background: feederColor(sel.feeder), display: "inline-block", marginInlineEnd: 6 }}></span>
+            {sel.feeder} · {t("consumers", { n: Number(sel.consumers) || 0 })}
+          </div>
+          <div style={{ marginTop: 6, fontWeight: 600, color: sel.effOut ? C.affectedText : C.healthyText }}>{t(sel.effOut ? "status.off" : "status.on")}</div>
+          {onToggle && (
+            <button
+              onClick={() => onToggle(sel)}
+              disabled={sel.feederEffOut}
+              title={sel.feederEffOut ? "Feeder is OFF — restore the feeder first" : undefined}
+              style={{ ...btnOutline(C), marginTop: 8 }}
+            >
+              {sel.isOut ? "Mark substation ON" : "Mark substation OFF"}
+            </button>
+          )}
+          <button onClick={closeInfo} style={{ ...btnOutline(C), marginTop: 8, marginInlineStart: 6 }}>{t("map.close")}</button>
+        </div>
+      )}
+
+      {/* Legend */}
+      <div style={{ display: "flex", gap: 12, flexWrap: "wrap", padding: 8, fontSize: 12, color: C.subtext, borderTop: `1px solid ${C.border}` }}>
+        <span><Dot fill={C.affected} /> {t("status.off")}</span>
+        <span><Dot fill={C.healthy} /> {t("status.on")}</span>
+        {feederNames.map(f => <span key={f}><Dot fill="transparent" stroke={feederColor(f)} /> {f}</span>)}
+        {stations.length > placed.length && <span style={{ marginInlineStart: "auto" }}>{t("map.hidden", { n: stations.length - placed.length })}</span>}
+      </div>
+    </div>
+  );
+}
+
+function Dot({ fill, stroke }) {
+  return <span style={{ width: 10, height: 10, borderRadius: 999, background: fill, border: `2px solid ${stroke || fill}`, display: "inline-block", verticalAlign: "middle" }} />;
+}
+
+// Draw GeoJSON polygons/lines as a flat outline layer
+function Basemap({ geo, proj, C, unit }) {
+  const paths = [];
+  const ring = (coords) => coords.map(([lon, lat], i) => `${i ? "L" : "M"}${proj.x(lon).toFixed(1)},${proj.y(lat).toFixed(1)}`).join("");
+  const add = (g) => {
+    if (!g) return;
+    if (g.type === "Polygon") paths.push({ d: g.coordinates.map(r => ring(r) + "Z").join(""), area: true });
+    else if (g.type === "MultiPolygon") for (const p of g.coordinates) paths.push({ d: p.map(r => ring(r) + "Z").join(""), area: true });
+    else if (g.type === "LineString") paths.push({ d: ring(g.coordinates), area: false });
+    else if (g.type === "MultiLineString") for (const l of g.coordinates) paths.push({ d: ring(l), area: false });
+    else if (g.type === "GeometryCollection") g.geometries.forEach(add);
+  };
+  for (const f of geo.features || [geo]) add(f.geometry ?? f);
+  return (
+    <g aria-hidden="true">
+      {paths.map((p, i) => (
+        <path key={i} d={p.d} fill={p.area ? C.bg : "none"} stroke={C.border} strokeWidth={1.5 * unit} />
+      ))}
+    </g>
+  );
+}
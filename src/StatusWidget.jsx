@@ -0,0 +1,83 @@
+// Embeddable status widget (widget.html): the viewer's donut and KPI chips from /api/status,
+// for partner sites to show in an iframe. Options come from the query string:
+//   theme=light|dark|contrast  size=small|medium|large  lang=en|dv  title=<heading>  legend=0  chips=0
+// Without `lang` the widget follows the viewer's language choice (see i18n.js).
+
+import React from "react";
+import { PieChart, Pie, Cell } from "recharts";
+import { useLiveStatus } from "./liveStatus.js";
+import { useI18n } from "./i18n.js";
+import { LOCALES } from "./lib/i18n.mjs";
+import { PALETTES, LegendItem, KpiChip } from "./ui.jsx";
+
+const SIZES = { small: 140, medium: 200, large: 260 }; // donut diameter in px
+
+export function widgetOptions(params) {
+  return {
+    theme: Object.hasOwn(PALETTES, params.get("theme") ?? "") ? params.get("theme") : "light",
+    size: Object.hasOwn(SIZES, params.get("size") ?? "") ? params.get("size") : "medium",
+    lang: Object.hasOwn(LOCALES, params.get("lang") ?? "") ? params.get("lang") : null,
+    title: params.get("title")?.slice(0, 60) || null,
+    legend: params.get("legend") !== "0",
+    chips: params.get("chips") !== "0",
+  };
+}
+
+// title: null for the translated default
+export default function StatusWidget({ theme = "light", size = "medium", lang = null, title = null, legend = true, chips = true }) {
+  const C = PALETTES[theme];
+  const i18n = useI18n(lang);
+  const { t, num } = i18n;
+  const { snap } = useLiveStatus(true);
+  const d = SIZES[size];
+  const heading = title || t("widget.title");
+
+  const affected = Number(snap?.affected || 0), total = Number(snap?.total || 0);
+  const healthy = Number(snap?.healthy ?? Math.max(0, total - affected));
+  const pct = Number(snap?.pct || 0);
+  const data = [{ name: "Affected", value: affected }, { name: "Healthy", value: healthy }];
+  const fontSize = size === "small" ? 13 : 14;
+
+  React.useEffect(() => { document.body.style.background = C.bg; }, [C.bg]);
+
+  return (
+    <section aria-label={heading} dir={i18n.dir} style={{ background: C.bg, color: C.text, padding: 10, fontFamily: i18n.font ?? "system-ui, sans-serif", fontSize, display: "grid", justifyItems: "center", gap: 8 }}>
+      <div style={{ fontWeight: 700 }}>{heading}</div>
+      {!snap ? (
+        <div style={{ color: C.subtext, padding: 24 }}>{t("widget.loading")}</div>
+      ) : (
+        <>
+          <div role="img" aria-label={t("widget.summary", { affected, total, pct })} style={{ position: "relative", width: d, height: d }}>
+            <PieChart width={d} height={d}>
+              <Pie data={total ? data : [{ name: "No data", value: 1 }]} dataKey="value" nameKey="name" cx="50%" cy="50%" innerRadius={d * 0.3} outerRadius={d / 2 - 2} isAnimationActive={false} stroke={C.card}>
+                {total ? data.map(e => <Cell key={e.name} fill={e.name === "Affected" ? C.affected : C.healthy} />) : <Cell fill={C.border} />}
+              </Pie>
+            </PieChart>
+            <div style={{ position: "absolute", inset: 0, display: "grid", placeItems: "center", pointerEvents: "none" }}>
+              <div style={{ textAlign: "center" }}>
+                <div style={{ fontSize: Math.round(d * 0.16), fontWeight: 800, lineHeight: 1, color: C.affectedText }}>{num(pct)}%</div>
+                <div style={{ fontSize: 11, color: C.subtext }}>{t("widget.affected")}</div>
+              </div>
+            </div>
+          </div>
+          {legend && (
+            <div role="list" aria-label={t("donut.consumers")} style={{ display: "flex", justifyContent: "center", gap: 6, flexWrap: "wrap" }}>
+              <LegendItem C={C} num={num} color={C.affected} label={t("chart.affected")} value={affected} total={total} />
+              <LegendItem C={C} num={num} color={C.healthy} label={t("chart.healthy")} value={healthy} total={total} />
+            </div>
+          )}
+          {chips && (
+            <div style={{ display: "flex", justifyContent: "center", gap: 6, flexWrap: "wrap" }}>
+              <KpiChip C={C} label={t("kpi.subsOff")} value={num(snap.subsOff)} color={C.affected} />
+              <KpiChip C={C} label={t("kpi.subsOn")} value={num(snap.subsOn ?? Math.max(0, (snap.subsTotal || 0) - (snap.subsOff || 0)))} color={C.healthy} />
+            </div>
+          )}
+          <div style={{ fontSize: 11, color: C.subtext }}>
+            {snap.updatedAt ? `${t("widget.updated", { time: i18n.date(snap.updatedAt, { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" }) })} · ` : ""}
+            <a href="/" target="_blank" rel="noopener" style={{ color: C.accent }}>{t("widget.full")}</a>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,89 @@
+// Admin switching: ways to restore supply (transfer a substation to an alternate feeder,
+// close a ring-main tie) and the switches left off their normal position.
+// Operations change this tab's state like the ON/OFF toggles; Publish live applies them.
+
+import React, { useMemo } from "react";
+import { energize, topologyLinks, restorationOptions, switchingEffect } from "./lib/topology.mjs";
+import { card, btn, btnOutline, feederColor } from "./ui.jsx";
+
+const MAX_OPTIONS = 10;
+const MAX_NAMES = 5;
+
+// stations: this tab's stations ({ id, feeder, alternates, name, consumers })
+// dead: switchedOff() flags; ties / switches: topology and off-normal positions
+// onOperate(nextSwitches)
+export default function SwitchingPanel({ C, stations, dead, ties, switches, canOperate, onOperate }) {
+  const names = useMemo(() => new Map(stations.map(s => [s.id, s.name])), [stations]);
+  const links = useMemo(() => topologyLinks(stations, ties), [stations, ties]);
+  const before = useMemo(() => energize(stations, dead, { ties, switches }), [stations, dead, ties, switches]);
+  const options = useMemo(() => restorationOptions(stations, dead, { ties, switches }), [stations, dead, ties, switches]);
+  const offNormal = useMemo(() => links.filter(l => l.id in switches).map(l => {
+    const next = { ...switches };
+    delete next[l.id];
+    return { link: l, closed: switches[l.id], next, ...switchingEffect(stations, dead, ties, before, next) };
+  }), [links, stations, dead, ties, switches, before]);
+  const stranded = stations.filter(s => !before.get(s.id) && !dead.stations[s.id]); // OFF only for lack of a path
+
+  const stationName = (id) => names.get(id) ?? id;
+  const linkLabel = (l) => (l.kind === "tie" ? `${stationName(l.station)} ↔ ${stationName(l.other)} tie` : `${stationName(l.station)} ↔ ${l.feeder} (${l.kind})`);
+  const nameList = (list) => list.slice(0, MAX_NAMES).map(s => s.name).join(", ") + (list.length > MAX_NAMES ? ` and ${list.length - MAX_NAMES} more` : "");
+  const consumers = (n) => `${n.toLocaleString()} consumer${n === 1 ? "" : "s"}`;
+
+  function restoreNormal() {
+    const { lost, lostConsumers } = switchingEffect(stations, dead, ties, before, {});
+    if (lost.length && !confirm(`Returning every switch to normal takes supply from ${consumers(lostConsumers)} (${nameList(lost)}). Continue?`)) return;
+    onOperate({});
+  }
+
+  const row = { display: "flex", gap: 12, alignItems: "center", padding: 10, borderTop: `1px solid ${C.border}`, flexWrap: "wrap" };
+
+  return (
+    <div style={{ ...card(C), marginBottom: 8 }}>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8, borderBottom: `1px solid ${C.border}`, padding: 8, background: C.header }}>
+        <div style={{ fontWeight: 600 }}>
+          Switching <span style={{ fontWeight: 400, fontSize: 12, color: C.subtext }}>· {offNormal.length} switch(es) off normal</span>
+        </div>
+        <button onClick={restoreNormal} disabled={!canOperate || offNormal.length === 0} style={btnOutline(C)}>Restore normal positions</button>
+      </div>
+
+      <div style={{ padding: "8px 10px", fontSize: 12, color: C.subtext }}>Restoration options</div>
+      {options.slice(0, MAX_OPTIONS).map(o => (
+        <div key={o.id} style={row}>
+          <span style={{ width: 10, height: 10, borderRadius: 999, background: feederColor(o.feeder ?? o.station.feeder), display: "inline-block" }}></span>
+          <div style={{ flex: 1, minWidth: 220 }}>
+            <div style={{ fontWeight: 600 }}>
+              {o.kind === "transfer" ? `Transfer ${o.station.name} from ${o.station.feeder} to ${o.feeder}` : `Close tie ${o.station.name} ↔ ${o.other.name}`}
+            </div>
+            <div style={{ fontSize: 14, color: C.subtext }}>
+              Restores <b style={{ color: C.healthyText }}>{consumers(o.consumers)}</b> at {nameList(o.restored)}
+              {o.lost.length > 0 && <span style={{ color: C.affectedText }}> · cuts {consumers(o.lostConsumers)} at {nameList(o.lost)}</span>}
+            </div>
+          </div>
+          <button onClick={() => onOperate(o.switches)} disabled={!canOperate} style={btn(C)}>{o.kind === "transfer" ? "Transfer" : "Close tie"}</button>
+        </div>
+      ))}
+      {options.length === 0 && (
+        <div style={{ ...row, color: C.subtext, fontSize: 14 }}>
+          {stranded.length ? "No alternate feeder or tie can restore the substations without supply." : "Every substation that is not switched OFF has supply."}
+        </div>
+      )}
+
+      {offNormal.length > 0 && (
+        <>
+          <div style={{ padding: "8px 10px", fontSize: 12, color: C.subtext, borderTop: `1px solid ${C.border}` }}>Off normal</div>
+          {offNormal.map(({ link, closed, next, lost, lostConsumers, restored, consumers: regained }) => (
+            <div key={link.id} style={row}>
+              <div style={{ flex: 1, minWidth: 220, fontSize: 14 }}>
+                <b>{linkLabel(link)}</b> {closed ? "closed" : "open"}
+                <span style={{ color: C.subtext }}> · normally {link.normallyOpen ? "open" : "closed"}</span>
+                {lost.length > 0 && <div style={{ fontSize: 12, color: C.affectedText }}>Returning it cuts {consumers(lostConsumers)}</div>}
+                {restored.length > 0 && <div style={{ fontSize: 12, color: C.healthyText }}>Returning it restores {consumers(regained)}</div>}
+              </div>
+              <button onClick={() => onOperate(next)} disabled={!canOperate} style={btnOutline(C)}>Return to normal</button>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
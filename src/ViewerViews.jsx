@@ -0,0 +1,155 @@
+// Public viewer parts of the dashboard: screen-reader announcements of status changes, the
+// consumers-by-restoration-estimate summary, and the feeder list / outage map tabs.
+
+import React, { useEffect, useRef, useState } from "react";
+import { etrBuckets } from "./lib/etr.mjs";
+import StationMap from "./StationMap.jsx";
+import { KpiChip, srOnly, card, btn, btnOutline, feederColor } from "./ui.jsx";
+
+// Screen-reader announcements: the new totals when a published status changes them, and losing or
+// regaining the connection. The status on screen at load is not read out.
+export function StatusAnnouncer({ i18n, ready, totals, subsOff, stale }) {
+  const [message, setMessage] = useState("");
+  const lastKey = useRef(null);
+  const wasStale = useRef(stale);
+  useEffect(() => {
+    const parts = [];
+    if (stale !== wasStale.current) parts.push(i18n.t(stale ? "announce.offline" : "announce.online"));
+    wasStale.current = stale;
+    if (ready) {
+      const key = `${totals.affected}|${totals.total}|${subsOff}`;
+      if (lastKey.current !== null && lastKey.current !== key) {
+        parts.push(i18n.t("announce.status", { affected: totals.affected, total: totals.total, pct: totals.pct, off: subsOff }));
+      }
+      lastKey.current = key;
+    }
+    if (parts.length) setMessage(parts.join(" "));
+  }, [ready, totals.affected, totals.total, totals.pct, subsOff, stale]); // i18n left out: switching language is not news
+  return <div role="status" aria-live="polite" style={srOnly}>{message}</div>;
+}
+
+// Feeders / map tabs: arrow keys (mirrored right to left), Home and End move between them
+const VIEWER_TABS = [["table", "tabs.feeders"], ["map", "tabs.map"]];
+function ViewerTabs({ C, i18n, view, setView }) {
+  const refs = useRef({});
+  function onKeyDown(e) {
+    const step = { ArrowRight: 1, ArrowLeft: -1 }[e.key] * (i18n.dir === "rtl" ? -1 : 1);
+    const i = VIEWER_TABS.findIndex(([key]) => key === view);
+    const next = e.key === "Home" ? 0 : e.key === "End" ? VIEWER_TABS.length - 1
+      : step ? (i + step + VIEWER_TABS.length) % VIEWER_TABS.length : null;
+    if (next === null) return;
+    e.preventDefault();
+    const key = VIEWER_TABS[next][0];
+    setView(key);
+    refs.current[key]?.focus();
+  }
+  return (
+    <div role="tablist" onKeyDown={onKeyDown} style={{ display: "flex", gap: 8, marginBottom: 8 }}>
+      {VIEWER_TABS.map(([key, label]) => (
+        <button
+          key={key}
+          ref={el => { refs.current[key] = el; }}
+          id={`viewer-tab-${key}`}
+          role="tab"
+          aria-selected={view === key}
+          aria-controls={`viewer-panel-${key}`}
+          tabIndex={view === key ? 0 : -1}
+          onClick={() => setView(key)}
+          style={view === key ? btn(C) : btnOutline(C)}
+        >
+          {i18n.t(label)}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Feeder list / outage map tabs under the viewer's charts; selected: expanded feeder or "ALL"
+export default function ViewerDrillDown({ C, i18n, feeders, view, setView, now, selected, onSelect }) {
+  return (
+    <>
+      <ViewerTabs C={C} i18n={i18n} view={view} setView={setView} />
+      <div role="tabpanel" id={`viewer-panel-${view}`} aria-labelledby={`viewer-tab-${view}`}>
+        {view === "map" ? (
+          <div style={card(C)}>
+            <StationMap C={C} i18n={i18n} stations={feeders.flatMap(f => f.stations)} />
+          </div>
+        ) : (
+          <ViewerFeederList C={C} i18n={i18n} feeders={feeders} now={now} selected={selected} onSelect={onSelect} />
+        )}
+      </div>
+    </>
+  );
+}
+
+// Affected consumers grouped by how soon supply is expected back
+export function ViewerEtrSummary({ C, i18n, stations, now }) {
+  const { t } = i18n;
+  const buckets = etrBuckets(stations, now).filter(b => b.stations > 0);
+  const color = (b) => (b.key === "overdue" ? C.affected : b.key === "unknown" ? C.border : C.healthy);
+  return (
+    <div style={{ ...card(C), marginBottom: 8 }}>
+      <div style={{ borderBottom: `1px solid ${C.border}`, padding: 8, background: C.header, fontWeight: 600 }}>{t("etr.title")}</div>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", padding: 10 }}>
+        {buckets.map(b => (
+          <KpiChip key={b.key} label={t(`etr.${b.key}`)} value={t("consumers", { n: b.consumers })} color={color(b)} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// selected: expanded feeder name or "ALL" (shared with the feeder chart)
+function ViewerFeederList({ C, i18n, feeders, now, selected, onSelect }) {
+  const { t } = i18n;
+  const open = selected === "ALL" ? null : selected;
+  const setOpen = (name) => onSelect(name ?? "ALL");
+
+  return (
+    <div style={card(C)}>
+      <div style={{ borderBottom: `1px solid ${C.border}`, padding: 8, background: C.header, fontWeight: 600 }}>
+        {t("feeders.title")}
+      </div>
+      {feeders.map(f => {
+        const offStations = f.stations.filter(s => s.effOut);
+        const isOpen = open === f.name && offStations.length > 0;
+        const backfed = f.backfed > 0 ? t("feeder.backfed", { n: f.backfed }) : "";
+        const status = f.isOut ? t("feeder.off") + backfed
+          : f.plannedOut ? t("feeder.offPlanned") + backfed
+          : f.subsOff > 0 ? t("feeder.subsOff", { off: f.subsOff, total: f.subsTotal })
+          : t("status.on");
+        const hot = f.isOut || f.plannedOut || f.subsOff > 0;
+        return (
+          <div key={f.name} style={{ borderTop: `1px solid ${C.border}` }}>
+            <button
+              onClick={() => setOpen(isOpen ? null : f.name)}
+              disabled={offStations.length === 0}
+              aria-expanded={isOpen}
+              style={{ width: "100%", display: "flex", alignItems: "center", gap: 8, padding: 10, border: 0, background: C.card, color: C.text, textAlign: "start", cursor: offStations.length ? "pointer" : "default" }}
+            >
+              <span style={{ width: 10, height: 10, borderRadius: 999, background: feederColor(f.name), display: "inline-block" }}></span>
+              <span style={{ fontWeight: 600, flex: 1 }}>{f.name}</span>
+              <span style={{ fontSize: 12, color: C.subtext }}>
+                {t("feeder.affected", { affected: Number(f.affected) || 0, total: Number(f.total) || 0 })}
+                {f.etr && <> · {t("restore.by", { time: i18n.clock(f.etr, now) })}</>}
+              </span>
+              <span style={{ padding: "2px 8px", borderRadius: 999, border: `1px solid ${hot ? C.affectedBorder : C.healthyBorder}`, background: hot ? C.affectedBg : C.healthyBg, color: hot ? C.affectedText : C.healthyText, fontSize: 12 }}>
+                {status}
+              </span>
+            </button>
+            {isOpen && (
+              <ul style={{ margin: 0, padding: "0 10px 10px", paddingInlineStart: 36, color: C.subtext, fontSize: 14 }}>
+                {offStations.map(s => (
+                  <li key={s.id}>
+                    {s.name} — {t("consumers", { n: Number(s.consumers) || 0 })}{s.plannedOut && t("station.planned")}
+                    {s.etr && s.etr !== f.etr && ` · ${t("restore.by", { time: i18n.clock(s.etr, now) })}`}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
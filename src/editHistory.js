@@ -0,0 +1,68 @@
+// Undo/redo of the admin console's unpublished edits: toggles, switching, ETRs and causes.
+// Each step keeps the edit state from before a change; publishing or loading other data
+// starts a fresh history.
+
+import React from "react";
+
+export const MAX_UNDO = 100;
+
+// snapshot(): the edit state now; restore(state) puts one back
+// -> { record(label, mergeKey?), undo(), redo(), reset(), undoLabel, redoLabel }
+export function useEditHistory(snapshot, restore) {
+  const [past, setPast] = React.useState([]); // [{ label, state }], oldest first
+  const [future, setFuture] = React.useState([]); // undone steps, next redo first
+  const lastKey = React.useRef(null);
+
+  // Call before changing the state. Successive edits with the same mergeKey (typing an ETR) are one step.
+  const record = (label, mergeKey = null) => {
+    if (mergeKey && mergeKey === lastKey.current) return;
+    lastKey.current = mergeKey;
+    setPast(p => [...p, { label, state: snapshot() }].slice(-MAX_UNDO));
+    setFuture([]);
+  };
+  const undo = () => {
+    const step = past.at(-1);
+    if (!step) return;
+    lastKey.current = null;
+    setPast(p => p.slice(0, -1));
+    setFuture(f => [{ label: step.label, state: snapshot() }, ...f]);
+    restore(step.state);
+  };
+  const redo = () => {
+    const step = future[0];
+    if (!step) return;
+    lastKey.current = null;
+    setFuture(f => f.slice(1));
+    setPast(p => [...p, { label: step.label, state: snapshot() }]);
+    restore(step.state);
+  };
+  const reset = () => {
+    lastKey.current = null;
+    setPast([]);
+    setFuture([]);
+  };
+
+  return { record, undo, redo, reset, undoLabel: past.at(-1)?.label ?? null, redoLabel: future[0]?.label ?? null };
+}
+
+// Ctrl/Cmd+Z undo, Ctrl+Y or Ctrl/Cmd+Shift+Z redo of `edits` (useEditHistory() result) while
+// `enabled`; text fields keep their own undo
+export function useUndoKeys(edits, enabled) {
+  const handler = React.useRef(null);
+  handler.current = (e) => {
+    const t = e.target;
+    if (t.isContentEditable || /^(TEXTAREA|SELECT)$/.test(t.tagName) || (t.tagName === "INPUT" && t.type !== "checkbox")) return;
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) edits.undo();
+    else if (key === "y" || (key === "z" && e.shiftKey)) edits.redo();
+    else return;
+    e.preventDefault();
+  };
+  React.useEffect(() => {
+    if (!enabled) return;
+    const onKey = (e) => handler.current(e);
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [enabled]);
+}
@@ -0,0 +1,36 @@
+// Browser side of the viewer's language: the choice is kept in localStorage (first visit: the
+// browser's languages) and applied to <html lang dir> so the whole page flips for Dhivehi.
+
+import React from "react";
+import { LOCALES, matchLocale, makeI18n } from "./lib/i18n.mjs";
+
+const KEY = "outage.locale";
+const CHANGED = "outage-locale-changed";
+
+export function loadLocale() {
+  const saved = localStorage.getItem(KEY);
+  return Object.hasOwn(LOCALES, saved ?? "") ? saved : matchLocale(navigator.languages || [navigator.language]);
+}
+
+export function setLocale(locale) {
+  localStorage.setItem(KEY, locale);
+  window.dispatchEvent(new Event(CHANGED));
+}
+
+// fixed: locale to use whatever the choice (the admin console is English only)
+// -> makeI18n() result for the page
+export function useI18n(fixed = null) {
+  const [chosen, setChosen] = React.useState(loadLocale);
+  React.useEffect(() => {
+    const sync = () => setChosen(loadLocale());
+    window.addEventListener(CHANGED, sync);
+    window.addEventListener("storage", sync); // other tabs
+    return () => { window.removeEventListener(CHANGED, sync); window.removeEventListener("storage", sync); };
+  }, []);
+  const i18n = React.useMemo(() => makeI18n(fixed ?? chosen), [fixed, chosen]);
+  React.useEffect(() => {
+    document.documentElement.lang = i18n.locale;
+    document.documentElement.dir = i18n.dir;
+  }, [i18n]);
+  return i18n;
+}
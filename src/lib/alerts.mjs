@@ -0,0 +1,183 @@
+// Alert rules and the alerts they raise; shared by the functions and the Alerts panel.
+//   rule  = { id, name, metric, feeder (null = whole network), op, value, severity, enabled }
+//   alert = { id, ruleId, name, rule (its description), severity, status: "firing"|"acknowledged"|"resolved",
+//             value, threshold, firedAt, lastSeenAt, ackBy, ackAt, resolvedBy ("auto" when the condition cleared), resolvedAt, clearedAt }
+// Metrics read the totals and substation counts of a published snapshot (or the same numbers
+// the dashboard computes locally), plus open outage events for how long a feeder has been OFF.
+
+import { feederKey } from "./events.mjs";
+
+export const ALERT_METRICS = [
+  { key: "affectedPct", label: "Affected consumers %", unit: "%" },
+  { key: "affected", label: "Affected consumers" },
+  { key: "subsOff", label: "Substations OFF" },
+  { key: "subsOffPct", label: "Substations OFF %", unit: "%" },
+  { key: "offMinutes", label: "Feeder OFF for (minutes)", unit: " min" },
+];
+
+export const ALERT_OPS = {
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+};
+
+export const SEVERITIES = ["warning", "critical"];
+
+const ACTIVE = new Set(["firing", "acknowledged"]);
+export const isActiveAlert = (a) => ACTIVE.has(a.status);
+
+const KEEP_RESOLVED_MS = 30 * 86400e3;
+const MAX_RESOLVED = 200;
+
+const pct = (n, d) => (d ? Math.round((n / d) * 1000) / 10 : 0);
+const down = (f) => !!(f && (f.isOut || f.plannedOut));
+
+// Metric inputs from the dashboard's own numbers (summarizeStations totals/counts + feeder groups)
+export const metricInputs = ({ totals, counts, feeders }) => ({
+  affected: totals.affected, total: totals.total, pct: totals.pct,
+  subsOff: counts.off, subsTotal: counts.total, offPct: counts.offPct, feeders,
+});
+
+// Current value of a rule's metric, or null when its feeder isn't in the snapshot.
+// openEvents: [{ key, start }] (only needed for offMinutes); now: ms
+export function metricValue(rule, snapshot, openEvents = [], now = Date.now()) {
+  const feeders = snapshot?.feeders || [];
+  const f = rule.feeder ? feeders.find(x => x.name === rule.feeder) : null;
+  if (rule.feeder && !f) return null;
+  const minutesOff = (x) => {
+    if (!down(x)) return 0;
+    const start = openEvents.find(e => e.key === feederKey(x.name) && !e.restore)?.start;
+    return start ? Math.floor((now - Date.parse(start)) / 60000) : 0;
+  };
+  switch (rule.metric) {
+    case "affectedPct": return f ? pct(f.affected, f.total) : Number(snapshot?.pct) || 0;
+    case "affected": return Number((f ?? snapshot)?.affected) || 0;
+    case "subsOff": return Number((f ?? snapshot)?.subsOff) || 0;
+    case "subsOffPct": return f ? pct(f.subsOff, f.subsTotal) : Number(snapshot?.offPct) || 0;
+    case "offMinutes": return f ? minutesOff(f) : Math.max(0, ...feeders.map(minutesOff)); // longest outage of any feeder
+    default: return null;
+  }
+}
+
+// -> [{ rule, value, met }] for the enabled rules
+export function evaluateRules(rules, snapshot, openEvents, now) {
+  return rules.filter(r => r.enabled).map(rule => {
+    const value = metricValue(rule, snapshot, openEvents, now);
+    return { rule, value, met: value != null && ALERT_OPS[rule.op](value, rule.value) };
+  });
+}
+
+export function describeRule(rule) {
+  const metric = ALERT_METRICS.find(m => m.key === rule.metric);
+  return `${metric?.label ?? rule.metric}${rule.feeder ? ` on ${rule.feeder}` : ""} ${rule.op} ${rule.value}${metric?.unit ?? ""}`;
+}
+
+// Apply an evaluation to the alert list. A met rule fires a new alert unless one is still
+// active, or one was resolved by hand and the condition has not cleared since; an unmet
+// rule resolves its active alert automatically.
+// -> { alerts, fired: [alert], resolved: [alert] }
+export function applyEvaluation(alerts, results, now, newId) {
+  const at = new Date(now).toISOString();
+  const next = alerts.map(a => ({ ...a }));
+  const fired = [], resolved = [];
+  const latest = (ruleId) => next.filter(a => a.ruleId === ruleId).sort((a, b) => b.firedAt.localeCompare(a.firedAt))[0];
+
+  for (const { rule, value, met } of results) {
+    const last = latest(rule.id);
+    if (met) {
+      if (last && isActiveAlert(last)) {
+        Object.assign(last, { value, lastSeenAt: at, name: rule.name, severity: rule.severity });
+      } else if (!(last && last.resolvedBy !== "auto" && !last.clearedAt)) {
+        const alert = {
+          id: newId(), ruleId: rule.id, name: rule.name, severity: rule.severity, status: "firing", rule: describeRule(rule),
+          value, threshold: rule.value, firedAt: at, lastSeenAt: at, ackBy: null, ackAt: null, resolvedBy: null, resolvedAt: null, clearedAt: null,
+        };
+        next.push(alert);
+        fired.push(alert);
+      }
+    } else if (last && isActiveAlert(last)) {
+      Object.assign(last, { status: "resolved", value, resolvedBy: "auto", resolvedAt: at, clearedAt: at });
+      resolved.push(last);
+    } else if (last && !last.clearedAt) {
+      last.clearedAt = at; // re-arms a rule that was resolved by hand
+    }
+  }
+
+  // Alerts of deleted or disabled rules stop being evaluated: resolve them
+  const evaluated = new Set(results.map(r => r.rule.id));
+  for (const a of next) {
+    if (isActiveAlert(a) && !evaluated.has(a.ruleId)) {
+      Object.assign(a, { status: "resolved", resolvedBy: "auto", resolvedAt: at, clearedAt: at });
+      resolved.push(a);
+    }
+  }
+  return { alerts: prune(next, now), fired, resolved };
+}
+
+// Active alerts, plus the latest resolved ones of the last 30 days
+function prune(alerts, now) {
+  const active = alerts.filter(isActiveAlert);
+  const done = alerts
+    .filter(a => !isActiveAlert(a) && now - Date.parse(a.resolvedAt) < KEEP_RESOLVED_MS)
+    .sort((a, b) => b.resolvedAt.localeCompare(a.resolvedAt))
+    .slice(0, MAX_RESOLVED);
+  return [...active, ...done];
+}
+
+// Acknowledge or resolve one alert by hand -> updated alert | { error }
+export function actOnAlert(alert, action, user, now) {
+  const at = new Date(now).toISOString();
+  if (action === "acknowledge") {
+    if (alert.status !== "firing") return { error: "Only firing alerts can be acknowledged" };
+    return { ...alert, status: "acknowledged", ackBy: user, ackAt: at };
+  }
+  if (action === "resolve") {
+    if (!isActiveAlert(alert)) return { error: "The alert is already resolved" };
+    return { ...alert, status: "resolved", resolvedBy: user, resolvedAt: at };
+  }
+  return { error: 'action must be "acknowledge" or "resolve"' };
+}
+
+// Rules from the editor -> { rules } | { error }. feeders: known feeder names
+export function cleanRules(list, feeders) {
+  if (!Array.isArray(list)) return { error: "rules[] is required" };
+  const rules = [], ids = new Set();
+  for (const [i, r] of list.entries()) {
+    const where = `Rule ${i + 1}`;
+    if (!ALERT_METRICS.some(m => m.key === r?.metric)) return { error: `${where}: unknown metric` };
+    if (!(r.op in ALERT_OPS)) return { error: `${where}: operator must be one of ${Object.keys(ALERT_OPS).join(" ")}` };
+    const value = Number(r.value);
+    if (r.value === "" || r.value == null || !Number.isFinite(value) || value < 0) return { error: `${where}: enter a number of 0 or more` };
+    const feeder = String(r.feeder ?? "").trim() || null;
+    if (feeder && !feeders.has(feeder)) return { error: `${where}: unknown feeder "${feeder}"` };
+    const id = String(r.id ?? "").trim() || crypto.randomUUID();
+    if (ids.has(id)) return { error: `${where}: duplicate id` };
+    ids.add(id);
+    const rule = {
+      id, metric: r.metric, feeder, op: r.op, value,
+      severity: SEVERITIES.includes(r.severity) ? r.severity : "warning",
+      enabled: r.enabled !== false,
+    };
+    rules.push({ ...rule, name: String(r.name ?? "").trim().slice(0, 80) || describeRule(rule) });
+  }
+  return { rules };
+}
+
+const RULE_FIELDS = ["name", "metric", "feeder", "op", "value", "severity", "enabled"];
+const sameRule = (a, b) => RULE_FIELDS.every(k => a[k] === b[k]);
+
+// One editor's changes applied to the latest rules: `edited` against the `base` they started
+// from decides what they added, changed and deleted; rules they left alone keep whatever
+// someone else saved in the meantime.
+export function mergeRules(latest, base, edited) {
+  const before = new Map(base.map(r => [r.id, r]));
+  const mine = new Map(edited.map(r => [r.id, r]));
+  const known = new Set(latest.map(r => r.id));
+  return [
+    ...latest
+      .filter(r => mine.has(r.id) || !before.has(r.id))
+      .map(r => (before.has(r.id) && !sameRule(mine.get(r.id), before.get(r.id)) ? mine.get(r.id) : r)),
+    ...edited.filter(r => !known.has(r.id) && !before.has(r.id)),
+  ];
+}
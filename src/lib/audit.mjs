@@ -0,0 +1,100 @@
+// Audit trail entries and the diffs that produce them; shared by the functions and the Activity panel.
+// Entry: { at, user, action, kind: "feeder" | "substation" | "status" | "event" | "planned" | "switch" | "tie" | "consumers" | "notifications"
+//          | "alert-rule" | "alert",
+//          id, feeder, name, old, new, changedAt? }
+// old/new hold the value that changed (ON/OFF for toggles, changed fields for registry edits).
+
+export const AUDIT_ACTIONS = ["publish", "toggle", "switch", "etr", "planned", "create", "update", "delete", "annotate", "acknowledge", "resolve"];
+
+import { feederKey, stationKey } from "./events.mjs";
+import { topologyLinks, isClosed, switchKey } from "./topology.mjs";
+
+const onOff = (v) => (v ? "OFF" : "ON");
+
+// Feeder / substation flags that differ between two published snapshots.
+// changedAt ({ [eventKey]: ISO }) is the time the operator toggled, when the client sent it.
+export function statusChanges(prev, next, changedAt = {}) {
+  const out = [];
+  const prevFeeders = new Map((prev?.feeders || []).map(f => [f.name, !!f.isOut]));
+  for (const f of next.feeders || []) {
+    const was = prevFeeders.get(f.name) ?? false;
+    if (was !== !!f.isOut) {
+      out.push({ action: "toggle", kind: "feeder", id: f.name, feeder: f.name, name: f.name, old: onOff(was), new: onOff(f.isOut), changedAt: changedAt[feederKey(f.name)] ?? null });
+    }
+  }
+  const prevStations = new Map((prev?.stations || []).map(s => [s.id, !!s.isOut]));
+  for (const s of next.stations || []) {
+    const was = prevStations.get(s.id) ?? false;
+    if (was !== !!s.isOut) {
+      out.push({ action: "toggle", kind: "substation", id: s.id, feeder: s.feeder, name: s.name, old: onOff(was), new: onOff(s.isOut), changedAt: changedAt[stationKey(s.id)] ?? null });
+    }
+  }
+  // Switch operations (transfers, ties) on links that exist in both versions
+  const names = new Map((next.stations || []).map(s => [s.id, s]));
+  const prevLinks = new Map(topologyLinks(prev?.stations || [], prev?.ties || []).map(l => [l.id, l]));
+  for (const l of topologyLinks(next.stations || [], next.ties || [])) {
+    const before = prevLinks.get(l.id);
+    const was = before ? isClosed(before, prev.switches) : !l.normallyOpen;
+    const now = isClosed(l, next.switches);
+    if (was === now) continue;
+    const s = names.get(l.station);
+    const name = l.kind === "tie" ? `${s?.name ?? l.station} ↔ ${names.get(l.other)?.name ?? l.other}` : `${s?.name ?? l.station} ↔ ${l.feeder}`;
+    out.push({ action: "switch", kind: "switch", id: l.id, feeder: s?.feeder ?? null, name, old: openClosed(was), new: openClosed(now), changedAt: changedAt[switchKey(l.id)] ?? null });
+  }
+  // Restoration estimates set, moved or cleared on outages that are still OFF
+  const prevEtr = prev?.etr || {}, nextEtr = next.etr || {};
+  const off = new Map();
+  for (const f of next.feeders || []) if (f.isOut || f.plannedOut) off.set(feederKey(f.name), { kind: "feeder", id: f.name, feeder: f.name, name: f.name });
+  for (const s of next.stations || []) if (s.effOut) off.set(stationKey(s.id), { kind: "substation", id: s.id, feeder: s.feeder, name: s.name });
+  for (const [key, target] of off) {
+    if ((prevEtr[key] ?? null) !== (nextEtr[key] ?? null)) out.push({ action: "etr", ...target, old: prevEtr[key] ?? null, new: nextEtr[key] ?? null });
+  }
+  return out;
+}
+
+const openClosed = (closed) => (closed ? "closed" : "open");
+
+// Only the fields that differ, as { old: {...}, new: {...} } (lists compared and shown joined)
+function fieldDiff(a, b, fields) {
+  const old = {}, nu = {};
+  const val = (x, k) => (Array.isArray(x?.[k]) ? x[k].join(", ") || null : x?.[k] ?? null);
+  for (const k of fields) {
+    if (val(a, k) !== val(b, k)) { old[k] = val(a, k); nu[k] = val(b, k); }
+  }
+  return Object.keys(nu).length ? { old, new: nu } : null;
+}
+
+const STATION_FIELDS = ["feeder", "alternates", "name", "consumers", "lat", "lon", "assetCode"];
+
+// Create / update / delete entries between two versions of the station registry.
+export function registryChanges(prev, next) {
+  const out = [];
+  const diff = (kind, before, after, keyOf, fields, describe) => {
+    const was = new Map(before.map(x => [keyOf(x), x]));
+    const now = new Map(after.map(x => [keyOf(x), x]));
+    for (const [k, x] of now) {
+      const d = fieldDiff(was.get(k), x, fields);
+      if (!was.has(k)) out.push({ action: "create", kind, id: k, ...describe(x), old: null, new: d?.new ?? {} });
+      else if (d) out.push({ action: "update", kind, id: k, ...describe(x), ...d });
+    }
+    for (const [k, x] of was) {
+      if (!now.has(k)) out.push({ action: "delete", kind, id: k, ...describe(x), old: fieldDiff(x, null, fields)?.old ?? {}, new: null });
+    }
+  };
+  diff("feeder", prev?.feeders || [], next?.feeders || [], f => f.name, ["name", "assetCode"], f => ({ feeder: f.name, name: f.name }));
+  diff("substation", prev?.stations || [], next?.stations || [], s => s.id, STATION_FIELDS, s => ({ feeder: s.feeder, name: s.name }));
+  diff("tie", prev?.ties || [], next?.ties || [], t => t.id, ["a", "b", "normallyOpen"], t => ({ feeder: null, name: `${t.a} ↔ ${t.b}` }));
+  return out;
+}
+
+// Entry filter by feeder and user (exact; either may be null)
+export function auditMatcher({ feeder, user } = {}) {
+  return (e) => (!feeder || e.feeder === feeder) && (!user || e.user === user);
+}
+
+// Human-readable value for tables and CSV
+export function auditValue(v) {
+  if (v == null) return "";
+  if (typeof v !== "object") return String(v);
+  return Object.entries(v).map(([k, x]) => `${k}=${x ?? ""}`).join("; ");
+}
@@ -0,0 +1,144 @@
+// CSV import: column mapping, row validation and duplicate detection.
+// Works on raw rows (Papa.parse with header: false) so unnamed and repeated
+// header cells stay addressable by position.
+
+import { toCoord, cleanAlternates } from "./status.mjs";
+
+// Station fields a column can be mapped to; aliases are matched case-insensitively against the header.
+export const IMPORT_FIELDS = [
+  { key: "feeder", label: "Feeder / bay", aliases: ["feeder", "bay", "feeder_name"] },
+  { key: "alternates", label: "Alternate feeders (; separated)", aliases: ["alternates", "alternate", "alternate_feeders", "backfeed"] },
+  { key: "name", label: "Substation name", aliases: ["name", "station", "substation"], required: true },
+  { key: "id", label: "Station id", aliases: ["id", "station_id"] },
+  { key: "consumers", label: "Consumers", aliases: ["consumers", "consumer_count", "count"] },
+  { key: "isOut", label: "Substation OFF (isOut)", aliases: ["isout", "outage"] },
+  { key: "feederIsOut", label: "Feeder OFF", aliases: ["feeder_isout"] },
+  { key: "lat", label: "Latitude", aliases: ["lat", "latitude"] },
+  { key: "lon", label: "Longitude", aliases: ["lon", "lng", "longitude"] },
+  { key: "assetCode", label: "Asset code", aliases: ["assetcode", "asset_code", "asset"] },
+];
+
+const cell = (row, i) => (i == null ? "" : String(row[i] ?? "").trim());
+
+// Header row + data rows -> one entry per column with a few sample values
+export function csvColumns(rows) {
+  const [header = [], ...data] = rows;
+  const width = Math.max(header.length, ...data.map(r => r.length));
+  const columns = [];
+  for (let i = 0; i < width; i++) {
+    const values = data.map(r => cell(r, i)).filter(Boolean);
+    const name = cell(header, i);
+    columns.push({
+      index: i,
+      header: name,
+      label: name ? `${name} (column ${i + 1})` : `Column ${i + 1} (unnamed)`,
+      filled: values.length,
+      samples: values.slice(0, 3),
+    });
+  }
+  return columns;
+}
+
+// { [fieldKey]: columnIndex | null } from header names. An asset code with no matching
+// header falls back to the only unnamed column holding mostly non-numeric codes, if there is one.
+export function guessMapping(columns) {
+  const mapping = {};
+  for (const f of IMPORT_FIELDS) {
+    const c = columns.find(c => f.aliases.includes(c.header.toLowerCase()));
+    mapping[f.key] = c ? c.index : null;
+  }
+  if (mapping.assetCode == null) {
+    const codeLike = (c) => c.samples.filter(v => !Number.isFinite(Number(v))).length > c.samples.length / 2;
+    const unnamed = columns.filter(c => !c.header && c.filled > 0 && codeLike(c));
+    if (unnamed.length === 1) mapping.assetCode = unnamed[0].index;
+  }
+  return mapping;
+}
+
+const TRUE_WORDS = ["true", "t", "yes", "y", "1", "off", "out"];
+const FALSE_WORDS = ["", "false", "f", "no", "n", "0", "on"];
+
+// options.blankConsumers: "zero" (import as 0 with a warning) | "reject"
+// options.duplicates: "keep" (ids get a #2 suffix) | "skip" (keep the first row per id)
+// -> { stations, feederOut, rejected: [{ line, reason, values }], warnings: [{ line, message }],
+//      duplicates: [{ kind: "id" | "name", value, lines }] }
+export function validateRows(rows, mapping, options = {}) {
+  const { blankConsumers = "zero", duplicates = "keep" } = options;
+  const [, ...data] = rows;
+  const stations = [], rejected = [], warnings = [], feederOut = {};
+  const linesById = new Map(), linesByName = new Map();
+  const get = (row, key) => cell(row, mapping[key]);
+  const flag = (v, line, what) => {
+    const s = v.toLowerCase();
+    if (TRUE_WORDS.includes(s)) return true;
+    if (!FALSE_WORDS.includes(s)) warnings.push({ line, message: `${what} "${v}" not understood, treated as ON` });
+    return false;
+  };
+
+  data.forEach((row, i) => {
+    const line = i + 2; // 1-based, after the header line
+    if (row.every(v => String(v ?? "").trim() === "")) return;
+    const reject = (reason) => rejected.push({ line, reason, values: row });
+
+    const name = get(row, "name");
+    if (!name) return reject("Missing substation name");
+
+    const rawConsumers = get(row, "consumers");
+    let consumers = 0;
+    if (rawConsumers === "") {
+      if (blankConsumers === "reject") return reject("Consumers is blank");
+      warnings.push({ line, message: `${name}: consumers blank, imported as 0` });
+    } else {
+      consumers = Number(rawConsumers.replace(/,/g, ""));
+      if (!Number.isFinite(consumers)) return reject(`Consumers "${rawConsumers}" is not a number`);
+      if (consumers < 0) return reject(`Consumers ${consumers} is negative`);
+    }
+
+    let feeder = get(row, "feeder");
+    if (!feeder) {
+      feeder = "Unassigned";
+      warnings.push({ line, message: `${name}: no feeder, put under "Unassigned"` });
+    }
+
+    const coord = (key, min, max) => {
+      const raw = get(row, key);
+      const v = toCoord(raw);
+      if (raw && (v === null || v < min || v > max)) {
+        warnings.push({ line, message: `${name}: ${key === "lat" ? "latitude" : "longitude"} "${raw}" is invalid, left empty` });
+        return null;
+      }
+      return v;
+    };
+
+    const station = {
+      id: get(row, "id") || name,
+      feeder,
+      alternates: cleanAlternates(get(row, "alternates"), feeder),
+      name,
+      consumers,
+      isOut: flag(get(row, "isOut"), line, "isOut"),
+      lat: coord("lat", -90, 90),
+      lon: coord("lon", -180, 180),
+      assetCode: get(row, "assetCode"),
+    };
+    if (mapping.feederIsOut != null && flag(get(row, "feederIsOut"), line, "Feeder OFF")) feederOut[feeder] = true;
+
+    if (!linesByName.has(name)) linesByName.set(name, []);
+    linesByName.get(name).push(line);
+    if (!linesById.has(station.id)) linesById.set(station.id, []);
+    const seen = linesById.get(station.id);
+    seen.push(line);
+    if (seen.length > 1) {
+      if (duplicates === "skip") return reject(`Duplicate id "${station.id}" (first on line ${seen[0]})`);
+      station.id = `${station.id}#${seen.length}`;
+    }
+    stations.push(station);
+  });
+
+  const dupes = [];
+  for (const [value, lines] of linesById) if (lines.length > 1) dupes.push({ kind: "id", value, lines });
+  for (const [value, lines] of linesByName) {
+    if (lines.length > 1 && !dupes.some(d => d.value === value)) dupes.push({ kind: "name", value, lines });
+  }
+  return { stations, feederOut, rejected, warnings, duplicates: dupes };
+}
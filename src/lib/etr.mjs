@@ -0,0 +1,93 @@
+// Estimated restoration times (ETR), shared by the dashboard and the Netlify functions.
+// Operators set them per outage, keyed like outage events: { "feeder:<name>" | "station:<id>": ISO }.
+// A substation's ETR is its own one, else its feeder's when the feeder is OFF, else the
+// end of the active planned outage covering it.
+
+import { feederKey, stationKey } from "./events.mjs";
+import { plannedKey } from "./planned.mjs";
+
+// Relative buckets for the viewer summary (`hours`: upper bound from now; labels: "etr.<key>" in src/locales)
+export const ETR_BUCKETS = [
+  { key: "overdue" },
+  { key: "1h", hours: 1 },
+  { key: "2h", hours: 2 },
+  { key: "4h", hours: 4 },
+  { key: "8h", hours: 8 },
+  { key: "later", hours: Infinity },
+  { key: "unknown" },
+];
+
+export const isOverdue = (etr, now) => !!etr && Date.parse(etr) < now;
+
+// "14:05" today, "Tue 14:05" on other days
+export function formatClock(iso, now = Date.now()) {
+  const t = new Date(iso);
+  const opts = { hour: "2-digit", minute: "2-digit" };
+  if (t.toDateString() !== new Date(now).toDateString()) opts.weekday = "short";
+  return t.toLocaleString(undefined, opts);
+}
+
+const feederDown = (f) => !!(f && (f.isOut || f.plannedOut));
+
+// Keep only valid times for outages that are OFF in `snapshot` ({ feeders, stations })
+export function cleanEtr(input, snapshot) {
+  const off = new Set();
+  for (const f of snapshot.feeders || []) if (feederDown(f)) off.add(feederKey(f.name));
+  for (const s of snapshot.stations || []) if (s.effOut) off.add(stationKey(s.id));
+  const out = {};
+  for (const [key, v] of Object.entries(input || {})) {
+    const t = v ? Date.parse(v) : NaN;
+    if (off.has(key) && !Number.isNaN(t)) out[key] = new Date(t).toISOString();
+  }
+  return out;
+}
+
+// Effective ETRs -> { feeders: Map name -> ISO | null, stations: Map id -> ISO | null }
+// planned: active planned outages ({ kind, target, end })
+export function resolveEtr({ feeders = [], stations = [], planned = [] }, etr = {}) {
+  const plannedEnd = new Map(planned.map(p => [plannedKey(p), p.end]));
+  const byFeeder = new Map(feeders.map(f => [f.name, f]));
+  const feederEtr = new Map();
+  for (const f of feeders) {
+    feederEtr.set(f.name, feederDown(f) ? etr[feederKey(f.name)] ?? plannedEnd.get(feederKey(f.name)) ?? null : null);
+  }
+  const stationEtr = new Map();
+  for (const s of stations) {
+    if (!s.effOut) { stationEtr.set(s.id, null); continue; }
+    const own = etr[stationKey(s.id)] ?? plannedEnd.get(stationKey(s.id));
+    stationEtr.set(s.id, own ?? (feederDown(byFeeder.get(s.feeder)) ? feederEtr.get(s.feeder) : null) ?? null);
+  }
+  return { feeders: feederEtr, stations: stationEtr };
+}
+
+// Published snapshot + operator ETRs -> snapshot with `etr` (the cleaned map) and
+// an effective `etr` on every feeder and substation
+export function applyEtr(snapshot, input) {
+  const etr = cleanEtr(input, snapshot);
+  const resolved = resolveEtr(snapshot, etr);
+  return {
+    ...snapshot,
+    etr,
+    feeders: snapshot.feeders.map(f => ({ ...f, etr: resolved.feeders.get(f.name) })),
+    stations: snapshot.stations.map(s => ({ ...s, etr: resolved.stations.get(s.id) })),
+  };
+}
+
+// Affected consumers / substations per ETR bucket (stations: [{ effOut, etr, consumers }])
+export function etrBuckets(stations, now) {
+  const rows = ETR_BUCKETS.map(b => ({ ...b, consumers: 0, stations: 0 }));
+  const byKey = new Map(rows.map(b => [b.key, b]));
+  for (const s of stations) {
+    if (!s.effOut) continue;
+    let bucket;
+    if (!s.etr) bucket = byKey.get("unknown");
+    else if (isOverdue(s.etr, now)) bucket = byKey.get("overdue");
+    else {
+      const hours = (Date.parse(s.etr) - now) / 3600e3;
+      bucket = rows.find(b => b.hours != null && hours <= b.hours);
+    }
+    bucket.consumers += Number(s.consumers) || 0;
+    bucket.stations++;
+  }
+  return rows;
+}
@@ -0,0 +1,116 @@
+// Outage event model shared by the dashboard and the Netlify functions.
+//
+// An event is one continuous OFF period of a feeder or of a single substation:
+//   { id, kind: "feeder"|"substation", key, feeder, stationId, name, consumers,
+//     start, restore, cause, notes, version, backfed? }
+// `restore` is null while the outage is still open; `version` counts edits of cause/notes
+// (annotations send it back as If-Match). A substation that is only off because its
+// feeder is off is covered by the feeder event; substations of that feeder backfed
+// from another one meanwhile are listed in the feeder event's
+// backfed: [{ stationId, start, end }] (end null while still backfed).
+
+export const CAUSES = ["", "Fault", "Planned maintenance", "Load shedding", "Weather", "Third-party damage", "Other"];
+
+export const feederKey = (name) => `feeder:${name}`;
+export const stationKey = (id) => `station:${id}`;
+
+// Clamp a client-supplied ISO time into [min, max]; fall back to max when invalid.
+function clampTime(iso, min, max) {
+  const t = iso ? Date.parse(iso) : NaN;
+  if (Number.isNaN(t)) return max;
+  if (min && t < Date.parse(min)) return min;
+  if (t > Date.parse(max)) return max;
+  return new Date(t).toISOString();
+}
+
+// Open/close events so that they match the OFF flags in a published snapshot.
+// changedAt maps event keys to the time the admin toggled them (so the event
+// carries the toggle time rather than the publish time); notes maps keys to
+// { cause, notes } for events the admin annotated before publishing.
+// Active planned outages (snapshot.planned) count as OFF and default the cause to
+// "Planned maintenance" with their reason as notes. A substation left without supply
+// while its feeder is ON (switching, see ./topology.mjs) gets its own event.
+export function reconcileEvents(events, snapshot, { changedAt = {}, notes = {}, now, newId }) {
+  const list = events.map(e => ({ ...e }));
+  const open = new Map(list.filter(e => !e.restore).map(e => [e.key, e]));
+  const wanted = new Map();
+  const planned = new Map((snapshot.planned || []).map(p => [p.kind === "feeder" ? feederKey(p.target) : stationKey(p.target), p]));
+  const feederPlanned = new Set((snapshot.feeders || []).filter(f => f.plannedOut).map(f => f.name));
+  const feederDown = new Set((snapshot.feeders || []).filter(f => f.isOut || f.plannedOut).map(f => f.name));
+
+  for (const f of snapshot.feeders || []) {
+    if (f.isOut || f.plannedOut) wanted.set(feederKey(f.name), { kind: "feeder", feeder: f.name, stationId: null, name: f.name, consumers: f.total });
+  }
+  for (const s of snapshot.stations || []) {
+    if (s.isOut || (s.plannedOut && !feederPlanned.has(s.feeder)) || (s.effOut && !feederDown.has(s.feeder))) {
+      wanted.set(stationKey(s.id), { kind: "substation", feeder: s.feeder, stationId: s.id, name: s.name, consumers: s.consumers });
+    }
+  }
+
+  const opened = [], closed = [];
+  for (const [key, e] of open) {
+    if (wanted.has(key)) continue;
+    e.restore = clampTime(changedAt[key], e.start, now);
+    closed.push(e);
+  }
+  for (const [key, w] of wanted) {
+    const existing = open.get(key);
+    if (existing) {
+      const n = pickNotes(notes[key]);
+      if (Object.keys(n).some(k => n[k] !== existing[k])) Object.assign(existing, n, { version: (existing.version ?? 0) + 1 });
+      continue;
+    }
+    const p = planned.get(key);
+    const defaults = p ? { cause: "Planned maintenance", notes: p.reason || "" } : { cause: "", notes: "" };
+    const e = { id: newId(), key, ...w, start: clampTime(changedAt[key], null, now), restore: null, ...defaults, ...pickNotes(notes[key]), version: 0 };
+    list.push(e);
+    opened.push(e);
+  }
+
+  // Backfed periods of feeder events, stamped with the substation's changedAt (the transfer time)
+  const backfed = new Set((snapshot.stations || []).filter(s => s.supply && s.supply !== s.feeder).map(s => s.id));
+  const onFeeder = (name) => (snapshot.stations || []).filter(s => s.feeder === name).map(s => s.id);
+  for (const e of list) {
+    if (e.kind !== "feeder" || (e.restore && !closed.includes(e))) continue;
+    const periods = (e.backfed || []).map(p => ({ ...p }));
+    const openPeriod = (id) => periods.find(p => p.stationId === id && !p.end);
+    for (const p of periods) {
+      if (!p.end && (e.restore || !backfed.has(p.stationId))) p.end = e.restore || clampTime(changedAt[stationKey(p.stationId)], p.start, now);
+    }
+    if (!e.restore) {
+      for (const id of onFeeder(e.feeder)) {
+        if (backfed.has(id) && !openPeriod(id)) periods.push({ stationId: id, start: clampTime(changedAt[stationKey(id)], e.start, now), end: null });
+      }
+    }
+    if (periods.length) e.backfed = periods;
+  }
+  return { events: list, opened, closed };
+}
+
+export function pickNotes(v) {
+  const out = {};
+  if (v && typeof v.cause === "string") out.cause = v.cause.slice(0, 100);
+  if (v && typeof v.notes === "string") out.notes = v.notes.slice(0, 1000);
+  return out;
+}
+
+// Does the event overlap [from, to]? (ISO strings, either may be null)
+export function eventOverlaps(e, from, to) {
+  if (to && e.start > to) return false;
+  if (from && e.restore && e.restore < from) return false;
+  return true;
+}
+
+export function durationMs(e, now = Date.now()) {
+  const end = e.restore ? Date.parse(e.restore) : now;
+  return Math.max(0, end - Date.parse(e.start));
+}
+
+// 3725000 -> "1h 02m", 90061000 -> "1d 1h 01m"
+export function formatDuration(ms) {
+  const mins = Math.floor(Math.max(0, ms) / 60000);
+  const d = Math.floor(mins / 1440), h = Math.floor((mins % 1440) / 60), m = mins % 60;
+  if (d > 0) return `${d}d ${h}h ${String(m).padStart(2, "0")}m`;
+  if (h > 0) return `${h}h ${String(m).padStart(2, "0")}m`;
+  return `${m}m`;
+}
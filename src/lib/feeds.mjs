@@ -0,0 +1,110 @@
+// Public machine-readable feeds (see /api/feed): the versioned JSON status document and
+// RSS 2.0 / Atom 1.0 feeds of outage events.
+//
+// Status schema v1 (public/schema/status-v1.json):
+//   { schemaVersion: 1, version, updatedAt,
+//     consumers:   { total, affected, healthy, affectedPct },
+//     substations: { total, off, on, offPct },
+//     feeders:     [{ name, state: "on"|"partial"|"off"|"planned", consumers, affected, substations, substationsOff, restoreBy }],
+//     planned:     [{ kind, target, feeder, name, start, end, reason }] }
+// Fields are only ever added within a version; renames or removals get a new schemaVersion.
+
+import { durationMs, formatDuration } from "./events.mjs";
+
+export const STATUS_SCHEMA_VERSIONS = [1];
+export const FEED_FORMATS = ["json", "rss", "atom"];
+export const FEED_DAYS = 7;
+export const MAX_FEED_ITEMS = 50;
+
+const num = (v) => Number(v) || 0;
+
+function feederState(f) {
+  if (f.isOut) return "off";
+  if (f.plannedOut) return "planned";
+  return num(f.subsOff) > 0 ? "partial" : "on";
+}
+
+// Published snapshot (or null before the first publish) -> status document v1
+export function publicStatus(snap) {
+  const s = snap ?? {};
+  return {
+    schemaVersion: 1,
+    version: num(s.version),
+    updatedAt: s.updatedAt ?? null,
+    consumers: { total: num(s.total), affected: num(s.affected), healthy: num(s.healthy), affectedPct: num(s.pct) },
+    substations: { total: num(s.subsTotal), off: num(s.subsOff), on: num(s.subsOn), offPct: num(s.offPct) },
+    feeders: (s.feeders || []).map(f => ({
+      name: f.name,
+      state: feederState(f),
+      consumers: num(f.total),
+      affected: num(f.affected),
+      substations: num(f.subsTotal),
+      substationsOff: num(f.subsOff),
+      restoreBy: f.etr ?? null,
+    })),
+    planned: (s.planned || []).map(({ kind, target, feeder, name, start, end, reason }) => ({ kind, target, feeder, name, start, end, reason })),
+  };
+}
+
+// Outage events -> feed items since `since` (ISO, optional), newest first: one when an outage
+// starts, one when it is restored. Notes stay internal; only what the public status shows goes out.
+export function eventItems(events, now = Date.now(), since = null) {
+  const items = [];
+  for (const e of events) {
+    const what = e.kind === "feeder" ? `Feeder ${e.name}` : `${e.name} (${e.feeder})`;
+    const consumers = `${num(e.consumers).toLocaleString("en")} consumers`;
+    const cause = e.cause ? ` Cause: ${e.cause}.` : "";
+    items.push({ id: `${e.id}:off`, at: e.start, title: `Outage: ${what}`, summary: `${what} is OFF, ${consumers} affected.${cause}` });
+    if (e.restore) {
+      items.push({ id: `${e.id}:restored`, at: e.restore, title: `Restored: ${what}`, summary: `${what} is back ON after ${formatDuration(durationMs(e, now))} (${consumers}).${cause}` });
+    }
+  }
+  return items.filter(it => !since || it.at >= since).sort((a, b) => b.at.localeCompare(a.at)).slice(0, MAX_FEED_ITEMS);
+}
+
+const xml = (s) => String(s).replace(/[<>&'"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" })[c]);
+
+// site: { title, link (dashboard URL), self (this feed's URL), updated (ISO) }
+export function rssXml(items, site) {
+  const entries = items.map(it => `    <item>
+      <title>${xml(it.title)}</title>
+      <description>${xml(it.summary)}</description>
+      <link>${xml(site.link)}</link>
+      <guid isPermaLink="false">${xml(it.id)}</guid>
+      <pubDate>${new Date(it.at).toUTCString()}</pubDate>
+    </item>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${xml(site.title)}</title>
+    <link>${xml(site.link)}</link>
+    <description>Power outages and restorations</description>
+    <atom:link href="${xml(site.self)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${new Date(site.updated).toUTCString()}</lastBuildDate>
+    <ttl>5</ttl>
+${entries.join("\n")}
+  </channel>
+</rss>
+`;
+}
+
+export function atomXml(items, site) {
+  const entries = items.map(it => `  <entry>
+    <id>urn:outage-event:${xml(it.id)}</id>
+    <title>${xml(it.title)}</title>
+    <summary>${xml(it.summary)}</summary>
+    <link href="${xml(site.link)}"/>
+    <updated>${it.at}</updated>
+  </entry>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${xml(site.self)}</id>
+  <title>${xml(site.title)}</title>
+  <link href="${xml(site.link)}"/>
+  <link href="${xml(site.self)}" rel="self"/>
+  <updated>${site.updated}</updated>
+  <author><name>${xml(site.title)}</name></author>
+${entries.join("\n")}
+</feed>
+`;
+}
@@ -0,0 +1,78 @@
+// Languages of the public viewer: message catalogs (src/locales/*.json) plus number, date and
+// duration formatting for the selected locale. Dhivehi is written right to left; browsers rarely
+// ship Intl data for it, so its dates are English ones with month and weekday names (and the
+// Thaana comma) from its catalog.
+
+import en from "../locales/en.json";
+import dv from "../locales/dv.json";
+
+// intl: BCP 47 tags for Intl, best first; hourCycle: forced clock (Dhivehi has no AM/PM in the catalog)
+export const LOCALES = {
+  en: { label: "English", dir: "ltr", intl: ["en-MV", "en"], catalog: en },
+  dv: { label: "ދިވެހި", dir: "rtl", intl: ["dv-MV", "en-MV", "en"], hourCycle: "h23", catalog: dv, font: '"Faruma", "MV Faruma", "Noto Sans Thaana", "MV Boli", system-ui, sans-serif' },
+};
+export const DEFAULT_LOCALE = "en";
+
+// First supported language among `langs` (e.g. navigator.languages), else the default
+export function matchLocale(langs = []) {
+  for (const tag of langs) {
+    const base = String(tag).toLowerCase().split("-")[0];
+    if (Object.hasOwn(LOCALES, base)) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+// -> { locale, dir, font, t(key, params), num(n, opts), date(value, opts), time(value), duration(ms), clock(iso, now) }
+export function makeI18n(locale) {
+  const code = Object.hasOwn(LOCALES, locale) ? locale : DEFAULT_LOCALE;
+  const info = LOCALES[code];
+  const { catalog } = info;
+  const plural = new Intl.PluralRules(info.intl);
+  const numbers = new Intl.NumberFormat(info.intl);
+  const months = catalog["calendar.months"], weekdays = catalog["calendar.weekdays"];
+
+  const num = (n, opts) => (opts ? new Intl.NumberFormat(info.intl, opts) : numbers).format(Number(n) || 0);
+
+  // Message `key` with {name} placeholders filled from params (numbers formatted); a message with
+  // one/other forms is picked by params.n. Missing keys fall back to English.
+  function t(key, params = {}) {
+    let msg = catalog[key] ?? en[key] ?? key;
+    if (typeof msg === "object") msg = msg[plural.select(Number(params.n) || 0)] ?? msg.other;
+    return msg.replace(/\{(\w+)\}/g, (m, name) => (
+      !Object.hasOwn(params, name) ? m : typeof params[name] === "number" ? num(params[name]) : String(params[name])
+    ));
+  }
+
+  function date(value, opts = { dateStyle: "medium", timeStyle: "short" }) {
+    const d = new Date(value);
+    const fmt = new Intl.DateTimeFormat(info.intl, info.hourCycle && (opts.hour || opts.timeStyle) ? { ...opts, hourCycle: info.hourCycle } : opts);
+    if (!months) return fmt.format(d);
+    return fmt.formatToParts(d).map(p => (
+      p.type === "month" && !/^\d+$/.test(p.value) ? months[d.getMonth()]
+        : p.type === "weekday" ? weekdays[d.getDay()]
+        : p.type === "literal" ? p.value.replace(",", "،")
+        : p.value
+    )).join("");
+  }
+
+  const time = (value) => date(value, { hour: "2-digit", minute: "2-digit", second: "2-digit" });
+
+  // 3725000 -> "1h 02m" (see formatDuration in events.mjs)
+  function duration(ms) {
+    const mins = Math.floor(Math.max(0, ms) / 60000);
+    const d = Math.floor(mins / 1440), h = Math.floor((mins % 1440) / 60), m = mins % 60;
+    const mm = String(m).padStart(2, "0");
+    if (d > 0) return t("duration.days", { d, h, m: mm });
+    if (h > 0) return t("duration.hours", { h, m: mm });
+    return t("duration.minutes", { m: String(m) });
+  }
+
+  // "14:05" today, "Tue 14:05" on other days (see formatClock in etr.mjs)
+  function clock(iso, now = Date.now()) {
+    const opts = { hour: "2-digit", minute: "2-digit" };
+    if (new Date(iso).toDateString() !== new Date(now).toDateString()) opts.weekday = "short";
+    return date(iso, opts);
+  }
+
+  return { locale: code, dir: info.dir, font: info.font, t, num, date, time, duration, clock };
+}
@@ -0,0 +1,68 @@
+// "Is my supply affected?" lookup: account / meter numbers and substation asset codes
+// mapped to substations. The consumer index is built and kept by the server
+// (/api/consumers) and only ever answers exact matches through /api/lookup.
+//   index = { accounts: { [key]: stationId }, meters: { [key]: stationId }, count, updatedAt, updatedBy }
+
+import { feederKey, stationKey } from "./events.mjs";
+
+export const MIN_QUERY = 4; // shorter queries are refused so the index can't be walked
+
+// Columns of a consumer CSV; aliases are matched case-insensitively against the header
+// ("Account No." and "account-no" both match account_no).
+export const LOOKUP_FIELDS = [
+  { key: "account", aliases: ["account", "account_no", "account_number", "accountnumber", "consumer", "consumer_no"] },
+  { key: "meter", aliases: ["meter", "meter_no", "meter_number", "meternumber", "serial"] },
+  { key: "station", aliases: ["station", "substation", "station_id", "asset", "assetcode", "asset_code"] },
+];
+
+// "bao 901", "BAO-901" and "bao901" are the same code
+export const lookupKey = (v) => String(v ?? "").toUpperCase().replace(/[\s\-_./]/g, "");
+
+// rows: CSV rows, first row = header. resolve(value) -> station id | null (id, asset code or name)
+// -> { index: { accounts, meters, count }, unmatched: [{ line, station }], error? }
+export function buildLookupIndex(rows, resolve) {
+  const [header = [], ...data] = rows;
+  const col = {};
+  for (const f of LOOKUP_FIELDS) {
+    const i = header.findIndex(h => f.aliases.includes(String(h ?? "").trim().toLowerCase().replace(/[\s\-.]+/g, "_").replace(/^_|_$/g, "")));
+    col[f.key] = i < 0 ? null : i;
+  }
+  if (col.station == null) return { error: "The file needs a station / substation / asset code column" };
+  if (col.account == null && col.meter == null) return { error: "The file needs an account or meter column" };
+
+  const accounts = {}, meters = {}, unmatched = [];
+  let count = 0;
+  data.forEach((row, i) => {
+    const cell = (k) => (col[k] == null ? "" : String(row[col[k]] ?? "").trim());
+    const account = lookupKey(cell("account")), meter = lookupKey(cell("meter"));
+    if (!account && !meter) return;
+    const stationId = resolve(cell("station"));
+    if (!stationId) return unmatched.push({ line: i + 2, station: cell("station") });
+    if (account) accounts[account] = stationId;
+    if (meter) meters[meter] = stationId;
+    count++;
+  });
+  return { index: { accounts, meters, count }, unmatched };
+}
+
+// Public answer for one substation of a published snapshot.
+// events: open outage events (for "off since"); the restoration time is the published
+// ETR (see ./etr.mjs), else the end of the planned outage covering it.
+export function supplyStatus(snapshot, events, stationId) {
+  const s = (snapshot?.stations || []).find(x => x.id === stationId);
+  if (!s) return null;
+  const covering = (snapshot.planned || []).find(p => (p.kind === "feeder" ? p.target === s.feeder : p.target === s.id));
+  const keys = [stationKey(s.id), feederKey(s.feeder)];
+  const since = s.effOut ? events.filter(e => !e.restore && keys.includes(e.key)).map(e => e.start).sort()[0] ?? null : null;
+  return {
+    station: s.name,
+    feeder: s.feeder,
+    affected: !!s.effOut,
+    planned: !!s.plannedOut,
+    backfed: !s.effOut && !!s.supply && s.supply !== s.feeder,
+    since,
+    restoreBy: s.effOut ? s.etr ?? covering?.end ?? null : null,
+    reason: s.effOut && covering ? covering.reason || null : null,
+    updatedAt: snapshot.updatedAt ?? null,
+  };
+}
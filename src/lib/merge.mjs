@@ -0,0 +1,57 @@
+// Optimistic locking helpers and the three-way merge of outage flags for concurrent publishes.
+//
+// base   = the published snapshot this tab started from
+// local  = this tab's state
+// server = the snapshot someone else published meanwhile
+// Each side is { stations: { [id]: isOut }, feeders: { [name]: isOut }, switches: { [linkId]: closed } }.
+// A flag the local user changed since base wins; otherwise the server's value is taken.
+
+import { topologyLinks, isClosed } from "./topology.mjs";
+
+// Documents carry an integer `version`, sent as a strong ETag / If-Match value.
+export const etag = (version) => `"${version ?? 0}"`;
+
+export function outageFlags(snapshot) {
+  const stations = {}, feeders = {}, switches = {};
+  for (const s of snapshot?.stations || []) stations[s.id] = !!s.isOut;
+  for (const f of snapshot?.feeders || []) feeders[f.name] = !!f.isOut;
+  for (const l of topologyLinks(snapshot?.stations || [], snapshot?.ties || [])) {
+    switches[l.id] = isClosed(l, snapshot.switches);
+  }
+  return { stations, feeders, switches };
+}
+
+export function mergeOutageFlags(base, local, server) {
+  const result = { stations: {}, feeders: {}, switches: {} };
+  const mine = [], theirs = [], conflicts = [];
+  const KIND = { stations: "substation", feeders: "feeder", switches: "switch" };
+
+  for (const kind of ["stations", "feeders", "switches"]) {
+    for (const key of Object.keys(local[kind] || {})) {
+      const b = !!base[kind]?.[key], l = !!local[kind][key];
+      const s = key in (server[kind] || {}) ? !!server[kind][key] : b;
+      const localChanged = l !== b, serverChanged = s !== b;
+      const item = { kind: KIND[kind], key, base: b, local: l, server: s };
+      if (localChanged && serverChanged && l !== s) conflicts.push(item);
+      else if (localChanged) mine.push(item);
+      else if (serverChanged) theirs.push(item);
+      result[kind][key] = localChanged ? l : s;
+    }
+  }
+  return { ...result, mine, theirs, conflicts };
+}
+
+// Flags this tab changed relative to the published snapshot (base), in the shape of the merge items.
+// A link the snapshot doesn't know yet (registry edit since) is not a change of position.
+export function draftChanges(base, local) {
+  const changes = [];
+  const KIND = { stations: "substation", feeders: "feeder", switches: "switch" };
+  for (const kind of ["stations", "feeders", "switches"]) {
+    for (const key of Object.keys(local[kind] || {})) {
+      if (kind === "switches" && !(key in (base.switches || {}))) continue;
+      const b = !!base[kind]?.[key], l = !!local[kind][key];
+      if (b !== l) changes.push({ kind: KIND[kind], key, base: b, local: l });
+    }
+  }
+  return changes;
+}
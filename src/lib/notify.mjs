@@ -0,0 +1,143 @@
+// Outage notifications: which changes between two published snapshots are worth telling
+// someone about, the notification settings, and the messages sent. Shared by the
+// functions (netlify/lib/notify.mjs sends them) and the Notifications panel.
+//
+// Settings: {
+//   webhooks:   [{ id, name, url, secret, events, enabled }]   JSON POST, HMAC-signed with `secret`
+//   email:      { enabled, to: [address], events }             through SMTP_URL
+//   sms:        { enabled, to: [number], events }              through SMS_URL
+//   thresholds: [percent]                                      affected consumers % worth a message
+// }
+// `events` lists the NOTIFY_EVENTS a channel wants; empty = all of them.
+
+export const NOTIFY_EVENTS = ["feeder.off", "feeder.on", "station.off", "station.on", "threshold.above", "threshold.below"];
+
+export const PAYLOAD_SCHEMA = 1; // bump when the webhook payload changes shape
+
+export const EMPTY_NOTIFY = { webhooks: [], email: { enabled: false, to: [], events: [] }, sms: { enabled: false, to: [], events: [] }, thresholds: [] };
+
+const down = (f) => !!(f && (f.isOut || f.plannedOut));
+
+// Changes from `prev` (null before the first publish) to `next`, oldest first:
+// [{ type, feeder, station, name, consumers, planned, etr, threshold }]
+// Substations are only reported on their own; a feeder change covers its substations.
+export function notificationEvents(prev, next, thresholds = []) {
+  const out = [];
+  const event = (type, fields) => ({ type, feeder: null, station: null, name: null, consumers: 0, planned: false, etr: null, threshold: null, ...fields });
+
+  const prevFeeders = new Map((prev?.feeders || []).map(f => [f.name, f]));
+  const feederChanged = new Set();
+  for (const f of next.feeders || []) {
+    const before = prevFeeders.get(f.name);
+    if (down(before) === down(f)) continue;
+    feederChanged.add(f.name);
+    out.push(event(down(f) ? "feeder.off" : "feeder.on", {
+      feeder: f.name, name: f.name,
+      consumers: down(f) ? f.affected : before?.affected ?? 0, planned: !!(f.plannedOut || before?.plannedOut), etr: f.etr ?? null,
+    }));
+  }
+
+  const prevStations = new Map((prev?.stations || []).map(s => [s.id, s]));
+  for (const s of next.stations || []) {
+    const before = prevStations.get(s.id);
+    if (!!before?.effOut === !!s.effOut || feederChanged.has(s.feeder)) continue;
+    out.push(event(s.effOut ? "station.off" : "station.on", {
+      feeder: s.feeder, station: s.id, name: s.name,
+      consumers: Number(s.consumers) || 0, planned: !!(s.plannedOut || before?.plannedOut), etr: s.etr ?? null,
+    }));
+  }
+
+  const was = Number(prev?.pct) || 0, now = Number(next.pct) || 0;
+  for (const t of [...thresholds].sort((a, b) => a - b)) {
+    if (was < t && now >= t) out.push(event("threshold.above", { threshold: t, consumers: next.affected ?? 0 }));
+    if (was >= t && now < t) out.push(event("threshold.below", { threshold: t, consumers: next.affected ?? 0 }));
+  }
+  return out;
+}
+
+export const wants = (channel, type) => !channel.events?.length || channel.events.includes(type);
+
+// Webhook body for one endpoint
+export function webhookPayload(snapshot, events, id) {
+  return {
+    schema: PAYLOAD_SCHEMA,
+    id,
+    version: snapshot.version ?? null,
+    at: snapshot.updatedAt ?? null,
+    totals: { affected: snapshot.affected ?? 0, total: snapshot.total ?? 0, pct: snapshot.pct ?? 0, subsOff: snapshot.subsOff ?? 0, subsTotal: snapshot.subsTotal ?? 0 },
+    events,
+  };
+}
+
+const n = (v) => Number(v || 0).toLocaleString("en-US");
+// Times in the recipients' zone, with its offset ("14:30 GMT+5")
+const clock = (iso, timeZone, withDate = false) => new Date(iso).toLocaleString("en-GB", {
+  ...(withDate ? { day: "numeric", month: "short" } : {}),
+  hour: "2-digit", minute: "2-digit", hourCycle: "h23", timeZone, timeZoneName: "short",
+});
+
+// One line per event, for email and SMS. timeZone: IANA zone for the restoration time
+export function eventLine(e, timeZone = "UTC") {
+  const eta = e.etr ? `, restoration expected by ${clock(e.etr, timeZone)}` : "";
+  const what = e.station ? `Substation ${e.name} (feeder ${e.feeder})` : `Feeder ${e.name}`;
+  switch (e.type) {
+    case "feeder.off":
+    case "station.off": return `${what} is OFF${e.planned ? " (planned)" : ""}: ${n(e.consumers)} consumers affected${eta}`;
+    case "feeder.on":
+    case "station.on": return `${what} is back ON: ${n(e.consumers)} consumers restored`;
+    case "threshold.above": return `Outages passed ${e.threshold}% of consumers (${n(e.consumers)} affected)`;
+    case "threshold.below": return `Outages fell below ${e.threshold}% of consumers (${n(e.consumers)} affected)`;
+    case "test": return "Test notification from the outage dashboard";
+    default: return e.type;
+  }
+}
+
+// -> { subject, text } for email; SMS uses `short`
+export function messageText(snapshot, events, { timeZone = "UTC", maxLines = 3 } = {}) {
+  const line = (e) => eventLine(e, timeZone);
+  const subject = events.length === 1 ? line(events[0]).split(":")[0] : `${events.length} outage changes`;
+  const summary = `Now ${n(snapshot.affected)} of ${n(snapshot.total)} consumers affected (${snapshot.pct ?? 0}%).`;
+  const text = [...events.map(line), "", summary, snapshot.updatedAt ? `Status as of ${clock(snapshot.updatedAt, timeZone, true)}` : ""].join("\n").trim();
+  const lines = events.slice(0, maxLines).map(line);
+  if (events.length > maxLines) lines.push(`and ${events.length - maxLines} more`);
+  return { subject: `Outage update: ${subject}`, text, short: `${lines.join("; ")}. ${summary}` };
+}
+
+const list = (v) => (Array.isArray(v) ? v : String(v ?? "").split(/[\s,;]+/)).map(x => String(x).trim()).filter(Boolean);
+const eventList = (v) => [...new Set(list(v))].filter(e => NOTIFY_EVENTS.includes(e));
+
+// Validate settings from the panel. prev: stored settings, so a webhook sent without
+// `secret` keeps its old one (the API never returns secrets).
+// -> { config } | { error }
+export function cleanNotifyConfig(input, prev = EMPTY_NOTIFY) {
+  const webhooks = [], ids = new Set();
+  for (const [i, w] of (Array.isArray(input?.webhooks) ? input.webhooks : []).entries()) {
+    let url;
+    try { url = new URL(String(w?.url ?? "").trim()); } catch { return { error: `Webhook ${i + 1}: enter a full http(s) URL` }; }
+    if (!/^https?:$/.test(url.protocol)) return { error: `Webhook ${i + 1}: only http and https URLs are supported` };
+    const id = String(w.id ?? "").trim() || crypto.randomUUID();
+    if (ids.has(id)) return { error: `Webhook ${i + 1}: duplicate id` };
+    ids.add(id);
+    const old = prev.webhooks.find(x => x.id === id);
+    webhooks.push({
+      id,
+      name: String(w.name ?? "").trim().slice(0, 80) || url.host,
+      url: url.toString(),
+      secret: w.secret === undefined ? old?.secret ?? "" : String(w.secret),
+      events: eventList(w.events),
+      enabled: w.enabled !== false,
+    });
+  }
+  const email = { enabled: !!input?.email?.enabled, to: list(input?.email?.to), events: eventList(input?.email?.events) };
+  if (email.to.some(a => !/^[^@\s]+@[^@\s]+$/.test(a))) return { error: "Email: one of the addresses is not valid" };
+  const sms = { enabled: !!input?.sms?.enabled, to: list(input?.sms?.to), events: eventList(input?.sms?.events) };
+  if (sms.to.some(x => !/^\+?\d{6,15}$/.test(x))) return { error: "SMS: numbers must be digits, optionally starting with +" };
+  const thresholds = [...new Set(list(input?.thresholds).map(Number))].filter(t => t > 0 && t <= 100).sort((a, b) => a - b);
+  return { config: { webhooks, email, sms, thresholds } };
+}
+
+// Settings as the browser sees them: secrets replaced by a flag
+export const publicNotifyConfig = (config) => ({
+  ...config,
+  webhooks: config.webhooks.map(({ secret, ...w }) => ({ ...w, hasSecret: !!secret })),
+});
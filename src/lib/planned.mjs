@@ -0,0 +1,60 @@
+// Planned (scheduled) outages shared by the dashboard and the Netlify functions.
+//   { id, kind: "feeder"|"substation", target, feeder, name, start, end, reason, notice,
+//     createdBy, createdAt }
+// target is the feeder name or the station id. A planned outage is active for
+// start <= now < end; while active it forces its feeder / substation OFF.
+
+import { feederKey, stationKey } from "./events.mjs";
+
+export const isActive = (p, now) => p.start <= now && now < p.end;
+
+// Outage event key of the feeder / substation a planned outage covers
+export const plannedKey = (p) => (p.kind === "feeder" ? feederKey(p.target) : stationKey(p.target));
+
+// Active outages -> flags for summarizeStations / buildSnapshot
+export function plannedFlags(list, now) {
+  const feeders = {}, stations = {};
+  for (const p of list || []) {
+    if (!isActive(p, now)) continue;
+    if (p.kind === "feeder") feeders[p.target] = true;
+    else stations[p.target] = true;
+  }
+  return { feeders, stations };
+}
+
+// Not yet ended, soonest first (active ones included)
+export function upcomingPlanned(list, now) {
+  return (list || []).filter(p => p.end > now).sort((a, b) => a.start.localeCompare(b.start) || a.end.localeCompare(b.end));
+}
+
+// What viewers may see: no author fields
+export const publicPlanned = ({ id, kind, target, feeder, name, start, end, reason, notice }) =>
+  ({ id, kind, target, feeder, name, start, end, reason, notice });
+
+const isoOrNull = (v) => {
+  const t = v ? Date.parse(v) : NaN;
+  return Number.isNaN(t) ? null : new Date(t).toISOString();
+};
+
+// Validate a create/update body against the known network.
+// resolve(kind, target) -> { feeder, name } | null
+// -> { planned } | { error }
+export function validatePlanned(input, resolve, prev = {}) {
+  const v = { ...prev, ...input };
+  const kind = v.kind === "feeder" ? "feeder" : v.kind === "substation" ? "substation" : null;
+  if (!kind) return { error: 'kind must be "feeder" or "substation"' };
+  const target = String(v.target ?? "").trim();
+  const found = target ? resolve(kind, target) : null;
+  if (!found) return { error: `Unknown ${kind} "${target}"` };
+  const start = isoOrNull(v.start), end = isoOrNull(v.end);
+  if (!start || !end) return { error: "start and end must be valid dates" };
+  if (end <= start) return { error: "end must be after start" };
+  return {
+    planned: {
+      ...prev,
+      kind, target, feeder: found.feeder, name: found.name, start, end,
+      reason: String(v.reason ?? "").trim().slice(0, 200),
+      notice: String(v.notice ?? "").trim().slice(0, 1000),
+    },
+  };
+}
@@ -0,0 +1,132 @@
+// IEEE 1366-style reliability indices from outage events (see ./events.mjs).
+//
+//   CMI   customer minutes interrupted   Σ customers × minutes
+//   SAIFI interruptions per customer     Σ customers interrupted / customers served
+//   SAIDI minutes per customer           CMI / customers served
+//   CAIDI minutes per interruption       CMI / Σ customers interrupted  (= SAIDI / SAIFI)
+//
+// Feeder and substation events are expanded to stations and merged per
+// station, so a substation that is off on its own and then again because its
+// feeder trips counts once for the overlapping time. Periods in which a substation
+// was backfed from another feeder (event.backfed) are not counted as interrupted. Interruptions shorter
+// than `minMinutes` (momentary, 5 min by IEEE 1366) are ignored.
+
+import { round1 } from "./status.mjs";
+import { stationKey } from "./events.mjs";
+
+const MINUTE = 60000;
+
+export function computeReliability(events, stations, { from, to, now = Date.now(), minMinutes = 5 } = {}) {
+  const start = from ? Date.parse(from) : -Infinity;
+  const end = Math.min(to ? Date.parse(to) : Infinity, now);
+
+  // Clip an event to the reporting period: [startMs, endMs] or null
+  const clip = (e) => {
+    const a = Math.max(Date.parse(e.start), start);
+    const b = Math.min(e.restore ? Date.parse(e.restore) : now, end);
+    return b > a ? [a, b] : null;
+  };
+
+  // Supply points: current stations plus any station/feeder seen only in events
+  const points = new Map(); // key -> { feeder, customers, intervals: [] }
+  const feederPoints = new Map(); // feeder -> [point]
+  const addPoint = (key, feeder, customers) => {
+    const p = { key, feeder, customers: Number(customers) || 0, intervals: [] };
+    points.set(key, p);
+    if (!feederPoints.has(feeder)) feederPoints.set(feeder, []);
+    feederPoints.get(feeder).push(p);
+    return p;
+  };
+  for (const s of stations) addPoint(stationKey(s.id), s.feeder || "Unassigned", s.consumers);
+
+  for (const e of events) {
+    const iv = clip(e);
+    if (!iv) continue;
+    if (e.kind === "feeder") {
+      const targets = feederPoints.get(e.feeder) || [addPoint(e.key, e.feeder, e.consumers)];
+      for (const p of targets) {
+        const backfed = (e.backfed || []).filter(b => stationKey(b.stationId) === p.key).map(b => clip({ start: b.start, restore: b.end })).filter(Boolean);
+        p.intervals.push(...subtractIntervals(iv, backfed));
+      }
+    } else {
+      const p = points.get(e.key) || addPoint(e.key, e.feeder, e.consumers);
+      p.intervals.push(iv);
+    }
+  }
+
+  const feeders = new Map();
+  const acc = (name) => {
+    if (!feeders.has(name)) feeders.set(name, { feeder: name, customersServed: 0, customersInterrupted: 0, cmi: 0, interruptions: 0 });
+    return feeders.get(name);
+  };
+  for (const [feeder, list] of feederPoints) {
+    const f = acc(feeder);
+    for (const p of list) {
+      f.customersServed += p.customers;
+      for (const [a, b] of mergeIntervals(p.intervals)) {
+        const mins = (b - a) / MINUTE;
+        if (mins < minMinutes) continue;
+        f.interruptions++;
+        f.customersInterrupted += p.customers;
+        f.cmi += p.customers * mins;
+      }
+    }
+  }
+
+  const raw = Array.from(feeders.values());
+  const rows = raw.map(withIndices).sort((a, b) => a.feeder.localeCompare(b.feeder));
+  const system = withIndices(raw.reduce((t, f) => ({
+    customersServed: t.customersServed + f.customersServed,
+    customersInterrupted: t.customersInterrupted + f.customersInterrupted,
+    cmi: t.cmi + f.cmi,
+    interruptions: t.interruptions + f.interruptions,
+  }), { customersServed: 0, customersInterrupted: 0, cmi: 0, interruptions: 0 }));
+
+  return {
+    from: from || null,
+    to: new Date(end).toISOString(),
+    minMinutes,
+    system,
+    feeders: rows,
+  };
+}
+
+function withIndices(t) {
+  const n = t.customersServed;
+  return {
+    ...t,
+    cmi: Math.round(t.cmi),
+    saifi: n > 0 ? Math.round((t.customersInterrupted / n) * 1000) / 1000 : 0,
+    saidi: n > 0 ? round1(t.cmi / n) : 0,
+    caidi: t.customersInterrupted > 0 ? round1(t.cmi / t.customersInterrupted) : 0,
+  };
+}
+
+// [a, b] minus the given intervals -> remaining pieces
+function subtractIntervals([a, b], cuts) {
+  const out = [];
+  let from = a;
+  for (const [x, y] of mergeIntervals(cuts)) {
+    if (y <= from || x >= b) continue;
+    if (x > from) out.push([from, x]);
+    from = Math.max(from, y);
+  }
+  if (from < b) out.push([from, b]);
+  return out;
+}
+
+function mergeIntervals(list) {
+  const sorted = [...list].sort((x, y) => x[0] - y[0]);
+  const out = [];
+  for (const [a, b] of sorted) {
+    const last = out[out.length - 1];
+    if (last && a <= last[1]) last[1] = Math.max(last[1], b);
+    else out.push([a, b]);
+  }
+  return out;
+}
+
+// First instant of the month containing `d` (local time), as ISO
+export function monthStart(d = new Date()) {
+  return new Date(d.getFullYear(), d.getMonth(), 1).toISOString();
+}
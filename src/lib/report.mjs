@@ -0,0 +1,251 @@
+// Outage reports (see ReportsPanel.jsx): an incident summary, or a daily / monthly report, built
+// from outage events and the published history. Output as workbook sheets (./xlsx.mjs) or as a
+// standalone printable HTML page with the charts inlined as SVG.
+
+import { computeReliability } from "./reliability.mjs";
+import { durationMs, formatDuration } from "./events.mjs";
+
+export const REPORT_KINDS = [
+  { key: "incident", label: "Incident summary" },
+  { key: "day", label: "Daily report" },
+  { key: "month", label: "Monthly report" },
+];
+
+const MINUTE = 60000;
+
+// Reporting period { from, to } (ISO), in local days / months and ending now at the latest.
+// incident: since the earliest outage still open (the last 24 hours when none is);
+// day: "YYYY-MM-DD"; month: "YYYY-MM"
+export function reportPeriod(kind, { day, month, openEvents = [], now = Date.now() } = {}) {
+  let from, to = now;
+  if (kind === "incident") {
+    const first = openEvents.map(e => e.start).sort()[0];
+    from = first ? Date.parse(first) : now - 24 * 3600e3;
+  } else if (kind === "day") {
+    const [y, m, d] = String(day).split("-").map(Number);
+    from = new Date(y, m - 1, d).getTime();
+    to = new Date(y, m - 1, d + 1).getTime();
+  } else if (kind === "month") {
+    const [y, m] = String(month).split("-").map(Number);
+    from = new Date(y, m - 1, 1).getTime();
+    to = new Date(y, m, 1).getTime();
+  } else {
+    throw new Error(`Unknown report kind: ${kind}`);
+  }
+  if (!Number.isFinite(from) || !Number.isFinite(to)) throw new Error("Pick a date for the report.");
+  if (from >= now) throw new Error("That period has not started yet.");
+  return { from: new Date(from).toISOString(), to: new Date(Math.min(to, now)).toISOString() };
+}
+
+// Published point with the most affected consumers (the latest of equal ones), or null
+export function peakOf(history) {
+  let peak = null;
+  for (const h of history) if (!peak || (Number(h.affected) || 0) >= (Number(peak.affected) || 0)) peak = h;
+  return peak;
+}
+
+// events: outage events overlapping the period; history: published points in it ({ updatedAt, affected,
+// total, pct, subsOff, subsTotal }); stations: the current registry; peakFeeders: [{ name, total, affected }]
+// of the peak snapshot (optional)
+export function buildReport({ events, history, stations, peakFeeders = [], from, to, now = Date.now() }) {
+  const reliability = computeReliability(events, stations, { from, to, now });
+  const feederStations = new Map();
+  for (const s of stations) feederStations.set(s.feeder, (feederStations.get(s.feeder) || 0) + 1);
+
+  const outages = [...events].sort((a, b) => a.start.localeCompare(b.start)).map(e => ({
+    kind: e.kind,
+    feeder: e.feeder,
+    name: e.name,
+    consumers: Number(e.consumers) || 0,
+    start: e.start,
+    restore: e.restore,
+    minutes: Math.round(durationMs(e, now) / MINUTE),
+    cause: e.cause || "",
+    notes: e.notes || "",
+  }));
+
+  const byFeeder = new Map();
+  for (const o of outages) {
+    const f = byFeeder.get(o.feeder) || { feeder: o.feeder, outages: 0, substations: new Set(), feederOutages: 0, longest: 0 };
+    f.outages++;
+    if (o.kind === "feeder") f.feederOutages++;
+    else f.substations.add(o.name);
+    f.longest = Math.max(f.longest, o.minutes);
+    byFeeder.set(o.feeder, f);
+  }
+  const indices = new Map(reliability.feeders.map(f => [f.feeder, f]));
+  const atPeak = new Map(peakFeeders.map(f => [f.name, Number(f.affected) || 0]));
+  const feeders = [...byFeeder.values()].map(f => {
+    const r = indices.get(f.feeder);
+    return {
+      feeder: f.feeder,
+      outages: f.outages,
+      // a feeder outage takes every substation on it
+      substations: f.feederOutages ? Math.max(feederStations.get(f.feeder) || 0, f.substations.size) : f.substations.size,
+      consumersInterrupted: r?.customersInterrupted ?? 0,
+      cmi: r?.cmi ?? 0,
+      longest: f.longest,
+      affectedAtPeak: atPeak.get(f.feeder) ?? null,
+    };
+  }).sort((a, b) => b.cmi - a.cmi || a.feeder.localeCompare(b.feeder));
+
+  const peak = peakOf(history);
+  return {
+    from,
+    to,
+    generatedAt: new Date(now).toISOString(),
+    peak: peak && {
+      at: peak.updatedAt,
+      affected: Number(peak.affected) || 0,
+      total: Number(peak.total) || 0,
+      pct: Number(peak.pct) || 0,
+      subsOff: Number(peak.subsOff) || 0,
+      subsTotal: Number(peak.subsTotal) || 0,
+    },
+    open: outages.filter(o => !o.restore).length,
+    longest: outages.reduce((m, o) => Math.max(m, o.minutes), 0),
+    system: reliability.system,
+    outages,
+    feeders,
+    timeline: history.map(h => ({ at: h.updatedAt, affected: Number(h.affected) || 0, pct: Number(h.pct) || 0, subsOff: Number(h.subsOff) || 0 })),
+  };
+}
+
+const date = (iso) => (iso ? new Date(iso) : null);
+const bold = (labels) => labels.map(value => ({ value, style: "bold" }));
+
+// -> sheets for xlsxWorkbook(); images (charts as PNG) go beside the summary figures
+export function reportSheets(report, title, images = []) {
+  const { peak, system } = report;
+  return [
+    {
+      name: "Summary",
+      widths: [30, 18],
+      images: images.map((img, i) => ({ ...img, col: 3, row: images.slice(0, i).reduce((n, x) => n + Math.ceil(x.height / 20) + 1, 0) })),
+      rows: [
+        [{ value: title, style: "title" }],
+        ["From", date(report.from)],
+        ["To", date(report.to)],
+        ["Generated", date(report.generatedAt)],
+        [],
+        bold(["Peak", ""]),
+        ["Affected consumers", peak?.affected ?? null],
+        ["Affected %", peak?.pct ?? null],
+        ["Substations OFF", peak?.subsOff ?? null],
+        ["At", date(peak?.at)],
+        [],
+        bold(["Outages", ""]),
+        ["Outages", report.outages.length],
+        ["Still open", report.open],
+        ["Longest (minutes)", report.longest],
+        ["Consumers interrupted", system.customersInterrupted],
+        ["Consumer minutes interrupted", system.cmi],
+        ["SAIDI (minutes)", system.saidi],
+        ["SAIFI", { value: system.saifi, style: "plain" }],
+      ],
+    },
+    {
+      name: "Feeders",
+      widths: [18, 10, 14, 22, 26, 18, 20],
+      rows: [
+        bold(["Feeder", "Outages", "Substations", "Consumers interrupted", "Consumer minutes interrupted", "Longest (minutes)", "Affected at peak"]),
+        ...report.feeders.map(f => [f.feeder, f.outages, f.substations, f.consumersInterrupted, f.cmi, f.longest, f.affectedAtPeak]),
+      ],
+    },
+    {
+      name: "Outages",
+      widths: [16, 22, 12, 12, 18, 18, 12, 12, 20, 40],
+      rows: [
+        bold(["Feeder", "Feeder / substation", "Type", "Consumers", "Off", "Restored", "Minutes", "Duration", "Cause", "Notes"]),
+        ...report.outages.map(o => [o.feeder, o.name, o.kind, o.consumers, date(o.start), o.restore ? date(o.restore) : "still off", o.minutes, formatDuration(o.minutes * MINUTE), o.cause, o.notes]),
+      ],
+    },
+    {
+      name: "Timeline",
+      widths: [18, 20, 12, 16],
+      rows: [
+        bold(["Published", "Affected consumers", "Affected %", "Substations OFF"]),
+        ...report.timeline.map(t => [date(t.at), t.affected, t.pct, t.subsOff]),
+      ],
+    },
+  ];
+}
+
+const html = (s) => String(s ?? "").replace(/[<>&"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[c]);
+const when = (iso) => (iso ? new Date(iso).toLocaleString(undefined, { year: "numeric", month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" }) : "—");
+const num = (n) => (n == null ? "—" : Number(n).toLocaleString());
+
+// charts: { donut, feeders, timeline } SVG markup (each optional); C: palette for the accents
+export function reportHtml(report, title, charts = {}, C = {}) {
+  const { peak, system } = report;
+  const kpi = (label, value, color) => `<div class="kpi"><div class="label">${html(label)}</div><div class="value"${color ? ` style="color:${color}"` : ""}>${html(value)}</div></div>`;
+  const figure = (svg, caption) => (svg ? `<figure>${svg}<figcaption>${html(caption)}</figcaption></figure>` : "");
+  const table = (head, rows, right = []) => `<table><thead><tr>${head.map((h, i) => `<th${right.includes(i) ? ' class="r"' : ""}>${html(h)}</th>`).join("")}</tr></thead><tbody>${
+    rows.length ? rows.map(r => `<tr>${r.map((v, i) => `<td${right.includes(i) ? ' class="r"' : ""}>${html(v)}</td>`).join("")}</tr>`).join("") : `<tr><td colspan="${head.length}" class="empty">None in this period.</td></tr>`
+  }</tbody></table>`;
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${html(title)}</title>
+<style>
+  @page { size: A4; margin: 14mm; }
+  body { font: 13px/1.4 system-ui, sans-serif; color: ${C.text || "#0f172a"}; margin: 24px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 15px; margin: 20px 0 8px; border-bottom: 1px solid ${C.border || "#e2e8f0"}; padding-bottom: 4px; }
+  .muted { color: ${C.subtext || "#475569"}; }
+  .kpis { display: grid; grid-template-columns: repeat(4, 1fr); gap: 8px; }
+  .kpi { border: 1px solid ${C.border || "#e2e8f0"}; border-radius: 8px; padding: 8px; }
+  .kpi .label { font-size: 11px; color: ${C.subtext || "#475569"}; }
+  .kpi .value { font-size: 18px; font-weight: 700; }
+  .charts { display: flex; flex-wrap: wrap; gap: 16px; align-items: flex-start; }
+  figure { margin: 0; break-inside: avoid; }
+  figcaption { font-size: 11px; color: ${C.subtext || "#475569"}; text-align: center; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; }
+  th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid ${C.border || "#e2e8f0"}; vertical-align: top; }
+  th { background: ${C.header || "#f1f5f9"}; }
+  tr { break-inside: avoid; }
+  .r { text-align: right; font-variant-numeric: tabular-nums; }
+  .empty { text-align: center; color: ${C.subtext || "#475569"}; }
+  .noprint { margin-bottom: 12px; }
+  @media print { body { margin: 0; } .noprint { display: none; } }
+</style>
+</head>
+<body>
+<div class="noprint"><button onclick="print()">Print / Save as PDF</button></div>
+<h1>${html(title)}</h1>
+<div class="muted">${html(when(report.from))} – ${html(when(report.to))} · generated ${html(when(report.generatedAt))}</div>
+
+<h2>Summary</h2>
+<div class="kpis">
+  ${kpi("Peak affected consumers", peak ? `${num(peak.affected)} (${peak.pct}%)` : "—", C.affected)}
+  ${kpi("Peak substations OFF", peak ? `${num(peak.subsOff)} of ${num(peak.subsTotal)}` : "—")}
+  ${kpi("Outages", `${num(report.outages.length)}${report.open ? ` (${report.open} open)` : ""}`)}
+  ${kpi("Longest outage", report.outages.length ? formatDuration(report.longest * MINUTE) : "—")}
+  ${kpi("Consumers interrupted", num(system.customersInterrupted))}
+  ${kpi("Consumer minutes", num(system.cmi))}
+  ${kpi("SAIDI", `${system.saidi} min`)}
+  ${kpi("SAIFI", system.saifi)}
+</div>
+${peak ? `<p class="muted">Peak at ${html(when(peak.at))}.</p>` : `<p class="muted">No status was published in this period.</p>`}
+
+<div class="charts">
+  ${figure(charts.donut, "Consumers at the peak")}
+  ${figure(charts.feeders, "Consumers by feeder at the peak")}
+</div>
+${figure(charts.timeline, "Affected consumers and substations OFF per publish")}
+
+<h2>Feeders</h2>
+${table(["Feeder", "Outages", "Substations", "Consumers interrupted", "Consumer minutes", "Longest", "Affected at peak"],
+  report.feeders.map(f => [f.feeder, num(f.outages), num(f.substations), num(f.consumersInterrupted), num(f.cmi), formatDuration(f.longest * MINUTE), num(f.affectedAtPeak)]),
+  [1, 2, 3, 4, 5, 6])}
+
+<h2>Outage timeline</h2>
+${table(["Off", "Restored", "Duration", "Feeder / substation", "Consumers", "Cause", "Notes"],
+  report.outages.map(o => [when(o.start), o.restore ? when(o.restore) : "still off", formatDuration(o.minutes * MINUTE), o.kind === "feeder" ? `${o.name} (feeder)` : `${o.name} · ${o.feeder}`, num(o.consumers), o.cause || "—", o.notes]),
+  [4])}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,28 @@
+// Roles and what each one may do; shared by the functions and the dashboard.
+//   viewer      read-only admin console (tables, events, reports)
+//   operator    + toggle feeders/substations, publish, annotate events, schedule planned outages,
+//                 acknowledge/resolve alerts
+//   supervisor  + edit the station registry, notification settings and alert rules, export
+//                 outage reports
+
+export const ROLES = ["viewer", "operator", "supervisor"];
+
+const NEEDS = {
+  view: "viewer",
+  toggle: "operator",
+  publish: "operator",
+  annotate: "operator",
+  plan: "operator",
+  editRegistry: "supervisor",
+  notify: "supervisor",
+  ackAlert: "operator",
+  alertRules: "supervisor",
+  reports: "supervisor",
+};
+
+export const roleRank = (role) => ROLES.indexOf(role);
+
+export function can(role, action) {
+  const need = NEEDS[action];
+  return !!need && roleRank(role) >= roleRank(need);
+}
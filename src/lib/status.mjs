@@ -0,0 +1,120 @@
+// Outage maths shared by the dashboard and the Netlify functions.
+// Both sides must agree on what "effectively OFF" means, so the publish
+// function recomputes every number from the station list with these helpers.
+
+import { NO_TOPOLOGY, energize, topologyLinks, normalizeSwitches } from "./topology.mjs";
+
+const NO_PLANNED = { feeders: {}, stations: {} };
+
+export const round1 = (n) => Math.round(n * 10) / 10;
+export const pctOf = (part, whole) => (whole > 0 ? round1((part / whole) * 100) : 0);
+
+// Latitude/longitude cell -> number, or null when blank/invalid
+export const toCoord = (v) => (v === "" || v == null || !Number.isFinite(Number(v)) ? null : Number(v));
+
+// "F2; F3" or ["F2", "F3"] -> distinct alternate feeders other than the primary one
+export function cleanAlternates(v, feeder) {
+  const list = Array.isArray(v) ? v : String(v ?? "").split(/[;,|]/);
+  return Array.from(new Set(list.map(x => String(x ?? "").trim()).filter(x => x && x !== feeder)));
+}
+
+// Normalise a station list coming from a CSV or a request body.
+export function cleanStations(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter(s => s && s.name != null && String(s.name).trim() !== "")
+    .map(s => {
+      const feeder = String(s.feeder ?? "Unassigned").trim() || "Unassigned";
+      return {
+        id: String(s.id ?? s.name).trim(),
+        feeder,
+        alternates: cleanAlternates(s.alternates, feeder),
+        name: String(s.name).trim(),
+        consumers: Math.max(0, Number(s.consumers) || 0),
+        isOut: s.isOut === true || String(s.isOut ?? "").trim().toLowerCase().startsWith("t"),
+        lat: toCoord(s.lat),
+        lon: toCoord(s.lon),
+        assetCode: String(s.assetCode ?? "").trim(),
+      };
+    });
+}
+
+// Feeders / stations switched OFF by their own flag or an active planned outage,
+// as { feeders: { name: true }, stations: { id: true } } for ./topology.mjs
+export function switchedOff(stations, feederOut = {}, planned = NO_PLANNED) {
+  const dead = { feeders: { ...planned.feeders }, stations: { ...planned.stations } };
+  for (const [name, out] of Object.entries(feederOut)) if (out) dead.feeders[name] = true;
+  for (const s of stations) if (s.isOut) dead.stations[s.id] = true;
+  return dead;
+}
+
+// Group stations by (primary) feeder and compute consumer / substation totals.
+// A feeder or station is switched OFF by its own flag or by an active planned outage
+// (planned = { feeders: {name: true}, stations: {id: true} }); a station is effectively
+// OFF when no closed path leads to a feeder that is ON (see ./topology.mjs). Without
+// alternates, ties or switching that is simply "its own flag or its feeder's flag".
+// `supply` names the feeder a station is fed from (not its own one when backfed).
+export function summarizeStations(stations, feederOut = {}, planned = NO_PLANNED, topology = NO_TOPOLOGY) {
+  const groups = new Map();
+  let total = 0, affected = 0, off = 0;
+  const supplyOf = energize(stations, switchedOff(stations, feederOut, planned), topology);
+
+  for (const s of stations) {
+    const f = (s.feeder || "Unassigned").toString();
+    if (!groups.has(f)) groups.set(f, { name: f, isOut: !!feederOut[f], plannedOut: !!planned.feeders[f], stations: [], total: 0, affected: 0, healthy: 0, subsTotal: 0, subsOff: 0, backfed: 0 });
+    const g = groups.get(f);
+    const cons = Number(s.consumers) || 0;
+    const supply = supplyOf.get(s.id) ?? null;
+    const effOut = !supply;
+    const plannedOut = effOut && (g.plannedOut || !!planned.stations[s.id]);
+    g.stations.push({ ...s, supply, plannedOut, effOut });
+    g.total += cons;
+    g.subsTotal++;
+    if (supply && supply !== f) g.backfed++;
+    if (effOut) { g.affected += cons; g.subsOff++; off++; }
+    total += cons;
+    if (effOut) affected += cons;
+  }
+
+  for (const g of groups.values()) g.healthy = g.total - g.affected;
+
+  const subsTotal = stations.length;
+  return {
+    feeders: Array.from(groups.values()).sort((a, b) => a.name.localeCompare(b.name)),
+    totals: { total, affected, healthy: total - affected, pct: pctOf(affected, total) },
+    counts: { total: subsTotal, off, on: subsTotal - off, offPct: pctOf(off, subsTotal) },
+  };
+}
+
+// The document stored in the status blob and served by /api/status.
+// It keeps the ties and switch positions so the scheduler can republish the same network.
+export function buildSnapshot(stations, feederOut = {}, planned = NO_PLANNED, { ties = [], switches = {} } = NO_TOPOLOGY) {
+  const topology = { ties, switches: normalizeSwitches(switches, topologyLinks(stations, ties)) };
+  const { feeders, totals, counts } = summarizeStations(stations, feederOut, planned, topology);
+  return {
+    affected: totals.affected,
+    total: totals.total,
+    healthy: totals.healthy,
+    pct: totals.pct,
+    subsOff: counts.off,
+    subsOn: counts.on,
+    subsTotal: counts.total,
+    offPct: counts.offPct,
+    feeders: feeders.map(({ name, isOut, plannedOut, total, affected, healthy, subsTotal, subsOff, backfed }) =>
+      ({ name, isOut, plannedOut, total, affected, healthy, subsTotal, subsOff, backfed })),
+    stations: feeders.flatMap(f => f.stations.map(({ id, feeder, alternates, supply, name, consumers, isOut, plannedOut, effOut, lat, lon }) =>
+      ({ id, feeder, alternates, supply, name, consumers, isOut, plannedOut, effOut, lat, lon }))),
+    ...topology,
+  };
+}
+
+// Rebuild the dashboard's feeder groups from a published snapshot.
+export function snapshotFeeders(snap) {
+  if (!snap || !Array.isArray(snap.feeders)) return [];
+  const byFeeder = new Map(snap.feeders.map(f => [f.name, { ...f, stations: [] }]));
+  for (const s of snap.stations || []) {
+    const g = byFeeder.get(s.feeder);
+    if (g) g.stations.push(s);
+  }
+  return Array.from(byFeeder.values());
+}
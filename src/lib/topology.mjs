@@ -0,0 +1,150 @@
+// Network topology shared by the dashboard and the Netlify functions.
+//
+// Every substation is connected to its primary feeder (`feeder`) through a normally
+// closed switch and may list alternate feeders (`alternates`) it can be backfed from
+// through normally open points. Ties join two substations on a ring main:
+//   { id, a, b, normallyOpen }   (a, b = station ids)
+// Switch positions that differ from normal are kept as { [linkId]: true (closed) | false (open) }.
+// A substation has supply when a path of closed switches leads to a feeder that is
+// ON; a substation switched OFF itself neither has supply nor passes it on.
+
+import { feederKey, stationKey } from "./events.mjs";
+
+export const NO_TOPOLOGY = { ties: [], switches: {} };
+
+export const supplyLinkId = (stationId, feeder) => `${stationId}>${feeder}`;
+export const tieId = (a, b) => `${a}~${b}`;
+export const switchKey = (id) => `switch:${id}`; // changedAt / audit key of a switch operation
+
+// Every switchable connection: { id, kind: "primary"|"alternate"|"tie", from, to, normallyOpen, station, feeder?, other? }
+export function topologyLinks(stations, ties = []) {
+  const links = [];
+  for (const s of stations) {
+    links.push({ id: supplyLinkId(s.id, s.feeder), kind: "primary", from: feederKey(s.feeder), to: stationKey(s.id), normallyOpen: false, station: s.id, feeder: s.feeder });
+    for (const alt of s.alternates || []) {
+      links.push({ id: supplyLinkId(s.id, alt), kind: "alternate", from: feederKey(alt), to: stationKey(s.id), normallyOpen: true, station: s.id, feeder: alt });
+    }
+  }
+  for (const t of ties) {
+    links.push({ id: t.id, kind: "tie", from: stationKey(t.a), to: stationKey(t.b), normallyOpen: t.normallyOpen !== false, station: t.a, other: t.b });
+  }
+  return links;
+}
+
+export const isClosed = (link, switches = {}) => (link.id in switches ? !!switches[link.id] : !link.normallyOpen);
+
+// Only positions of known links that differ from normal
+export function normalizeSwitches(switches, links) {
+  const out = {};
+  for (const l of links) {
+    if (switches && typeof switches[l.id] === "boolean" && switches[l.id] === l.normallyOpen) out[l.id] = switches[l.id];
+  }
+  return out;
+}
+
+// dead = { feeders: { name: true }, stations: { id: true } } (switched or planned OFF)
+// -> Map stationId -> feeder supplying it (its primary one when several do) | null
+export function energize(stations, dead, { ties = [], switches = {} } = NO_TOPOLOGY) {
+  const parent = new Map();
+  const find = (k) => {
+    let r = k;
+    while (parent.get(r) !== r) r = parent.get(r);
+    for (let n = k; parent.get(n) !== r;) { const next = parent.get(n); parent.set(n, r); n = next; }
+    return r;
+  };
+  const add = (k) => { if (!parent.has(k)) parent.set(k, k); };
+  const aliveStations = new Set(stations.filter(s => !dead.stations[s.id]).map(s => stationKey(s.id)));
+  const alive = (node) => !node.startsWith("station:") || aliveStations.has(node);
+
+  for (const k of aliveStations) add(k);
+  for (const l of topologyLinks(stations, ties)) {
+    if (!isClosed(l, switches) || !alive(l.from) || !alive(l.to)) continue;
+    add(l.from); add(l.to);
+    const a = find(l.from), b = find(l.to);
+    if (a !== b) parent.set(a, b);
+  }
+
+  // Live feeders reachable from each connected group
+  const sources = new Map();
+  for (const k of parent.keys()) {
+    if (!k.startsWith("feeder:")) continue;
+    const name = k.slice("feeder:".length);
+    if (dead.feeders[name]) continue;
+    const root = find(k);
+    if (!sources.has(root)) sources.set(root, []);
+    sources.get(root).push(name);
+  }
+
+  const supply = new Map();
+  for (const s of stations) {
+    const k = stationKey(s.id);
+    const live = aliveStations.has(k) ? sources.get(find(k)) : null;
+    supply.set(s.id, !live ? null : live.includes(s.feeder) ? s.feeder : [...live].sort()[0]);
+  }
+  return supply;
+}
+
+// Switching that would bring supply back to substations that are OFF only for lack of
+// a path: transfer to an alternate feeder (open the primary switch, close the alternate)
+// or close an open tie.
+// -> [{ id, kind: "transfer"|"tie", station, feeder?, other?, switches, ...switchingEffect }]
+//    most consumers restored first
+export function restorationOptions(stations, dead, topology = NO_TOPOLOGY) {
+  const ties = topology.ties || [];
+  const links = topologyLinks(stations, ties);
+  const switches = normalizeSwitches(topology.switches, links);
+  const before = energize(stations, dead, { ties, switches });
+  const isOff = (s) => !before.get(s.id) && !dead.stations[s.id];
+
+  const tried = new Set(), options = [];
+  const consider = (option, changes) => {
+    const next = normalizeSwitches({ ...switches, ...changes }, links);
+    const sig = JSON.stringify(next);
+    if (tried.has(sig)) return;
+    tried.add(sig);
+    const effect = switchingEffect(stations, dead, ties, before, next);
+    if (effect.restored.length) options.push({ ...option, switches: next, ...effect });
+  };
+
+  const byId = new Map(stations.map(s => [s.id, s]));
+  for (const s of stations) {
+    if (!isOff(s)) continue;
+    for (const alt of s.alternates || []) {
+      if (dead.feeders[alt]) continue;
+      consider({ id: supplyLinkId(s.id, alt), kind: "transfer", station: s, feeder: alt },
+        { [supplyLinkId(s.id, s.feeder)]: false, [supplyLinkId(s.id, alt)]: true });
+    }
+  }
+  for (const l of links) {
+    if (l.kind !== "tie" || isClosed(l, switches)) continue;
+    const a = byId.get(l.station), b = byId.get(l.other);
+    if (!a || !b || !(isOff(a) || isOff(b))) continue;
+    consider({ id: l.id, kind: "tie", station: a, other: b }, { [l.id]: true });
+  }
+  return options.sort((x, y) => y.consumers - x.consumers);
+}
+
+// Substations that gain / lose supply going from `before` (energize result) to the
+// `next` switch positions -> { restored, lost, consumers (restored), lostConsumers }
+export function switchingEffect(stations, dead, ties, before, next) {
+  const after = energize(stations, dead, { ties, switches: next });
+  const restored = stations.filter(s => !before.get(s.id) && after.get(s.id));
+  const lost = stations.filter(s => before.get(s.id) && !after.get(s.id));
+  const sum = (list) => list.reduce((n, s) => n + (Number(s.consumers) || 0), 0);
+  return { restored, lost, consumers: sum(restored), lostConsumers: sum(lost) };
+}
+
+// Ties from a request body: known, distinct stations; one tie per pair
+export function cleanTies(list, stationIds) {
+  if (!Array.isArray(list)) return [];
+  const seen = new Set(), out = [];
+  for (const t of list) {
+    const a = String(t?.a ?? "").trim(), b = String(t?.b ?? "").trim();
+    if (!a || !b || a === b || !stationIds.has(a) || !stationIds.has(b)) continue;
+    const pair = [a, b].sort().join("\n"), id = String(t.id ?? "").trim() || tieId(a, b);
+    if (seen.has(pair) || seen.has(id)) continue;
+    seen.add(pair).add(id);
+    out.push({ id, a, b, normallyOpen: t.normallyOpen !== false });
+  }
+  return out;
+}
@@ -0,0 +1,202 @@
+// Minimal XLSX (Office Open XML spreadsheet) writer, no dependencies: inline strings, numbers,
+// dates, bold/title styles, column widths and PNG images, packed in an uncompressed ZIP.
+//
+// sheets: [{ name, rows: [[cell]], widths?: [chars], images?: [{ png: Uint8Array, col, row, width, height }] }]
+// cell: string | number | Date | null, or { value, style: "plain" | "bold" | "title" | "date" | "int" | "dec" }
+// Numbers get "int" (#,##0) or "dec" (#,##0.0) unless a style is given; rows/cols of images are 0-based.
+
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const NS_MAIN = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const NS_REL = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const NS_PKG_REL = "http://schemas.openxmlformats.org/package/2006/relationships";
+const REL_TYPE = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const EMU_PER_PX = 9525;
+
+// cellXfs indexes in styles.xml
+const STYLES = { plain: 0, bold: 1, title: 2, date: 3, int: 4, dec: 5 };
+
+const esc = (s) => String(s)
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+  .replace(/[<>&"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[c]);
+
+export function columnName(i) {
+  let s = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+// Excel serial date in local time (days since 1899-12-30)
+const serial = (d) => (d.getTime() - d.getTimezoneOffset() * 60000) / 86400000 + 25569;
+
+function cellXml(cell, ref) {
+  const { value, style } = cell !== null && typeof cell === "object" && !(cell instanceof Date) ? cell : { value: cell };
+  if (value === null || value === undefined || value === "") return style ? `<c r="${ref}" s="${STYLES[style]}"/>` : "";
+  if (value instanceof Date) return `<c r="${ref}" s="${STYLES[style ?? "date"]}"><v>${serial(value)}</v></c>`;
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return `<c r="${ref}" s="${STYLES[style ?? (Number.isInteger(value) ? "int" : "dec")]}"><v>${value}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"${style ? ` s="${STYLES[style]}"` : ""}><is><t xml:space="preserve">${esc(value)}</t></is></c>`;
+}
+
+function sheetXml(sheet, hasDrawing) {
+  const cols = (sheet.widths || []).map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join("");
+  const rows = sheet.rows.map((row, r) => {
+    const cells = row.map((cell, c) => cellXml(cell, `${columnName(c)}${r + 1}`)).join("");
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join("");
+  return `${XML_HEAD}<worksheet xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">${cols ? `<cols>${cols}</cols>` : ""}<sheetData>${rows}</sheetData>${hasDrawing ? '<drawing r:id="rId1"/>' : ""}</worksheet>`;
+}
+
+function drawingXml(images, firstId) {
+  const pics = images.map((img, i) => `<xdr:oneCellAnchor>` +
+    `<xdr:from><xdr:col>${img.col}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${img.row}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:from>` +
+    `<xdr:ext cx="${Math.round(img.width * EMU_PER_PX)}" cy="${Math.round(img.height * EMU_PER_PX)}"/>` +
+    `<xdr:pic><xdr:nvPicPr><xdr:cNvPr id="${firstId + i}" name="Chart ${i + 1}"/><xdr:cNvPicPr><a:picLocks noChangeAspect="1"/></xdr:cNvPicPr></xdr:nvPicPr>` +
+    `<xdr:blipFill><a:blip r:embed="rId${i + 1}"/><a:stretch><a:fillRect/></a:stretch></xdr:blipFill>` +
+    `<xdr:spPr><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></xdr:spPr></xdr:pic><xdr:clientData/></xdr:oneCellAnchor>`).join("");
+  return `${XML_HEAD}<xdr:wsDr xmlns:xdr="http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="${NS_REL}">${pics}</xdr:wsDr>`;
+}
+
+const relsXml = (rels) => `${XML_HEAD}<Relationships xmlns="${NS_PKG_REL}">${rels.map((r, i) => `<Relationship Id="rId${i + 1}" Type="${REL_TYPE}/${r.type}" Target="${r.target}"/>`).join("")}</Relationships>`;
+
+const STYLES_XML = `${XML_HEAD}<styleSheet xmlns="${NS_MAIN}">` +
+  '<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/><numFmt numFmtId="165" formatCode="#,##0.0"/></numFmts>' +
+  '<fonts count="3"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="14"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="6">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  "</cellXfs></styleSheet>";
+
+// Sheet names: unique, at most 31 chars, without []:*?/\
+function sheetNames(sheets) {
+  const used = new Set();
+  return sheets.map((s, i) => {
+    let name = String(s.name || `Sheet${i + 1}`).replace(/[[\]:*?/\\]/g, " ").trim().slice(0, 31) || `Sheet${i + 1}`;
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${name.slice(0, 28)} ${n}`;
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+// -> Uint8Array of the .xlsx file
+export function xlsxWorkbook(sheets) {
+  const enc = new TextEncoder();
+  const files = [];
+  const add = (name, data) => files.push({ name, data: typeof data === "string" ? enc.encode(data) : data });
+  const names = sheetNames(sheets);
+
+  const overrides = [
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>',
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>',
+  ];
+  let image = 0, picId = 1;
+  sheets.forEach((sheet, i) => {
+    const n = i + 1, images = sheet.images || [];
+    overrides.push(`<Override PartName="/xl/worksheets/sheet${n}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`);
+    add(`xl/worksheets/sheet${n}.xml`, sheetXml(sheet, images.length > 0));
+    if (!images.length) return;
+    overrides.push(`<Override PartName="/xl/drawings/drawing${n}.xml" ContentType="application/vnd.openxmlformats-officedocument.drawing+xml"/>`);
+    add(`xl/worksheets/_rels/sheet${n}.xml.rels`, relsXml([{ type: "drawing", target: `../drawings/drawing${n}.xml` }]));
+    add(`xl/drawings/drawing${n}.xml`, drawingXml(images, picId));
+    picId += images.length;
+    const targets = images.map(img => {
+      add(`xl/media/image${++image}.png`, img.png);
+      return { type: "image", target: `../media/image${image}.png` };
+    });
+    add(`xl/drawings/_rels/drawing${n}.xml.rels`, relsXml(targets));
+  });
+
+  add("[Content_Types].xml", `${XML_HEAD}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/><Default Extension="png" ContentType="image/png"/>' +
+    `${overrides.join("")}</Types>`);
+  add("_rels/.rels", relsXml([{ type: "officeDocument", target: "xl/workbook.xml" }]));
+  add("xl/workbook.xml", `${XML_HEAD}<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}"><sheets>` +
+    names.map((name, i) => `<sheet name="${esc(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("") + "</sheets></workbook>");
+  add("xl/_rels/workbook.xml.rels", relsXml([
+    ...sheets.map((_, i) => ({ type: "worksheet", target: `worksheets/sheet${i + 1}.xml` })),
+    { type: "styles", target: "styles.xml" },
+  ]));
+  add("xl/styles.xml", STYLES_XML);
+  return zipStored(files);
+}
+
+// ---- ZIP (store only) ----
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(data) {
+  let c = 0xffffffff;
+  for (let i = 0; i < data.length; i++) c = CRC_TABLE[(c ^ data[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// files: [{ name, data: Uint8Array }] -> Uint8Array
+export function zipStored(files, date = new Date()) {
+  const enc = new TextEncoder();
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  const locals = [], centrals = [];
+  let offset = 0;
+
+  for (const f of files) {
+    const name = enc.encode(f.name), crc = crc32(f.data), size = f.data.length;
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, name.length, true);
+    locals.push(new Uint8Array(local.buffer), name, f.data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, day, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, size, true);
+    central.setUint32(24, size, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centrals.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + size;
+  }
+
+  const centralSize = centrals.reduce((n, b) => n + b.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(parts.reduce((n, b) => n + b.length, 0));
+  let at = 0;
+  for (const p of parts) { out.set(p, at); at += p.length; }
+  return out;
+}
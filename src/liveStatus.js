@@ -0,0 +1,112 @@
+// Live published status for viewers: Server-Sent Events from /api/status-stream,
+// falling back to conditional polling of /api/status (If-None-Match -> 304) when
+// EventSource is unavailable or the stream endpoint keeps failing.
+// The last status received is kept in localStorage, so a viewer who opens the page offline
+// (or loses the connection) still sees it, marked stale since it was last confirmed.
+
+import React from "react";
+
+export const POLL_MS = 15000; // fallback only; streams check every 2 s (see status-stream.mjs)
+const MAX_STREAM_FAILURES = 3; // consecutive failed connects before giving up on SSE
+const LAST_KEY = "outage.lastStatus";
+
+function loadLast() {
+  try {
+    return JSON.parse(localStorage.getItem(LAST_KEY) || "null");
+  } catch {
+    return null;
+  }
+}
+
+// -> { snap, mode: "connecting" | "live" | "polling", staleSince: ISO of the last confirmed
+//      status while it can't be refreshed, else null }
+export function useLiveStatus(enabled) {
+  const [last] = React.useState(loadLast); // { snap, at }
+  const [snap, setSnap] = React.useState(() => last?.snap ?? null);
+  const [mode, setMode] = React.useState("connecting");
+  const [staleSince, setStaleSince] = React.useState(() => (navigator.onLine === false ? last?.at ?? null : null));
+
+  React.useEffect(() => {
+    if (!enabled) return;
+    let stopped = false, source = null, timer = null, tag = null, failures = 0;
+    let confirmedAt = last?.at ?? null;
+
+    // Status known to be current (fresh data, or a 304 for the one we have)
+    const confirm = (data) => {
+      if (stopped) return;
+      confirmedAt = new Date().toISOString();
+      setStaleSince(null);
+      if (data) {
+        setSnap(data);
+        try { localStorage.setItem(LAST_KEY, JSON.stringify({ snap: data, at: confirmedAt })); } catch { /* storage full or blocked */ }
+      } else {
+        try { localStorage.setItem(LAST_KEY, JSON.stringify({ ...loadLast(), at: confirmedAt })); } catch { /* ignore */ }
+      }
+    };
+    const lost = () => { if (!stopped) setStaleSince(confirmedAt ?? new Date().toISOString()); };
+
+    const poll = async () => {
+      try {
+        const r = await fetch("/api/status", { cache: "no-store", headers: tag ? { "if-none-match": tag } : {} });
+        if (r.status === 304) return confirm(null);
+        // The service worker answers with its cached copy while offline
+        if (r.headers.get("x-offline-copy")) {
+          const copy = await r.json();
+          if (!stopped) setSnap(s => s ?? copy);
+          return lost();
+        }
+        if (r.ok) {
+          tag = r.headers.get("etag");
+          confirm(await r.json());
+        } else lost();
+      } catch (e) {
+        console.warn("status fetch failed", e);
+        lost();
+      }
+    };
+    const onVis = () => { if (!document.hidden) poll(); };
+    const startPolling = () => {
+      if (stopped || timer) return;
+      setMode("polling");
+      poll();
+      timer = setInterval(poll, POLL_MS);
+      document.addEventListener("visibilitychange", onVis);
+    };
+
+    if (typeof EventSource === "undefined") {
+      startPolling();
+    } else {
+      source = new EventSource("/api/status-stream");
+      // Connected: the stream sends anything newer than what we have, so what we have is current
+      source.addEventListener("open", () => { failures = 0; setMode("live"); confirm(null); });
+      source.addEventListener("status", (e) => {
+        try { confirm(JSON.parse(e.data)); } catch { /* ignore malformed event */ }
+      });
+      source.addEventListener("error", () => {
+        if (navigator.onLine === false) lost();
+        // Streams end on purpose every few seconds; EventSource reconnects by itself.
+        // Only a closed source (bad response) or repeated failures switch to polling.
+        if (source.readyState === EventSource.CLOSED || ++failures >= MAX_STREAM_FAILURES) {
+          source.close();
+          startPolling();
+        }
+      });
+    }
+
+    const onOffline = () => lost();
+    const onOnline = () => poll();
+    window.addEventListener("offline", onOffline);
+    window.addEventListener("online", onOnline);
+
+    return () => {
+      stopped = true;
+      source?.close();
+      clearInterval(timer);
+      document.removeEventListener("visibilitychange", onVis);
+      window.removeEventListener("offline", onOffline);
+      window.removeEventListener("online", onOnline);
+    };
+  }, [enabled]);
+
+  return { snap, mode, staleSince };
+}
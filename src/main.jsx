@@ -4,3 +4,8 @@ import App from './App.jsx'
 
 const root = createRoot(document.getElementById('root'))
 root.render(<App />)
+
+// Offline support (public/sw.js); not in dev, where it would cache Vite's modules
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => navigator.serviceWorker.register('/sw.js').catch(e => console.warn('service worker', e)))
+}
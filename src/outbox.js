@@ -0,0 +1,137 @@
+// Admin writes made while the network is down: kept in IndexedDB and replayed in order once
+// it is back (see useOutbox). A publish carries the whole working state, so a newer queued
+// publish replaces the older one but keeps the version that one was based on (If-Match).
+//   entry = { seq, kind: "publish" | "registry" | "annotate", label, url, method, headers, body, queuedAt }
+
+import React from "react";
+import { authFetch } from "./session.js";
+
+const DB = "outage-outbox";
+const STORE = "writes";
+const CHANGED = "outage-outbox-changed";
+const RETRY_MS = 30000;
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const r = indexedDB.open(DB, 1);
+    r.onupgradeneeded = () => r.result.createObjectStore(STORE, { keyPath: "seq", autoIncrement: true });
+    r.onsuccess = () => resolve(r.result);
+    r.onerror = () => reject(r.error);
+  });
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(STORE, mode);
+    const req = fn(t.objectStore(STORE));
+    t.oncomplete = () => { db.close(); resolve(req?.result); };
+    t.onerror = () => { db.close(); reject(t.error); };
+  });
+}
+
+const changed = () => window.dispatchEvent(new Event(CHANGED));
+const requestOf = (e) => ({ method: e.method, headers: e.headers, body: e.body });
+
+// Queued writes, oldest first
+export function pendingWrites() {
+  return withStore("readonly", (s) => s.getAll());
+}
+
+// The queued publish, if any (its body is the newest state this device wants live)
+export async function queuedPublish() {
+  return (await pendingWrites()).find(e => e.kind === "publish") ?? null;
+}
+
+async function enqueue(entry) {
+  const older = entry.kind === "publish" ? await queuedPublish() : null;
+  const headers = older ? { ...entry.headers, "if-match": older.headers["if-match"] } : entry.headers;
+  await withStore("readwrite", (s) => {
+    if (older) s.delete(older.seq);
+    s.add({ ...entry, headers, queuedAt: new Date().toISOString() });
+  });
+  changed();
+}
+
+// Send now, or queue when the server can't be reached (or earlier writes are still waiting,
+// so the order is kept). -> { response } | { queued: true }
+export async function sendOrQueue(entry) {
+  let failure = null;
+  const waiting = await pendingWrites().then(list => list.length > 0, () => false);
+  if (!waiting && navigator.onLine !== false) {
+    try {
+      return { response: await authFetch(entry.url, requestOf(entry)) };
+    } catch (e) {
+      failure = e; // fetch() only throws when the request never got an answer
+    }
+  }
+  try {
+    await enqueue(entry);
+  } catch (e) {
+    console.warn("outbox unavailable", e);
+    throw failure ?? e;
+  }
+  return { queued: true };
+}
+
+let replaying = null;
+
+// Send the queued writes in order. Stops at the first one the network fails on, or at a 401
+// (the session expired: the writes wait for the next sign-in). Anything else the server
+// answers, conflicts included, goes to onResult(entry, response) and the entry is dropped.
+export function replayOutbox(onResult) {
+  replaying ??= (async () => {
+    try {
+      for (const entry of await pendingWrites()) {
+        let response;
+        try {
+          response = await authFetch(entry.url, requestOf(entry));
+        } catch {
+          return;
+        }
+        if (response.status === 401) return;
+        await withStore("readwrite", (s) => s.delete(entry.seq));
+        changed();
+        await onResult(entry, response);
+      }
+    } finally {
+      replaying = null;
+    }
+  })();
+  return replaying;
+}
+
+// -> { pending, online, sync }: replays on start, when the browser comes back online and
+// every 30 s while writes are waiting.
+export function useOutbox(enabled, onResult) {
+  const [pending, setPending] = React.useState([]);
+  const [online, setOnline] = React.useState(() => navigator.onLine !== false);
+  const handler = React.useRef(onResult);
+  handler.current = onResult;
+
+  const refresh = React.useCallback(() => pendingWrites().then(setPending, () => setPending([])), []);
+  const sync = React.useCallback(() => replayOutbox((e, r) => handler.current(e, r)).catch(err => console.warn("replay failed", err)).then(refresh), [refresh]);
+
+  React.useEffect(() => {
+    if (!enabled) return;
+    const up = () => { setOnline(true); sync(); };
+    const down = () => setOnline(false);
+    window.addEventListener(CHANGED, refresh);
+    window.addEventListener("online", up);
+    window.addEventListener("offline", down);
+    sync();
+    return () => {
+      window.removeEventListener(CHANGED, refresh);
+      window.removeEventListener("online", up);
+      window.removeEventListener("offline", down);
+    };
+  }, [enabled, sync, refresh]);
+
+  React.useEffect(() => {
+    if (!enabled || !pending.length) return;
+    const id = setInterval(sync, RETRY_MS);
+    return () => clearInterval(id);
+  }, [enabled, pending.length, sync]);
+
+  return { pending, online, sync };
+}
@@ -0,0 +1,73 @@
+// Browser side of authentication: the signed session token from /api/login is
+// kept in localStorage and sent as a Bearer token to the protected functions.
+
+import React from "react";
+
+const KEY = "outage.session";
+const CHANGED = "outage-session-changed";
+const PRIVATE_CACHE = "outage-private-v1"; // signed-in responses the service worker keeps (public/sw.js)
+
+// Offline copies of signed-in data go with the session
+function dropPrivateCache() {
+  if (typeof caches !== "undefined") caches.delete(PRIVATE_CACHE).catch(() => {});
+}
+
+// -> { token, user: { sub, role, exp } } or null when absent/expired
+export function loadSession() {
+  try {
+    const s = JSON.parse(localStorage.getItem(KEY) || "null");
+    if (s && !(s.user?.exp > Date.now())) dropPrivateCache();
+    if (!s?.token || !(s.user?.exp > Date.now())) return null;
+    return s;
+  } catch {
+    return null;
+  }
+}
+
+function saveSession(s) {
+  if (s) localStorage.setItem(KEY, JSON.stringify(s));
+  else {
+    localStorage.removeItem(KEY);
+    dropPrivateCache();
+  }
+  window.dispatchEvent(new Event(CHANGED));
+}
+
+export async function login(username, password) {
+  const r = await fetch("/api/login", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ username, password }),
+  });
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw new Error(data.error || `Sign in failed (HTTP ${r.status})`);
+  // exp is only in the token payload; mirror it so we can expire locally
+  const claims = JSON.parse(atob(data.token.split(".")[0].replace(/-/g, "+").replace(/_/g, "/")));
+  const session = { token: data.token, user: { ...data.user, exp: claims.exp } };
+  saveSession(session);
+  return session;
+}
+
+export function logout() {
+  saveSession(null);
+}
+
+// fetch() with the session token; a 401 means the token is gone/expired, so sign out.
+export async function authFetch(url, init = {}) {
+  const s = loadSession();
+  const headers = { ...init.headers, ...(s ? { authorization: `Bearer ${s.token}` } : {}) };
+  const r = await fetch(url, { ...init, headers });
+  if (r.status === 401 && s) logout();
+  return r;
+}
+
+export function useSession() {
+  const [session, setSession] = React.useState(loadSession);
+  React.useEffect(() => {
+    const sync = () => setSession(loadSession());
+    window.addEventListener(CHANGED, sync);
+    window.addEventListener("storage", sync); // other tabs
+    return () => { window.removeEventListener(CHANGED, sync); window.removeEventListener("storage", sync); };
+  }, []);
+  return session;
+}
@@ -0,0 +1,30 @@
+// High-contrast option for the dashboard: kept in localStorage (first visit: the system's
+// "increase contrast" setting) and shared across tabs, like the language (see i18n.js).
+
+import React from "react";
+
+const KEY = "outage.contrast";
+const CHANGED = "outage-contrast-changed";
+
+export function loadContrast() {
+  const saved = localStorage.getItem(KEY);
+  if (saved === "1" || saved === "0") return saved === "1";
+  return !!window.matchMedia?.("(prefers-contrast: more)").matches;
+}
+
+export function setContrast(on) {
+  localStorage.setItem(KEY, on ? "1" : "0");
+  window.dispatchEvent(new Event(CHANGED));
+}
+
+// -> whether the page uses PALETTES.contrast
+export function useContrast() {
+  const [contrast, set] = React.useState(loadContrast);
+  React.useEffect(() => {
+    const sync = () => set(loadContrast());
+    window.addEventListener(CHANGED, sync);
+    window.addEventListener("storage", sync); // other tabs
+    return () => { window.removeEventListener(CHANGED, sync); window.removeEventListener("storage", sync); };
+  }, []);
+  return contrast;
+}
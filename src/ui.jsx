@@ -0,0 +1,161 @@
+// Shared presentation helpers for the dashboard and its panels.
+
+import React from "react";
+import { LOCALES } from "./lib/i18n.mjs";
+import { setLocale } from "./i18n.js";
+import { setContrast } from "./theme.js";
+
+// Okabe–Ito colorblind-safe palettes; `light` is the dashboard's, `dark` is for embeds on dark sites,
+// `contrast` is the high-contrast option. affected/healthy fill shapes; *Text are the same hues
+// darkened where needed for 4.5:1 text on card, bg and the matching *Bg.
+export const PALETTES = {
+  light: {
+    bg: "#f8fafc", card: "#ffffff", border: "#e2e8f0", text: "#0f172a",
+    subtext: "#475569", accent: "#2563eb", accentBorder: "#3b82f6",
+    affected: "#D55E00", healthy: "#0072B2", header: "#f1f5f9",
+    affectedBg: "#FDE5D6", healthyBg: "#DDECF7", affectedBorder: "#F3B493", healthyBorder: "#9CC3E6",
+    affectedText: "#A84A00", healthyText: "#005A8C"
+  },
+  dark: {
+    bg: "#0f172a", card: "#1e293b", border: "#334155", text: "#f1f5f9",
+    subtext: "#cbd5e1", accent: "#3b82f6", accentBorder: "#60a5fa",
+    affected: "#E69F00", healthy: "#56B4E9", header: "#273449",
+    affectedBg: "#3d2a12", healthyBg: "#15324a", affectedBorder: "#8a5a14", healthyBorder: "#2f6f99",
+    affectedText: "#E69F00", healthyText: "#56B4E9"
+  },
+  contrast: {
+    bg: "#ffffff", card: "#ffffff", border: "#1f2937", text: "#000000",
+    subtext: "#1f2937", accent: "#1d4ed8", accentBorder: "#1e3a8a",
+    affected: "#A33F00", healthy: "#005A8C", header: "#e5e7eb",
+    affectedBg: "#FFF1E8", healthyBg: "#EAF3FA", affectedBorder: "#A33F00", healthyBorder: "#005A8C",
+    affectedText: "#8A3500", healthyText: "#004A73"
+  },
+};
+
+// C (optional): palette for the chip itself; defaults to the light one
+// num (optional): number formatter, e.g. makeI18n(locale).num
+export function LegendItem({ color, label, value, total, C = PALETTES.light, num = (n) => Number(n || 0).toLocaleString() }) {
+  const pct = total > 0 ? Math.round((value / total) * 1000) / 10 : 0;
+  return (
+    <div role="listitem" style={{ display: 'flex', alignItems: 'center', gap: 8, background: C.card, color: C.text, border: `1px solid ${C.border}`, borderRadius: 999, padding: '6px 10px' }}>
+      <span aria-hidden="true" style={{ width: 12, height: 12, borderRadius: 2, background: color, display: 'inline-block' }} />
+      <span style={{ fontWeight: 700 }}>{label}</span>
+      <span style={{ color: C.subtext }}> — {num(value)} ({num(pct)}%)</span>
+    </div>
+  );
+}
+
+export function KpiChip({ label, value, color, C = PALETTES.light }) {
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: 8, background: C.card, color: C.text, border: `1px solid ${C.border}`, borderRadius: 999, padding: '6px 10px' }}>
+      {color ? <span style={{ width: 12, height: 12, borderRadius: 2, background: color, display: 'inline-block' }} /> : null}
+      <strong>{label}</strong>
+      <span style={{ color: C.subtext }}> — {value}</span>
+    </div>
+  );
+}
+
+// ---- Small UI helpers ----
+export const card = (C) => ({ background: C.card, border: `1px solid ${C.border}`, borderRadius: 10, overflow: "hidden" });
+export const thStyle = (C) => ({ padding: 8, borderBottom: `1px solid ${C.border}` });
+export const tdStyle = { padding: 8 };
+export const btn = (C) => ({ padding: "8px 12px", borderRadius: 8, border: `1px solid ${C.accentBorder}`, background: C.accent, color: "#ffffff", cursor: "pointer" });
+export const btnOutline = (C) => ({ padding: "8px 12px", borderRadius: 8, border: `1px solid ${C.border}`, background: C.card, color: C.text, cursor: "pointer" });
+export const pagerBtn = (C, disabled) => ({ padding: "6px 10px", borderRadius: 8, border: `1px solid ${C.border}`, background: disabled ? "#f1f5f9" : "#fff", color: disabled ? "#94a3b8" : C.text, cursor: disabled ? "not-allowed" : "pointer" });
+// Hidden on screen, read by screen readers (no offset, which would scroll right-to-left pages)
+export const srOnly = { position: "absolute", width: 1, height: 1, margin: -1, padding: 0, overflow: "hidden", clip: "rect(0 0 0 0)", whiteSpace: "nowrap", border: 0 };
+
+// i18n: useI18n() result; each language is labelled in itself
+export function LanguageSwitcher({ C, i18n }) {
+  return (
+    <div role="group" aria-label={i18n.t("language")} style={{ display: "inline-flex", gap: 4 }}>
+      {Object.entries(LOCALES).map(([code, l]) => (
+        <button
+          key={code}
+          lang={code}
+          aria-pressed={i18n.locale === code}
+          onClick={() => setLocale(code)}
+          style={{ ...btnOutline(C), padding: "6px 10px", fontFamily: l.font, fontWeight: i18n.locale === code ? 700 : 400, borderColor: i18n.locale === code ? C.accentBorder : C.border }}
+        >
+          {l.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// i18n: useI18n() result (the label is translated for viewers)
+export function ContrastToggle({ C, i18n, contrast }) {
+  return (
+    <button
+      aria-pressed={contrast}
+      onClick={() => setContrast(!contrast)}
+      style={{ ...btnOutline(C), padding: "6px 10px", fontWeight: contrast ? 700 : 400, borderColor: contrast ? C.accentBorder : C.border }}
+    >
+      {i18n.t("contrast")}
+    </button>
+  );
+}
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Modal behaviour for a role="dialog" element: focus moves into it on open, Tab stays inside,
+// Esc calls onClose, and focus returns to whatever had it when the dialog closes.
+// -> ref for the dialog element (give it tabIndex={-1} for dialogs without controls)
+export function useDialog(onClose) {
+  const ref = React.useRef(null);
+  const [opener] = React.useState(() => document.activeElement); // before any autoFocus inside moves it
+  const close = React.useRef(onClose);
+  close.current = onClose;
+  React.useEffect(() => {
+    const el = ref.current;
+    if (!el.contains(document.activeElement)) (el.querySelector(FOCUSABLE) || el).focus();
+    function onKey(e) {
+      if (e.key === "Escape") { e.stopPropagation(); close.current?.(); return; }
+      if (e.key !== "Tab") return;
+      const items = [...el.querySelectorAll(FOCUSABLE)];
+      if (!items.length) { e.preventDefault(); return; }
+      const first = items[0], last = items[items.length - 1];
+      if (e.shiftKey && (document.activeElement === first || !el.contains(document.activeElement))) { e.preventDefault(); last.focus(); }
+      else if (!e.shiftKey && document.activeElement === last) { e.preventDefault(); first.focus(); }
+    }
+    el.addEventListener("keydown", onKey);
+    return () => { el.removeEventListener("keydown", onKey); opener?.focus?.(); };
+  }, []);
+  return ref;
+}
+
+export function rid() {
+  try { if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID(); } catch {}
+  return Math.random().toString(36).slice(2) + Date.now().toString(36);
+}
+
+export function useIsMobile(breakpoint = 768) {
+  const [is, setIs] = React.useState(typeof window !== 'undefined' ? window.innerWidth < breakpoint : false);
+  React.useEffect(() => {
+    function onResize() { setIs(window.innerWidth < breakpoint); }
+    window.addEventListener('resize', onResize);
+    return () => window.removeEventListener('resize', onResize);
+  }, [breakpoint]);
+  return is;
+}
+
+// Current time in ms, re-rendering every `intervalMs` (for elapsed durations)
+export function useNow(intervalMs = 60000) {
+  const [now, setNow] = React.useState(() => Date.now());
+  React.useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(id);
+  }, [intervalMs]);
+  return now;
+}
+
+export function feederColor(name) {
+  const h = hashStringToHue(name || "");
+  return `hsl(${h}, 65%, 45%)`;
+}
+function hashStringToHue(str) {
+  let h = 0;
+  for (let i = 0; i < str.length; i++) h = (h * 31 + str.charCodeAt(i)) >>> 0;
+  return h % 360;
+}
@@ -0,0 +1,6 @@
+import React from 'react'
+import { createRoot } from 'react-dom/client'
+import StatusWidget, { widgetOptions } from './StatusWidget.jsx'
+
+const root = createRoot(document.getElementById('root'))
+root.render(<StatusWidget {...widgetOptions(new URLSearchParams(location.search))} />)
@@ -1,7 +1,33 @@
+import { readFileSync } from 'node:fs'
+import { createHash } from 'node:crypto'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Writes the build's hashed files into public/sw.js so the service worker precaches them on
+// install (the page's own requests happen before it registers). The cache name changes with
+// them, so each deploy installs a new worker and drops the previous shell.
+function precacheBuild() {
+  return {
+    name: 'precache-build',
+    apply: 'build',
+    generateBundle(_, bundle) {
+      const assets = Object.keys(bundle).filter(f => f.startsWith('assets/')).sort().map(f => `/${f}`)
+      const id = createHash('sha256').update(assets.join('\n')).digest('hex').slice(0, 12)
+      const sw = readFileSync('public/sw.js', 'utf8')
+      const marker = "const BUILD = { id: 'dev', assets: [] };"
+      if (!sw.includes(marker)) this.error('public/sw.js no longer has the BUILD placeholder')
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source: sw.replace(marker, `const BUILD = ${JSON.stringify({ id, assets })};`) })
+    },
+  }
+}
+
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheBuild()],
+  build: {
+    rollupOptions: {
+      // the dashboard, and the status widget partner sites embed in an iframe
+      input: { main: 'index.html', widget: 'widget.html' },
+    },
+  },
 })